@@ -1,20 +1,23 @@
 import { StatusBar, Platform, View } from 'react-native';
 import { NavigationContainer } from '@react-navigation/native';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
+import { GestureHandlerRootView } from 'react-native-gesture-handler';
 import RootNavigator from './app/index';
 
 export default function App() {
   return (
-    <SafeAreaProvider>
-      {/* Use Platform.OS to apply correct StatusBar settings for each platform */}
-      <StatusBar 
-        translucent={true} 
-        backgroundColor="transparent" 
-        barStyle="dark-content"
-      />
-      <NavigationContainer>
-        <RootNavigator />
-      </NavigationContainer>
-    </SafeAreaProvider>
+    <GestureHandlerRootView style={{ flex: 1 }}>
+      <SafeAreaProvider>
+        {/* Use Platform.OS to apply correct StatusBar settings for each platform */}
+        {/* The bar style follows the theme, see ThemeProvider */}
+        <StatusBar 
+          translucent={true} 
+          backgroundColor="transparent" 
+        />
+        <NavigationContainer>
+          <RootNavigator />
+        </NavigationContainer>
+      </SafeAreaProvider>
+    </GestureHandlerRootView>
   );
 }
\ No newline at end of file
@@ -0,0 +1,33 @@
+import { buildGroupRounds } from '../../app/utils/exerciseGroups';
+
+// Workout exercise with a number of planned sets
+const exerciseWithSets = (id, count) => ({
+  $id: id,
+  sets: Array.from({ length: count }, (_, index) => ({ $id: `${id}-${index + 1}`, setNumber: index + 1 })),
+});
+
+// Labels of every step, round by round
+const labels = (rounds) => rounds.map(round => round.steps.map(step => step.label));
+
+describe('buildGroupRounds', () => {
+  it('alternates the exercises round by round', () => {
+    const rounds = buildGroupRounds({ rounds: 2 }, [exerciseWithSets('a', 2), exerciseWithSets('b', 2)]);
+    expect(labels(rounds)).toEqual([['A1', 'B1'], ['A2', 'B2']]);
+  });
+
+  it('lets an exercise with fewer sets sit out the last rounds', () => {
+    const rounds = buildGroupRounds({ rounds: 3 }, [exerciseWithSets('a', 3), exerciseWithSets('b', 1)]);
+    expect(labels(rounds)).toEqual([['A1', 'B1'], ['A2'], ['A3']]);
+  });
+
+  it('adds rounds for sets beyond the group rounds', () => {
+    const rounds = buildGroupRounds({ rounds: 2 }, [exerciseWithSets('a', 4), exerciseWithSets('b', 2)]);
+    expect(labels(rounds)).toEqual([['A1', 'B1'], ['A2', 'B2'], ['A3'], ['A4']]);
+    expect(rounds.flatMap(round => round.steps)).toHaveLength(6);
+  });
+
+  it('skips rounds where no exercise has a set', () => {
+    const rounds = buildGroupRounds({ rounds: 3 }, [exerciseWithSets('a', 1), exerciseWithSets('b', 1)]);
+    expect(rounds).toHaveLength(1);
+  });
+});
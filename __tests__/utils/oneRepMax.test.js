@@ -0,0 +1,112 @@
+import {
+  ONE_REP_MAX_FORMULAS,
+  DEFAULT_FORMULA,
+  MAX_ESTIMATE_REPS,
+  estimateOneRepMax,
+  weightForReps,
+  weightAtPercentage,
+  roundToIncrement,
+} from '../../app/utils/oneRepMax';
+
+describe('estimateOneRepMax', () => {
+  // 100 kg × 10 reps with each formula
+  it.each([
+    ['epley', 133.33],
+    ['brzycki', 133.33],
+    ['lombardi', 125.89],
+    ['mayhew', 130.93],
+    ['oconner', 125],
+    ['wathan', 134.75],
+    ['lander', 134.07],
+  ])('estimates 100 × 10 with %s', (formula, expected) => {
+    expect(estimateOneRepMax(100, 10, formula)).toBeCloseTo(expected, 2);
+  });
+
+  it('covers every formula in the list', () => {
+    expect(Object.keys(ONE_REP_MAX_FORMULAS)).toHaveLength(7);
+  });
+
+  it('uses Epley by default and for unknown formulas', () => {
+    expect(DEFAULT_FORMULA).toBe('epley');
+    expect(estimateOneRepMax(100, 5)).toBeCloseTo(116.67, 2);
+    expect(estimateOneRepMax(100, 5, 'unknown')).toBeCloseTo(116.67, 2);
+  });
+
+  it('returns the weight itself for a single rep', () => {
+    Object.keys(ONE_REP_MAX_FORMULAS).forEach(formula => {
+      expect(estimateOneRepMax(140, 1, formula)).toBe(140);
+    });
+  });
+
+  it('caps the reps so high-rep sets stay finite', () => {
+    expect(estimateOneRepMax(50, 100, 'brzycki')).toBe(estimateOneRepMax(50, MAX_ESTIMATE_REPS, 'brzycki'));
+    expect(estimateOneRepMax(50, 37, 'brzycki')).toBeGreaterThan(0);
+    expect(Number.isFinite(estimateOneRepMax(50, 37, 'brzycki'))).toBe(true);
+  });
+
+  it('returns 0 for invalid input', () => {
+    expect(estimateOneRepMax(100, 0)).toBe(0);
+    expect(estimateOneRepMax(0, 5)).toBe(0);
+    expect(estimateOneRepMax(-20, 5)).toBe(0);
+    expect(estimateOneRepMax(100, -3)).toBe(0);
+    expect(estimateOneRepMax(null, undefined)).toBe(0);
+  });
+});
+
+describe('weightForReps', () => {
+  it.each(Object.keys(ONE_REP_MAX_FORMULAS))('reverses estimateOneRepMax with %s', (formula) => {
+    [1, 3, 5, 8, 12, 20].forEach(reps => {
+      const oneRepMax = estimateOneRepMax(100, reps, formula);
+      expect(weightForReps(oneRepMax, reps, formula)).toBeCloseTo(100, 6);
+    });
+  });
+
+  it('caps the reps the same way as the estimate', () => {
+    expect(weightForReps(150, 50)).toBe(weightForReps(150, MAX_ESTIMATE_REPS));
+  });
+
+  it('returns the 1RM for a single rep', () => {
+    expect(weightForReps(150, 1)).toBe(150);
+  });
+
+  it('returns 0 for invalid input', () => {
+    expect(weightForReps(150, 0)).toBe(0);
+    expect(weightForReps(0, 5)).toBe(0);
+    expect(weightForReps(-150, 5)).toBe(0);
+  });
+});
+
+describe('weightAtPercentage', () => {
+  it('takes a share of the 1RM', () => {
+    expect(weightAtPercentage(200, 75)).toBe(150);
+    expect(weightAtPercentage(200, 100)).toBe(200);
+  });
+
+  it('agrees with weightForReps at the percentage the reps allow', () => {
+    const oneRepMax = 160;
+    const percent = 100 / ONE_REP_MAX_FORMULAS.epley.factor(5);
+    expect(weightAtPercentage(oneRepMax, percent)).toBeCloseTo(weightForReps(oneRepMax, 5), 6);
+  });
+
+  it('returns 0 for invalid input', () => {
+    expect(weightAtPercentage(0, 75)).toBe(0);
+    expect(weightAtPercentage(200, 0)).toBe(0);
+    expect(weightAtPercentage(200, -10)).toBe(0);
+  });
+});
+
+describe('roundToIncrement', () => {
+  it('rounds to the nearest step', () => {
+    expect(roundToIncrement(101.2, 2.5)).toBe(100);
+    expect(roundToIncrement(101.3, 2.5)).toBe(102.5);
+    expect(roundToIncrement(47, 5)).toBe(45);
+  });
+
+  it('leaves no floating point leftovers', () => {
+    expect(roundToIncrement(0.3, 0.1)).toBe(0.3);
+  });
+
+  it('returns the weight unchanged without a valid step', () => {
+    expect(roundToIncrement(101.2, 0)).toBe(101.2);
+  });
+});
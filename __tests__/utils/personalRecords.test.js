@@ -0,0 +1,46 @@
+import { detectPersonalRecords, getBeatenRecords, getRecordKey } from '../../app/utils/personalRecords';
+
+const set = (weight, reps, extra = {}) => ({
+  exerciseId: 'squat', exerciseName: 'Squat', setType: 'normal', completed: true, weight, reps, ...extra,
+});
+
+const record = (recordType, value, weight = null) => ({ exerciseId: 'squat', recordType, value, weight });
+
+describe('detectPersonalRecords', () => {
+  it('stores the first session of an exercise as a baseline without any PR', () => {
+    const records = detectPersonalRecords([set(100, 5), set(100, 5)], []);
+
+    expect(records.map(r => r.recordType).sort()).toEqual(
+      ['bestOneRepMax', 'heaviestWeight', 'repsAtWeight', 'sessionVolume']
+    );
+    records.forEach(r => expect(r.baseline).toBe(true));
+    expect(getBeatenRecords(records)).toEqual([]);
+  });
+
+  it('only celebrates values that beat a stored record', () => {
+    const existing = [
+      record('heaviestWeight', 100),
+      record('bestOneRepMax', 116.67),
+      record('repsAtWeight', 5, 100),
+      record('sessionVolume', 1000),
+    ];
+    const records = detectPersonalRecords([set(105, 5)], existing);
+    const beaten = getBeatenRecords(records).map(r => r.recordType).sort();
+
+    expect(beaten).toEqual(['bestOneRepMax', 'heaviestWeight']);
+    // Reps at a weight never done before are a baseline, not a PR
+    expect(records.find(r => r.recordType === 'repsAtWeight')).toMatchObject({ weight: 105, baseline: true });
+  });
+
+  it('leaves out values that only match the stored record', () => {
+    const existing = [record('heaviestWeight', 100), record('repsAtWeight', 5, 100)];
+    const keys = detectPersonalRecords([set(100, 5)], existing).map(r => r.key);
+
+    expect(keys).not.toContain(getRecordKey('squat', 'heaviestWeight'));
+    expect(keys).not.toContain(getRecordKey('squat', 'repsAtWeight', 100));
+  });
+
+  it('ignores warm-ups and sets that were not completed', () => {
+    expect(detectPersonalRecords([set(200, 5, { setType: 'warmup' }), set(200, 5, { completed: false })], [])).toEqual([]);
+  });
+});
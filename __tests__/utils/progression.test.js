@@ -0,0 +1,158 @@
+import {
+  DEFAULT_PROGRESSION_RULES,
+  getProgressionRules,
+  getProgressionRulesError,
+  suggestProgression,
+} from '../../app/utils/progression';
+import { fromDisplayWeight } from '../../app/utils/units';
+
+// Planned exercise with three sets of the same reps and weight
+const plan = (reps, weight, rules = null) => ({
+  $id: 'we1',
+  measurementMode: 'repsWeight',
+  progressionRules: rules ? JSON.stringify(rules) : null,
+  sets: [1, 2, 3].map(setNumber => ({ $id: `set${setNumber}`, setNumber, setType: 'normal', reps, weight })),
+});
+
+// Performed sets of one session; missedReps takes that many reps off the last set
+const session = (sessionId, day, exercise, missedReps = 0) => exercise.sets.map(set => ({
+  sessionId,
+  performedAt: `2026-10-${String(day).padStart(2, '0')}T10:00:00.000Z`,
+  setNumber: set.setNumber,
+  plannedReps: set.reps,
+  plannedWeight: set.weight,
+  completed: true,
+  reps: set.setNumber === 3 ? set.reps - missedReps : set.reps,
+  weight: set.weight,
+}));
+
+const weights = (suggestion) => suggestion.changes.map(change => change.weight);
+const reps = (suggestion) => suggestion.changes.map(change => change.reps);
+
+describe('suggestProgression', () => {
+  it('adds the weight increment when every set hit its target', () => {
+    const exercise = plan(5, 100);
+    const suggestion = suggestProgression(exercise, session('s1', 1, exercise));
+
+    expect(suggestion.type).toBe('weight');
+    expect(suggestion.sessionId).toBe('s1');
+    expect(weights(suggestion)).toEqual([102.5, 102.5, 102.5]);
+    expect(reps(suggestion)).toEqual([5, 5, 5]);
+  });
+
+  it('adds the whole step to an off-increment weight', () => {
+    const exercise = plan(5, 61);
+    expect(weights(suggestProgression(exercise, session('s1', 1, exercise)))).toEqual([65, 65, 65]);
+  });
+
+  it('steps and rounds in pounds for a pound user', () => {
+    const exercise = plan(5, fromDisplayWeight(225, 'lb'));
+    const suggestion = suggestProgression(exercise, session('s1', 1, exercise), 'lb');
+
+    expect(suggestion.message).toContain('5 lb');
+    expect(weights(suggestion)[0]).toBe(fromDisplayWeight(230, 'lb'));
+  });
+
+  it('steps from the closest pound weight to a kg value', () => {
+    // 100 kg is 220.46 lb, which goes to 225 rather than 230
+    const exercise = plan(5, 100);
+    expect(weights(suggestProgression(exercise, session('s1', 1, exercise), 'lb'))[0]).toBe(fromDisplayWeight(225, 'lb'));
+  });
+
+  it('adds a rep within the rep range first', () => {
+    const exercise = plan(8, 60, { repRangeMin: 8, repRangeMax: 12 });
+    const suggestion = suggestProgression(exercise, session('s1', 1, exercise));
+
+    expect(suggestion.type).toBe('reps');
+    expect(reps(suggestion)).toEqual([9, 9, 9]);
+    expect(weights(suggestion)).toEqual([60, 60, 60]);
+  });
+
+  it('adds weight and goes back to the bottom of the range at the top of it', () => {
+    const exercise = plan(12, 60, { repRangeMin: 8, repRangeMax: 12 });
+    const suggestion = suggestProgression(exercise, session('s1', 1, exercise));
+
+    expect(suggestion.type).toBe('weight');
+    expect(reps(suggestion)).toEqual([8, 8, 8]);
+    expect(weights(suggestion)).toEqual([62.5, 62.5, 62.5]);
+  });
+
+  it('suggests nothing after a single miss', () => {
+    const exercise = plan(5, 100);
+    expect(suggestProgression(exercise, session('s1', 1, exercise, 2))).toBeNull();
+  });
+
+  it('deloads after repeated misses', () => {
+    const exercise = plan(5, 100);
+    const sets = [...session('s1', 1, exercise, 1), ...session('s2', 3, exercise, 2)];
+    const suggestion = suggestProgression(exercise, sets);
+
+    expect(suggestion.type).toBe('deload');
+    expect(suggestion.sessionId).toBe('s2');
+    expect(weights(suggestion)).toEqual([90, 90, 90]);
+  });
+
+  it('only counts misses since the last success', () => {
+    const exercise = plan(5, 100);
+    const sets = [...session('s1', 1, exercise, 1), ...session('s2', 3, exercise), ...session('s3', 5, exercise, 1)];
+    expect(suggestProgression(exercise, sets)).toBeNull();
+  });
+
+  it('follows the rules configured on the exercise', () => {
+    const exercise = plan(5, 100, { weightIncrement: 5, deloadAfterMisses: 1, deloadPercent: 20 });
+
+    expect(weights(suggestProgression(exercise, session('s1', 1, exercise)))).toEqual([105, 105, 105]);
+    expect(weights(suggestProgression(exercise, session('s1', 1, exercise, 1)))).toEqual([80, 80, 80]);
+  });
+
+  it('suggests nothing when progression is turned off', () => {
+    const exercise = plan(5, 100, { enabled: false });
+    expect(suggestProgression(exercise, session('s1', 1, exercise))).toBeNull();
+  });
+
+  it('ignores sessions done with a different plan', () => {
+    const exercise = plan(5, 100);
+    const older = session('s1', 1, plan(5, 97.5));
+    expect(suggestProgression(exercise, older)).toBeNull();
+  });
+
+  it('does not ask again about a dismissed session', () => {
+    const exercise = { ...plan(5, 100), progressionDismissedSessionId: 's1' };
+    expect(suggestProgression(exercise, session('s1', 1, exercise))).toBeNull();
+  });
+
+  it('leaves timed exercises alone', () => {
+    const exercise = { ...plan(5, 100), measurementMode: 'duration' };
+    expect(suggestProgression(exercise, session('s1', 1, exercise))).toBeNull();
+  });
+});
+
+describe('getProgressionRules', () => {
+  it('fills in the defaults', () => {
+    expect(getProgressionRules({ progressionRules: '{"weightIncrement":5}' })).toEqual({
+      ...DEFAULT_PROGRESSION_RULES,
+      weightIncrement: 5,
+    });
+  });
+
+  it('falls back to the defaults for unreadable rules', () => {
+    expect(getProgressionRules({ progressionRules: 'not json' })).toEqual(DEFAULT_PROGRESSION_RULES);
+    expect(getProgressionRules(null)).toEqual(DEFAULT_PROGRESSION_RULES);
+  });
+});
+
+describe('getProgressionRulesError', () => {
+  it('accepts the defaults', () => {
+    expect(getProgressionRulesError(DEFAULT_PROGRESSION_RULES)).toBeNull();
+  });
+
+  it.each([
+    [{ weightIncrement: 0 }, 'Weight increment'],
+    [{ repRangeMin: 8 }, 'both ends'],
+    [{ repRangeMin: 12, repRangeMax: 8 }, 'lower to a higher'],
+    [{ deloadAfterMisses: 0 }, 'at least 1'],
+    [{ deloadPercent: 100 }, 'between 0 and 100'],
+  ])('rejects %j', (changes, message) => {
+    expect(getProgressionRulesError({ ...DEFAULT_PROGRESSION_RULES, ...changes })).toContain(message);
+  });
+});
@@ -0,0 +1,19 @@
+import { SET_TYPES, getSetTypeColor } from '../../app/utils/setTypes';
+import { LIGHT_COLORS, DARK_COLORS } from '../../app/utils/theme';
+
+describe('getSetTypeColor', () => {
+  it.each([['light', LIGHT_COLORS], ['dark', DARK_COLORS]])('has a %s theme color for every set type', (scheme, colors) => {
+    Object.keys(SET_TYPES).forEach(setType => {
+      expect(getSetTypeColor(setType, colors)).toMatch(/^#[0-9A-Fa-f]{6}$/);
+    });
+  });
+
+  it('follows the theme', () => {
+    expect(getSetTypeColor('normal', LIGHT_COLORS)).toBe(LIGHT_COLORS.setNormal);
+    expect(getSetTypeColor('normal', DARK_COLORS)).toBe(DARK_COLORS.setNormal);
+  });
+
+  it('falls back to the normal set color for unknown types', () => {
+    expect(getSetTypeColor('unknown', LIGHT_COLORS)).toBe(LIGHT_COLORS.setNormal);
+  });
+});
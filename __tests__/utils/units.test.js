@@ -0,0 +1,46 @@
+import { toDisplayWeight, fromDisplayWeight, formatWeight, parseEditedWeight } from '../../app/utils/units';
+
+describe('toDisplayWeight', () => {
+  it('rounds kilograms to 2.5 kg', () => {
+    expect(toDisplayWeight(102.5, 'kg')).toBe(102.5);
+    expect(toDisplayWeight(101, 'kg')).toBe(100);
+  });
+
+  it('rounds pounds to 5 lb', () => {
+    expect(toDisplayWeight(100, 'lb')).toBe(220);
+    expect(toDisplayWeight(60, 'lb')).toBe(130);
+    expect(toDisplayWeight(20, 'lb')).toBe(45);
+  });
+
+  it('gives back weights typed in pounds exactly', () => {
+    [5, 45, 135, 225, 405].forEach(pounds => {
+      expect(toDisplayWeight(fromDisplayWeight(pounds, 'lb'), 'lb')).toBe(pounds);
+    });
+  });
+
+  it('returns null without a weight', () => {
+    expect(toDisplayWeight(null, 'lb')).toBeNull();
+    expect(toDisplayWeight('', 'lb')).toBeNull();
+  });
+});
+
+describe('fromDisplayWeight', () => {
+  it('rounds typed weights to the unit increment', () => {
+    expect(fromDisplayWeight('101', 'kg')).toBe(100);
+    expect(fromDisplayWeight('223', 'lb')).toBe(fromDisplayWeight('225', 'lb'));
+  });
+
+  it('returns NaN for text that is not a weight', () => {
+    expect(fromDisplayWeight('abc', 'lb')).toBeNaN();
+  });
+});
+
+describe('parseEditedWeight', () => {
+  it('keeps the stored weight when the shown value was not changed', () => {
+    expect(parseEditedWeight(formatWeight(100, 'lb'), 100, 'lb')).toBe(100);
+  });
+
+  it('converts a changed value', () => {
+    expect(parseEditedWeight('225', 100, 'lb')).toBeCloseTo(102.058, 3);
+  });
+});
@@ -0,0 +1,91 @@
+import { generateWarmupSets, getWarmupLoading, getTopWorkingSet } from '../../app/utils/warmups';
+import { DEFAULT_PLATE_SETTINGS } from '../../app/utils/plates';
+
+// Barbell loading with a standard set of plates
+const barbell = (unit) => getWarmupLoading(true, DEFAULT_PLATE_SETTINGS[unit], unit === 'lb' ? 5 : 2.5);
+
+describe('generateWarmupSets', () => {
+  it('ramps from the bar to 80% of the top set', () => {
+    expect(generateWarmupSets(100, barbell('kg'))).toEqual([
+      { reps: 10, weight: 20 },
+      { reps: 5, weight: 40 },
+      { reps: 3, weight: 60 },
+      { reps: 1, weight: 80 },
+    ]);
+  });
+
+  it('has no warm-ups for a top set at or below the bar', () => {
+    expect(generateWarmupSets(20, barbell('kg'))).toEqual([]);
+    expect(generateWarmupSets(15, barbell('kg'))).toEqual([]);
+    expect(generateWarmupSets(45, barbell('lb'))).toEqual([]);
+  });
+
+  it('has no warm-ups without a top weight', () => {
+    expect(generateWarmupSets(0, barbell('kg'))).toEqual([]);
+    expect(generateWarmupSets(null, barbell('kg'))).toEqual([]);
+  });
+
+  it('leaves out steps that round to the weight before them', () => {
+    // 40% and 60% of 10 both round to 5
+    expect(generateWarmupSets(10, getWarmupLoading(false, null, 2.5))).toEqual([
+      { reps: 5, weight: 5 },
+      { reps: 1, weight: 7.5 },
+    ]);
+    // Every share of 25 kg is lighter than the bar, so only the bar is left
+    expect(generateWarmupSets(25, barbell('kg'))).toEqual([{ reps: 10, weight: 20 }]);
+  });
+
+  it('rounds to loads the kg plates allow', () => {
+    expect(generateWarmupSets(102.5, barbell('kg'))).toEqual([
+      { reps: 10, weight: 20 },
+      { reps: 5, weight: 40 },
+      { reps: 3, weight: 62.5 },
+      { reps: 1, weight: 82.5 },
+    ]);
+  });
+
+  it('rounds to loads the lb plates allow', () => {
+    expect(generateWarmupSets(225, barbell('lb'))).toEqual([
+      { reps: 10, weight: 45 },
+      { reps: 5, weight: 95 },
+      { reps: 3, weight: 135 },
+      { reps: 1, weight: 180 },
+    ]);
+  });
+
+  it('never reaches the top weight', () => {
+    generateWarmupSets(50, barbell('kg')).forEach(set => {
+      expect(set.weight).toBeLessThan(50);
+    });
+  });
+});
+
+describe('getWarmupLoading', () => {
+  it('starts barbell lifts at the bar', () => {
+    const loading = getWarmupLoading(true, { barWeight: 15, plates: [{ weight: 5, count: 2 }] }, 2.5);
+    expect(loading.barWeight).toBe(15);
+    expect(loading.roundWeight(24)).toBe(25);
+  });
+
+  it('rounds other exercises to the unit step without a bar', () => {
+    const loading = getWarmupLoading(false, DEFAULT_PLATE_SETTINGS.lb, 5);
+    expect(loading.barWeight).toBe(0);
+    expect(loading.roundWeight(23)).toBe(25);
+  });
+});
+
+describe('getTopWorkingSet', () => {
+  it('picks the heaviest set that counts towards stats', () => {
+    const sets = [
+      { $id: 'w', setType: 'warmup', weight: 200 },
+      { $id: 'a', setType: 'normal', weight: 100 },
+      { $id: 'b', setType: 'normal', weight: 120 },
+    ];
+    expect(getTopWorkingSet(sets).$id).toBe('b');
+  });
+
+  it('returns null without weighted working sets', () => {
+    expect(getTopWorkingSet([{ setType: 'normal', weight: 0 }])).toBeNull();
+    expect(getTopWorkingSet(undefined)).toBeNull();
+  });
+});
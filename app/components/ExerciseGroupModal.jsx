@@ -0,0 +1,293 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Modal, View, Text, TextInput, TouchableOpacity, ScrollView, StyleSheet, Alert
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { GROUP_TYPES, MIN_GROUP_SIZE } from '../utils/exerciseGroups';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+
+// Rest after each round when a new group is created
+const DEFAULT_GROUP_REST_SECONDS = 90;
+
+/**
+ * Modal to create or edit a superset/circuit
+ * When creating, the user picks which exercises to link; when editing, the
+ * members are fixed and the group can be removed instead
+ *
+ * @param {boolean} visible - Whether the modal is shown
+ * @param {Array} exercises - Workout exercises that can be picked (creating only)
+ * @param {Array} initialSelection - Workout exercise IDs selected when the modal opens
+ * @param {Object} group - Group being edited, or null to create one
+ * @param {Function} onSave - Called with { type, rounds, restSeconds, workoutExerciseIds }
+ * @param {Function} onUngroup - Called when the user removes the group (editing only)
+ * @param {Function} onClose - Called when the modal is dismissed
+ */
+function ExerciseGroupModal({ visible, exercises, initialSelection, group, onSave, onUngroup, onClose }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const [type, setType] = useState('superset');   // Superset or circuit
+  const [rounds, setRounds] = useState('');       // Number of rounds
+  const [restSeconds, setRestSeconds] = useState(''); // Rest after each round
+  const [selectedIds, setSelectedIds] = useState([]); // Exercises to link
+
+  // Reset the form every time the modal opens
+  useEffect(() => {
+    if (!visible) return;
+
+    const selection = initialSelection || [];
+    const selectedSets = (exercises || [])
+      .filter(exercise => selection.includes(exercise.$id))
+      .map(exercise => (exercise.sets || []).length);
+
+    setType(group?.type || 'superset');
+    setRounds(String(group?.rounds || Math.max(1, ...selectedSets)));
+    setRestSeconds(String(group?.restSeconds ?? DEFAULT_GROUP_REST_SECONDS));
+    setSelectedIds(selection);
+  }, [visible]);
+
+  /**
+   * Add or remove an exercise from the selection
+   * @param {string} workoutExerciseId - Workout exercise ID
+   */
+  const toggleExercise = (workoutExerciseId) => {
+    setSelectedIds(prev => (
+      prev.includes(workoutExerciseId)
+        ? prev.filter(id => id !== workoutExerciseId)
+        : [...prev, workoutExerciseId]
+    ));
+  };
+
+  /**
+   * Validate the form and pass the values up
+   */
+  const handleSave = () => {
+    const roundCount = parseInt(rounds);
+    const rest = parseInt(restSeconds);
+
+    if (isNaN(roundCount) || roundCount < 1) {
+      Alert.alert('Error', 'Please enter at least 1 round');
+      return;
+    }
+    if (isNaN(rest) || rest < 0) {
+      Alert.alert('Error', 'Please enter a valid rest time');
+      return;
+    }
+    if (!group && selectedIds.length < MIN_GROUP_SIZE) {
+      Alert.alert('Error', `Select at least ${MIN_GROUP_SIZE} exercises`);
+      return;
+    }
+
+    // Keep the day order for the linked exercises
+    const workoutExerciseIds = (exercises || [])
+      .filter(exercise => selectedIds.includes(exercise.$id))
+      .map(exercise => exercise.$id);
+
+    onSave({ type, rounds: roundCount, restSeconds: rest, workoutExerciseIds });
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>{group ? `Edit ${GROUP_TYPES[group.type] || 'Group'}` : 'Link Exercises'}</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color={colors.textSecondary} />
+            </TouchableOpacity>
+          </View>
+
+          {/* Superset or circuit */}
+          <View style={styles.typeRow}>
+            {Object.keys(GROUP_TYPES).map(key => (
+              <TouchableOpacity
+                key={key}
+                style={[styles.typeChip, type === key && styles.typeChipActive]}
+                onPress={() => setType(key)}
+              >
+                <Text style={[styles.typeText, type === key && styles.typeTextActive]}>
+                  {GROUP_TYPES[key]}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {/* Exercises to link (only when creating) */}
+          {!group && (
+            <ScrollView style={styles.exerciseList}>
+              {(exercises || []).map(exercise => {
+                const selected = selectedIds.includes(exercise.$id);
+
+                return (
+                  <TouchableOpacity
+                    key={exercise.$id}
+                    style={styles.exerciseRow}
+                    onPress={() => toggleExercise(exercise.$id)}
+                  >
+                    <Ionicons
+                      name={selected ? 'checkbox' : 'square-outline'}
+                      size={22}
+                      color={selected ? colors.primary : colors.textMuted}
+                    />
+                    <Text style={styles.exerciseName}>{exercise.exerciseName}</Text>
+                    <Text style={styles.exerciseSets}>{(exercise.sets || []).length} sets</Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </ScrollView>
+          )}
+
+          <View style={styles.formRow}>
+            <View style={styles.formGroup}>
+              <Text style={styles.formLabel}>Rounds</Text>
+              <TextInput
+                style={styles.formInput}
+                keyboardType="numeric"
+                value={rounds}
+                onChangeText={setRounds}
+              />
+            </View>
+            <View style={styles.formGroup}>
+              <Text style={styles.formLabel}>Rest after round (sec)</Text>
+              <TextInput
+                style={styles.formInput}
+                keyboardType="numeric"
+                value={restSeconds}
+                onChangeText={setRestSeconds}
+              />
+            </View>
+          </View>
+
+          <TouchableOpacity style={styles.saveButton} onPress={handleSave}>
+            <Text style={styles.saveButtonText}>{group ? 'Save' : `Create ${GROUP_TYPES[type]}`}</Text>
+          </TouchableOpacity>
+
+          {group && (
+            <TouchableOpacity style={styles.ungroupButton} onPress={onUngroup}>
+              <Text style={styles.ungroupButtonText}>Unlink Exercises</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: colors.overlay,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  container: {
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    width: '85%',
+    maxHeight: '80%',
+    padding: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  typeRow: {
+    flexDirection: 'row',
+    marginBottom: 15,
+  },
+  typeChip: {
+    backgroundColor: colors.surface,
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 20,
+    marginRight: 8,
+  },
+  typeChipActive: {
+    backgroundColor: colors.primary,
+  },
+  typeText: {
+    fontSize: 14,
+    color: colors.text,
+  },
+  typeTextActive: {
+    color: colors.onPrimary,
+    fontWeight: '600',
+  },
+  exerciseList: {
+    maxHeight: 220,
+    marginBottom: 15,
+  },
+  exerciseRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  exerciseName: {
+    flex: 1,
+    fontSize: 15,
+    color: colors.text,
+    marginLeft: 10,
+  },
+  exerciseSets: {
+    fontSize: 13,
+    color: colors.textMuted,
+  },
+  formRow: {
+    flexDirection: 'row',
+    marginBottom: 20,
+  },
+  formGroup: {
+    flex: 1,
+    marginRight: 10,
+  },
+  formLabel: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginBottom: 6,
+  },
+  formInput: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    fontSize: 16,
+    color: colors.textStrong,
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+  },
+  saveButtonText: {
+    color: colors.onPrimary,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  ungroupButton: {
+    padding: 12,
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  ungroupButtonText: {
+    color: colors.danger,
+    fontSize: 15,
+    fontWeight: '500',
+  },
+});
+
+export default ExerciseGroupModal;
@@ -3,11 +3,14 @@ import { View, TouchableOpacity, StyleSheet, Text } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { FontAwesome } from '@expo/vector-icons';
 import { FontAwesome6 } from '@expo/vector-icons';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
 
 /**
  * A custom tab bar that floats at the bottom of the screen
  */
 function FloatingTabBar({ state, descriptors, navigation }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   
   // Use a fixed margin instead of dynamic insets for consistent appearance
   const bottomMargin = 2;
@@ -33,9 +36,9 @@ function FloatingTabBar({ state, descriptors, navigation }) {
           
           // Choose the right icon based on which tab this is
           const renderIcon = () => {
-            // Use blue for active tab, gray for inactive
-            const activeColor = '#007BFF';
-            const inactiveColor = '#888';
+            // Use the accent color for the active tab, gray for inactive
+            const activeColor = colors.accent;
+            const inactiveColor = colors.textMuted;
             const color = isFocused ? activeColor : inactiveColor;
             const size = 24;
             
@@ -44,6 +47,8 @@ function FloatingTabBar({ state, descriptors, navigation }) {
               return <FontAwesome6 name="dumbbell" size={size} color={color} />;
             } else if (route.name === 'Exercises') {
               return <FontAwesome name="folder" size={size} color={color} />;
+            } else if (route.name === 'History') {
+              return <Ionicons name="time" size={size} color={color} />;
             } else if (route.name === 'Settings') {
               return <Ionicons name="settings" size={size} color={color} />;
             }
@@ -77,7 +82,7 @@ function FloatingTabBar({ state, descriptors, navigation }) {
               
               {/* Show the tab name */}
               <Text style={{ 
-                color: isFocused ? '#007BFF' : '#888',
+                color: isFocused ? colors.accent : colors.textMuted,
                 fontSize: 12,
                 marginTop: 4
               }}>
@@ -91,7 +96,7 @@ function FloatingTabBar({ state, descriptors, navigation }) {
   );
 }
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     position: 'absolute',
     bottom: 0,
@@ -103,13 +108,13 @@ const styles = StyleSheet.create({
   },
   tabBar: {
     flexDirection: 'row',
-    backgroundColor: '#fff',
+    backgroundColor: colors.card,
     borderRadius: 30,
     height: 70,
     width: '100%',
     justifyContent: 'space-around',
     alignItems: 'center',
-    shadowColor: '#000',
+    shadowColor: colors.shadow,
     shadowOffset: {
       width: 0,
       height: 1,
@@ -0,0 +1,68 @@
+import React from 'react';
+import { ScrollView, TouchableOpacity, Text, StyleSheet } from 'react-native';
+import { MEASUREMENT_MODES } from '../utils/measurementModes';
+import { useThemedStyles } from '../context/ThemeContext';
+
+/**
+ * Row of chips to pick what the sets of an exercise record
+ *
+ * @param {string} value - Selected measurement mode
+ * @param {Function} onChange - Called with the picked mode
+ * @param {Object} style - Extra container styles
+ */
+function MeasurementModePicker({ value, onChange, style }) {
+  const styles = useThemedStyles(createStyles);
+  return (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      style={style}
+      contentContainerStyle={styles.container}
+      keyboardShouldPersistTaps="handled"
+    >
+      {Object.keys(MEASUREMENT_MODES).map(key => {
+        const selected = value === key;
+
+        return (
+          <TouchableOpacity
+            key={key}
+            style={[styles.chip, selected && styles.chipSelected]}
+            onPress={() => onChange(key)}
+          >
+            <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+              {MEASUREMENT_MODES[key].label}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </ScrollView>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    paddingVertical: 4,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+  },
+  chipSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    fontSize: 13,
+    color: colors.textSecondary,
+  },
+  chipTextSelected: {
+    color: colors.onPrimary,
+    fontWeight: '600',
+  },
+});
+
+export default MeasurementModePicker;
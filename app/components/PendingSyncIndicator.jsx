@@ -0,0 +1,61 @@
+import React, { useState, useEffect } from 'react';
+import { TouchableOpacity, Text, StyleSheet, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { syncService } from '../services/syncService';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+
+/**
+ * Small pill showing how many offline changes are waiting to be synced
+ * Hidden when everything is synced, tap it to retry right away
+ */
+function PendingSyncIndicator({ style }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [syncing, setSyncing] = useState(false);
+
+  // Follow the queue size
+  useEffect(() => {
+    return syncService.subscribe(setPendingCount);
+  }, []);
+
+  // Retry syncing when tapped
+  const handlePress = async () => {
+    if (syncing) return;
+    setSyncing(true);
+    await syncService.replayIfPending();
+    setSyncing(false);
+  };
+
+  if (pendingCount === 0) return null;
+
+  return (
+    <TouchableOpacity style={[styles.container, style]} onPress={handlePress} activeOpacity={0.7}>
+      {syncing ? (
+        <ActivityIndicator size="small" color={colors.warningText} />
+      ) : (
+        <Ionicons name="cloud-upload-outline" size={16} color={colors.warningText} />
+      )}
+      <Text style={styles.text}>{pendingCount} pending sync</Text>
+    </TouchableOpacity>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.warningSoft, // Light orange, something still needs attention
+    borderRadius: 15,
+    paddingVertical: 5,
+    paddingHorizontal: 10,
+  },
+  text: {
+    fontSize: 12,
+    color: colors.warningText,
+    marginLeft: 5,
+    fontWeight: '500',
+  },
+});
+
+export default PendingSyncIndicator;
@@ -0,0 +1,182 @@
+import React from 'react';
+import { Modal, View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { calculatePlates, groupPlates } from '../utils/plates';
+import { toDisplayWeight, getWeightUnitLabel } from '../utils/units';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+
+// Tallest plate drawn on the bar, in pixels
+const MAX_PLATE_HEIGHT = 90;
+
+/**
+ * Modal showing the plates to load on each side of the bar for a weight
+ * Weights that can't be loaded with the user's plates show the nearest load that can
+ *
+ * @param {boolean} visible - Whether the modal is shown
+ * @param {number} weight - Weight of the set in kg, bar included
+ * @param {string} unit - Unit the bar and plates are labelled in
+ * @param {Object} settings - { barWeight, plates: [{ weight, count }] }
+ * @param {Function} onEditPlates - Called to change the bar and plate inventory
+ * @param {Function} onClose - Called when the modal is dismissed
+ */
+function PlateCalculatorModal({ visible, weight, unit, settings, onEditPlates, onClose }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const unitLabel = getWeightUnitLabel(unit);
+  const target = toDisplayWeight(weight, unit) || 0;
+  const result = settings ? calculatePlates(target, settings) : null;
+  const heaviestPlate = Math.max(...(settings?.plates || []).map(plate => plate.weight), 1);
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Load {target} {unitLabel}</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color={colors.textSecondary} />
+            </TouchableOpacity>
+          </View>
+
+          {result && (
+            <>
+              {/* One side of the bar, plates from the collar outwards */}
+              <View style={styles.barDrawing}>
+                <View style={styles.barSleeve} />
+                {result.perSide.map((plate, index) => (
+                  <View
+                    key={index}
+                    style={[
+                      styles.plate,
+                      { height: Math.max(24, MAX_PLATE_HEIGHT * Math.sqrt(plate / heaviestPlate)) }
+                    ]}
+                  />
+                ))}
+                <View style={styles.barEnd} />
+              </View>
+
+              <Text style={styles.sectionLabel}>Each side</Text>
+              {result.perSide.length === 0 ? (
+                <Text style={styles.plateText}>No plates, just the bar</Text>
+              ) : groupPlates(result.perSide).map(group => (
+                <Text key={group.weight} style={styles.plateText}>
+                  {group.count} × {group.weight} {unitLabel}
+                </Text>
+              ))}
+
+              <Text style={styles.barText}>Bar: {settings.barWeight} {unitLabel}</Text>
+
+              {!result.exact && (
+                <View style={styles.nearestBox}>
+                  <Ionicons name="information-circle-outline" size={18} color={colors.warningText} />
+                  <Text style={styles.nearestText}>
+                    {target} {unitLabel} can't be loaded with your plates. Nearest: {result.total} {unitLabel} ({result.difference > 0 ? '+' : ''}{result.difference} {unitLabel})
+                  </Text>
+                </View>
+              )}
+            </>
+          )}
+
+          <TouchableOpacity style={styles.editButton} onPress={onEditPlates}>
+            <Text style={styles.editButtonText}>Edit bar & plates</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: colors.overlay,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  container: {
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    width: '85%',
+    padding: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  barDrawing: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    height: MAX_PLATE_HEIGHT + 10,
+    marginBottom: 15,
+  },
+  barSleeve: {
+    width: 40,
+    height: 10,
+    backgroundColor: colors.neutralStrong,
+  },
+  plate: {
+    width: 12,
+    marginHorizontal: 1,
+    borderRadius: 3,
+    backgroundColor: colors.primary,
+  },
+  barEnd: {
+    width: 20,
+    height: 10,
+    backgroundColor: colors.neutralStrong,
+  },
+  sectionLabel: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginBottom: 6,
+  },
+  plateText: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: colors.text,
+    marginBottom: 4,
+  },
+  barText: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginTop: 8,
+  },
+  nearestBox: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: colors.warningSoft,
+    borderRadius: 8,
+    padding: 10,
+    marginTop: 12,
+  },
+  nearestText: {
+    flex: 1,
+    fontSize: 14,
+    color: colors.warningText,
+    marginLeft: 6,
+  },
+  editButton: {
+    alignItems: 'center',
+    paddingTop: 15,
+  },
+  editButtonText: {
+    color: colors.primary,
+    fontSize: 15,
+    fontWeight: '500',
+  },
+});
+
+export default PlateCalculatorModal;
@@ -0,0 +1,283 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Modal, View, Text, TextInput, TouchableOpacity, ScrollView, StyleSheet, Alert, ActivityIndicator
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { DEFAULT_PLATE_SETTINGS, MAX_PLATE_COUNT, getPlateSettingsError } from '../utils/plates';
+import { getWeightUnitLabel } from '../utils/units';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+
+/**
+ * Modal to set up the bar and the plates available in the user's gym
+ * Counts are single plates; the calculator loads them in pairs
+ *
+ * @param {boolean} visible - Whether the modal is shown
+ * @param {string} unit - Unit the bar and plates are labelled in
+ * @param {Object} settings - Current { barWeight, plates: [{ weight, count }] }
+ * @param {boolean} saving - Shows a spinner on the save button while saving
+ * @param {Function} onSave - Called with the new { barWeight, plates }
+ * @param {Function} onClose - Called when the modal is dismissed
+ */
+function PlateSettingsModal({ visible, unit, settings, saving, onSave, onClose }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const [barWeight, setBarWeight] = useState(''); // Bar weight as typed
+  const [plates, setPlates] = useState([]);       // Plate sizes with how many the user has
+  const [newPlate, setNewPlate] = useState('');   // Weight of a plate size being added
+
+  const unitLabel = getWeightUnitLabel(unit);
+
+  /**
+   * Fill the form with a bar and plate inventory
+   * @param {Object} source - { barWeight, plates }
+   */
+  const fillForm = (source) => {
+    setBarWeight(String(source.barWeight));
+    setPlates(source.plates.map(plate => ({ ...plate })));
+    setNewPlate('');
+  };
+
+  // Start from the saved inventory every time the modal opens
+  useEffect(() => {
+    if (visible && settings) {
+      fillForm(settings);
+    }
+  }, [visible]);
+
+  /**
+   * Change how many plates of one size there are
+   * @param {number} weight - Plate size
+   * @param {number} change - +1 or -1
+   */
+  const changeCount = (weight, change) => {
+    setPlates(prev => prev.map(plate => (
+      plate.weight === weight
+        ? { ...plate, count: Math.min(MAX_PLATE_COUNT, Math.max(0, plate.count + change)) }
+        : plate
+    )));
+  };
+
+  /**
+   * Add a plate size the gym has, starting with one pair
+   */
+  const handleAddPlate = () => {
+    const weight = parseFloat(newPlate);
+    if (isNaN(weight) || weight <= 0) {
+      Alert.alert('Error', 'Please enter a plate weight');
+      return;
+    }
+    if (plates.some(plate => plate.weight === weight)) {
+      Alert.alert('Error', `${weight} ${unitLabel} plates are already listed`);
+      return;
+    }
+
+    setPlates(prev => [...prev, { weight, count: 2 }].sort((a, b) => b.weight - a.weight));
+    setNewPlate('');
+  };
+
+  /**
+   * Remove a plate size from the list
+   * @param {number} weight - Plate size
+   */
+  const handleRemovePlate = (weight) => {
+    setPlates(prev => prev.filter(plate => plate.weight !== weight));
+  };
+
+  /**
+   * Validate the inventory and pass it up
+   */
+  const handleSave = () => {
+    const result = { barWeight: parseFloat(barWeight), plates };
+
+    const message = getPlateSettingsError(result);
+    if (message) {
+      Alert.alert('Error', message);
+      return;
+    }
+
+    onSave(result);
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Bar & plates</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color={colors.textSecondary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView keyboardShouldPersistTaps="handled">
+            <Text style={styles.formLabel}>Bar weight ({unitLabel})</Text>
+            <TextInput
+              style={styles.formInput}
+              keyboardType="decimal-pad"
+              value={barWeight}
+              onChangeText={setBarWeight}
+            />
+
+            <Text style={styles.formLabel}>Plates you have ({unitLabel}, single plates)</Text>
+            {plates.map(plate => (
+              <View key={plate.weight} style={styles.plateRow}>
+                <Text style={styles.plateWeight}>{plate.weight}</Text>
+                <TouchableOpacity style={styles.countButton} onPress={() => changeCount(plate.weight, -1)}>
+                  <Ionicons name="remove" size={18} color={colors.primary} />
+                </TouchableOpacity>
+                <Text style={styles.plateCount}>{plate.count}</Text>
+                <TouchableOpacity style={styles.countButton} onPress={() => changeCount(plate.weight, 1)}>
+                  <Ionicons name="add" size={18} color={colors.primary} />
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.removeButton} onPress={() => handleRemovePlate(plate.weight)}>
+                  <Ionicons name="trash-outline" size={18} color={colors.danger} />
+                </TouchableOpacity>
+              </View>
+            ))}
+
+            <View style={styles.addRow}>
+              <TextInput
+                placeholderTextColor={colors.textMuted}
+                style={[styles.formInput, styles.addInput]}
+                keyboardType="decimal-pad"
+                value={newPlate}
+                onChangeText={setNewPlate}
+                placeholder={`Other plate (${unitLabel})`}
+              />
+              <TouchableOpacity style={styles.addButton} onPress={handleAddPlate}>
+                <Text style={styles.addButtonText}>Add</Text>
+              </TouchableOpacity>
+            </View>
+
+            <TouchableOpacity onPress={() => fillForm(DEFAULT_PLATE_SETTINGS[unit])}>
+              <Text style={styles.resetText}>Reset to a standard {unitLabel} set</Text>
+            </TouchableOpacity>
+          </ScrollView>
+
+          <TouchableOpacity style={styles.saveButton} onPress={handleSave} disabled={saving}>
+            {saving ? (
+              <ActivityIndicator size="small" color={colors.onPrimary} />
+            ) : (
+              <Text style={styles.saveButtonText}>Save</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: colors.overlay,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  container: {
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    width: '85%',
+    maxHeight: '80%',
+    padding: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  formLabel: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginBottom: 6,
+  },
+  formInput: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    fontSize: 16,
+    marginBottom: 15,
+    color: colors.textStrong,
+  },
+  plateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  plateWeight: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '500',
+    color: colors.text,
+  },
+  countButton: {
+    width: 30,
+    height: 30,
+    borderRadius: 15,
+    backgroundColor: colors.primarySoft,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  plateCount: {
+    width: 36,
+    textAlign: 'center',
+    fontSize: 16,
+    color: colors.textStrong,
+  },
+  removeButton: {
+    marginLeft: 12,
+  },
+  addRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginTop: 12,
+  },
+  addInput: {
+    flex: 1,
+    marginRight: 10,
+  },
+  addButton: {
+    backgroundColor: colors.primarySoft,
+    borderRadius: 8,
+    paddingVertical: 11,
+    paddingHorizontal: 16,
+  },
+  addButtonText: {
+    color: colors.primary,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  resetText: {
+    color: colors.primary,
+    fontSize: 14,
+    marginBottom: 15,
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+  },
+  saveButtonText: {
+    color: colors.onPrimary,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default PlateSettingsModal;
@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Modal, View, Text, TextInput, TouchableOpacity, StyleSheet, Alert, ActivityIndicator
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { PROGRAM_WEEK_RANGE, getProgramError } from '../utils/programs';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+
+/**
+ * Modal to start a multi-week training block or change the current one
+ *
+ * @param {boolean} visible - Whether the modal is shown
+ * @param {Object} program - Program being edited, or null to start a new one
+ * @param {boolean} saving - Shows a spinner on the save button while the block is written
+ * @param {Function} onSave - Called with { name, weekCount }
+ * @param {Function} onClose - Called when the modal is dismissed
+ */
+function ProgramModal({ visible, program, saving, onSave, onClose }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const [name, setName] = useState('');           // Name of the block
+  const [weekCount, setWeekCount] = useState(''); // Length of the block in weeks
+
+  // Fill the form with the program every time the modal opens
+  useEffect(() => {
+    if (!visible) return;
+
+    setName(program?.name || '');
+    setWeekCount(program ? String(program.weekCount) : '4');
+  }, [visible]);
+
+  /**
+   * Validate the form and pass the block details up
+   */
+  const handleSave = () => {
+    const weeks = Number(weekCount);
+
+    const message = getProgramError(name, weeks);
+    if (message) {
+      Alert.alert('Error', message);
+      return;
+    }
+
+    onSave({ name: name.trim(), weekCount: weeks });
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>{program ? 'Training block' : 'Start a training block'}</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color={colors.textSecondary} />
+            </TouchableOpacity>
+          </View>
+
+          <Text style={styles.hint}>
+            {program
+              ? 'Weeks added to the block start with the same days as week 1.'
+              : 'Your current plan becomes week 1. Every week gets its own day plans and the block moves to the next week every Monday.'}
+          </Text>
+
+          <Text style={styles.formLabel}>Name</Text>
+          <TextInput
+            placeholderTextColor={colors.textMuted}
+            style={styles.formInput}
+            value={name}
+            onChangeText={setName}
+            placeholder="e.g. Strength block"
+          />
+
+          <Text style={styles.formLabel}>Weeks ({PROGRAM_WEEK_RANGE.min}–{PROGRAM_WEEK_RANGE.max})</Text>
+          <TextInput
+            style={styles.formInput}
+            keyboardType="number-pad"
+            value={weekCount}
+            onChangeText={setWeekCount}
+          />
+
+          <TouchableOpacity style={styles.saveButton} onPress={handleSave} disabled={saving}>
+            {saving ? (
+              <ActivityIndicator size="small" color={colors.onPrimary} />
+            ) : (
+              <Text style={styles.saveButtonText}>{program ? 'Save' : 'Start block'}</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: colors.overlay,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  container: {
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    width: '85%',
+    padding: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 5,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  hint: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginBottom: 15,
+  },
+  formLabel: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginBottom: 6,
+  },
+  formInput: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    fontSize: 16,
+    marginBottom: 15,
+    color: colors.textStrong,
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+  },
+  saveButtonText: {
+    color: colors.onPrimary,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default ProgramModal;
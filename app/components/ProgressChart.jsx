@@ -0,0 +1,117 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+
+// Height of the plotting area in pixels
+const CHART_HEIGHT = 140;
+
+/**
+ * A simple bar chart drawn with plain views
+ * Each bar is one data point, scaled against the highest value
+ *
+ * @param {Array} data - Points as { key, label, value }
+ * @param {string} unit - Unit shown after the highest value (e.g. "kg")
+ * @param {string} color - Bar color, the theme's primary color by default
+ */
+function ProgressChart({ data, unit = '', color }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const barColor = color || colors.primary;
+
+  if (!data || data.length === 0) {
+    return (
+      <View style={styles.emptyContainer}>
+        <Text style={styles.emptyText}>No completed sets in this range</Text>
+      </View>
+    );
+  }
+
+  const maxValue = Math.max(...data.map(point => point.value), 1);
+  const first = data[0];
+  const last = data[data.length - 1];
+
+  return (
+    <View style={styles.container}>
+      {/* Highest value as a reference line label */}
+      <Text style={styles.maxLabel}>
+        {Math.round(maxValue * 10) / 10} {unit}
+      </Text>
+
+      <View style={styles.chartArea}>
+        {data.map(point => (
+          <View key={point.key} style={styles.barSlot}>
+            <View
+              style={[
+                styles.bar,
+                {
+                  height: Math.max(2, (point.value / maxValue) * CHART_HEIGHT),
+                  backgroundColor: barColor
+                }
+              ]}
+            />
+          </View>
+        ))}
+      </View>
+
+      {/* First and last date under the chart */}
+      <View style={styles.axisLabels}>
+        <Text style={styles.axisText}>{first.label}</Text>
+        {data.length > 1 && <Text style={styles.axisText}>{last.label}</Text>}
+      </View>
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    backgroundColor: colors.surfaceMuted,
+    borderRadius: 12,
+    padding: 12,
+  },
+  maxLabel: {
+    fontSize: 12,
+    color: colors.textMuted,
+    marginBottom: 6,
+  },
+  chartArea: {
+    height: CHART_HEIGHT,
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  barSlot: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+    paddingHorizontal: 1,
+  },
+  bar: {
+    width: '80%',
+    maxWidth: 24,
+    borderTopLeftRadius: 3,
+    borderTopRightRadius: 3,
+  },
+  axisLabels: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 6,
+  },
+  axisText: {
+    fontSize: 12,
+    color: colors.textMuted,
+  },
+  emptyContainer: {
+    backgroundColor: colors.surfaceMuted,
+    borderRadius: 12,
+    padding: 20,
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: 15,
+    color: colors.textMuted,
+    fontStyle: 'italic',
+  },
+});
+
+export default ProgressChart;
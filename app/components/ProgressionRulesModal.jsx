@@ -0,0 +1,240 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Modal, View, Text, TextInput, TouchableOpacity, Switch, StyleSheet, Alert
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getProgressionRules, getProgressionRulesError } from '../utils/progression';
+import { useWeightUnit } from '../context/PreferencesContext';
+import { formatWeight, parseEditedWeight, getWeightUnitLabel } from '../utils/units';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+
+/**
+ * Modal to configure how an exercise progresses from week to week
+ *
+ * @param {boolean} visible - Whether the modal is shown
+ * @param {Object} exercise - Workout exercise whose rules are edited
+ * @param {Function} onSave - Called with the complete rules
+ * @param {Function} onClose - Called when the modal is dismissed
+ */
+function ProgressionRulesModal({ visible, exercise, onSave, onClose }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const weightUnit = useWeightUnit();
+  const [enabled, setEnabled] = useState(true);               // Whether suggestions are shown
+  const [weightIncrement, setWeightIncrement] = useState(''); // Weight added after a successful week, in the user's unit
+  const [repRangeMin, setRepRangeMin] = useState('');         // Bottom of the double-progression range
+  const [repRangeMax, setRepRangeMax] = useState('');         // Top of the double-progression range
+  const [deloadAfterMisses, setDeloadAfterMisses] = useState(''); // Missed sessions before a deload
+  const [deloadPercent, setDeloadPercent] = useState('');     // How much weight a deload takes off
+
+  // Fill the form with the exercise's rules every time the modal opens
+  useEffect(() => {
+    if (!visible) return;
+
+    const rules = getProgressionRules(exercise);
+    setEnabled(rules.enabled);
+    setWeightIncrement(formatWeight(rules.weightIncrement, weightUnit));
+    setRepRangeMin(rules.repRangeMin !== null ? String(rules.repRangeMin) : '');
+    setRepRangeMax(rules.repRangeMax !== null ? String(rules.repRangeMax) : '');
+    setDeloadAfterMisses(String(rules.deloadAfterMisses));
+    setDeloadPercent(String(rules.deloadPercent));
+  }, [visible]);
+
+  /**
+   * Validate the form and pass the rules up
+   */
+  const handleSave = () => {
+    const saved = getProgressionRules(exercise);
+    const rules = {
+      enabled,
+      weightIncrement: parseEditedWeight(weightIncrement, saved.weightIncrement, weightUnit),
+      repRangeMin: repRangeMin === '' ? null : Number(repRangeMin),
+      repRangeMax: repRangeMax === '' ? null : Number(repRangeMax),
+      deloadAfterMisses: Number(deloadAfterMisses),
+      deloadPercent: parseFloat(deloadPercent)
+    };
+
+    const message = getProgressionRulesError(rules);
+    if (message) {
+      Alert.alert('Error', message);
+      return;
+    }
+
+    onSave(rules);
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Progression</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color={colors.textSecondary} />
+            </TouchableOpacity>
+          </View>
+
+          <Text style={styles.exerciseName}>{exercise?.exerciseName}</Text>
+
+          <View style={styles.switchRow}>
+            <Text style={styles.switchLabel}>Suggest next steps</Text>
+            <Switch
+              value={enabled}
+              onValueChange={setEnabled}
+              trackColor={{ false: colors.neutral, true: colors.primary }}
+            />
+          </View>
+
+          <View style={styles.formRow}>
+            <View style={styles.formGroup}>
+              <Text style={styles.formLabel}>Add weight ({getWeightUnitLabel(weightUnit)})</Text>
+              <TextInput
+                style={styles.formInput}
+                keyboardType="decimal-pad"
+                value={weightIncrement}
+                onChangeText={setWeightIncrement}
+              />
+            </View>
+          </View>
+
+          {/* Double progression: reps go up within the range before weight does */}
+          <Text style={styles.formLabel}>Rep range (optional)</Text>
+          <View style={styles.formRow}>
+            <TextInput
+              placeholderTextColor={colors.textMuted}
+              style={[styles.formInput, styles.rangeInput]}
+              keyboardType="number-pad"
+              value={repRangeMin}
+              onChangeText={setRepRangeMin}
+              placeholder="From"
+            />
+            <Text style={styles.rangeSeparator}>–</Text>
+            <TextInput
+              placeholderTextColor={colors.textMuted}
+              style={[styles.formInput, styles.rangeInput]}
+              keyboardType="number-pad"
+              value={repRangeMax}
+              onChangeText={setRepRangeMax}
+              placeholder="To"
+            />
+          </View>
+
+          <View style={styles.formRow}>
+            <View style={styles.formGroup}>
+              <Text style={styles.formLabel}>Deload after misses</Text>
+              <TextInput
+                style={styles.formInput}
+                keyboardType="number-pad"
+                value={deloadAfterMisses}
+                onChangeText={setDeloadAfterMisses}
+              />
+            </View>
+            <View style={styles.formGroup}>
+              <Text style={styles.formLabel}>Deload by (%)</Text>
+              <TextInput
+                style={styles.formInput}
+                keyboardType="decimal-pad"
+                value={deloadPercent}
+                onChangeText={setDeloadPercent}
+              />
+            </View>
+          </View>
+
+          <TouchableOpacity style={styles.saveButton} onPress={handleSave}>
+            <Text style={styles.saveButtonText}>Save</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: colors.overlay,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  container: {
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    width: '85%',
+    padding: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 5,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  exerciseName: {
+    fontSize: 15,
+    color: colors.textSecondary,
+    marginBottom: 15,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  switchLabel: {
+    fontSize: 15,
+    color: colors.text,
+  },
+  formRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  formGroup: {
+    flex: 1,
+    marginRight: 10,
+  },
+  formLabel: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginBottom: 6,
+  },
+  formInput: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    fontSize: 16,
+    color: colors.textStrong,
+  },
+  rangeInput: {
+    flex: 1,
+  },
+  rangeSeparator: {
+    marginHorizontal: 10,
+    fontSize: 16,
+    color: colors.textSecondary,
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+  },
+  saveButtonText: {
+    color: colors.onPrimary,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default ProgressionRulesModal;
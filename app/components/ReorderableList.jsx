@@ -0,0 +1,172 @@
+import React, { useState, useRef, useContext, createContext } from 'react';
+import { Animated, FlatList, View } from 'react-native';
+import { Gesture, GestureDetector } from 'react-native-gesture-handler';
+import * as Haptics from 'expo-haptics';
+
+// How long an item has to be held before it can be dragged
+const LONG_PRESS_MS = 400;
+
+// Index of the dragged item, read by the cells to lift it above its neighbours
+const ActiveIndexContext = createContext(null);
+
+/**
+ * List cell that keeps the dragged row above the rows after it
+ */
+function ReorderableCell({ index, style, children, ...props }) {
+  const activeIndex = useContext(ActiveIndexContext);
+
+  return (
+    <View {...props} style={[style, index === activeIndex && { zIndex: 10, elevation: 10 }]}>
+      {children}
+    </View>
+  );
+}
+
+/**
+ * One draggable row; a long press picks it up, then it follows the finger
+ */
+function ReorderableItem({ index, style, onLayout, onDragStart, onDragMove, onDragEnd, children }) {
+  const gesture = Gesture.Pan()
+    .activateAfterLongPress(LONG_PRESS_MS)
+    .runOnJS(true)
+    .onStart(() => onDragStart(index))
+    .onUpdate(event => onDragMove(event.translationY))
+    .onFinalize(() => onDragEnd());
+
+  return (
+    <GestureDetector gesture={gesture}>
+      <Animated.View style={style} onLayout={onLayout}>
+        {children}
+      </Animated.View>
+    </GestureDetector>
+  );
+}
+
+/**
+ * FlatList whose items can be reordered by long-pressing and dragging them
+ * Other items slide out of the way while dragging; the new order is only
+ * reported once the item is dropped
+ *
+ * @param {Array} data - Items to show
+ * @param {Function} keyExtractor - Returns a unique key for an item
+ * @param {Function} renderItem - Renders an item ({ item, index, isActive })
+ * @param {Function} onReorder - Called with the reordered items after a drop
+ * Any other prop is passed to the FlatList
+ */
+function ReorderableList({ data, keyExtractor, renderItem, onReorder, ...listProps }) {
+  const [activeIndex, setActiveIndex] = useState(null); // Index of the item being dragged
+  const [targetIndex, setTargetIndex] = useState(null); // Index it would be dropped at
+
+  const dragY = useRef(new Animated.Value(0)).current; // Vertical offset of the dragged item
+  const heightsRef = useRef({});   // Measured item heights, keyed by item key
+  const activeRef = useRef(null);  // Same as activeIndex, readable inside gesture callbacks
+  const targetRef = useRef(null);  // Same as targetIndex, readable inside gesture callbacks
+
+  /**
+   * Work out where the dragged item would land after moving dy pixels
+   * An item counts as passed once the dragged item covers half of it
+   * @param {number} dy - Vertical distance dragged
+   * @returns {number} - Target index
+   */
+  const getTargetIndex = (dy) => {
+    const heights = data.map(item => heightsRef.current[keyExtractor(item)] || 0);
+    let target = activeRef.current;
+    let remaining = Math.abs(dy);
+    const step = dy > 0 ? 1 : -1;
+
+    while (target + step >= 0 && target + step < heights.length && remaining > heights[target + step] / 2) {
+      remaining -= heights[target + step];
+      target += step;
+    }
+    return target;
+  };
+
+  const handleDragStart = (index) => {
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+    dragY.setValue(0);
+    activeRef.current = index;
+    targetRef.current = index;
+    setActiveIndex(index);
+    setTargetIndex(index);
+  };
+
+  const handleDragMove = (dy) => {
+    if (activeRef.current === null) return;
+    dragY.setValue(dy);
+
+    const target = getTargetIndex(dy);
+    if (target !== targetRef.current) {
+      Haptics.selectionAsync();
+      targetRef.current = target;
+      setTargetIndex(target);
+    }
+  };
+
+  const handleDragEnd = () => {
+    const from = activeRef.current;
+    const to = targetRef.current;
+    if (from === null) return;
+
+    activeRef.current = null;
+    targetRef.current = null;
+    dragY.setValue(0);
+    setActiveIndex(null);
+    setTargetIndex(null);
+
+    if (to !== null && to !== from) {
+      const reordered = [...data];
+      const [moved] = reordered.splice(from, 1);
+      reordered.splice(to, 0, moved);
+      onReorder(reordered);
+    }
+  };
+
+  /**
+   * Offset for items between the dragged item and its target, so they make room
+   * @param {number} index - Item index
+   * @returns {number} - Vertical offset
+   */
+  const getShift = (index) => {
+    if (activeIndex === null || index === activeIndex) return 0;
+    const activeHeight = heightsRef.current[keyExtractor(data[activeIndex])] || 0;
+
+    if (index > activeIndex && index <= targetIndex) return -activeHeight;
+    if (index < activeIndex && index >= targetIndex) return activeHeight;
+    return 0;
+  };
+
+  return (
+    <ActiveIndexContext.Provider value={activeIndex}>
+      <FlatList
+        {...listProps}
+        data={data}
+        keyExtractor={keyExtractor}
+        extraData={[listProps.extraData, activeIndex, targetIndex]}
+        scrollEnabled={activeIndex === null}
+        CellRendererComponent={ReorderableCell}
+        renderItem={({ item, index }) => {
+          const isActive = index === activeIndex;
+
+          return (
+            <ReorderableItem
+              index={index}
+              style={isActive
+                ? { transform: [{ translateY: dragY }, { scale: 1.02 }], opacity: 0.95 }
+                : { transform: [{ translateY: getShift(index) }] }}
+              onLayout={(event) => {
+                heightsRef.current[keyExtractor(item)] = event.nativeEvent.layout.height;
+              }}
+              onDragStart={handleDragStart}
+              onDragMove={handleDragMove}
+              onDragEnd={handleDragEnd}
+            >
+              {renderItem({ item, index, isActive })}
+            </ReorderableItem>
+          );
+        }}
+      />
+    </ActiveIndexContext.Provider>
+  );
+}
+
+export default ReorderableList;
@@ -0,0 +1,157 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, AppState } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Haptics from 'expo-haptics';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+
+/**
+ * Countdown shown between sets
+ * The remaining time is always derived from the end timestamp, so the timer
+ * stays correct when the app is backgrounded and JS timers are paused
+ *
+ * @param {number} endsAt - Timestamp (ms) when the rest period ends
+ * @param {number} duration - Total rest length in seconds, used for the progress bar
+ * @param {Function} onAdjust - Called with a number of seconds to add (negative to remove)
+ * @param {Function} onSkip - Called when the user skips the rest
+ * @param {Function} onFinish - Called once when the countdown reaches zero
+ */
+function RestTimerOverlay({ endsAt, duration, onAdjust, onSkip, onFinish }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const [now, setNow] = useState(Date.now());
+  const finishedRef = useRef(false); // Makes sure onFinish only fires once per countdown
+
+  const remainingSeconds = Math.max(0, Math.ceil((endsAt - now) / 1000));
+
+  // Reset the finished flag whenever a new countdown starts or time is added
+  useEffect(() => {
+    finishedRef.current = false;
+    setNow(Date.now());
+  }, [endsAt]);
+
+  // Tick only to refresh the display; the value itself comes from the timestamp
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 250);
+
+    // Recalculate immediately when the app comes back to the foreground
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        setNow(Date.now());
+      }
+    });
+
+    return () => {
+      clearInterval(interval);
+      subscription.remove();
+    };
+  }, []);
+
+  // Buzz and notify the parent when time is up
+  useEffect(() => {
+    if (remainingSeconds === 0 && !finishedRef.current) {
+      finishedRef.current = true;
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      onFinish();
+    }
+  }, [remainingSeconds]);
+
+  const minutes = Math.floor(remainingSeconds / 60);
+  const seconds = String(remainingSeconds % 60).padStart(2, '0');
+  const progress = duration > 0 ? Math.min(1, remainingSeconds / duration) : 0;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Ionicons name="timer-outline" size={18} color={colors.onPrimary} />
+        <Text style={styles.label}>Rest</Text>
+      </View>
+
+      <Text style={styles.time}>{minutes}:{seconds}</Text>
+
+      {/* Remaining time as a shrinking bar */}
+      <View style={styles.progressBarContainer}>
+        <View style={[styles.progressBar, { width: `${progress * 100}%` }]} />
+      </View>
+
+      <View style={styles.controls}>
+        <TouchableOpacity style={styles.controlButton} onPress={() => onAdjust(-15)}>
+          <Text style={styles.controlText}>-15s</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.controlButton} onPress={() => onAdjust(15)}>
+          <Text style={styles.controlText}>+15s</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.controlButton, styles.skipButton]} onPress={onSkip}>
+          <Text style={styles.controlText}>Skip</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    position: 'absolute',
+    bottom: 160,
+    left: 20,
+    right: 20,
+    backgroundColor: colors.primary,
+    borderRadius: 16,
+    padding: 16,
+    alignItems: 'center',
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 4,
+    elevation: 6,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  label: {
+    color: colors.onPrimary,
+    fontSize: 14,
+    marginLeft: 6,
+    fontWeight: '500',
+  },
+  time: {
+    color: colors.onPrimary,
+    fontSize: 40,
+    fontWeight: 'bold',
+    marginVertical: 6,
+    fontVariant: ['tabular-nums'],
+  },
+  progressBarContainer: {
+    height: 4,
+    width: '100%',
+    backgroundColor: colors.onPrimaryMuted,
+    borderRadius: 2,
+    overflow: 'hidden',
+    marginBottom: 12,
+  },
+  progressBar: {
+    height: '100%',
+    backgroundColor: colors.success,
+  },
+  controls: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+  },
+  controlButton: {
+    backgroundColor: colors.onPrimarySubtle,
+    borderRadius: 20,
+    paddingVertical: 8,
+    paddingHorizontal: 18,
+    marginHorizontal: 5,
+  },
+  skipButton: {
+    backgroundColor: colors.success,
+  },
+  controlText: {
+    color: colors.onPrimary,
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
+
+export default RestTimerOverlay;
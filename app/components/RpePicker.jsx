@@ -0,0 +1,69 @@
+import React from 'react';
+import { ScrollView, TouchableOpacity, Text, StyleSheet } from 'react-native';
+import { RPE_OPTIONS } from '../utils/setTargets';
+import { useThemedStyles } from '../context/ThemeContext';
+
+/**
+ * Row of chips to log how hard a set felt (RPE)
+ * Tapping the selected value again clears it
+ *
+ * @param {number} value - Selected RPE, or null
+ * @param {Function} onChange - Called with the picked RPE, or null when cleared
+ * @param {Object} style - Extra container styles
+ */
+function RpePicker({ value, onChange, style }) {
+  const styles = useThemedStyles(createStyles);
+  return (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      style={style}
+      contentContainerStyle={styles.container}
+      keyboardShouldPersistTaps="handled"
+    >
+      {RPE_OPTIONS.map(rpe => {
+        const selected = value === rpe;
+
+        return (
+          <TouchableOpacity
+            key={rpe}
+            style={[styles.chip, selected && styles.chipSelected]}
+            onPress={() => onChange(selected ? null : rpe)}
+          >
+            <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{rpe}</Text>
+          </TouchableOpacity>
+        );
+      })}
+    </ScrollView>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    paddingVertical: 4,
+  },
+  chip: {
+    minWidth: 36,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 14,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    marginRight: 6,
+  },
+  chipSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  chipTextSelected: {
+    color: colors.onPrimary,
+    fontWeight: '600',
+  },
+});
+
+export default RpePicker;
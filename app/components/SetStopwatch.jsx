@@ -0,0 +1,94 @@
+import React, { useState, useEffect } from 'react';
+import { Text, TouchableOpacity, StyleSheet, AppState } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Haptics from 'expo-haptics';
+import { formatSetDuration } from '../utils/measurementModes';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+
+/**
+ * Stopwatch button for timed sets (holds, carries, cardio)
+ * Like the rest timer, the elapsed time is derived from the start timestamp so
+ * it stays correct while the app is in the background
+ *
+ * @param {number} startedAt - Timestamp (ms) when the stopwatch started, or null when idle
+ * @param {Function} onStart - Called when the user starts timing the set
+ * @param {Function} onStop - Called with the elapsed whole seconds when stopped
+ * @param {Object} style - Extra button styles
+ */
+function SetStopwatch({ startedAt, onStart, onStop, style }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const [now, setNow] = useState(Date.now());
+
+  const running = startedAt != null;
+  const elapsedSeconds = running ? Math.max(0, Math.floor((now - startedAt) / 1000)) : 0;
+
+  // Tick only while running; the value itself comes from the timestamp
+  useEffect(() => {
+    if (!running) return;
+
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 250);
+
+    // Recalculate immediately when the app comes back to the foreground
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        setNow(Date.now());
+      }
+    });
+
+    return () => {
+      clearInterval(interval);
+      subscription.remove();
+    };
+  }, [running]);
+
+  /**
+   * Start timing, or stop and hand back the elapsed time
+   */
+  const handlePress = () => {
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+
+    if (running) {
+      onStop(Math.max(0, Math.floor((Date.now() - startedAt) / 1000)));
+    } else {
+      onStart();
+    }
+  };
+
+  return (
+    <TouchableOpacity
+      style={[styles.button, running && styles.buttonRunning, style]}
+      onPress={handlePress}
+    >
+      <Ionicons name={running ? 'stop' : 'stopwatch-outline'} size={16} color={running ? colors.onPrimary : colors.primary} />
+      {running && <Text style={styles.elapsedText}>{formatSetDuration(elapsedSeconds)}</Text>}
+    </TouchableOpacity>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    minWidth: 30,
+    height: 30,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    paddingHorizontal: 6,
+  },
+  buttonRunning: {
+    backgroundColor: colors.primary,
+  },
+  elapsedText: {
+    color: colors.onPrimary,
+    fontSize: 13,
+    fontWeight: '600',
+    marginLeft: 4,
+    fontVariant: ['tabular-nums'],
+  },
+});
+
+export default SetStopwatch;
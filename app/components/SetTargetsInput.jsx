@@ -0,0 +1,114 @@
+import React from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { INTENSITY_TYPES } from '../utils/setTargets';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+
+// Empty target form, used when a set has no targets yet
+export const EMPTY_SET_TARGETS = { intensityType: 'rpe', intensity: '', tempo: '' };
+
+/**
+ * Optional intensity (RPE or RIR) and tempo fields for a planned set
+ *
+ * @param {Object} value - { intensityType, intensity, tempo } as typed
+ * @param {Function} onChange - Called with the updated form
+ * @param {Object} style - Extra container styles
+ */
+function SetTargetsInput({ value, onChange, style }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const form = value || EMPTY_SET_TARGETS;
+
+  /**
+   * Update one field of the form
+   * @param {string} field - Field name
+   * @param {string} fieldValue - New value
+   */
+  const updateField = (field, fieldValue) => {
+    onChange({ ...form, [field]: fieldValue });
+  };
+
+  return (
+    <View style={[styles.container, style]}>
+      {/* RPE or RIR */}
+      <View style={styles.toggle}>
+        {Object.keys(INTENSITY_TYPES).map(key => (
+          <TouchableOpacity
+            key={key}
+            style={[styles.toggleOption, form.intensityType === key && styles.toggleOptionActive]}
+            onPress={() => updateField('intensityType', key)}
+          >
+            <Text style={[styles.toggleText, form.intensityType === key && styles.toggleTextActive]}>
+              {INTENSITY_TYPES[key]}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <TextInput
+        placeholderTextColor={colors.textMuted}
+        style={[styles.input, styles.intensityInput]}
+        keyboardType="decimal-pad"
+        value={form.intensity}
+        onChangeText={(text) => updateField('intensity', text)}
+        placeholder={form.intensityType === 'rpe' ? 'e.g. 8' : 'e.g. 2'}
+      />
+
+      <TextInput
+        placeholderTextColor={colors.textMuted}
+        style={[styles.input, styles.tempoInput]}
+        keyboardType="numbers-and-punctuation"
+        autoCapitalize="characters"
+        value={form.tempo}
+        onChangeText={(text) => updateField('tempo', text)}
+        placeholder="Tempo 3-1-1-0"
+      />
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  toggle: {
+    flexDirection: 'row',
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 6,
+    overflow: 'hidden',
+  },
+  toggleOption: {
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+  },
+  toggleOptionActive: {
+    backgroundColor: colors.primary,
+  },
+  toggleText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  toggleTextActive: {
+    color: colors.onPrimary,
+    fontWeight: '600',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 6,
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+    fontSize: 14,
+    marginLeft: 6,
+    color: colors.textStrong,
+  },
+  intensityInput: {
+    width: 60,
+  },
+  tempoInput: {
+    flex: 1,
+  },
+});
+
+export default SetTargetsInput;
@@ -0,0 +1,58 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { SET_TYPES, getSetType, getSetTypeColor } from '../utils/setTypes';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+
+/**
+ * Set number with a colored letter for special set types (W, D, A, F, B)
+ * Normal sets only show their number
+ *
+ * @param {Object} set - Set with setNumber and setType
+ * @param {string} label - Text to show instead of the set number
+ * @param {Object} style - Extra container styles
+ */
+function SetTypeBadge({ set, label, style }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const setType = getSetType(set);
+  const type = SET_TYPES[setType];
+
+  return (
+    <View style={[styles.container, style]}>
+      <Text style={styles.number}>{label ?? set.setNumber}</Text>
+      {type.badge && (
+        <View style={[styles.badge, { backgroundColor: getSetTypeColor(setType, colors) }]}>
+          <Text style={styles.badgeText}>{type.badge}</Text>
+        </View>
+      )}
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  number: {
+    fontSize: 15,
+    color: colors.text,
+  },
+  badge: {
+    minWidth: 16,
+    height: 16,
+    borderRadius: 8,
+    paddingHorizontal: 3,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 4,
+  },
+  badgeText: {
+    color: colors.onPrimary,
+    fontSize: 10,
+    fontWeight: '700',
+  },
+});
+
+export default SetTypeBadge;
@@ -0,0 +1,68 @@
+import React from 'react';
+import { ScrollView, TouchableOpacity, Text, StyleSheet } from 'react-native';
+import { SET_TYPES, getSetTypeColor } from '../utils/setTypes';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+
+/**
+ * Row of chips to pick the type of a set
+ *
+ * @param {string} value - Selected set type
+ * @param {Function} onChange - Called with the picked set type
+ * @param {Object} style - Extra container styles
+ */
+function SetTypePicker({ value, onChange, style }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  return (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      style={style}
+      contentContainerStyle={styles.container}
+      keyboardShouldPersistTaps="handled"
+    >
+      {Object.keys(SET_TYPES).map(key => {
+        const type = SET_TYPES[key];
+        const selected = value === key;
+        const color = getSetTypeColor(key, colors);
+
+        return (
+          <TouchableOpacity
+            key={key}
+            style={[
+              styles.chip,
+              selected && { backgroundColor: color, borderColor: color }
+            ]}
+            onPress={() => onChange(key)}
+          >
+            <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{type.label}</Text>
+          </TouchableOpacity>
+        );
+      })}
+    </ScrollView>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    paddingVertical: 4,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 14,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    marginRight: 6,
+  },
+  chipText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  chipTextSelected: {
+    color: colors.onPrimary,
+    fontWeight: '600',
+  },
+});
+
+export default SetTypePicker;
@@ -0,0 +1,67 @@
+import React, { useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { useThemedStyles } from '../context/ThemeContext';
+
+// How long the undo button stays available
+const UNDO_TIMEOUT_MS = 5000;
+
+/**
+ * Bar shown after a change that can be undone
+ * Hides itself after a few seconds; remount it (new key) to restart the timer
+ *
+ * @param {string} message - What just happened, e.g. "Set deleted"
+ * @param {Function} onUndo - Called when the user taps Undo
+ * @param {Function} onDismiss - Called when the bar hides without undoing
+ * @param {Object} style - Extra container styles (usually positioning)
+ */
+function UndoToast({ message, onUndo, onDismiss, style }) {
+  const styles = useThemedStyles(createStyles);
+  // Dismiss automatically once the timeout passes
+  useEffect(() => {
+    const timeout = setTimeout(onDismiss, UNDO_TIMEOUT_MS);
+    return () => clearTimeout(timeout);
+  }, []);
+
+  return (
+    <View style={[styles.container, style]}>
+      <Text style={styles.message}>{message}</Text>
+      <TouchableOpacity onPress={onUndo} style={styles.undoButton}>
+        <Text style={styles.undoText}>Undo</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: colors.inverseSurface,
+    borderRadius: 10,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    elevation: 6,
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 4,
+  },
+  message: {
+    color: colors.onInverse,
+    fontSize: 15,
+    flex: 1,
+  },
+  undoButton: {
+    marginLeft: 12,
+    paddingVertical: 2,
+    paddingHorizontal: 6,
+  },
+  undoText: {
+    color: colors.inverseAccent,
+    fontSize: 15,
+    fontWeight: '700',
+  },
+});
+
+export default UndoToast;
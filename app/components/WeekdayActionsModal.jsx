@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, View, Text, TouchableOpacity, ScrollView, StyleSheet, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+
+// Actions that need a second day, with the title shown while picking it
+const DAY_PICKING_TITLES = {
+  copy: (dayName) => `Copy ${dayName} to…`,
+  swap: (dayName) => `Swap ${dayName} with…`,
+};
+
+/**
+ * Modal with the actions on a whole day: copy it to another day, swap it
+ * with another day or clear it. Destructive choices are confirmed here, the
+ * caller only does the work
+ *
+ * @param {boolean} visible - Whether the modal is shown
+ * @param {Object} weekday - Day the actions apply to
+ * @param {number} exerciseCount - Exercises planned on that day
+ * @param {Array} weekdays - Days of the same week to copy or swap with
+ * @param {Function} onCopy - Called with the target weekday
+ * @param {Function} onSwap - Called with the other weekday
+ * @param {Function} onClear - Called when the day should be emptied
+ * @param {Function} onClose - Called when the modal is dismissed
+ */
+function WeekdayActionsModal({ visible, weekday, exerciseCount, weekdays, onCopy, onSwap, onClear, onClose }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const [action, setAction] = useState(null); // 'copy' or 'swap' while a second day is picked
+
+  // Start from the list of actions every time the modal opens
+  useEffect(() => {
+    if (visible) {
+      setAction(null);
+    }
+  }, [visible]);
+
+  const dayName = weekday?.dayName || 'this day';
+  const otherDays = (weekdays || []).filter(day => day.$id !== weekday?.$id);
+
+  /**
+   * Copy to the picked day, confirming first when that day already has a plan
+   * @param {Object} target - Day that receives the copy
+   */
+  const confirmCopy = (target) => {
+    if (!target.exerciseCount) {
+      onCopy(target);
+      return;
+    }
+
+    Alert.alert(
+      `Replace ${target.dayName}?`,
+      `The ${target.exerciseCount} exercises planned on ${target.dayName} will be replaced by ${dayName}'s plan.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Replace', style: 'destructive', onPress: () => onCopy(target) }
+      ]
+    );
+  };
+
+  /**
+   * Empty the day after confirmation
+   */
+  const confirmClear = () => {
+    Alert.alert(
+      `Clear ${dayName}?`,
+      `All ${exerciseCount || 0} exercises and their sets will be removed.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Clear', style: 'destructive', onPress: onClear }
+      ]
+    );
+  };
+
+  /**
+   * Run the chosen action with the picked day
+   * @param {Object} target - Picked day
+   */
+  const handleSelectDay = (target) => {
+    if (action === 'copy') {
+      confirmCopy(target);
+    } else {
+      onSwap(target);
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            {action && (
+              <TouchableOpacity onPress={() => setAction(null)} style={styles.headerBack}>
+                <Ionicons name="chevron-back" size={22} color={colors.textSecondary} />
+              </TouchableOpacity>
+            )}
+            <Text style={styles.title}>{action ? DAY_PICKING_TITLES[action](dayName) : dayName}</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color={colors.textSecondary} />
+            </TouchableOpacity>
+          </View>
+
+          {action ? (
+            <ScrollView>
+              {otherDays.length === 0 ? (
+                <Text style={styles.emptyText}>No other days to pick</Text>
+              ) : otherDays.map(day => (
+                <TouchableOpacity key={day.$id} style={styles.row} onPress={() => handleSelectDay(day)}>
+                  <View style={styles.rowInfo}>
+                    <Text style={styles.rowTitle}>{day.dayName}</Text>
+                    <Text style={styles.rowSubtitle}>
+                      {day.description || 'Rest Day'} • {day.exerciseCount || 0} Exercises
+                    </Text>
+                  </View>
+                  <Ionicons name="chevron-forward" size={20} color={colors.textMuted} />
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+          ) : (
+            <View>
+              <TouchableOpacity style={styles.row} onPress={() => setAction('copy')}>
+                <Ionicons name="copy-outline" size={20} color={colors.primary} style={styles.rowIcon} />
+                <Text style={styles.rowTitle}>Copy day to…</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.row} onPress={() => setAction('swap')}>
+                <Ionicons name="swap-horizontal" size={20} color={colors.primary} style={styles.rowIcon} />
+                <Text style={styles.rowTitle}>Swap days</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.row}
+                onPress={confirmClear}
+                disabled={!exerciseCount}
+              >
+                <Ionicons name="trash-outline" size={20} color={exerciseCount ? colors.danger : colors.textDisabled} style={styles.rowIcon} />
+                <Text style={[styles.rowTitle, exerciseCount ? styles.destructiveText : styles.disabledText]}>
+                  Clear day
+                </Text>
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: colors.overlay,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  container: {
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    width: '85%',
+    maxHeight: '70%',
+    padding: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  headerBack: {
+    marginRight: 6,
+  },
+  title: {
+    flex: 1,
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginRight: 10,
+  },
+  emptyText: {
+    fontSize: 15,
+    color: colors.textSecondary,
+    paddingVertical: 10,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  rowIcon: {
+    marginRight: 12,
+  },
+  rowInfo: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: colors.text,
+  },
+  rowSubtitle: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  destructiveText: {
+    color: colors.danger,
+  },
+  disabledText: {
+    color: colors.textDisabled,
+  },
+});
+
+export default WeekdayActionsModal;
@@ -0,0 +1,94 @@
+import React, { createContext, useContext, useEffect, useState, useCallback } from 'react';
+import { preferencesService, DEFAULT_PREFERENCES } from '../services/preferencesService';
+import { getWeightUnit } from '../utils/units';
+import { getPlateSettings } from '../utils/plates';
+
+// Preferences of the logged-in user, shared by every screen
+const PreferencesContext = createContext({
+  preferences: DEFAULT_PREFERENCES,
+  updatePreferences: async () => DEFAULT_PREFERENCES,
+});
+
+/**
+ * Loads the user's preferences and makes them available to the screens below
+ * The copy on the device is used first so weights never flash in the wrong unit
+ *
+ * @param {React.ReactNode} children - Screens that read the preferences
+ */
+export function PreferencesProvider({ children }) {
+  const [preferences, setPreferences] = useState(DEFAULT_PREFERENCES);
+
+  useEffect(() => {
+    let active = true;
+
+    const loadPreferences = async () => {
+      const cached = await preferencesService.getCachedPreferences();
+      if (active) setPreferences(cached);
+
+      try {
+        const fresh = await preferencesService.getPreferences();
+        if (active) setPreferences(fresh);
+      } catch (error) {
+        console.log('Could not load preferences:', error);
+      }
+    };
+
+    loadPreferences();
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  /**
+   * Change some preferences; screens update right away
+   * @param {Object} changes - Preferences to change
+   * @returns {Promise<Object>} - The complete preferences
+   */
+  const updatePreferences = useCallback(async (changes) => {
+    setPreferences(prev => ({ ...prev, ...changes }));
+    try {
+      const saved = await preferencesService.updatePreferences(changes);
+      setPreferences(saved);
+      return saved;
+    } catch (error) {
+      // Go back to what is actually saved; a rejected change never reaches the device copy
+      setPreferences(await preferencesService.getCachedPreferences());
+      throw error;
+    }
+  }, []);
+
+  return (
+    <PreferencesContext.Provider value={{ preferences, updatePreferences }}>
+      {children}
+    </PreferencesContext.Provider>
+  );
+}
+
+/**
+ * Preferences of the logged-in user and a function to change them
+ * @returns {Object} - { preferences, updatePreferences }
+ */
+export const usePreferences = () => useContext(PreferencesContext);
+
+/**
+ * Weight unit picked by the user
+ * @returns {string} - 'kg' or 'lb'
+ */
+export const useWeightUnit = () => getWeightUnit(usePreferences().preferences.weightUnit);
+
+/**
+ * Bar and plates the user has for their weight unit, and a function to change them
+ * @returns {Object} - { plateSettings: { barWeight, plates }, savePlateSettings }
+ */
+export const usePlateSettings = () => {
+  const { preferences, updatePreferences } = usePreferences();
+  const weightUnit = getWeightUnit(preferences.weightUnit);
+
+  const savePlateSettings = useCallback((settings) => {
+    return updatePreferences({
+      plateSettings: { ...preferences.plateSettings, [weightUnit]: settings }
+    });
+  }, [preferences.plateSettings, weightUnit, updatePreferences]);
+
+  return { plateSettings: getPlateSettings(preferences, weightUnit), savePlateSettings };
+};
@@ -0,0 +1,87 @@
+import React, { createContext, useContext, useEffect, useState, useCallback, useMemo } from 'react';
+import { StatusBar, useColorScheme } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  DEFAULT_THEME_MODE, LIGHT_COLORS, getThemeMode, resolveColorScheme, getThemeColors
+} from '../utils/theme';
+
+// Storage key of the picked mode; kept on the device so it applies before login too
+const THEME_MODE_KEY = 'fitweek:themeMode';
+
+// Theme of the app, shared by every screen
+const ThemeContext = createContext({
+  mode: DEFAULT_THEME_MODE,
+  scheme: 'light',
+  colors: LIGHT_COLORS,
+  setMode: async () => {},
+});
+
+/**
+ * Picks the light or dark colors and makes them available to the screens below
+ * In system mode the theme follows the device setting as it changes
+ *
+ * @param {React.ReactNode} children - Screens that use the theme
+ */
+export function ThemeProvider({ children }) {
+  const systemScheme = useColorScheme();
+  const [mode, setModeState] = useState(DEFAULT_THEME_MODE);
+
+  // Load the mode picked last time
+  useEffect(() => {
+    const loadMode = async () => {
+      try {
+        const stored = await AsyncStorage.getItem(THEME_MODE_KEY);
+        if (stored) setModeState(getThemeMode(stored));
+      } catch (error) {
+        console.log('Theme mode read error:', error);
+      }
+    };
+
+    loadMode();
+  }, []);
+
+  /**
+   * Change the theme mode and remember it
+   * @param {string} next - 'light', 'dark' or 'system'
+   */
+  const setMode = useCallback(async (next) => {
+    const themeMode = getThemeMode(next);
+    setModeState(themeMode);
+    try {
+      await AsyncStorage.setItem(THEME_MODE_KEY, themeMode);
+    } catch (error) {
+      console.log('Theme mode write error:', error);
+    }
+  }, []);
+
+  const scheme = resolveColorScheme(mode, systemScheme);
+  const value = useMemo(() => ({
+    mode,
+    scheme,
+    colors: getThemeColors(scheme),
+    setMode,
+  }), [mode, scheme, setMode]);
+
+  return (
+    <ThemeContext.Provider value={value}>
+      <StatusBar barStyle={scheme === 'dark' ? 'light-content' : 'dark-content'} />
+      {children}
+    </ThemeContext.Provider>
+  );
+}
+
+/**
+ * Current theme: { mode, scheme, colors, setMode }
+ * @returns {Object} - Theme context value
+ */
+export const useTheme = () => useContext(ThemeContext);
+
+/**
+ * Styles built from the current theme colors, rebuilt only when the theme changes
+ * @param {Function} createStyles - (colors) => StyleSheet
+ * @returns {Object} - The styles for the current theme
+ */
+export const useThemedStyles = (createStyles) => {
+  const { colors } = useTheme();
+  return useMemo(() => createStyles(colors), [colors, createStyles]);
+};
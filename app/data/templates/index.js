@@ -0,0 +1,20 @@
+import pushPullLegs from './pushPullLegs.json';
+import upperLower from './upperLower.json';
+import fullBody3x from './fullBody3x.json';
+import fiveThreeOne from './fiveThreeOne.json';
+
+/**
+ * Catalogue of starting plans offered after sign-up
+ * Each template lists its weeks, the days of each week and the exercises of each day.
+ * Exercises refer to the library by "exercise" (a name) or "exerciseId"; sets are either
+ * a count with shared "reps", or a list of { reps, weight, setType, durationSeconds, distance }.
+ * Days a week leaves out become rest days; templates with more than one week install as a block.
+ */
+export const WORKOUT_TEMPLATES = [
+  fullBody3x,
+  upperLower,
+  pushPullLegs,
+  fiveThreeOne,
+];
+
+export default WORKOUT_TEMPLATES;
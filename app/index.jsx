@@ -2,8 +2,11 @@ import React, { useEffect, useState, createContext } from 'react';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { createStackNavigator } from '@react-navigation/stack';
 import { StyleSheet, ActivityIndicator, View, Alert } from 'react-native';
-import authService from './services/authService'; // Authentication service for login/logout
+import authService, { UNSYNCED_CHANGES_ERROR } from './services/authService'; // Authentication service for login/logout
+import { syncService } from './services/syncService'; // Replays changes made while offline
 import FloatingTabBar from './components/FloatingTabBar';
+import { PreferencesProvider } from './context/PreferencesContext'; // Settings of the logged-in user
+import { ThemeProvider, useTheme, useThemedStyles } from './context/ThemeContext'; // Light and dark colors
 
 // Import all screens needed for the app
 import WorkoutScreen from './screens/WorkoutScreen';
@@ -16,6 +19,10 @@ import ExerciseDetailsScreen from './screens/ExerciseDetailsScreen';
 import WeekdayDetailsScreen from './screens/WeekdayDetailsScreen';
 import AddExerciseScreen from './screens/AddExerciseScreen';
 import ExecuteWorkoutScreen from './screens/ExecuteWorkoutScreen';
+import HistoryScreen from './screens/HistoryScreen';
+import SessionDetailsScreen from './screens/SessionDetailsScreen';
+import TemplatePickerScreen from './screens/TemplatePickerScreen';
+import ProfileScreen from './screens/ProfileScreen';
 
 // Create navigators for app routing
 const Tab = createBottomTabNavigator();  // Bottom tabs for main app sections
@@ -50,6 +57,12 @@ const MainNavigator = ({ logout }) => {
             <Stack.Screen name="WeekdayDetails" component={WeekdayDetailsScreen} />
             <Stack.Screen name="AddExercise" component={AddExerciseScreen} />
             <Stack.Screen name="ExecuteWorkout" component={ExecuteWorkoutScreen} />
+            {/* Onboarding: a plan has to be picked before the weekly plan can be used */}
+            <Stack.Screen
+              name="TemplatePicker"
+              component={TemplatePickerScreen}
+              options={{ gestureEnabled: false }}
+            />
           </Stack.Navigator>
         )}
       </Tab.Screen>
@@ -64,12 +77,29 @@ const MainNavigator = ({ logout }) => {
         )}
       </Tab.Screen>
       
+      {/* History Tab - Past workout sessions and their details */}
+      <Tab.Screen name="History">
+        {() => (
+          <Stack.Navigator screenOptions={{ headerShown: false }}>
+            <Stack.Screen name="HistoryList" component={HistoryScreen} />
+            <Stack.Screen name="SessionDetails" component={SessionDetailsScreen} />
+          </Stack.Navigator>
+        )}
+      </Tab.Screen>
+      
       {/* Settings Tab - User preferences and account options */}
       <Tab.Screen 
         name="Settings" 
         options={{ unmountOnBlur: true }}  // Rebuild this screen every time to ensure fresh data
       >
-        {props => <SettingsScreen {...props} logout={logout} />}
+        {() => (
+          <Stack.Navigator screenOptions={{ headerShown: false }}>
+            <Stack.Screen name="SettingsHome">
+              {props => <SettingsScreen {...props} logout={logout} />}
+            </Stack.Screen>
+            <Stack.Screen name="Profile" component={ProfileScreen} />
+          </Stack.Navigator>
+        )}
       </Tab.Screen>
     </Tab.Navigator>
   );
@@ -95,6 +125,8 @@ const AuthNavigator = () => {
  * Provides authentication functions to all child components
  */
 const RootNavigator = () => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const [isLoggedIn, setIsLoggedIn] = useState(false);  // Tracks authentication state
   const [isLoading, setIsLoading] = useState(true);     // Controls initial loading screen
   
@@ -153,6 +185,8 @@ const RootNavigator = () => {
       try {
         await authService.logout(); // Try service logout first
       } catch (error) {
+        // Unsynced changes would be lost, the user has to confirm that first
+        if (error.type === UNSYNCED_CHANGES_ERROR) throw error;
         // If service logout fails, continue with local state update
         console.log('Logout API error:', error.message);
       }
@@ -171,11 +205,17 @@ const RootNavigator = () => {
     checkAuthStatus();
   }, []);
   
+  // Sync offline changes while a user is logged in
+  useEffect(() => {
+    if (!isLoggedIn) return;
+    return syncService.start();
+  }, [isLoggedIn]);
+  
   // Show loading screen while checking auth
   if (isLoading) {
     return (
       <View style={styles.loadingContainer}>
-        <ActivityIndicator size="large" color="#007BFF" />
+        <ActivityIndicator size="large" color={colors.accent} />
       </View>
     );
   }
@@ -190,11 +230,15 @@ const RootNavigator = () => {
   
   return (
     <AuthContext.Provider value={authContext}>
-      <Stack.Navigator screenOptions={{ headerShown: false }}>
+      <Stack.Navigator screenOptions={{ headerShown: false, cardStyle: { backgroundColor: colors.background } }}>
         {/* Conditional navigation based on auth state */}
         {isLoggedIn ? (
           <Stack.Screen name="AppTabs">
-            {props => <MainNavigator {...props} logout={handleLogout} />}
+            {props => (
+              <PreferencesProvider>
+                <MainNavigator {...props} logout={handleLogout} />
+              </PreferencesProvider>
+            )}
           </Stack.Screen>
         ) : (
           <Stack.Screen name="Auth" component={AuthNavigator} />
@@ -204,12 +248,25 @@ const RootNavigator = () => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   loadingContainer: {
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
+    backgroundColor: colors.background,
   },
 });
 
-export default RootNavigator;
\ No newline at end of file
+/**
+ * ThemedRoot - Root of the app with the theme available to every screen
+ * The theme wraps the auth screens as well, so it applies before login
+ */
+const ThemedRoot = () => {
+  return (
+    <ThemeProvider>
+      <RootNavigator />
+    </ThemeProvider>
+  );
+};
+
+export default ThemedRoot;
\ No newline at end of file
@@ -15,7 +15,24 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Ionicons } from '@expo/vector-icons';
 import { useNavigation } from '@react-navigation/native';
 import { exerciseService } from '../services/exerciseService';
-import { workoutService } from '../services/workoutService';
+import { workoutService, DEFAULT_REST_SECONDS } from '../services/workoutService';
+import { personalRecordService } from '../services/personalRecordService';
+import { account } from '../config/appwrite';
+import {
+  ONE_REP_MAX_FORMULAS, DEFAULT_FORMULA, weightForReps, weightAtPercentage, roundToIncrement
+} from '../utils/oneRepMax';
+import { DEFAULT_SET_TYPE, hasOpenReps, parseDropWeights } from '../utils/setTypes';
+import SetTypePicker from '../components/SetTypePicker';
+import SetTargetsInput, { EMPTY_SET_TARGETS } from '../components/SetTargetsInput';
+import { buildSetTargets, getSetTargetsError } from '../utils/setTargets';
+import {
+  MEASUREMENT_MODES, DEFAULT_MEASUREMENT_MODE, formatFieldLabel,
+  getDefaultMeasurementMode, usesField, parseSetMeasures, getSetMeasuresError
+} from '../utils/measurementModes';
+import MeasurementModePicker from '../components/MeasurementModePicker';
+import { useWeightUnit } from '../context/PreferencesContext';
+import { toDisplayWeight, getWeightIncrement, getWeightUnitLabel } from '../utils/units';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
 
 const { height, width } = Dimensions.get('window');
 
@@ -24,9 +41,12 @@ const { height, width } = Dimensions.get('window');
  * Users can search for exercises, select one, and add sets with reps and weights
  */
 const AddExerciseScreen = ({ route }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   // Get the weekday ID from navigation params
   const { weekdayId } = route.params;
   const navigation = useNavigation();
+  const weightUnit = useWeightUnit();
   
   // Things the screen keeps track of
   const [searchText, setSearchText] = useState('');           // What user types in search box
@@ -35,9 +55,14 @@ const AddExerciseScreen = ({ route }) => {
   const [selectedExercise, setSelectedExercise] = useState(null); // Which exercise user picked
   const [showExerciseList, setShowExerciseList] = useState(false); // Whether to show dropdown
   const [sets, setSets] = useState([                          // User's workout sets
-    { id: 1, reps: '', weight: '' }
+    { id: 1, reps: '', weight: '', setType: DEFAULT_SET_TYPE, drops: '', duration: '', distance: '', targets: EMPTY_SET_TARGETS }
   ]);
+  const [measurementMode, setMeasurementMode] = useState(DEFAULT_MEASUREMENT_MODE); // What each set records
+  const [restSeconds, setRestSeconds] = useState(String(DEFAULT_REST_SECONDS)); // Rest between sets
   const [submitting, setSubmitting] = useState(false);        // Whether form is being saved
+  const [oneRepMax, setOneRepMax] = useState('');             // 1RM used to suggest weights
+  const [percentOfMax, setPercentOfMax] = useState('');       // Optional % of 1RM for all sets
+  const [formula, setFormula] = useState(DEFAULT_FORMULA);    // 1RM formula the rep-based weights come from
   
   // References help us control scrolling and input focus
   const scrollViewRef = useRef();
@@ -50,6 +75,13 @@ const AddExerciseScreen = ({ route }) => {
   useEffect(() => {
     const fetchExercises = async () => {
       try {
+        // Show the cached library right away, then refresh it
+        const cachedData = await exerciseService.getCachedExercises();
+        if (cachedData) {
+          setExercises(cachedData);
+          setLoading(false);
+        }
+        
         const data = await exerciseService.getExercises();
         setExercises(data);
       } catch (error) {
@@ -87,6 +119,8 @@ const AddExerciseScreen = ({ route }) => {
     setShowExerciseList(false);
     setSearchText(exercise.name);
     Keyboard.dismiss();
+    handleChangeMeasurementMode(getDefaultMeasurementMode(exercise));
+    prefillOneRepMax(exercise);
     
     // Scroll down to show sets section
     setTimeout(() => {
@@ -96,6 +130,60 @@ const AddExerciseScreen = ({ route }) => {
     }, 300);
   };
 
+  /**
+   * Change what the sets record
+   * Set types only apply to reps × weight, so other modes use normal sets
+   */
+  const handleChangeMeasurementMode = (mode) => {
+    setMeasurementMode(mode);
+    if (mode !== 'repsWeight') {
+      setSets(prev => prev.map(set => ({ ...set, setType: DEFAULT_SET_TYPE, drops: '' })));
+    }
+  };
+
+  /**
+   * Fill the 1RM field with the user's best estimated 1RM for the exercise
+   * Leaves the field empty when the exercise has never been logged
+   */
+  const prefillOneRepMax = async (exercise) => {
+    setOneRepMax('');
+    try {
+      const user = await account.get();
+      const records = await personalRecordService.getUserRecords(user.$id, [exercise.$id]);
+      const best = records.find(record => record.recordType === 'bestOneRepMax');
+      if (best) {
+        setOneRepMax(String(roundToIncrement(toDisplayWeight(best.value, weightUnit), getWeightIncrement(weightUnit))));
+      }
+    } catch (error) {
+      console.log('Could not get 1RM for exercise:', error);
+    }
+  };
+
+  /**
+   * Suggest a weight for every set from the 1RM
+   * Uses the percentage when given, otherwise the weight each set's reps allow
+   */
+  const applyOneRepMaxSuggestions = () => {
+    const max = parseFloat(oneRepMax);
+    const percent = parseFloat(percentOfMax);
+
+    if (isNaN(max) || max <= 0) {
+      alert('Please enter your 1RM');
+      return;
+    }
+
+    setSets(sets.map(set => {
+      const reps = parseInt(set.reps);
+      const suggested = !isNaN(percent)
+        ? weightAtPercentage(max, percent)
+        : weightForReps(max, reps, formula);
+
+      // Sets without reps can't get a reps-based suggestion
+      if (!suggested) return set;
+      return { ...set, weight: String(roundToIncrement(suggested, getWeightIncrement(weightUnit))) };
+    }));
+  };
+
   /**
    * Update search results as user types
    * Shows matching exercises in dropdown
@@ -113,7 +201,7 @@ const AddExerciseScreen = ({ route }) => {
     if (sets.length >= 10) return; // Don't allow more than 10 sets
     
     const newSetId = sets.length > 0 ? Math.max(...sets.map(s => s.id)) + 1 : 1;
-    setSets([...sets, { id: newSetId, reps: '', weight: '' }]);
+    setSets([...sets, { id: newSetId, reps: '', weight: '', setType: DEFAULT_SET_TYPE, drops: '', duration: '', distance: '', targets: EMPTY_SET_TARGETS }]);
     
     // Scroll to bottom so user can see the new set
     setTimeout(() => {
@@ -143,6 +231,18 @@ const AddExerciseScreen = ({ route }) => {
     }));
   };
 
+  /**
+   * Change the type of a set
+   * AMRAP sets have no planned reps, so their reps are cleared
+   */
+  const updateSetType = (id, setType) => {
+    setSets(sets.map(set => {
+      if (set.id !== id) return set;
+      const updated = { ...set, setType };
+      return hasOpenReps(updated) ? { ...updated, reps: '' } : updated;
+    }));
+  };
+
   /**
    * Save the exercise with all sets to the workout
    * Checks for errors before saving
@@ -154,9 +254,32 @@ const AddExerciseScreen = ({ route }) => {
       return;
     }
 
-    // Make sure all sets have reps and weights filled in
-    if (sets.some(set => !set.reps || !set.weight)) {
-      alert('Please fill in reps and weight for all sets');
+    // Make sure every set has what the mode records (AMRAP reps stay open)
+    const measuresError = sets
+      .map(set => getSetMeasuresError(measurementMode, parseSetMeasures(measurementMode, set, weightUnit), { openReps: hasOpenReps(set) }))
+      .find(Boolean);
+    if (measuresError) {
+      alert(`${measuresError} for all sets`);
+      return;
+    }
+
+    // Drop sets need at least one weight to drop to
+    if (sets.some(set => set.setType === 'drop' && parseDropWeights(set.drops, weightUnit).length === 0)) {
+      alert('Please enter the drop weights for every drop set');
+      return;
+    }
+
+    // Target RPE/RIR and tempo are optional, but must be in range when given
+    const targetsError = sets.map(set => getSetTargetsError(buildSetTargets(set.targets))).find(Boolean);
+    if (targetsError) {
+      alert(targetsError);
+      return;
+    }
+
+    // Rest must be a whole number of seconds
+    const rest = parseInt(restSeconds);
+    if (isNaN(rest) || rest < 0) {
+      alert('Please enter a valid rest time');
       return;
     }
 
@@ -166,16 +289,24 @@ const AddExerciseScreen = ({ route }) => {
       // First add the exercise to the weekday
       const workoutExercise = await workoutService.addExerciseToWeekday(
         weekdayId,
-        selectedExercise.$id
+        selectedExercise.$id,
+        rest,
+        measurementMode
       );
       
       // Then add all the sets for this exercise
       for (const set of sets) {
+        const values = parseSetMeasures(measurementMode, set, weightUnit);
+        
         await workoutService.addSetToExercise(
           workoutExercise.$id,
-          parseInt(set.reps),
-          parseFloat(set.weight),
-          set.id // Use the set ID as the set number
+          hasOpenReps(set) ? null : values.reps,
+          values.weight,
+          set.id, // Use the set ID as the set number
+          set.setType,
+          parseDropWeights(set.drops, weightUnit),
+          buildSetTargets(set.targets),
+          { durationSeconds: values.durationSeconds, distance: values.distance }
         );
       }
       
@@ -207,7 +338,7 @@ const AddExerciseScreen = ({ route }) => {
           style={styles.backButton}
           onPress={() => navigation.goBack()}
         >
-          <Ionicons name="chevron-back" size={24} color="#000" />
+          <Ionicons name="chevron-back" size={24} color={colors.textStrong} />
           <Text style={styles.backButtonText}>Back</Text>
         </TouchableOpacity>
 
@@ -217,8 +348,9 @@ const AddExerciseScreen = ({ route }) => {
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Select Exercise</Text>
           <View style={styles.searchContainer}>
-            <Ionicons name="search" size={20} color="#999" />
+            <Ionicons name="search" size={20} color={colors.textMuted} />
             <TextInput
+              placeholderTextColor={colors.textMuted}
               ref={searchInputRef}
               style={styles.searchInput}
               placeholder="Search exercise, bodypart or category"
@@ -232,7 +364,7 @@ const AddExerciseScreen = ({ route }) => {
                 setSearchText('');
                 setSelectedExercise(null);
               }}>
-                <Ionicons name="close-circle" size={20} color="#999" />
+                <Ionicons name="close-circle" size={20} color={colors.textMuted} />
               </TouchableOpacity>
             )}
           </View>
@@ -250,7 +382,7 @@ const AddExerciseScreen = ({ route }) => {
                   />
                 ) : (
                   <View style={styles.selectedExerciseThumbnail}>
-                    <Ionicons name="barbell-outline" size={30} color="#666" />
+                    <Ionicons name="barbell-outline" size={30} color={colors.textSecondary} />
                   </View>
                 )}
                 {/* Exercise name and category */}
@@ -269,7 +401,7 @@ const AddExerciseScreen = ({ route }) => {
             <View style={styles.dropdownContainer}>
               {loading ? (
                 <View style={styles.loadingContainer}>
-                  <ActivityIndicator size="small" color="#0066CC" />
+                  <ActivityIndicator size="small" color={colors.accent} />
                 </View>
               ) : filteredExercises.length > 0 ? (
                 <FlatList
@@ -293,7 +425,7 @@ const AddExerciseScreen = ({ route }) => {
                           />
                         ) : (
                           <View style={styles.exerciseThumbnail}>
-                            <Ionicons name="barbell-outline" size={24} color="#999" />
+                            <Ionicons name="barbell-outline" size={24} color={colors.textMuted} />
                           </View>
                         )}
                         
@@ -332,63 +464,197 @@ const AddExerciseScreen = ({ route }) => {
           <View style={styles.setsSection}>
             <Text style={styles.sectionTitle}>Sets</Text>
             
+            {/* What each set records; cardio and bodyweight exercises start with their own mode */}
+            <MeasurementModePicker
+              value={measurementMode}
+              onChange={handleChangeMeasurementMode}
+              style={styles.measurementModePicker}
+            />
+            
+            {/* Suggest set weights from a one-rep max */}
+            {usesField(measurementMode, 'weight') && (
+              <View style={styles.oneRepMaxContainer}>
+                <Text style={styles.oneRepMaxTitle}>Suggest weights from 1RM</Text>
+                <View style={styles.oneRepMaxRow}>
+                  <TextInput
+                    placeholderTextColor={colors.textMuted}
+                    style={[styles.valueInput, styles.oneRepMaxInput]}
+                    keyboardType="decimal-pad"
+                    value={oneRepMax}
+                    onChangeText={setOneRepMax}
+                    placeholder={`1RM (${getWeightUnitLabel(weightUnit)})`}
+                  />
+                  <TextInput
+                    placeholderTextColor={colors.textMuted}
+                    style={[styles.valueInput, styles.oneRepMaxInput]}
+                    keyboardType="decimal-pad"
+                    value={percentOfMax}
+                    onChangeText={setPercentOfMax}
+                    placeholder="% (optional)"
+                  />
+                  <TouchableOpacity style={styles.applyButton} onPress={applyOneRepMaxSuggestions}>
+                    <Text style={styles.applyButtonText}>Apply</Text>
+                  </TouchableOpacity>
+                </View>
+                {/* Formula used for the weight each set's reps allow */}
+                <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.formulaRow}>
+                  {Object.keys(ONE_REP_MAX_FORMULAS).map(key => (
+                    <TouchableOpacity
+                      key={key}
+                      style={[styles.formulaChip, formula === key && styles.formulaChipActive]}
+                      onPress={() => setFormula(key)}
+                    >
+                      <Text style={[styles.formulaText, formula === key && styles.formulaTextActive]}>
+                        {ONE_REP_MAX_FORMULAS[key].label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </ScrollView>
+                <Text style={styles.oneRepMaxHint}>
+                  Without a percentage, each set gets the weight its reps allow with the {ONE_REP_MAX_FORMULAS[formula].label} formula
+                </Text>
+              </View>
+            )}
+            
             {/* Table headers for the sets table */}
             <View style={styles.setTableHeader}>
               <Text style={[styles.headerText, styles.setColumn]}>Set</Text>
-              <Text style={[styles.headerText, styles.repsColumn]}>Reps</Text>
-              <Text style={[styles.headerText, styles.weightColumn]}>Weight(kg)</Text>
+              {MEASUREMENT_MODES[measurementMode].fields.map(field => (
+                <Text key={field} style={[styles.headerText, styles.valueColumn]}>
+                  {formatFieldLabel(field, weightUnit)}
+                </Text>
+              ))}
               <View style={styles.actionColumn} />
             </View>
             
             {/* List of all sets with input fields */}
             {sets.map((set) => (
-              <View key={set.id} style={styles.setRow}>
-                <Text style={[styles.setColumn, styles.setText]}>{set.id}</Text>
+              <View key={set.id} style={styles.setItem}>
+                <View style={styles.setRow}>
+                  <Text style={[styles.setColumn, styles.setText]}>{set.id}</Text>
                 
-                {/* Reps input field */}
-                <View style={styles.repsColumn}>
-                  <TextInput
-                    style={styles.valueInput}
-                    keyboardType="number-pad"
-                    value={set.reps}
-                    onChangeText={(value) => updateSetValue(set.id, 'reps', value)}
-                    placeholder="0"
-                  />
-                </View>
+                  {/* Reps input field (left open for AMRAP sets) */}
+                  {usesField(measurementMode, 'reps') && (
+                    <View style={styles.valueColumn}>
+                      <TextInput
+                        placeholderTextColor={colors.textMuted}
+                        style={[styles.valueInput, hasOpenReps(set) && styles.disabledInput]}
+                        keyboardType="number-pad"
+                        value={set.reps}
+                        onChangeText={(value) => updateSetValue(set.id, 'reps', value)}
+                        placeholder={hasOpenReps(set) ? 'AMRAP' : '0'}
+                        editable={!hasOpenReps(set)}
+                      />
+                    </View>
+                  )}
                 
-                {/* Weight input field */}
-                <View style={styles.weightColumn}>
-                  <TextInput
-                    style={styles.valueInput}
-                    keyboardType="decimal-pad"
-                    value={set.weight}
-                    onChangeText={(value) => updateSetValue(set.id, 'weight', value)}
-                    placeholder="0"
-                  />
-                </View>
+                  {/* Weight input field */}
+                  {usesField(measurementMode, 'weight') && (
+                    <View style={styles.valueColumn}>
+                      <TextInput
+                        placeholderTextColor={colors.textMuted}
+                        style={styles.valueInput}
+                        keyboardType="decimal-pad"
+                        value={set.weight}
+                        onChangeText={(value) => updateSetValue(set.id, 'weight', value)}
+                        placeholder="0"
+                      />
+                    </View>
+                  )}
+                
+                  {/* Distance input field */}
+                  {usesField(measurementMode, 'distance') && (
+                    <View style={styles.valueColumn}>
+                      <TextInput
+                        placeholderTextColor={colors.textMuted}
+                        style={styles.valueInput}
+                        keyboardType="decimal-pad"
+                        value={set.distance}
+                        onChangeText={(value) => updateSetValue(set.id, 'distance', value)}
+                        placeholder="0"
+                      />
+                    </View>
+                  )}
                 
-                {/* Delete set button */}
-                <TouchableOpacity 
-                  style={styles.actionColumn} 
-                  onPress={() => removeSet(set.id)}
-                  disabled={sets.length <= 1}
-                >
-                  <Ionicons 
-                    name="trash-outline" 
-                    size={18} 
-                    color={sets.length <= 1 ? '#ccc' : '#ff3b30'} 
+                  {/* Time input field, seconds or m:ss */}
+                  {usesField(measurementMode, 'durationSeconds') && (
+                    <View style={styles.valueColumn}>
+                      <TextInput
+                        placeholderTextColor={colors.textMuted}
+                        style={styles.valueInput}
+                        keyboardType="numbers-and-punctuation"
+                        value={set.duration}
+                        onChangeText={(value) => updateSetValue(set.id, 'duration', value)}
+                        placeholder="0:45"
+                      />
+                    </View>
+                  )}
+                
+                  {/* Delete set button */}
+                  <TouchableOpacity 
+                    style={styles.actionColumn} 
+                    onPress={() => removeSet(set.id)}
+                    disabled={sets.length <= 1}
+                  >
+                    <Ionicons 
+                      name="trash-outline" 
+                      size={18} 
+                      color={sets.length <= 1 ? colors.textDisabled : colors.danger} 
+                    />
+                  </TouchableOpacity>
+                </View>
+              
+                {/* Kind of set */}
+                {measurementMode === 'repsWeight' && (
+                  <SetTypePicker
+                    value={set.setType}
+                    onChange={(setType) => updateSetType(set.id, setType)}
+                    style={styles.setTypePicker}
+                  />
+                )}
+              
+                {/* Weights a drop set continues with */}
+                {set.setType === 'drop' && (
+                  <TextInput
+                    placeholderTextColor={colors.textMuted}
+                    style={[styles.valueInput, styles.dropsInput]}
+                    keyboardType="numbers-and-punctuation"
+                    value={set.drops}
+                    onChangeText={(value) => updateSetValue(set.id, 'drops', value)}
+                    placeholder={`Drop to (${getWeightUnitLabel(weightUnit)}), e.g. 80, 60`}
                   />
-                </TouchableOpacity>
+                )}
+              
+                {/* Optional target RPE/RIR and tempo */}
+                <SetTargetsInput
+                  value={set.targets}
+                  onChange={(targets) => updateSetValue(set.id, 'targets', targets)}
+                  style={styles.setTargetsInput}
+                />
               </View>
             ))}
             
             {/* Button to add another set */}
             {sets.length < 10 && (
               <TouchableOpacity style={styles.addSetButton} onPress={addSet}>
-                <Ionicons name="add-circle-outline" size={20} color="#0066CC" />
+                <Ionicons name="add-circle-outline" size={20} color={colors.accent} />
                 <Text style={styles.addSetText}>Add Set</Text>
               </TouchableOpacity>
             )}
+            
+            {/* Rest countdown length used during the workout */}
+            <View style={styles.restRow}>
+              <Ionicons name="timer-outline" size={20} color={colors.textSecondary} />
+              <Text style={styles.restLabel}>Rest between sets (sec)</Text>
+              <TextInput
+                placeholderTextColor={colors.textMuted}
+                style={[styles.valueInput, styles.restInput]}
+                keyboardType="number-pad"
+                value={restSeconds}
+                onChangeText={setRestSeconds}
+                placeholder={String(DEFAULT_REST_SECONDS)}
+              />
+            </View>
           </View>
         )}
         
@@ -407,7 +673,7 @@ const AddExerciseScreen = ({ route }) => {
           disabled={!selectedExercise || submitting}
         >
           {submitting ? (
-            <ActivityIndicator color="#fff" size="small" />
+            <ActivityIndicator color={colors.onPrimary} size="small" />
           ) : (
             <Text style={styles.addButtonText}>Add</Text>
           )}
@@ -419,10 +685,10 @@ const AddExerciseScreen = ({ route }) => {
 
 export default AddExerciseScreen;
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#fff',
+    backgroundColor: colors.background,
   },
   headerContainer: {
     paddingHorizontal: 20,
@@ -444,12 +710,14 @@ const styles = StyleSheet.create({
   backButtonText: {
     fontSize: 16,
     marginLeft: 5,
+    color: colors.textStrong,
   },
   title: {
     fontSize: 28,
     fontWeight: 'bold',
     marginBottom: 25,
     textAlign: 'center',
+    color: colors.textStrong,
   },
   section: {
     marginBottom: 20,
@@ -463,11 +731,12 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: '600',
     marginBottom: 15,
+    color: colors.textStrong,
   },
   searchContainer: {
     flexDirection: 'row',
     alignItems: 'center',
-    backgroundColor: '#f5f5f5',
+    backgroundColor: colors.surface,
     borderRadius: 10,
     paddingHorizontal: 15,
     marginBottom: 15,
@@ -478,15 +747,16 @@ const styles = StyleSheet.create({
     paddingVertical: 12,
     marginLeft: 10,
     fontSize: 16,
+    color: colors.textStrong,
   },
   // Selected Exercise Display
   selectedExerciseContainer: {
-    backgroundColor: '#fff',
+    backgroundColor: colors.background,
     borderRadius: 10,
     padding: 12,
     marginBottom: 20,
     borderWidth: 1,
-    borderColor: '#e0e0e0',
+    borderColor: colors.border,
   },
   selectedExerciseContent: {
     flexDirection: 'row',
@@ -496,7 +766,7 @@ const styles = StyleSheet.create({
     width: 60,
     height: 60,
     borderRadius: 8,
-    backgroundColor: '#e0e0e0',
+    backgroundColor: colors.neutral,
     justifyContent: 'center',
     alignItems: 'center',
     marginRight: 15,
@@ -509,10 +779,11 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: '600',
     marginBottom: 3,
+    color: colors.textStrong,
   },
   selectedExerciseCategory: {
     fontSize: 14,
-    color: '#666',
+    color: colors.textSecondary,
   },
   // Dropdown styles for exercise list
   dropdownContainer: {
@@ -520,12 +791,12 @@ const styles = StyleSheet.create({
     top: 100, // Position below search box
     left: '0', // 10% from left edge
     width: '100%', // 80% of screen width
-    backgroundColor: 'white',
+    backgroundColor: colors.card,
     borderRadius: 10,
     borderWidth: 1,
-    borderColor: '#eaeaea',
+    borderColor: colors.divider,
     maxHeight: height * 0.3, // 30% of screen height
-    shadowColor: '#000',
+    shadowColor: colors.shadow,
     shadowOffset: { width: 0, height: 2 },
     shadowOpacity: 0.1,
     shadowRadius: 4,
@@ -543,7 +814,7 @@ const styles = StyleSheet.create({
     paddingVertical: 10,
     paddingHorizontal: 15,
     borderBottomWidth: 1,
-    borderBottomColor: '#f0f0f0',
+    borderBottomColor: colors.divider,
   },
   exerciseItemContent: {
     flexDirection: 'row',
@@ -553,7 +824,7 @@ const styles = StyleSheet.create({
     width: 40,
     height: 40,
     borderRadius: 5,
-    backgroundColor: '#f0f0f0',
+    backgroundColor: colors.surface,
     marginRight: 10,
     alignItems: 'center',
     justifyContent: 'center',
@@ -565,44 +836,62 @@ const styles = StyleSheet.create({
   exerciseName: {
     fontSize: 16,
     fontWeight: '500',
+    color: colors.textStrong,
   },
   exerciseCategory: {
     fontSize: 13,
-    color: '#777',
+    color: colors.textSecondary,
     marginTop: 2,
   },
   noResultsText: {
     padding: 15,
     textAlign: 'center',
-    color: '#999',
+    color: colors.textMuted,
   },
   setTableHeader: {
     flexDirection: 'row',
     borderBottomWidth: 1,
-    borderBottomColor: '#eaeaea',
+    borderBottomColor: colors.divider,
     paddingBottom: 10,
     marginBottom: 10,
   },
   headerText: {
     fontWeight: '600',
-    color: '#555',
+    color: colors.textSecondary,
     fontSize: 15,
   },
+  setItem: {
+    marginBottom: 15,
+  },
   setRow: {
     flexDirection: 'row',
     alignItems: 'center',
+  },
+  measurementModePicker: {
     marginBottom: 15,
   },
+  setTypePicker: {
+    marginTop: 6,
+    paddingLeft: 10,
+  },
+  dropsInput: {
+    marginTop: 6,
+    marginLeft: 10,
+    textAlign: 'left',
+  },
+  setTargetsInput: {
+    marginTop: 6,
+    paddingLeft: 4,
+  },
+  disabledInput: {
+    backgroundColor: colors.surface,
+  },
   setColumn: {
     width: '15%',
     paddingLeft: 10,
   },
-  repsColumn: {
-    width: '35%',
-    paddingHorizontal: 5,
-  },
-  weightColumn: {
-    width: '35%',
+  valueColumn: {
+    flex: 1,
     paddingHorizontal: 5,
   },
   actionColumn: {
@@ -612,15 +901,17 @@ const styles = StyleSheet.create({
   setText: {
     fontSize: 16,
     fontWeight: '500',
+    color: colors.textStrong,
   },
   valueInput: {
     borderWidth: 1,
-    borderColor: '#e0e0e0',
+    borderColor: colors.border,
     borderRadius: 8,
     paddingVertical: 8,
     paddingHorizontal: 12,
     fontSize: 16,
     textAlign: 'center',
+    color: colors.textStrong,
   },
   addSetButton: {
     flexDirection: 'row',
@@ -628,16 +919,87 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     paddingVertical: 12,
     borderWidth: 1,
-    borderColor: '#e0e0e0',
+    borderColor: colors.border,
     borderStyle: 'dashed',
     borderRadius: 8,
     marginTop: 5,
   },
   addSetText: {
     marginLeft: 5,
-    color: '#0066CC',
+    color: colors.accent,
     fontWeight: '500',
   },
+  oneRepMaxContainer: {
+    backgroundColor: colors.surface,
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 20,
+  },
+  oneRepMaxTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.textSecondary,
+    marginBottom: 10,
+  },
+  oneRepMaxRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  oneRepMaxInput: {
+    flex: 1,
+    marginRight: 8,
+    backgroundColor: colors.background,
+  },
+  applyButton: {
+    backgroundColor: colors.accent,
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+  },
+  applyButtonText: {
+    color: colors.onPrimary,
+    fontWeight: '600',
+  },
+  formulaRow: {
+    marginTop: 10,
+  },
+  formulaChip: {
+    backgroundColor: colors.background,
+    paddingVertical: 5,
+    paddingHorizontal: 12,
+    borderRadius: 20, // Pill shape
+    marginRight: 8,
+  },
+  formulaChipActive: {
+    backgroundColor: colors.primary,
+  },
+  formulaText: {
+    fontSize: 13,
+    color: colors.text,
+  },
+  formulaTextActive: {
+    color: colors.onPrimary,
+    fontWeight: '600',
+  },
+  oneRepMaxHint: {
+    fontSize: 12,
+    color: colors.textMuted,
+    marginTop: 8,
+  },
+  restRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  restLabel: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 15,
+    color: colors.textSecondary,
+  },
+  restInput: {
+    width: 80,
+  },
   buttonContainer: {
     position: 'absolute',
     left: 20,
@@ -645,17 +1007,17 @@ const styles = StyleSheet.create({
     bottom: 90,
   },
   addButton: {
-    backgroundColor: '#1E0371',
+    backgroundColor: colors.primary,
     borderRadius: 10,
     padding: 16,
     alignItems: 'center',
   },
   disabledButton: {
-    backgroundColor: '#9E9E9E',
+    backgroundColor: colors.neutralStrong,
     opacity: 0.7,
   },
   addButtonText: {
-    color: '#fff',
+    color: colors.onPrimary,
     fontSize: 16,
     fontWeight: '600',
   },
@@ -1,27 +1,114 @@
-import { StyleSheet, Text, View, TouchableOpacity, FlatList, Alert } from 'react-native';
-import React, { useState } from 'react';
+import { 
+  StyleSheet, 
+  Text, 
+  View, 
+  TouchableOpacity, 
+  FlatList, 
+  Alert, 
+  ActivityIndicator,
+  TextInput,
+  Modal
+} from 'react-native';
+import React, { useState, useRef, useMemo } from 'react';
 import { Ionicons } from '@expo/vector-icons';
 import { useNavigation } from '@react-navigation/native';
+import { authService } from '../services/authService';
+import { workoutService, DEFAULT_REST_SECONDS, sortWorkoutExercises } from '../services/workoutService';
+import { personalRecordService } from '../services/personalRecordService';
+import { formatRecord } from '../utils/personalRecords';
+import { GROUP_TYPES, buildWorkoutBlocks, buildGroupRounds, getGroupLetter } from '../utils/exerciseGroups';
+import { SET_TYPES, getSetType, getSetTypeColor, hasOpenReps } from '../utils/setTypes';
+import SetTypeBadge from '../components/SetTypeBadge';
+import { formatSetTargets } from '../utils/setTargets';
+import RpePicker from '../components/RpePicker';
+import SetStopwatch from '../components/SetStopwatch';
+import {
+  MEASUREMENT_MODES, getMeasurementMode, usesField, isTimedMode, parseSetMeasures, getSetMeasuresError,
+  formatMeasure, formatFieldLabel, formatSetSummary, formatSetDuration
+} from '../utils/measurementModes';
+import RestTimerOverlay from '../components/RestTimerOverlay';
+import PlateCalculatorModal from '../components/PlateCalculatorModal';
+import PlateSettingsModal from '../components/PlateSettingsModal';
+import { useWeightUnit, usePlateSettings } from '../context/PreferencesContext';
+import { isPlateLoaded } from '../utils/plates';
+import { formatWeight, getWeightUnitLabel, parseEditedWeight } from '../utils/units';
+import * as Haptics from 'expo-haptics';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
 
 /**
  * ExecuteWorkoutScreen - Guides the user through their workout
  * Shows exercises and sets with tracking for completion
  */
 const ExecuteWorkoutScreen = ({ route }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   // Get data passed from previous screen
-  const { weekday, exercises } = route.params;
+  const { weekday } = route.params;
   const navigation = useNavigation();
+  const weightUnit = useWeightUnit(); // Unit weights are shown and typed in
+  const { plateSettings, savePlateSettings } = usePlateSettings(); // Bar and plates for the calculator
+  
+  // Exercises are performed in the order set on the weekday
+  const exercises = useMemo(() => sortWorkoutExercises(route.params.exercises), [route.params.exercises]);
+  
+  // Single exercises and supersets/circuits, in the order they are done
+  const blocks = useMemo(() => buildWorkoutBlocks(exercises), [exercises]);
   
   // Track which exercises and sets have been completed
   const [completedExercises, setCompletedExercises] = useState([]);
   const [completedSets, setCompletedSets] = useState({});
+  const [saving, setSaving] = useState(false); // Whether the session is being saved
+  
+  // Values actually performed, keyed by set ID (planned sets stay untouched)
+  const [actualValues, setActualValues] = useState({});
+  const [editingSet, setEditingSet] = useState(null);   // Set being edited in the modal
+  const [editReps, setEditReps] = useState('');         // Reps typed in the modal
+  const [editWeight, setEditWeight] = useState('');     // Weight typed in the modal
+  const [editDrops, setEditDrops] = useState([]);       // Reps/weight typed for each drop of a drop set
+  const [editDuration, setEditDuration] = useState(''); // Time typed in the modal
+  const [editDistance, setEditDistance] = useState(''); // Distance typed in the modal
+  const [stopwatch, setStopwatch] = useState(null);     // Timed set being run { exerciseId, setId, startedAt }
+  const [actualRpe, setActualRpe] = useState({});       // RPE logged for each set, keyed by set ID
+  const [rpePromptSetId, setRpePromptSetId] = useState(null); // Set just checked off, asking for its RPE
+  const [editRpe, setEditRpe] = useState(null);         // RPE picked in the modal
+  const [restTimer, setRestTimer] = useState(null);     // Active rest countdown { endsAt, duration }
+  const [newRecords, setNewRecords] = useState([]);     // Personal records set in this workout
+  const [plateWeight, setPlateWeight] = useState(null); // Weight (kg) shown in the plate calculator
+  const [editingPlates, setEditingPlates] = useState(false); // Whether the bar and plates are being edited
+  const [savingPlates, setSavingPlates] = useState(false);   // True while the plates are saved
+  
+  // Remember when the workout was started so the session duration can be stored
+  const startedAtRef = useRef(new Date());
 
   /**
    * Toggle a set's completion status
    * @param {string} exerciseId - The ID of the exercise
    * @param {string} setId - The ID of the set
+   * @param {boolean} logged - True when called right after logging the set's values
    */
-  const handleMarkSetComplete = (exerciseId, setId) => {
+  const handleMarkSetComplete = (exerciseId, setId, logged = false) => {
+    // Checking a set off starts the rest countdown for that exercise
+    // In a superset/circuit the rest only starts once the whole round is done
+    if (!isSetCompleted(exerciseId, setId)) {
+      const exercise = exercises.find(e => e.$id === exerciseId);
+      const set = (exercise?.sets || []).find(s => s.$id === setId);
+      
+      // AMRAP reps are only known once the set is logged
+      if (hasOpenReps(set) && !logged && !actualValues[setId]) {
+        openEditSetModal(exerciseId, set);
+        return;
+      }
+      
+      // Ask how hard it was, unless it was just logged in the modal
+      setRpePromptSetId(logged ? null : setId);
+      
+      if (!exercise?.group) {
+        startRestTimer(exercise?.restSeconds ?? DEFAULT_REST_SECONDS);
+      } else if (isRoundFinishedBy(exercise.group, setId)) {
+        startRestTimer(exercise.group.restSeconds ?? DEFAULT_REST_SECONDS);
+      }
+    }
+    
     setCompletedSets(prev => {
       const exerciseSets = prev[exerciseId] || [];
       
@@ -41,6 +128,308 @@ const ExecuteWorkoutScreen = ({ route }) => {
     });
   };
 
+  /**
+   * Start the stopwatch of a timed set
+   * Only one set can be timed at once
+   * @param {string} exerciseId - The ID of the exercise
+   * @param {string} setId - The ID of the set
+   */
+  const handleStartStopwatch = (exerciseId, setId) => {
+    setStopwatch({ exerciseId, setId, startedAt: Date.now() });
+  };
+
+  /**
+   * Stop the stopwatch, log the time and check the set off
+   * @param {Object} set - The timed set
+   * @param {number} seconds - Elapsed time in seconds
+   */
+  const handleStopStopwatch = (set, seconds) => {
+    const { exerciseId } = stopwatch;
+    setStopwatch(null);
+    
+    setActualValues(prev => ({
+      ...prev,
+      [set.$id]: { ...getActualValues(set), durationSeconds: seconds }
+    }));
+    
+    if (!isSetCompleted(exerciseId, set.$id)) {
+      handleMarkSetComplete(exerciseId, set.$id);
+    }
+  };
+
+  /**
+   * Stopwatch button for a set of a timed exercise
+   * @param {Object} exercise - Workout exercise
+   * @param {Object} set - The planned set
+   * @param {boolean} setCompleted - Whether the set was checked off
+   */
+  const renderStopwatch = (exercise, set, setCompleted) => {
+    if (!isTimedMode(getMeasurementMode(exercise))) return null;
+    
+    const running = stopwatch?.setId === set.$id;
+    // Another set is being timed, or this one is done
+    if (!running && (stopwatch || setCompleted)) return null;
+    
+    return (
+      <SetStopwatch
+        startedAt={running ? stopwatch.startedAt : null}
+        onStart={() => handleStartStopwatch(exercise.$id, set.$id)}
+        onStop={(seconds) => handleStopStopwatch(set, seconds)}
+        style={styles.stopwatchButton}
+      />
+    );
+  };
+
+  /**
+   * Store the RPE logged for a set and close the prompt
+   * @param {string} setId - The ID of the set
+   * @param {number} rpe - Logged RPE, or null to clear it
+   */
+  const handleLogRpe = (setId, rpe) => {
+    setActualRpe(prev => ({ ...prev, [setId]: rpe }));
+    setRpePromptSetId(null);
+  };
+
+  /**
+   * Check whether a set was checked off
+   * @param {string} exerciseId - The ID of the exercise
+   * @param {string} setId - The ID of the set
+   * @return {boolean} - True if the set is completed
+   */
+  const isSetCompleted = (exerciseId, setId) => {
+    return (completedSets[exerciseId] || []).includes(setId);
+  };
+
+  /**
+   * Rounds of a superset/circuit in the order they are performed
+   * @param {Object} group - The group
+   * @return {Array} - Rounds with their steps
+   */
+  const getGroupRounds = (group) => {
+    const block = blocks.find(b => b.group?.$id === group.$id);
+    return block ? buildGroupRounds(group, block.exercises) : [];
+  };
+
+  /**
+   * Check whether completing a set finishes its round of the group
+   * @param {Object} group - Group the set's exercise belongs to
+   * @param {string} setId - The set about to be completed
+   * @return {boolean} - True if every other set of the round is already done
+   */
+  const isRoundFinishedBy = (group, setId) => {
+    const round = getGroupRounds(group).find(r => r.steps.some(step => step.set.$id === setId));
+    if (!round) return false;
+    
+    return round.steps.every(step => (
+      step.set.$id === setId || isSetCompleted(step.exercise.$id, step.set.$id)
+    ));
+  };
+
+  /**
+   * Toggle every set of a superset/circuit
+   * @param {Object} block - The group block with its exercises
+   */
+  const handleMarkGroupComplete = (block) => {
+    const memberIds = block.exercises.map(exercise => exercise.$id);
+    const allComplete = block.exercises.every(exercise => isExerciseComplete(exercise.$id, exercise.sets));
+    
+    setCompletedExercises(prev => (
+      allComplete
+        ? prev.filter(id => !memberIds.includes(id))
+        : [...prev.filter(id => !memberIds.includes(id)), ...memberIds]
+    ));
+    setCompletedSets(prev => {
+      const updated = { ...prev };
+      block.exercises.forEach(exercise => {
+        if (allComplete) {
+          delete updated[exercise.$id];
+        } else {
+          updated[exercise.$id] = (exercise.sets || []).map(set => set.$id);
+        }
+      });
+      return updated;
+    });
+  };
+
+  /**
+   * Start a rest countdown
+   * The end time is stored as a timestamp so it survives the app being backgrounded
+   * @param {number} seconds - Length of the rest period
+   */
+  const startRestTimer = (seconds) => {
+    if (!seconds || seconds <= 0) return;
+    
+    setRestTimer({
+      endsAt: Date.now() + seconds * 1000,
+      duration: seconds
+    });
+  };
+
+  /**
+   * Add or remove time from the running rest countdown
+   * @param {number} seconds - Seconds to add (negative to remove)
+   */
+  const handleAdjustRestTimer = (seconds) => {
+    setRestTimer(prev => prev && ({
+      endsAt: prev.endsAt + seconds * 1000,
+      duration: Math.max(1, prev.duration + seconds)
+    }));
+  };
+
+  /**
+   * Get the values performed for a set
+   * Falls back to the planned values when nothing was logged
+   * @param {Object} set - The planned set
+   * @return {Object} - Performed reps and weight
+   */
+  const getActualValues = (set) => {
+    return actualValues[set.$id] || {
+      reps: set.reps,
+      weight: set.weight,
+      durationSeconds: set.durationSeconds ?? null,
+      distance: set.distance ?? null,
+      dropWeights: set.dropWeights || [],
+      dropReps: (set.dropWeights || []).map(() => set.reps)
+    };
+  };
+
+  /**
+   * Check whether what was done differs from the plan
+   * Open AMRAP reps don't count as a change
+   * @param {Object} set - The planned set
+   * @param {Object} actual - Performed values
+   * @return {boolean} - True if reps, weight or drops changed
+   */
+  const isModifiedFromPlan = (set, actual) => {
+    const repsChanged = !hasOpenReps(set) && actual.reps !== set.reps;
+    const dropsChanged = (actual.dropWeights || []).some((weight, index) => (
+      weight !== set.dropWeights?.[index] || (!hasOpenReps(set) && actual.dropReps?.[index] !== set.reps)
+    ));
+    const measuresChanged = (actual.durationSeconds ?? null) !== (set.durationSeconds ?? null)
+      || (actual.distance ?? null) !== (set.distance ?? null);
+    return repsChanged || actual.weight !== set.weight || dropsChanged || measuresChanged;
+  };
+
+  /**
+   * Row style telling the set types apart
+   * Special types get a colored edge, warm-ups are also toned down
+   * @param {Object} set - The planned set
+   * @return {Array} - Styles for the set row
+   */
+  const getSetTypeStyle = (set) => {
+    const setType = getSetType(set);
+    if (setType === 'normal') return [];
+    
+    return [
+      { borderLeftWidth: 3, borderLeftColor: getSetTypeColor(setType, colors) },
+      setType === 'warmup' && styles.warmupSetRow
+    ];
+  };
+
+  /**
+   * Show the plates to load for a barbell set
+   * @param {number} weight - Weight of the set in kg
+   */
+  const openPlateCalculator = (weight) => {
+    if (!weight) return;
+    setPlateWeight(weight);
+  };
+
+  /**
+   * Save the bar and plates, then go back to the calculator
+   * @param {Object} settings - { barWeight, plates }
+   */
+  const handleSavePlates = async (settings) => {
+    setSavingPlates(true);
+    try {
+      await savePlateSettings(settings);
+      setEditingPlates(false);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to save your plates');
+    } finally {
+      setSavingPlates(false);
+    }
+  };
+
+  /**
+   * Open the modal to log what was actually done for a set
+   * @param {string} exerciseId - The ID of the exercise
+   * @param {Object} set - The planned set
+   */
+  const openEditSetModal = (exerciseId, set) => {
+    const actual = getActualValues(set);
+    const exercise = exercises.find(e => e.$id === exerciseId);
+    setEditingSet({ ...set, exerciseId, mode: getMeasurementMode(exercise) });
+    setEditReps(String(actual.reps ?? ''));
+    setEditWeight(formatWeight(actual.weight, weightUnit));
+    setEditDuration(actual.durationSeconds != null ? formatSetDuration(actual.durationSeconds) : '');
+    setEditDistance(String(actual.distance ?? ''));
+    setEditDrops((actual.dropWeights || []).map((weight, index) => ({
+      reps: String(actual.dropReps?.[index] ?? ''),
+      weight: formatWeight(weight, weightUnit)
+    })));
+    setEditRpe(actualRpe[set.$id] ?? null);
+  };
+
+  /**
+   * Update the reps or weight typed for one drop
+   * @param {number} index - Drop position
+   * @param {string} field - 'reps' or 'weight'
+   * @param {string} value - Typed value
+   */
+  const updateEditDrop = (index, field, value) => {
+    setEditDrops(prev => prev.map((drop, i) => (i === index ? { ...drop, [field]: value } : drop)));
+  };
+
+  /**
+   * Store the logged reps/weight for the set being edited
+   * Logging values also marks the set as completed
+   */
+  const handleSaveActualValues = () => {
+    if (!editingSet) return;
+    
+    // Only the fields of the exercise's measurement mode are logged
+    const values = parseSetMeasures(editingSet.mode, {
+      reps: editReps,
+      weight: editWeight,
+      duration: editDuration,
+      distance: editDistance
+    }, weightUnit);
+    
+    // A weight left as shown keeps its exact value
+    const actual = getActualValues(editingSet);
+    if (usesField(editingSet.mode, 'weight')) {
+      values.weight = parseEditedWeight(editWeight, actual.weight, weightUnit);
+    }
+    
+    const measuresError = getSetMeasuresError(editingSet.mode, values);
+    if (measuresError) {
+      Alert.alert('Error', measuresError);
+      return;
+    }
+    
+    const dropReps = editDrops.map(drop => parseInt(drop.reps));
+    const dropWeights = editDrops.map((drop, index) => parseEditedWeight(drop.weight, actual.dropWeights?.[index], weightUnit));
+    
+    if (dropReps.some(isNaN) || dropWeights.some(isNaN)) {
+      Alert.alert('Error', 'Please enter both reps and weight for every drop');
+      return;
+    }
+    
+    setActualValues(prev => ({
+      ...prev,
+      [editingSet.$id]: { ...values, dropWeights, dropReps }
+    }));
+    handleLogRpe(editingSet.$id, editRpe);
+    
+    // Logging a set means it was done
+    if (!(completedSets[editingSet.exerciseId] || []).includes(editingSet.$id)) {
+      handleMarkSetComplete(editingSet.exerciseId, editingSet.$id, true);
+    }
+    
+    setEditingSet(null);
+  };
+
   /**
    * Toggle an exercise's completion status
    * Marks all sets as complete/incomplete
@@ -100,18 +489,393 @@ const ExecuteWorkoutScreen = ({ route }) => {
   };
 
   /**
-   * Finish the workout and return to home screen
+   * Build the list of performed sets for the finished session
+   * Every planned set is recorded, with a flag telling whether it was completed
+   * @return {Array} - Performed sets ready to be saved
+   */
+  const buildPerformedSets = () => {
+    const performedSets = [];
+    
+    exercises.forEach(exercise => {
+      const completedSetsForExercise = completedSets[exercise.$id] || [];
+      
+      (exercise.sets || []).forEach(set => {
+        const actual = getActualValues(set);
+        
+        performedSets.push({
+          workoutExerciseId: exercise.$id,
+          exerciseId: exercise.exerciseId,
+          exerciseName: exercise.exerciseName,
+          measurementMode: getMeasurementMode(exercise),
+          setNumber: set.setNumber,
+          setType: getSetType(set),
+          plannedReps: set.reps,
+          plannedWeight: set.weight,
+          reps: actual.reps,
+          weight: actual.weight,
+          durationSeconds: actual.durationSeconds ?? null,
+          distance: actual.distance ?? null,
+          dropWeights: actual.dropWeights || [],
+          dropReps: actual.dropReps || [],
+          targetRpe: set.targetRpe ?? null,
+          targetRir: set.targetRir ?? null,
+          rpe: actualRpe[set.$id] ?? null,
+          completed: completedSetsForExercise.includes(set.$id)
+        });
+      });
+    });
+    
+    return performedSets;
+  };
+
+  /**
+   * Save the workout session and return to home screen
    */
-  const handleFinishWorkout = () => {
-    Alert.alert(
-      "Workout Completed",
-      "Great job! You've completed your workout.",
-      [
-        {
-          text: "OK",
-          onPress: () => navigation.navigate("WorkoutHome")
+  const handleFinishWorkout = async () => {
+    if (saving) return;
+    
+    try {
+      setSaving(true);
+      
+      const user = await authService.getCurrentUser();
+      if (!user) {
+        Alert.alert('Error', 'You need to be logged in to save your workout');
+        return;
+      }
+      
+      const session = await workoutService.saveWorkoutSession(
+        user.$id,
+        weekday,
+        startedAtRef.current,
+        new Date(),
+        buildPerformedSets()
+      );
+      
+      // Personal records are a bonus, the session is already saved if this fails
+      let records = [];
+      try {
+        records = await personalRecordService.updateRecordsForSession(user.$id, session);
+        if (records.length > 0) {
+          await workoutService.setSessionPersonalRecords(session.$id, records);
         }
-      ]
+      } catch (error) {
+        console.error('Error detecting personal records:', error);
+      }
+      
+      if (records.length > 0) {
+        // Celebrate before leaving the screen
+        Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+        setNewRecords(records);
+        return;
+      }
+      
+      Alert.alert(
+        "Workout Completed",
+        "Great job! You've completed your workout.",
+        [
+          {
+            text: "OK",
+            onPress: () => navigation.navigate("WorkoutHome")
+          }
+        ]
+      );
+    } catch (error) {
+      console.error('Error saving workout session:', error);
+      Alert.alert('Error', 'Failed to save workout. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Targets and logged RPE under a set, plus the RPE prompt right after it is checked off
+   * @param {Object} set - The planned set
+   */
+  const renderSetFooter = (set) => {
+    const targets = formatSetTargets(set);
+    const rpe = actualRpe[set.$id];
+    
+    return (
+      <>
+        {(!!targets || rpe != null) && (
+          <Text style={styles.setTargetsText}>
+            {targets}
+            {!!targets && rpe != null ? '  •  ' : ''}
+            {rpe != null ? `felt RPE ${rpe}` : ''}
+          </Text>
+        )}
+        
+        {rpePromptSetId === set.$id && (
+          <View style={styles.rpePrompt}>
+            <Text style={styles.rpePromptText}>How hard was it? RPE</Text>
+            <RpePicker
+              value={rpe ?? null}
+              onChange={(value) => handleLogRpe(set.$id, value)}
+              style={styles.rpePromptPicker}
+            />
+            <TouchableOpacity onPress={() => setRpePromptSetId(null)}>
+              <Text style={styles.rpeSkipText}>Skip</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </>
+    );
+  };
+
+  /**
+   * Render a single exercise with its own sets
+   * @param {Object} item - Workout exercise
+   */
+  const renderExerciseCard = (item) => {
+    // Calculate completion state for this exercise
+    const isComplete = isExerciseComplete(item.$id, item.sets);
+    const progress = getExerciseProgress(item.$id, item.sets);
+    
+    // Columns recorded for each set of the exercise
+    const fields = MEASUREMENT_MODES[getMeasurementMode(item)].fields;
+    const fieldFlex = 0.8 / fields.length;
+    
+    return (
+      <View style={[
+        styles.exerciseCard,
+        isComplete && styles.completedExerciseCard
+      ]}>
+        {/* Exercise Header */}
+        <View style={styles.exerciseHeader}>
+          <Text style={styles.exerciseName}>{item.exerciseName}</Text>
+          <TouchableOpacity
+            style={[
+              styles.checkButton,
+              isComplete && styles.checkedButton
+            ]}
+            onPress={() => handleMarkExerciseComplete(item.$id)}
+          >
+            {isComplete ? (
+              <Ionicons name="checkmark" size={20} color={colors.onPrimary} />
+            ) : (
+              <Text style={styles.checkButtonText}>Complete All</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+        
+        {/* Progress bar - shows visual completion progress */}
+        {(item.sets && item.sets.length > 0) && (
+          <View style={styles.progressBarContainer}>
+            <View style={[
+              styles.progressBar, 
+              { width: `${progress * 100}%` }
+            ]} />
+          </View>
+        )}
+        
+        {/* Sets list - shows each set with reps and weight */}
+        {(item.sets && item.sets.length > 0) ? (
+          <View style={styles.setsContainer}>
+            {/* Table header */}
+            <View style={styles.setsTableHeader}>
+              <Text style={[styles.setHeaderCell, { flex: 0.2 }]}>Set</Text>
+              {fields.map(field => (
+                <Text key={field} style={[styles.setHeaderCell, { flex: fieldFlex }]}>{formatFieldLabel(field, weightUnit)}</Text>
+              ))}
+              <Text style={[styles.setHeaderCell, { width: 50 }]}></Text>
+            </View>
+            
+            {/* Individual sets */}
+            {item.sets.map(set => {
+              const setCompleted = (completedSets[item.$id] || []).includes(set.$id);
+              const actual = getActualValues(set);
+              const performed = { ...set, ...actual };
+              const isModified = isModifiedFromPlan(set, actual);
+              
+              return (
+                <React.Fragment key={set.$id}>
+                  <TouchableOpacity 
+                    style={[
+                      styles.setRow,
+                      ...getSetTypeStyle(set),
+                      setCompleted && styles.completedSetRow
+                    ]}
+                    onPress={() => openEditSetModal(item.$id, set)}
+                    activeOpacity={0.7}
+                  >
+                    <SetTypeBadge set={set} style={{ flex: 0.2 }} />
+                    {fields.map(field => {
+                      const value = formatMeasure(performed, field, weightUnit);
+                      const planned = formatMeasure(set, field, weightUnit);
+                      // Open AMRAP reps have no plan to compare against
+                      const changed = value !== planned && !(field === 'reps' && hasOpenReps(set));
+                      
+                      // Barbell weights open the plate calculator
+                      const showsPlates = field === 'weight' && isPlateLoaded(item) && performed.weight > 0;
+                      
+                      return (
+                        <View key={field} style={{ flex: fieldFlex }}>
+                          {showsPlates ? (
+                            <Text
+                              style={[styles.setCell, styles.plateLinkText]}
+                              onPress={() => openPlateCalculator(performed.weight)}
+                            >
+                              {value}
+                            </Text>
+                          ) : (
+                            <Text style={styles.setCell}>{value}</Text>
+                          )}
+                          {changed && (
+                            <Text style={styles.plannedValueText}>plan {planned}</Text>
+                          )}
+                        </View>
+                      );
+                    })}
+                    {renderStopwatch(item, set, setCompleted)}
+                    <TouchableOpacity 
+                      style={[
+                        styles.setCheckBox, 
+                        setCompleted && styles.setCheckBoxCompleted,
+                        isModified && setCompleted && styles.setCheckBoxModified
+                      ]}
+                      onPress={() => handleMarkSetComplete(item.$id, set.$id)}
+                    >
+                      {setCompleted && (
+                        <Ionicons name="checkmark" size={16} color={colors.onPrimary} />
+                      )}
+                    </TouchableOpacity>
+                  </TouchableOpacity>
+                  {renderSetFooter(set)}
+                </React.Fragment>
+              );
+            })}
+          </View>
+        ) : (
+          <View style={styles.noSetsContainer}>
+            <Text style={styles.noSetsText}>No sets defined</Text>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  /**
+   * Render a superset/circuit, walking its exercises round by round
+   * The next set to do is highlighted
+   * @param {Object} block - The group block with its exercises
+   */
+  const renderGroupCard = (block) => {
+    const { group } = block;
+    const rounds = getGroupRounds(group);
+    const steps = rounds.flatMap(round => round.steps);
+    const completedCount = steps.filter(step => isSetCompleted(step.exercise.$id, step.set.$id)).length;
+    const isComplete = steps.length > 0 && completedCount === steps.length;
+    const nextStep = steps.find(step => !isSetCompleted(step.exercise.$id, step.set.$id));
+    const currentRound = rounds.find(round => round.steps.includes(nextStep));
+    
+    return (
+      <View style={[
+        styles.exerciseCard,
+        styles.groupCard,
+        isComplete && styles.completedExerciseCard
+      ]}>
+        {/* Group Header */}
+        <View style={styles.exerciseHeader}>
+          <View style={styles.groupTitleContainer}>
+            <Text style={styles.groupType}>
+              {GROUP_TYPES[group.type] || 'Group'}
+              {currentRound ? ` • Round ${currentRound.round}/${rounds.length}` : ''}
+            </Text>
+            {block.exercises.map((exercise, index) => (
+              <Text key={exercise.$id} style={styles.groupExerciseName}>
+                {getGroupLetter(index)}  {exercise.exerciseName}
+              </Text>
+            ))}
+          </View>
+          <TouchableOpacity
+            style={[
+              styles.checkButton,
+              isComplete && styles.checkedButton
+            ]}
+            onPress={() => handleMarkGroupComplete(block)}
+          >
+            {isComplete ? (
+              <Ionicons name="checkmark" size={20} color={colors.onPrimary} />
+            ) : (
+              <Text style={styles.checkButtonText}>Complete All</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+        
+        {steps.length > 0 && (
+          <View style={styles.progressBarContainer}>
+            <View style={[
+              styles.progressBar, 
+              { width: `${(completedCount / steps.length) * 100}%` }
+            ]} />
+          </View>
+        )}
+        
+        {rounds.length > 0 ? (
+          <View style={styles.setsContainer}>
+            {rounds.map(round => (
+              <View key={round.round}>
+                <Text style={styles.roundHeader}>
+                  Round {round.round} • then rest {group.restSeconds ?? DEFAULT_REST_SECONDS}s
+                </Text>
+                
+                {round.steps.map(step => {
+                  const { exercise, set } = step;
+                  const setCompleted = isSetCompleted(exercise.$id, set.$id);
+                  const actual = getActualValues(set);
+                  const performed = { ...set, ...actual };
+                  const isModified = isModifiedFromPlan(set, actual);
+                  
+                  return (
+                    <React.Fragment key={set.$id}>
+                      <TouchableOpacity
+                        style={[
+                          styles.setRow,
+                          ...getSetTypeStyle(set),
+                          setCompleted && styles.completedSetRow,
+                          step === nextStep && styles.nextSetRow
+                        ]}
+                        onPress={() => openEditSetModal(exercise.$id, set)}
+                        activeOpacity={0.7}
+                      >
+                        <SetTypeBadge set={set} label={step.label} style={styles.stepLabel} />
+                        <View style={styles.stepInfo}>
+                          <Text style={styles.stepExerciseName} numberOfLines={1}>{exercise.exerciseName}</Text>
+                          <Text
+                            style={styles.stepValues}
+                            onPress={isPlateLoaded(exercise) && performed.weight > 0 ? () => openPlateCalculator(performed.weight) : undefined}
+                          >
+                            {formatSetSummary(performed, getMeasurementMode(exercise), weightUnit)}
+                            {isModified ? <Text style={styles.plannedValueText}>  plan {formatSetSummary(set, getMeasurementMode(exercise), weightUnit)}</Text> : null}
+                          </Text>
+                        </View>
+                        {renderStopwatch(exercise, set, setCompleted)}
+                        <TouchableOpacity 
+                          style={[
+                            styles.setCheckBox, 
+                            setCompleted && styles.setCheckBoxCompleted,
+                            isModified && setCompleted && styles.setCheckBoxModified
+                          ]}
+                          onPress={() => handleMarkSetComplete(exercise.$id, set.$id)}
+                        >
+                          {setCompleted && (
+                            <Ionicons name="checkmark" size={16} color={colors.onPrimary} />
+                          )}
+                        </TouchableOpacity>
+                      </TouchableOpacity>
+                      {renderSetFooter(set)}
+                    </React.Fragment>
+                  );
+                })}
+              </View>
+            ))}
+          </View>
+        ) : (
+          <View style={styles.noSetsContainer}>
+            <Text style={styles.noSetsText}>No sets defined</Text>
+          </View>
+        )}
+      </View>
     );
   };
 
@@ -122,7 +886,7 @@ const ExecuteWorkoutScreen = ({ route }) => {
         style={styles.backButton}
         onPress={() => navigation.goBack()}
       >
-        <Ionicons name="chevron-back" size={24} color="#000" />
+        <Ionicons name="chevron-back" size={24} color={colors.textStrong} />
         <Text style={styles.backButtonText}>Back</Text>
       </TouchableOpacity>
 
@@ -134,94 +898,13 @@ const ExecuteWorkoutScreen = ({ route }) => {
 
       {/* Exercise List */}
       <FlatList
-        data={exercises}
-        keyExtractor={(item) => item.$id}
+        data={blocks}
+        keyExtractor={(item) => item.key}
         contentContainerStyle={styles.exercisesList}
         showsVerticalScrollIndicator={false}
-        renderItem={({ item }) => {
-          // Calculate completion state for this exercise
-          const isComplete = isExerciseComplete(item.$id, item.sets);
-          const progress = getExerciseProgress(item.$id, item.sets);
-          
-          return (
-            <View style={[
-              styles.exerciseCard,
-              isComplete && styles.completedExerciseCard
-            ]}>
-              {/* Exercise Header */}
-              <View style={styles.exerciseHeader}>
-                <Text style={styles.exerciseName}>{item.exerciseName}</Text>
-                <TouchableOpacity
-                  style={[
-                    styles.checkButton,
-                    isComplete && styles.checkedButton
-                  ]}
-                  onPress={() => handleMarkExerciseComplete(item.$id)}
-                >
-                  {isComplete ? (
-                    <Ionicons name="checkmark" size={20} color="#fff" />
-                  ) : (
-                    <Text style={styles.checkButtonText}>Complete All</Text>
-                  )}
-                </TouchableOpacity>
-              </View>
-              
-              {/* Progress bar - shows visual completion progress */}
-              {(item.sets && item.sets.length > 0) && (
-                <View style={styles.progressBarContainer}>
-                  <View style={[
-                    styles.progressBar, 
-                    { width: `${progress * 100}%` }
-                  ]} />
-                </View>
-              )}
-              
-              {/* Sets list - shows each set with reps and weight */}
-              {(item.sets && item.sets.length > 0) ? (
-                <View style={styles.setsContainer}>
-                  {/* Table header */}
-                  <View style={styles.setsTableHeader}>
-                    <Text style={[styles.setHeaderCell, { flex: 0.2 }]}>Set</Text>
-                    <Text style={[styles.setHeaderCell, { flex: 0.4 }]}>Reps</Text>
-                    <Text style={[styles.setHeaderCell, { flex: 0.4 }]}>Weight (kg)</Text>
-                    <Text style={[styles.setHeaderCell, { width: 50 }]}></Text>
-                  </View>
-                  
-                  {/* Individual sets */}
-                  {item.sets.map(set => {
-                    const setCompleted = (completedSets[item.$id] || []).includes(set.$id);
-                    
-                    return (
-                      <View 
-                        key={set.$id} 
-                        style={[
-                          styles.setRow,
-                          setCompleted && styles.completedSetRow
-                        ]}
-                      >
-                        <Text style={[styles.setCell, { flex: 0.2 }]}>{set.setNumber}</Text>
-                        <Text style={[styles.setCell, { flex: 0.4 }]}>{set.reps}</Text>
-                        <Text style={[styles.setCell, { flex: 0.4 }]}>{set.weight}</Text>
-                        <TouchableOpacity 
-                          style={[styles.setCheckBox, setCompleted && styles.setCheckBoxCompleted]}
-                          onPress={() => handleMarkSetComplete(item.$id, set.$id)}
-                        >
-                          {setCompleted && (
-                            <Ionicons name="checkmark" size={16} color="#fff" />
-                          )}
-                        </TouchableOpacity>
-                      </View>
-                    );
-                  })}
-                </View>
-              ) : (
-                <View style={styles.noSetsContainer}>
-                  <Text style={styles.noSetsText}>No sets defined</Text>
-                </View>
-              )}
-            </View>
-          );
-        }}
+        renderItem={({ item }) => (
+          item.group ? renderGroupCard(item) : renderExerciseCard(item.exercises[0])
+        )}
         ListEmptyComponent={
           <View style={styles.emptyContainer}>
             <Text style={styles.emptyText}>No exercises added to this day</Text>
@@ -229,23 +912,213 @@ const ExecuteWorkoutScreen = ({ route }) => {
         }
       />
 
+      {/* Rest countdown between sets */}
+      {restTimer && (
+        <RestTimerOverlay
+          endsAt={restTimer.endsAt}
+          duration={restTimer.duration}
+          onAdjust={handleAdjustRestTimer}
+          onSkip={() => setRestTimer(null)}
+          onFinish={() => setRestTimer(null)}
+        />
+      )}
+
+      {/* Plates to load for a barbell set */}
+      <PlateCalculatorModal
+        visible={plateWeight !== null && !editingPlates}
+        weight={plateWeight}
+        unit={weightUnit}
+        settings={plateSettings}
+        onEditPlates={() => setEditingPlates(true)}
+        onClose={() => setPlateWeight(null)}
+      />
+
+      <PlateSettingsModal
+        visible={editingPlates}
+        unit={weightUnit}
+        settings={plateSettings}
+        saving={savingPlates}
+        onSave={handleSavePlates}
+        onClose={() => setEditingPlates(false)}
+      />
+
       {/* Finish Workout Button */}
       <TouchableOpacity 
         style={styles.finishButton}
         onPress={handleFinishWorkout}
+        disabled={saving}
       >
-        <Text style={styles.finishButtonText}>Finish Workout</Text>
+        {saving ? (
+          <ActivityIndicator color={colors.onPrimary} size="small" />
+        ) : (
+          <Text style={styles.finishButtonText}>Finish Workout</Text>
+        )}
       </TouchableOpacity>
+      
+      {/* Celebration shown when the workout set new personal records */}
+      <Modal
+        visible={newRecords.length > 0}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={() => navigation.navigate("WorkoutHome")}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={[styles.modalContainer, styles.recordsContainer]}>
+            <Ionicons name="trophy" size={56} color={colors.gold} />
+            <Text style={styles.recordsTitle}>New Personal Records!</Text>
+            <Text style={styles.recordsSubtitle}>Great job! You've completed your workout.</Text>
+            
+            {newRecords.map(record => (
+              <View key={record.key} style={styles.recordRow}>
+                <Ionicons name="medal-outline" size={18} color={colors.gold} />
+                <View style={styles.recordTextContainer}>
+                  <Text style={styles.recordExercise}>{record.exerciseName}</Text>
+                  <Text style={styles.recordText}>{formatRecord(record, weightUnit)}</Text>
+                </View>
+              </View>
+            ))}
+            
+            <TouchableOpacity 
+              style={[styles.modalSaveButton, styles.recordsButton]} 
+              onPress={() => navigation.navigate("WorkoutHome")}
+            >
+              <Text style={styles.modalSaveButtonText}>Awesome</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Modal for logging the reps/weight actually performed */}
+      <Modal
+        visible={editingSet !== null}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setEditingSet(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>
+                Set {editingSet?.setNumber}
+                {editingSet && getSetType(editingSet) !== 'normal' ? ` • ${SET_TYPES[getSetType(editingSet)].label}` : ''}
+              </Text>
+              <TouchableOpacity onPress={() => setEditingSet(null)}>
+                <Ionicons name="close" size={24} color={colors.textSecondary} />
+              </TouchableOpacity>
+            </View>
+            
+            <Text style={styles.modalPlannedText}>
+              Planned: {editingSet && formatSetSummary(editingSet, editingSet.mode, weightUnit)}
+              {editingSet && formatSetTargets(editingSet) ? ` ${formatSetTargets(editingSet)}` : ''}
+            </Text>
+            
+            <View style={styles.formContainer}>
+              {/* Reps input */}
+              {editingSet && usesField(editingSet.mode, 'reps') && (
+                <View style={styles.formGroup}>
+                  <Text style={styles.formLabel}>Reps done</Text>
+                  <TextInput
+                    placeholderTextColor={colors.textMuted}
+                    style={styles.formInput}
+                    keyboardType="numeric"
+                    value={editReps}
+                    onChangeText={setEditReps}
+                    placeholder="Enter reps"
+                  />
+                </View>
+              )}
+              
+              {/* Weight input */}
+              {editingSet && usesField(editingSet.mode, 'weight') && (
+                <View style={styles.formGroup}>
+                  <Text style={styles.formLabel}>Weight used ({getWeightUnitLabel(weightUnit)})</Text>
+                  <TextInput
+                    placeholderTextColor={colors.textMuted}
+                    style={styles.formInput}
+                    keyboardType="decimal-pad"
+                    value={editWeight}
+                    onChangeText={setEditWeight}
+                    placeholder="Enter weight"
+                  />
+                </View>
+              )}
+              
+              {/* Distance input */}
+              {editingSet && usesField(editingSet.mode, 'distance') && (
+                <View style={styles.formGroup}>
+                  <Text style={styles.formLabel}>Distance covered (km)</Text>
+                  <TextInput
+                    placeholderTextColor={colors.textMuted}
+                    style={styles.formInput}
+                    keyboardType="decimal-pad"
+                    value={editDistance}
+                    onChangeText={setEditDistance}
+                    placeholder="Enter distance"
+                  />
+                </View>
+              )}
+              
+              {/* Time input, seconds or m:ss */}
+              {editingSet && usesField(editingSet.mode, 'durationSeconds') && (
+                <View style={styles.formGroup}>
+                  <Text style={styles.formLabel}>Time</Text>
+                  <TextInput
+                    placeholderTextColor={colors.textMuted}
+                    style={styles.formInput}
+                    keyboardType="numbers-and-punctuation"
+                    value={editDuration}
+                    onChangeText={setEditDuration}
+                    placeholder="e.g. 45 or 1:30"
+                  />
+                </View>
+              )}
+              
+              {/* One row per drop of a drop set */}
+              {editDrops.map((drop, index) => (
+                <View key={index} style={styles.dropRow}>
+                  <Text style={styles.dropLabel}>Drop {index + 1}</Text>
+                  <TextInput
+                    placeholderTextColor={colors.textMuted}
+                    style={[styles.formInput, styles.dropInput]}
+                    keyboardType="numeric"
+                    value={drop.reps}
+                    onChangeText={(value) => updateEditDrop(index, 'reps', value)}
+                    placeholder="Reps"
+                  />
+                  <TextInput
+                    placeholderTextColor={colors.textMuted}
+                    style={[styles.formInput, styles.dropInput]}
+                    keyboardType="decimal-pad"
+                    value={drop.weight}
+                    onChangeText={(value) => updateEditDrop(index, 'weight', value)}
+                    placeholder={getWeightUnitLabel(weightUnit)}
+                  />
+                </View>
+              ))}
+              
+              {/* How hard the set felt */}
+              <View style={styles.formGroup}>
+                <Text style={styles.formLabel}>RPE (optional)</Text>
+                <RpePicker value={editRpe} onChange={setEditRpe} />
+              </View>
+            </View>
+            
+            <TouchableOpacity style={styles.modalSaveButton} onPress={handleSaveActualValues}>
+              <Text style={styles.modalSaveButtonText}>Log Set</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
     </View>
   );
 };
 
 export default ExecuteWorkoutScreen;
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#fff',
+    backgroundColor: colors.background,
     padding: 20,
     paddingTop: 10,
   },
@@ -257,6 +1130,7 @@ const styles = StyleSheet.create({
   backButtonText: {
     fontSize: 16,
     marginLeft: 5,
+    color: colors.textStrong,
   },
   header: {
     alignItems: 'center',
@@ -266,22 +1140,74 @@ const styles = StyleSheet.create({
     fontSize: 28,
     fontWeight: 'bold',
     marginBottom: 5,
+    color: colors.textStrong,
   },
   subtitle: {
     fontSize: 16,
-    color: '#666',
+    color: colors.textSecondary,
   },
   exercisesList: {
     paddingBottom: 100,
   },
   exerciseCard: {
-    backgroundColor: '#f5f5f5',
+    backgroundColor: colors.surface,
     borderRadius: 10,
     padding: 15,
     marginBottom: 15,
   },
+  groupCard: {
+    borderLeftWidth: 4,
+    borderLeftColor: colors.primary, // Same marker as linked exercises in the planner
+  },
+  groupTitleContainer: {
+    flex: 1,
+  },
+  groupType: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: colors.primary,
+    textTransform: 'uppercase',
+    marginBottom: 4,
+  },
+  groupExerciseName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.textStrong,
+  },
+  roundHeader: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.textSecondary,
+    backgroundColor: colors.surfaceMuted,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  nextSetRow: {
+    backgroundColor: colors.primarySoft, // The set to do next
+  },
+  stepLabel: {
+    width: 36,
+    fontWeight: '700',
+    color: colors.primary,
+  },
+  stepInfo: {
+    flex: 1,
+    marginHorizontal: 8,
+  },
+  stepExerciseName: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: colors.textStrong,
+  },
+  stepValues: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
   completedExerciseCard: {
-    backgroundColor: '#e8f5e9', // Light green for completed exercises
+    backgroundColor: colors.successSoft, // Light green for completed exercises
   },
   exerciseHeader: {
     flexDirection: 'row',
@@ -293,52 +1219,53 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: '600',
     flex: 1,
+    color: colors.textStrong,
   },
   checkButton: {
-    backgroundColor: '#e0e0e0',
+    backgroundColor: colors.neutral,
     paddingVertical: 6,
     paddingHorizontal: 12,
     borderRadius: 5,
   },
   checkedButton: {
-    backgroundColor: '#4CAF50',
+    backgroundColor: colors.success,
   },
   checkButtonText: {
-    color: '#666',
+    color: colors.textSecondary,
     fontWeight: '500',
     fontSize: 12,
   },
   progressBarContainer: {
     height: 4,
-    backgroundColor: '#e0e0e0',
+    backgroundColor: colors.neutral,
     borderRadius: 2,
     marginBottom: 15,
     overflow: 'hidden',
   },
   progressBar: {
     height: '100%',
-    backgroundColor: '#4CAF50',
+    backgroundColor: colors.success,
   },
   setsContainer: {
-    backgroundColor: '#fff',
+    backgroundColor: colors.background,
     borderRadius: 8,
     overflow: 'hidden',
     borderWidth: 1,
-    borderColor: '#e5e5e5',
+    borderColor: colors.divider,
   },
   setsTableHeader: {
     flexDirection: 'row',
-    backgroundColor: '#f9f9f9',
+    backgroundColor: colors.surfaceMuted,
     paddingVertical: 8,
     paddingHorizontal: 10,
     borderBottomWidth: 1,
-    borderBottomColor: '#e5e5e5',
+    borderBottomColor: colors.divider,
     alignItems: 'center',
   },
   setHeaderCell: {
     fontSize: 14,
     fontWeight: '600',
-    color: '#555',
+    color: colors.textSecondary,
     textAlign: 'center',
   },
   setRow: {
@@ -346,36 +1273,97 @@ const styles = StyleSheet.create({
     paddingVertical: 12,
     paddingHorizontal: 10,
     borderBottomWidth: 1,
-    borderBottomColor: '#f0f0f0',
+    borderBottomColor: colors.divider,
     alignItems: 'center',
   },
+  warmupSetRow: {
+    backgroundColor: colors.warningSoft, // Warm-ups don't count towards volume or records
+  },
+  dropRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  dropLabel: {
+    width: 60,
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+  dropInput: {
+    flex: 1,
+    marginLeft: 8,
+  },
   completedSetRow: {
-    backgroundColor: '#f3f9f4', // Very light green for completed sets
+    backgroundColor: colors.successSubtle, // Very light green for completed sets
   },
   setCell: {
     fontSize: 16,
     textAlign: 'center',
+    color: colors.textStrong,
+  },
+  plateLinkText: {
+    color: colors.primary,
+    textDecorationLine: 'underline', // Tapping shows the plates to load
   },
   setCheckBox: {
     width: 24,
     height: 24,
     borderRadius: 12,
     borderWidth: 2,
-    borderColor: '#ccc',
+    borderColor: colors.border,
     justifyContent: 'center',
     alignItems: 'center',
     marginLeft: 'auto',
   },
   setCheckBoxCompleted: {
-    backgroundColor: '#4CAF50',
-    borderColor: '#4CAF50',
+    backgroundColor: colors.success,
+    borderColor: colors.success,
+  },
+  setCheckBoxModified: {
+    backgroundColor: colors.warning, // Orange when performed values differ from the plan
+    borderColor: colors.warning,
+  },
+  setTargetsText: {
+    fontSize: 12,
+    color: colors.textMuted,
+    paddingHorizontal: 10,
+    paddingBottom: 6,
+  },
+  rpePrompt: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    backgroundColor: colors.primarySoft,
+  },
+  rpePromptText: {
+    fontSize: 13,
+    color: colors.primary,
+    marginRight: 8,
+  },
+  stopwatchButton: {
+    marginRight: 8,
+  },
+  rpePromptPicker: {
+    flex: 1,
+  },
+  rpeSkipText: {
+    fontSize: 13,
+    color: colors.textMuted,
+    marginLeft: 8,
+  },
+  plannedValueText: {
+    fontSize: 11,
+    color: colors.textMuted,
+    textAlign: 'center',
+    textDecorationLine: 'line-through',
   },
   noSetsContainer: {
     padding: 15,
     alignItems: 'center',
   },
   noSetsText: {
-    color: '#999',
+    color: colors.textMuted,
     fontStyle: 'italic',
   },
   emptyContainer: {
@@ -385,21 +1373,123 @@ const styles = StyleSheet.create({
   },
   emptyText: {
     fontSize: 16,
-    color: '#999',
+    color: colors.textMuted,
   },
   finishButton: {
     position: 'absolute',
     bottom: 90,
     left: 20,
     right: 20,
-    backgroundColor: '#1E0371',
+    backgroundColor: colors.primary,
     borderRadius: 10,
     padding: 16,
     alignItems: 'center',
   },
   finishButtonText: {
-    color: '#fff',
+    color: colors.onPrimary,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  // Modal styles
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: colors.overlay,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContainer: {
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    width: '85%',
+    padding: 20,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  modalPlannedText: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginBottom: 20,
+  },
+  formContainer: {
+    marginBottom: 20,
+  },
+  formGroup: {
+    marginBottom: 15,
+  },
+  formLabel: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginBottom: 6,
+  },
+  formInput: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
     fontSize: 16,
+    color: colors.textStrong,
+  },
+  modalSaveButton: {
+    backgroundColor: colors.primary,
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+  },
+  modalSaveButtonText: {
+    color: colors.onPrimary,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  // Personal record celebration styles
+  recordsContainer: {
+    alignItems: 'center',
+  },
+  recordsTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginTop: 10,
+  },
+  recordsSubtitle: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginTop: 4,
+    marginBottom: 15,
+  },
+  recordRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'stretch',
+    backgroundColor: colors.goldSoft, // Light gold background
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 8,
+  },
+  recordTextContainer: {
+    marginLeft: 10,
+    flex: 1,
+  },
+  recordExercise: {
+    fontSize: 15,
     fontWeight: '600',
+    color: colors.text,
+  },
+  recordText: {
+    fontSize: 13,
+    color: colors.textSecondary,
+  },
+  recordsButton: {
+    alignSelf: 'stretch',
+    marginTop: 10,
   },
 });
\ No newline at end of file
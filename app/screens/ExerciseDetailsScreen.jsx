@@ -5,19 +5,48 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { exerciseService } from '../services/exerciseService';
+import { workoutService } from '../services/workoutService';
+import { account } from '../config/appwrite';
+import { buildExerciseProgress } from '../utils/workoutStats';
+import ProgressChart from '../components/ProgressChart';
+import { useWeightUnit } from '../context/PreferencesContext';
+import { toDisplayWeight, toDisplayVolume, getWeightUnitLabel } from '../utils/units';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+
+// Time ranges for the progress chart (days = null means all time)
+const PROGRESS_RANGES = [
+  { key: '4w', label: '4W', days: 28 },
+  { key: '3m', label: '3M', days: 91 },
+  { key: '1y', label: '1Y', days: 365 },
+  { key: 'all', label: 'All', days: null },
+];
+
+// Values that can be plotted for an exercise, converted from kg to the user's unit
+const PROGRESS_METRICS = [
+  { key: 'heaviestWeight', label: 'Heaviest', toUnit: toDisplayWeight },
+  { key: 'bestOneRepMax', label: 'Best e1RM', toUnit: toDisplayWeight },
+  { key: 'totalVolume', label: 'Volume', toUnit: toDisplayVolume },
+];
 
 /**
  * ExerciseDetailsScreen - Shows all information about an exercise
  * Like a detailed card with pictures, instructions, and tips
  */
 const ExerciseDetailsScreen = ({ route, navigation }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   // Get the exercise from the previous screen
   const { exercise: initialExercise, exerciseId } = route.params;
+  const weightUnit = useWeightUnit(); // Unit the progress chart is drawn in
   
   // Things the screen needs to keep track of
   const [exercise, setExercise] = useState(initialExercise || null); // The exercise data to display
   const [loading, setLoading] = useState(true);  // Whether we're still loading data
   const [imageError, setImageError] = useState(false); // If the image fails to load
+  const [progressRange, setProgressRange] = useState('3m');   // Selected chart time range
+  const [progressMetric, setProgressMetric] = useState('heaviestWeight'); // Selected chart value
+  const [progressPoints, setProgressPoints] = useState([]);   // One point per session
+  const [progressLoading, setProgressLoading] = useState(true); // Whether history is loading
 
   /**
    * Get the full exercise details when screen opens
@@ -48,11 +77,47 @@ const ExerciseDetailsScreen = ({ route, navigation }) => {
     fetchExerciseDetails();
   }, [initialExercise?.$id, exerciseId]);
 
+  /**
+   * Load the user's completed sets for this exercise in the selected range
+   * Runs again whenever a different range is picked
+   */
+  useEffect(() => {
+    const fetchProgress = async () => {
+      const id = initialExercise?.$id || exerciseId;
+      if (!id) return;
+
+      try {
+        setProgressLoading(true);
+        const user = await account.get();
+        const range = PROGRESS_RANGES.find(r => r.key === progressRange);
+        const since = range.days ? new Date(Date.now() - range.days * 24 * 60 * 60 * 1000) : null;
+
+        const history = await workoutService.getExerciseHistory(user.$id, id, since);
+        setProgressPoints(buildExerciseProgress(history));
+      } catch (error) {
+        console.error('Failed to fetch exercise progress:', error);
+        setProgressPoints([]);
+      } finally {
+        setProgressLoading(false);
+      }
+    };
+
+    fetchProgress();
+  }, [initialExercise?.$id, exerciseId, progressRange]);
+
+  // Points for the chart in the currently selected metric
+  const metric = PROGRESS_METRICS.find(m => m.key === progressMetric);
+  const chartData = progressPoints.map(point => ({
+    key: point.sessionId,
+    label: new Date(point.date).toLocaleDateString(undefined, { day: 'numeric', month: 'short' }),
+    value: metric.toUnit(point[progressMetric], weightUnit) || 0
+  }));
+
   // Show a spinner while loading
   if (loading) {
     return (
       <View style={styles.loadingContainer}>
-        <ActivityIndicator size="large" color="#222" />
+        <ActivityIndicator size="large" color={colors.textStrong} />
       </View>
     );
   }
@@ -65,11 +130,11 @@ const ExerciseDetailsScreen = ({ route, navigation }) => {
           style={styles.backButton}
           onPress={() => navigation.goBack()}
         >
-          <Ionicons name="chevron-back" size={24} color="#000" />
+          <Ionicons name="chevron-back" size={24} color={colors.textStrong} />
           <Text style={styles.backText}>Back</Text>
         </TouchableOpacity>
         <View style={styles.loadingContainer}>
-          <Text>Exercise not found</Text>
+          <Text style={styles.notFoundText}>Exercise not found</Text>
         </View>
       </View>
     );
@@ -82,7 +147,7 @@ const ExerciseDetailsScreen = ({ route, navigation }) => {
         style={styles.backButton}
         onPress={() => navigation.goBack()}
       >
-        <Ionicons name="chevron-back" size={24} color="#000" />
+        <Ionicons name="chevron-back" size={24} color={colors.textStrong} />
         <Text style={styles.backText}>Back</Text>
       </TouchableOpacity>
 
@@ -149,11 +214,52 @@ const ExerciseDetailsScreen = ({ route, navigation }) => {
         {exercise.tips && (
           <View style={styles.tipSection}>
             <View style={styles.tipBox}>
-              <Ionicons name="bulb" size={20} color="#FF9500" />
+              <Ionicons name="bulb" size={20} color={colors.warning} />
               <Text style={styles.tipText}>{exercise.tips}</Text>
             </View>
           </View>
         )}
+        
+        {/* Progress over time from completed sets */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>My progress</Text>
+          
+          {/* Metric selector */}
+          <View style={styles.selectorRow}>
+            {PROGRESS_METRICS.map(option => (
+              <TouchableOpacity
+                key={option.key}
+                style={[styles.selectorChip, progressMetric === option.key && styles.selectorChipActive]}
+                onPress={() => setProgressMetric(option.key)}
+              >
+                <Text style={[styles.selectorText, progressMetric === option.key && styles.selectorTextActive]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          
+          {progressLoading ? (
+            <ActivityIndicator style={styles.progressLoader} color={colors.primary} />
+          ) : (
+            <ProgressChart data={chartData} unit={getWeightUnitLabel(weightUnit)} />
+          )}
+          
+          {/* Range selector */}
+          <View style={[styles.selectorRow, styles.rangeRow]}>
+            {PROGRESS_RANGES.map(option => (
+              <TouchableOpacity
+                key={option.key}
+                style={[styles.rangeChip, progressRange === option.key && styles.selectorChipActive]}
+                onPress={() => setProgressRange(option.key)}
+              >
+                <Text style={[styles.selectorText, progressRange === option.key && styles.selectorTextActive]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
       </ScrollView>
     </View>
   );
@@ -166,17 +272,21 @@ export default ExerciseDetailsScreen;
  * Styles control how everything looks on screen
  * Colors, spacing, sizes, and layout
  */
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#fff', // White background
+    backgroundColor: colors.background, // White background
     paddingTop: 0,
   },
   loadingContainer: {
     flex: 1,
     justifyContent: 'center', // Center the spinner
     alignItems: 'center',
-    backgroundColor: '#fff',
+    backgroundColor: colors.background,
+  },
+  notFoundText: {
+    fontSize: 16,
+    color: colors.textSecondary,
   },
   scrollView: {
     padding: 20, // Space around all content
@@ -194,15 +304,17 @@ const styles = StyleSheet.create({
   backText: {
     fontSize: 16,
     marginLeft: 5,
+    color: colors.textStrong,
   },
   title: {
     fontSize: 25,
     fontWeight: 'bold',
     marginBottom: 20,
+    color: colors.textStrong,
   },
   imageContainer: {
     height: 200,
-    backgroundColor: '#fff',
+    backgroundColor: colors.background,
     borderRadius: 12, // Rounded corners
     justifyContent: 'center',
     alignItems: 'center',
@@ -218,7 +330,7 @@ const styles = StyleSheet.create({
     marginBottom: 25,
   },
   tag: {
-    backgroundColor: '#f0f0f0', // Light gray background
+    backgroundColor: colors.surface, // Light gray background
     paddingVertical: 6,
     paddingHorizontal: 12,
     borderRadius: 20, // Pill shape
@@ -226,7 +338,7 @@ const styles = StyleSheet.create({
   },
   tagText: {
     fontSize: 14,
-    color: '#444',
+    color: colors.text,
   },
   section: {
     marginBottom: 25, // Space between sections
@@ -235,6 +347,7 @@ const styles = StyleSheet.create({
     fontSize: 20,
     fontWeight: '600',
     marginBottom: 15,
+    color: colors.textStrong,
   },
   instructionsContainer: {
     marginLeft: 5,
@@ -247,19 +360,19 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: 'bold',
     marginRight: 10,
-    color: '#444',
+    color: colors.text,
   },
   instructionText: {
     flex: 1, // Take up remaining space
     fontSize: 15,
     lineHeight: 22, // Space between lines for readability
-    color: '#333',
+    color: colors.text,
   },
   tipSection: {
     marginBottom: 30,
   },
   tipBox: {
-    backgroundColor: '#FFF9E6', // Light yellow background
+    backgroundColor: colors.goldSoft, // Light yellow background
     borderRadius: 12,
     padding: 15,
     flexDirection: 'row',
@@ -270,11 +383,47 @@ const styles = StyleSheet.create({
     marginLeft: 10,
     fontSize: 15,
     lineHeight: 22,
-    color: '#333',
+    color: colors.text,
   },
   noContentText: {
     fontSize: 15,
-    color: '#888',
+    color: colors.textMuted,
     fontStyle: 'italic'
   },
+  selectorRow: {
+    flexDirection: 'row', // Chips side by side
+    marginBottom: 12,
+  },
+  rangeRow: {
+    justifyContent: 'center',
+    marginTop: 12,
+  },
+  selectorChip: {
+    backgroundColor: colors.surface,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 20, // Pill shape
+    marginRight: 8,
+  },
+  rangeChip: {
+    backgroundColor: colors.surface,
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 20,
+    marginHorizontal: 4,
+  },
+  selectorChipActive: {
+    backgroundColor: colors.primary,
+  },
+  selectorText: {
+    fontSize: 14,
+    color: colors.text,
+  },
+  selectorTextActive: {
+    color: colors.onPrimary,
+    fontWeight: '600',
+  },
+  progressLoader: {
+    paddingVertical: 60,
+  },
 });
\ No newline at end of file
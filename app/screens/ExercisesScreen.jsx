@@ -7,12 +7,15 @@ import { useNavigation } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
 import { exerciseService } from '../services/exerciseService';
 import { SafeAreaView } from 'react-native-safe-area-context';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
 
 /**
  * ExercisesScreen - Browse and search exercise library
  * Users can find exercises by name, body part, or equipment type
  */
 const ExercisesScreen = () => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   // Lists of options for the filter dropdowns
   const bodyParts = ["Chest", "Back", "Legs", "Arms", "Shoulders", "Tricep", "Core", "Glutes", "Full Body"];
   const categories = ["Barbell", "Dumbbell", "Machine", "Bodyweight", "Cable", "Cardio"];
@@ -55,7 +58,17 @@ const ExercisesScreen = () => {
       setExercises(data);
     } catch (error) {
       console.error('Could not get exercises:', error);
-      // Could show error message to user here
+      
+      // Offline: filter the library saved on the device instead
+      const cachedData = await exerciseService.getCachedExercises();
+      if (cachedData) {
+        const search = searchText.trim().toLowerCase();
+        setExercises(cachedData.filter(ex =>
+          (selectedBodyPart === 'All Body Part' || ex.bodyPart === selectedBodyPart) &&
+          (selectedCategory === 'All Category' || ex.category === selectedCategory) &&
+          (!search || ex.name?.toLowerCase().includes(search))
+        ));
+      }
     } finally {
       // Hide loading spinner when done
       setLoading(false);
@@ -150,8 +163,9 @@ const ExercisesScreen = () => {
       
       {/* Search box */}
       <View style={styles.searchContainer}>
-        <Ionicons name="search" size={20} color="#999" style={styles.searchIcon} />
+        <Ionicons name="search" size={20} color={colors.textMuted} style={styles.searchIcon} />
         <TextInput
+          placeholderTextColor={colors.textMuted}
           style={styles.searchInput}
           placeholder="Search"
           value={searchText}
@@ -175,7 +189,7 @@ const ExercisesScreen = () => {
             <Ionicons 
               name={openDropdown === 'bodyPart' ? "chevron-up" : "chevron-down"} 
               size={16} 
-              color="#666" 
+              color={colors.textSecondary} 
               style={styles.dropdownIcon}
             />
           </TouchableOpacity>
@@ -203,7 +217,7 @@ const ExercisesScreen = () => {
                         {item}
                       </Text>
                       {selectedBodyPart === item && (
-                        <Ionicons name="checkmark" size={16} color="#007bff" />
+                        <Ionicons name="checkmark" size={16} color={colors.accent} />
                       )}
                     </TouchableOpacity>
                   ))}
@@ -227,7 +241,7 @@ const ExercisesScreen = () => {
             <Ionicons 
               name={openDropdown === 'category' ? "chevron-up" : "chevron-down"} 
               size={16} 
-              color="#666" 
+              color={colors.textSecondary} 
               style={styles.dropdownIcon}
             />
           </TouchableOpacity>
@@ -255,7 +269,7 @@ const ExercisesScreen = () => {
                         {item}
                       </Text>
                       {selectedCategory === item && (
-                        <Ionicons name="checkmark" size={16} color="#007bff" />
+                        <Ionicons name="checkmark" size={16} color={colors.accent} />
                       )}
                     </TouchableOpacity>
                   ))}
@@ -268,7 +282,7 @@ const ExercisesScreen = () => {
         {/* Clear filters button - only shown when filters are active */}
         {(selectedBodyPart !== 'All Body Part' || selectedCategory !== 'All Category') && (
           <TouchableOpacity style={styles.clearButton} onPress={clearFilters}>
-            <Ionicons name="close" size={18} color="#666" />
+            <Ionicons name="close" size={18} color={colors.textSecondary} />
           </TouchableOpacity>
         )}
       </View>
@@ -276,7 +290,7 @@ const ExercisesScreen = () => {
       {/* Exercise list or loading spinner */}
       {loading ? (
         <View style={styles.loaderContainer}>
-          <ActivityIndicator size="large" color="#222" />
+          <ActivityIndicator size="large" color={colors.textStrong} />
         </View>
       ) : (
         <FlatList
@@ -308,21 +322,22 @@ const ExercisesScreen = () => {
 export default ExercisesScreen;
 
 // Styles define how everything looks
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#fff',
+    backgroundColor: colors.background,
     padding: 20,
   },
   title: {
     fontSize: 28,
     fontWeight: 'bold',
     marginBottom: 20,
+    color: colors.textStrong,
   },
   searchContainer: {
     flexDirection: 'row',
     alignItems: 'center',
-    backgroundColor: '#f5f5f5',
+    backgroundColor: colors.surface,
     borderRadius: 25,
     paddingHorizontal: 15,
     marginBottom: 15,
@@ -334,6 +349,7 @@ const styles = StyleSheet.create({
     flex: 1,
     paddingVertical: 12,
     fontSize: 16,
+    color: colors.textStrong,
   },
   filterSection: {
     flexDirection: 'row',
@@ -351,22 +367,23 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     alignItems: 'center',
     justifyContent: 'space-between', // Better spacing between text and icon
-    backgroundColor: '#f0f0f0',
+    backgroundColor: colors.surface,
     paddingHorizontal: 15,
     paddingVertical: 10, // Slightly taller for better touch target
     borderRadius: 20,
   },
   activeFilter: {
-    backgroundColor: '#e0e0e0',
+    backgroundColor: colors.neutral,
   },
   activeDropdown: {
-    backgroundColor: '#e0e0e0',
+    backgroundColor: colors.neutral,
     borderBottomLeftRadius: 0,
     borderBottomRightRadius: 0,
   },
   filterText: {
     fontSize: 14,
     flex: 1, // Take available space
+    color: colors.textStrong,
   },
   dropdownIcon: {
     marginLeft: 5,
@@ -380,9 +397,9 @@ const styles = StyleSheet.create({
     zIndex: 1001,
   },
   dropdown: {
-    backgroundColor: '#fff',
+    backgroundColor: colors.card,
     borderRadius: 10,
-    shadowColor: '#000',
+    shadowColor: colors.shadow,
     shadowOffset: { width: 0, height: 2 },
     shadowOpacity: 0.15,
     shadowRadius: 6,
@@ -391,7 +408,7 @@ const styles = StyleSheet.create({
     width: 'auto', // Auto width based on content
     minWidth: '100%', // At least as wide as the button
     borderWidth: 1,
-    borderColor: '#eaeaea',
+    borderColor: colors.divider,
   },
   dropdownScroll: {
     maxHeight: 240,
@@ -403,21 +420,21 @@ const styles = StyleSheet.create({
     paddingVertical: 12, // Taller items for better touch targets
     paddingHorizontal: 15,
     borderBottomWidth: 1,
-    borderBottomColor: '#f0f0f0',
+    borderBottomColor: colors.divider,
   },
   selectedDropdownItem: {
-    backgroundColor: '#f0f7ff',
+    backgroundColor: colors.primarySoft,
   },
   dropdownText: {
     fontSize: 14,
-    color: '#333',
+    color: colors.text,
   },
   selectedDropdownText: {
-    color: '#007bff',
+    color: colors.accent,
     fontWeight: '500',
   },
   clearButton: {
-    backgroundColor: '#f0f0f0',
+    backgroundColor: colors.surface,
     borderRadius: 20,
     width: 36,
     height: 36,
@@ -439,7 +456,7 @@ const styles = StyleSheet.create({
   },
   exerciseItem: {
     flexDirection: 'row',
-    backgroundColor: '#fff',
+    backgroundColor: colors.card,
     borderRadius: 10,
     marginBottom: 15,
     overflow: 'hidden',
@@ -449,7 +466,7 @@ const styles = StyleSheet.create({
     height: 60,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: '#eee',
+    backgroundColor: colors.neutral,
   },
   thumbnail: {
     width: 60,
@@ -462,10 +479,11 @@ const styles = StyleSheet.create({
   exerciseName: {
     fontSize: 16,
     fontWeight: '500',
+    color: colors.textStrong,
   },
   exerciseCategory: {
     fontSize: 14,
-    color: '#666',
+    color: colors.textSecondary,
     marginTop: 4,
   },
   loaderContainer: {
@@ -479,6 +497,6 @@ const styles = StyleSheet.create({
   },
   emptyText: {
     fontSize: 16,
-    color: '#666',
+    color: colors.textSecondary,
   },
 });
\ No newline at end of file
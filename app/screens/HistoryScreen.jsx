@@ -0,0 +1,302 @@
+import { StyleSheet, Text, View, FlatList, TouchableOpacity, ActivityIndicator } from 'react-native';
+import React, { useState, useCallback } from 'react';
+import { Ionicons } from '@expo/vector-icons';
+import { useNavigation, useFocusEffect } from '@react-navigation/native';
+import { account } from '../config/appwrite';
+import { workoutService } from '../services/workoutService';
+import { formatDuration } from '../utils/workoutStats';
+import { useWeightUnit } from '../context/PreferencesContext';
+import { toDisplayVolume, getWeightUnitLabel } from '../utils/units';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+
+// Number of sessions loaded per page
+const PAGE_SIZE = 20;
+
+/**
+ * HistoryScreen - Lists finished workout sessions, newest first
+ * Loads sessions page by page so long histories stay fast
+ */
+const HistoryScreen = () => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const navigation = useNavigation();
+  const weightUnit = useWeightUnit();                 // Unit volume is shown in
+  const [userId, setUserId] = useState(null);         // Current user's ID
+  const [sessions, setSessions] = useState([]);       // Loaded sessions
+  const [nextCursor, setNextCursor] = useState(null); // Cursor for the next page (null when done)
+  const [loading, setLoading] = useState(true);       // Initial loading indicator
+  const [loadingMore, setLoadingMore] = useState(false); // Loading indicator for next pages
+  const [refreshing, setRefreshing] = useState(false);   // Pull-to-refresh indicator
+
+  /**
+   * Load the first page of sessions
+   * @param {string} id - Current user's ID
+   */
+  const loadFirstPage = async (id) => {
+    const page = await workoutService.getUserSessions(id, PAGE_SIZE);
+    setSessions(page.sessions);
+    setNextCursor(page.nextCursor);
+  };
+
+  /**
+   * Reload history every time the tab is focused
+   * A workout may have been finished since the last visit
+   */
+  useFocusEffect(
+    useCallback(() => {
+      const loadData = async () => {
+        try {
+          const user = await account.get();
+          setUserId(user.$id);
+          await loadFirstPage(user.$id);
+        } catch (error) {
+          console.error('History load error:', error);
+        } finally {
+          setLoading(false);
+        }
+      };
+
+      loadData();
+    }, [])
+  );
+
+  /**
+   * Load the next page when the end of the list is reached
+   */
+  const handleLoadMore = async () => {
+    if (!nextCursor || loadingMore || !userId) return;
+
+    try {
+      setLoadingMore(true);
+      const page = await workoutService.getUserSessions(userId, PAGE_SIZE, nextCursor);
+      setSessions(prev => [...prev, ...page.sessions]);
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      console.error('Error loading more sessions:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  /**
+   * Pull-to-refresh handler
+   */
+  const handleRefresh = async () => {
+    if (!userId) return;
+
+    try {
+      setRefreshing(true);
+      await loadFirstPage(userId);
+    } catch (error) {
+      console.error('Error refreshing sessions:', error);
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  /**
+   * Format a session's start date, e.g. "Mon, 12 May 2025"
+   * @param {string} isoDate - ISO date string
+   * @returns {string} - Formatted date
+   */
+  const formatDate = (isoDate) => {
+    return new Date(isoDate).toLocaleDateString(undefined, {
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric'
+    });
+  };
+
+  /**
+   * Render a single session card
+   */
+  const renderSession = ({ item }) => (
+    <TouchableOpacity
+      style={styles.sessionCard}
+      onPress={() => navigation.navigate('SessionDetails', { session: item })}
+    >
+      <View style={styles.sessionIconContainer}>
+        <Ionicons name="checkmark-done-outline" size={24} color={colors.primary} />
+      </View>
+      <View style={styles.sessionInfo}>
+        <View style={styles.sessionDateRow}>
+          <Text style={styles.sessionDate}>{formatDate(item.startedAt)}</Text>
+          {item.prCount > 0 && (
+            <View style={styles.prBadge}>
+              <Ionicons name="trophy" size={12} color={colors.onPrimary} />
+              <Text style={styles.prBadgeText}>{item.prCount} PR</Text>
+            </View>
+          )}
+        </View>
+        <Text style={styles.sessionTitle}>
+          {item.dayName}{item.description ? ` • ${item.description}` : ''}
+        </Text>
+        <View style={styles.statsRow}>
+          <View style={styles.stat}>
+            <Ionicons name="time-outline" size={14} color={colors.textSecondary} />
+            <Text style={styles.statText}>{formatDuration(item.durationSeconds)}</Text>
+          </View>
+          <View style={styles.stat}>
+            <Ionicons name="barbell-outline" size={14} color={colors.textSecondary} />
+            <Text style={styles.statText}>{toDisplayVolume(item.totalVolume, weightUnit)} {getWeightUnitLabel(weightUnit)}</Text>
+          </View>
+          <View style={styles.stat}>
+            <Ionicons name="checkmark-circle-outline" size={14} color={colors.textSecondary} />
+            <Text style={styles.statText}>{item.setsCompleted || 0} sets</Text>
+          </View>
+        </View>
+      </View>
+      <Ionicons name="chevron-forward" size={20} color={colors.textMuted} />
+    </TouchableOpacity>
+  );
+
+  // Show loading spinner while fetching the first page
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={colors.textStrong} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>History</Text>
+
+      <FlatList
+        data={sessions}
+        keyExtractor={(item) => item.$id}
+        renderItem={renderSession}
+        contentContainerStyle={styles.sessionList}
+        showsVerticalScrollIndicator={false}
+        onEndReached={handleLoadMore}
+        onEndReachedThreshold={0.5}
+        refreshing={refreshing}
+        onRefresh={handleRefresh}
+        ListFooterComponent={
+          loadingMore ? <ActivityIndicator style={styles.footerLoader} color={colors.primary} /> : null
+        }
+        ListEmptyComponent={
+          <View style={styles.emptyContainer}>
+            <Ionicons name="calendar-outline" size={60} color={colors.textDisabled} />
+            <Text style={styles.emptyText}>No workouts yet</Text>
+            <Text style={styles.emptySubtext}>
+              Finished workouts will show up here
+            </Text>
+          </View>
+        }
+      />
+    </View>
+  );
+};
+
+export default HistoryScreen;
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+    padding: 20,
+    paddingTop: 10,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: colors.background,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    marginBottom: 20,
+    color: colors.textStrong,
+  },
+  sessionList: {
+    paddingBottom: 100,
+  },
+  sessionCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+    borderRadius: 10,
+    padding: 16,
+    marginBottom: 10,
+  },
+  sessionIconContainer: {
+    width: 40,
+    height: 40,
+    borderRadius: 8,
+    backgroundColor: colors.primarySoft,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 15,
+  },
+  sessionInfo: {
+    flex: 1,
+  },
+  sessionDateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 2,
+  },
+  sessionDate: {
+    fontSize: 17,
+    fontWeight: '600',
+    color: colors.textStrong,
+  },
+  prBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.gold,
+    borderRadius: 10,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    marginLeft: 8,
+  },
+  prBadgeText: {
+    color: colors.onPrimary,
+    fontSize: 11,
+    fontWeight: '600',
+    marginLeft: 3,
+  },
+  sessionTitle: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginBottom: 6,
+  },
+  statsRow: {
+    flexDirection: 'row',
+  },
+  stat: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  statText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginLeft: 4,
+  },
+  footerLoader: {
+    marginVertical: 15,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 40,
+    marginTop: 50,
+  },
+  emptyText: {
+    fontSize: 18,
+    color: colors.textSecondary,
+    marginTop: 12,
+    fontWeight: '500',
+  },
+  emptySubtext: {
+    fontSize: 14,
+    color: colors.textMuted,
+    textAlign: 'center',
+    marginTop: 8,
+  },
+});
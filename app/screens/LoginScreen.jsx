@@ -4,12 +4,15 @@ import { useNavigation } from '@react-navigation/native';
 import { AuthContext } from '../index';
 import { Ionicons } from '@expo/vector-icons';
 import { authService } from '../services/authService'; // Import authService
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
 
 /**
  * LoginScreen - Where users log into their accounts
  * Handles email/password login and error messages
  */
 const LoginScreen = () => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   // Store what the user types and UI states
   const [email, setEmail] = useState('');          // Where user types email
   const [password, setPassword] = useState('');    // Where user types password
@@ -93,6 +96,7 @@ const LoginScreen = () => {
         <View style={styles.inputContainer}>
           <Text style={styles.inputLabel}>Email</Text>
           <TextInput
+            placeholderTextColor={colors.textMuted}
             style={styles.input}
             placeholder="example@tec.dk"
             keyboardType="email-address"
@@ -107,6 +111,7 @@ const LoginScreen = () => {
           <Text style={styles.inputLabel}>Password</Text>
           <View style={styles.passwordContainer}>
             <TextInput
+              placeholderTextColor={colors.textMuted}
               style={styles.passwordInput}
               placeholder="********"
               secureTextEntry={!showPassword} // Hide text if showPassword is false
@@ -120,7 +125,7 @@ const LoginScreen = () => {
               <Ionicons 
                 name={showPassword ? "eye-off" : "eye"} 
                 size={24} 
-                color="#777" 
+                color={colors.textSecondary} 
               />
             </TouchableOpacity>
           </View>
@@ -133,7 +138,7 @@ const LoginScreen = () => {
           disabled={loading}
         >
           {loading ? (
-            <ActivityIndicator color="white" size="small" />
+            <ActivityIndicator color={colors.background} size="small" />
           ) : (
             <Text style={styles.loginText}>Sign In</Text>
           )}
@@ -152,10 +157,10 @@ const LoginScreen = () => {
 
 export default LoginScreen;
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: 'white',
+    backgroundColor: colors.background,
   },
   backButton: {
     paddingHorizontal: 20,
@@ -164,6 +169,7 @@ const styles = StyleSheet.create({
   backText: {
     fontSize: 16,
     fontWeight: '500',
+    color: colors.textStrong,
   },
   content: {
     flex: 1,
@@ -175,6 +181,7 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginBottom: 40,
     textAlign: 'center',
+    color: colors.textStrong,
   },
   inputContainer: {
     marginBottom: 20,
@@ -182,20 +189,22 @@ const styles = StyleSheet.create({
   inputLabel: {
     marginBottom: 8,
     fontSize: 16,
+    color: colors.textStrong,
   },
   input: {
     borderWidth: 1,
-    borderColor: '#E1E1E1',
+    borderColor: colors.border,
     borderRadius: 8,
     paddingHorizontal: 16,
     paddingVertical: 12,
     fontSize: 16,
+    color: colors.textStrong,
   },
   // New styles for password input with eye icon
   passwordContainer: {
     flexDirection: 'row',
     borderWidth: 1,
-    borderColor: '#E1E1E1',
+    borderColor: colors.border,
     borderRadius: 8,
     alignItems: 'center',
   },
@@ -204,12 +213,13 @@ const styles = StyleSheet.create({
     paddingHorizontal: 16,
     paddingVertical: 12,
     fontSize: 16,
+    color: colors.textStrong,
   },
   eyeIcon: {
     padding: 10,
   },
   loginButton: {
-    backgroundColor: '#222222',
+    backgroundColor: colors.textStrong, // Black button, white in dark mode
     paddingVertical: 14,
     borderRadius: 8,
     alignItems: 'center',
@@ -217,13 +227,13 @@ const styles = StyleSheet.create({
     marginBottom: 20,
   },
   loginText: {
-    color: 'white',
+    color: colors.background,
     fontSize: 16,
     fontWeight: '600',
   },
   forgotText: {
     textAlign: 'center',
-    color: '#333',
+    color: colors.text,
     textDecorationLine: 'underline',
   }
 });
\ No newline at end of file
@@ -0,0 +1,370 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet, Text, View, TextInput, TouchableOpacity, ScrollView, ActivityIndicator, Alert
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useNavigation } from '@react-navigation/native';
+import { authService } from '../services/authService';
+import { PASSWORD_STRENGTHS, getPasswordStrength } from '../utils/account';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+
+/**
+ * ProfileScreen - Account details of the logged-in user
+ * Changes the name, the email (confirmed with the password) and the password
+ */
+const ProfileScreen = () => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const navigation = useNavigation();
+
+  const [user, setUser] = useState(null);          // Appwrite account of the user
+  const [loading, setLoading] = useState(true);    // Loading indicator state
+  const [saving, setSaving] = useState(null);      // Section being saved: 'name', 'email' or 'password'
+
+  const [name, setName] = useState('');                       // Name as typed
+  const [email, setEmail] = useState('');                     // New email as typed
+  const [emailPassword, setEmailPassword] = useState('');     // Password confirming the email change
+  const [currentPassword, setCurrentPassword] = useState(''); // Password before the change
+  const [newPassword, setNewPassword] = useState('');         // Password after the change
+  const [confirmPassword, setConfirmPassword] = useState(''); // New password typed again
+
+  // Strength colors, weakest first
+  const strengthColors = [colors.danger, colors.warning, colors.accent, colors.success];
+  const passwordStrength = getPasswordStrength(newPassword);
+
+  // Load the account when the screen opens
+  useEffect(() => {
+    const fetchUser = async () => {
+      try {
+        const currentUser = await authService.getCurrentUser();
+        if (currentUser) {
+          setUser(currentUser);
+          setName(currentUser.name || '');
+          setEmail(currentUser.email || '');
+        }
+      } catch (error) {
+        console.error('Error fetching profile:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchUser();
+  }, []);
+
+  /**
+   * Save the new display name
+   */
+  const handleSaveName = async () => {
+    setSaving('name');
+    try {
+      const updated = await authService.updateName(name);
+      setUser(updated);
+      setName(updated.name);
+      Alert.alert('Profile', 'Your name has been updated');
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  /**
+   * Save the new email after the password confirmed it
+   */
+  const handleSaveEmail = async () => {
+    setSaving('email');
+    try {
+      const updated = await authService.updateEmail(email, emailPassword);
+      setUser(updated);
+      setEmail(updated.email);
+      setEmailPassword('');
+      Alert.alert('Profile', 'Your email has been updated');
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  /**
+   * Change the password once the new one was typed twice
+   */
+  const handleSavePassword = async () => {
+    if (newPassword !== confirmPassword) {
+      Alert.alert('Error', 'The new passwords do not match');
+      return;
+    }
+
+    setSaving('password');
+    try {
+      const updated = await authService.updatePassword(newPassword, currentPassword);
+      setUser(updated);
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+      Alert.alert('Profile', 'Your password has been changed');
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  /**
+   * Save button of a section, with a spinner while that section is saved
+   * @param {string} section - 'name', 'email' or 'password'
+   * @param {string} label - Button text
+   * @param {Function} onPress - Save handler
+   * @param {boolean} disabled - True when there is nothing to save
+   */
+  const renderSaveButton = (section, label, onPress, disabled) => (
+    <TouchableOpacity
+      style={[styles.saveButton, disabled && styles.saveButtonDisabled]}
+      onPress={onPress}
+      disabled={disabled || !!saving}
+    >
+      {saving === section ? (
+        <ActivityIndicator size="small" color={colors.onPrimary} />
+      ) : (
+        <Text style={styles.saveButtonText}>{label}</Text>
+      )}
+    </TouchableOpacity>
+  );
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={colors.primary} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      {/* Back Button */}
+      <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+        <Ionicons name="chevron-back" size={24} color={colors.textStrong} />
+        <Text style={styles.backButtonText}>Back</Text>
+      </TouchableOpacity>
+
+      <ScrollView
+        contentContainerStyle={styles.content}
+        keyboardShouldPersistTaps="handled"
+        showsVerticalScrollIndicator={false}
+      >
+        {/* Header with the account's age */}
+        <View style={styles.header}>
+          <View style={styles.avatar}>
+            <Ionicons name="person" size={36} color={colors.onPrimary} />
+          </View>
+          <Text style={styles.title}>{user?.name || 'Profile'}</Text>
+          {user?.$createdAt && (
+            <Text style={styles.subtitle}>
+              Member since {new Date(user.$createdAt).toLocaleDateString(undefined, {
+                day: 'numeric', month: 'long', year: 'numeric'
+              })}
+            </Text>
+          )}
+        </View>
+
+        {/* Display name */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Name</Text>
+          <TextInput
+            style={styles.input}
+            value={name}
+            onChangeText={setName}
+            placeholder="Your name"
+            placeholderTextColor={colors.textMuted}
+            autoCapitalize="words"
+          />
+          {renderSaveButton('name', 'Save Name', handleSaveName, !user || name.trim() === user.name)}
+        </View>
+
+        {/* Email, confirmed with the current password */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Email</Text>
+          <TextInput
+            style={styles.input}
+            value={email}
+            onChangeText={setEmail}
+            placeholder="Email address"
+            placeholderTextColor={colors.textMuted}
+            keyboardType="email-address"
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+          <TextInput
+            style={styles.input}
+            value={emailPassword}
+            onChangeText={setEmailPassword}
+            placeholder="Current password"
+            placeholderTextColor={colors.textMuted}
+            secureTextEntry
+            autoCapitalize="none"
+          />
+          {renderSaveButton('email', 'Update Email', handleSaveEmail, !user || email.trim() === user.email)}
+        </View>
+
+        {/* Password with a strength meter */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Password</Text>
+          <TextInput
+            style={styles.input}
+            value={currentPassword}
+            onChangeText={setCurrentPassword}
+            placeholder="Current password"
+            placeholderTextColor={colors.textMuted}
+            secureTextEntry
+            autoCapitalize="none"
+          />
+          <TextInput
+            style={styles.input}
+            value={newPassword}
+            onChangeText={setNewPassword}
+            placeholder="New password"
+            placeholderTextColor={colors.textMuted}
+            secureTextEntry
+            autoCapitalize="none"
+          />
+          {newPassword.length > 0 && (
+            <View style={styles.strengthRow}>
+              {PASSWORD_STRENGTHS.map((label, index) => (
+                <View
+                  key={label}
+                  style={[
+                    styles.strengthBar,
+                    index <= passwordStrength && { backgroundColor: strengthColors[passwordStrength] }
+                  ]}
+                />
+              ))}
+              <Text style={styles.strengthText}>
+                {passwordStrength < 0 ? 'Too short' : PASSWORD_STRENGTHS[passwordStrength]}
+              </Text>
+            </View>
+          )}
+          <TextInput
+            style={styles.input}
+            value={confirmPassword}
+            onChangeText={setConfirmPassword}
+            placeholder="Confirm new password"
+            placeholderTextColor={colors.textMuted}
+            secureTextEntry
+            autoCapitalize="none"
+          />
+          {renderSaveButton('password', 'Change Password', handleSavePassword, !newPassword)}
+        </View>
+      </ScrollView>
+    </View>
+  );
+};
+
+export default ProfileScreen;
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+    padding: 20,
+    paddingTop: 10,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: colors.background,
+  },
+  backButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  backButtonText: {
+    fontSize: 16,
+    marginLeft: 5,
+    color: colors.textStrong,
+  },
+  content: {
+    paddingBottom: 100, // Extra space for the tab bar
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: 25,
+  },
+  avatar: {
+    width: 72,
+    height: 72,
+    borderRadius: 36,
+    backgroundColor: colors.primary,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    marginBottom: 5,
+    color: colors.textStrong,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: colors.textSecondary,
+  },
+  section: {
+    backgroundColor: colors.surface,
+    borderRadius: 10,
+    padding: 15,
+    marginBottom: 20,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    marginBottom: 12,
+    color: colors.textStrong,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    backgroundColor: colors.background,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    fontSize: 16,
+    marginBottom: 10,
+    color: colors.textStrong,
+  },
+  strengthRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  strengthBar: {
+    flex: 1,
+    height: 4,
+    borderRadius: 2,
+    marginRight: 4,
+    backgroundColor: colors.neutral,
+  },
+  strengthText: {
+    width: 70,
+    textAlign: 'right',
+    fontSize: 13,
+    color: colors.textSecondary,
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+    borderRadius: 8,
+    paddingVertical: 12,
+    alignItems: 'center',
+    marginTop: 5,
+  },
+  saveButtonDisabled: {
+    backgroundColor: colors.neutralStrong,
+  },
+  saveButtonText: {
+    color: colors.onPrimary,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
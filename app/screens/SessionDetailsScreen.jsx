@@ -0,0 +1,327 @@
+import { StyleSheet, Text, View, TouchableOpacity, ScrollView, ActivityIndicator } from 'react-native';
+import React, { useState, useEffect } from 'react';
+import { Ionicons } from '@expo/vector-icons';
+import { useNavigation } from '@react-navigation/native';
+import { workoutService } from '../services/workoutService';
+import { formatDuration, calculateSetVolume } from '../utils/workoutStats';
+import { RECORD_TYPES } from '../utils/personalRecords';
+import { MEASUREMENT_MODES, getMeasurementMode, formatMeasure, formatFieldLabel } from '../utils/measurementModes';
+import SetTypeBadge from '../components/SetTypeBadge';
+import { useWeightUnit } from '../context/PreferencesContext';
+import { toDisplayVolume, getWeightUnitLabel } from '../utils/units';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+
+/**
+ * SessionDetailsScreen - Shows a finished workout as it was performed
+ * Lists every exercise with its sets, reps and weights
+ */
+const SessionDetailsScreen = ({ route }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  // Get the session passed from the history list
+  const { session } = route.params;
+  const navigation = useNavigation();
+  const weightUnit = useWeightUnit(); // Unit weights and volume are shown in
+
+  const [sets, setSets] = useState([]);        // Performed sets of the session
+  const [loading, setLoading] = useState(true); // Loading indicator state
+
+  // Fetch the performed sets when the screen opens
+  useEffect(() => {
+    const fetchSets = async () => {
+      try {
+        const sessionSets = await workoutService.getSessionSets(session.$id);
+        setSets(sessionSets);
+      } catch (error) {
+        console.error('Error fetching session sets:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSets();
+  }, [session.$id]);
+
+  /**
+   * Group performed sets by exercise, keeping the order they were done in
+   * @returns {Array} - Exercises with their sets
+   */
+  const groupSetsByExercise = () => {
+    const groups = [];
+    const groupsById = {};
+
+    sets.forEach(set => {
+      if (!groupsById[set.workoutExerciseId]) {
+        groupsById[set.workoutExerciseId] = {
+          id: set.workoutExerciseId,
+          exerciseId: set.exerciseId,
+          exerciseName: set.exerciseName,
+          measurementMode: getMeasurementMode(set),
+          sets: []
+        };
+        groups.push(groupsById[set.workoutExerciseId]);
+      }
+      groupsById[set.workoutExerciseId].sets.push(set);
+    });
+
+    groups.forEach(group => group.sets.sort((a, b) => a.setNumber - b.setNumber));
+    return groups;
+  };
+
+  /**
+   * Personal record types achieved for an exercise in this session
+   * @param {string} exerciseId - Library exercise ID
+   * @returns {Array} - Record types, e.g. ['heaviestWeight']
+   */
+  const getRecordTypes = (exerciseId) => {
+    return (session.personalRecords || [])
+      .filter(key => key.startsWith(`${exerciseId}:`))
+      .map(key => key.split(':')[1]);
+  };
+
+  const startedAt = new Date(session.startedAt);
+
+  return (
+    <View style={styles.container}>
+      {/* Back Button */}
+      <TouchableOpacity
+        style={styles.backButton}
+        onPress={() => navigation.goBack()}
+      >
+        <Ionicons name="chevron-back" size={24} color={colors.textStrong} />
+        <Text style={styles.backButtonText}>Back</Text>
+      </TouchableOpacity>
+
+      {/* Header with day and date */}
+      <View style={styles.header}>
+        <Text style={styles.title}>{session.dayName || 'Workout'}</Text>
+        <Text style={styles.subtitle}>
+          {startedAt.toLocaleDateString()} • {startedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+        </Text>
+      </View>
+
+      {/* Session summary */}
+      <View style={styles.summaryContainer}>
+        <View style={styles.summaryItem}>
+          <Text style={styles.summaryValue}>{formatDuration(session.durationSeconds)}</Text>
+          <Text style={styles.summaryLabel}>Duration</Text>
+        </View>
+        <View style={styles.summaryItem}>
+          <Text style={styles.summaryValue}>{toDisplayVolume(session.totalVolume, weightUnit)}</Text>
+          <Text style={styles.summaryLabel}>Volume ({getWeightUnitLabel(weightUnit)})</Text>
+        </View>
+        <View style={styles.summaryItem}>
+          <Text style={styles.summaryValue}>{session.setsCompleted || 0}</Text>
+          <Text style={styles.summaryLabel}>Sets</Text>
+        </View>
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={colors.primary} />
+        </View>
+      ) : (
+        <ScrollView contentContainerStyle={styles.exerciseList} showsVerticalScrollIndicator={false}>
+          {groupSetsByExercise().map(group => {
+            // Columns recorded for each set of the exercise
+            const fields = MEASUREMENT_MODES[group.measurementMode].fields;
+            const fieldFlex = 0.6 / fields.length;
+            
+            return (
+              <View key={group.id} style={styles.exerciseCard}>
+                <Text style={styles.exerciseName}>{group.exerciseName}</Text>
+              
+                {/* Personal records set for this exercise */}
+                {getRecordTypes(group.exerciseId).length > 0 && (
+                  <View style={styles.badgesRow}>
+                    {getRecordTypes(group.exerciseId).map(recordType => (
+                      <View key={recordType} style={styles.prBadge}>
+                        <Ionicons name="trophy" size={12} color={colors.onPrimary} />
+                        <Text style={styles.prBadgeText}>{RECORD_TYPES[recordType] || recordType}</Text>
+                      </View>
+                    ))}
+                  </View>
+                )}
+
+                <View style={styles.setsContainer}>
+                  {/* Table header */}
+                  <View style={styles.setsTableHeader}>
+                    <Text style={[styles.setHeaderCell, { flex: 0.2 }]}>Set</Text>
+                    {fields.map(field => (
+                      <Text key={field} style={[styles.setHeaderCell, { flex: fieldFlex }]}>{formatFieldLabel(field, weightUnit)}</Text>
+                    ))}
+                    <Text style={[styles.setHeaderCell, { flex: 0.2 }]}>Volume</Text>
+                  </View>
+
+                  {/* Individual sets */}
+                  {group.sets.map(set => (
+                    <View
+                      key={set.$id}
+                      style={[styles.setRow, !set.completed && styles.skippedSetRow]}
+                    >
+                      <SetTypeBadge set={set} style={{ flex: 0.2 }} />
+                      {fields.map(field => (
+                        <Text key={field} style={[styles.setCell, { flex: fieldFlex }]}>{formatMeasure(set, field, weightUnit)}</Text>
+                      ))}
+                      <Text style={[styles.setCell, { flex: 0.2 }]}>
+                        {set.completed ? toDisplayVolume(calculateSetVolume(set), weightUnit) : '–'}
+                      </Text>
+                    </View>
+                  ))}
+                </View>
+              </View>
+            );
+          })}
+
+          {sets.length === 0 && (
+            <View style={styles.emptyContainer}>
+              <Text style={styles.emptyText}>No sets were recorded</Text>
+            </View>
+          )}
+        </ScrollView>
+      )}
+    </View>
+  );
+};
+
+export default SessionDetailsScreen;
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+    padding: 20,
+    paddingTop: 10,
+  },
+  backButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  backButtonText: {
+    fontSize: 16,
+    marginLeft: 5,
+    color: colors.textStrong,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    marginBottom: 5,
+    color: colors.textStrong,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: colors.textSecondary,
+  },
+  summaryContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    backgroundColor: colors.primarySoft,
+    borderRadius: 10,
+    paddingVertical: 15,
+    marginBottom: 20,
+  },
+  summaryItem: {
+    alignItems: 'center',
+  },
+  summaryValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.primary,
+  },
+  summaryLabel: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  exerciseList: {
+    paddingBottom: 100,
+  },
+  exerciseCard: {
+    backgroundColor: colors.surface,
+    borderRadius: 10,
+    padding: 15,
+    marginBottom: 15,
+  },
+  exerciseName: {
+    fontSize: 18,
+    fontWeight: '600',
+    marginBottom: 10,
+    color: colors.textStrong,
+  },
+  badgesRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 10,
+  },
+  prBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.gold, // Gold for personal records
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  prBadgeText: {
+    color: colors.onPrimary,
+    fontSize: 12,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  setsContainer: {
+    backgroundColor: colors.background,
+    borderRadius: 8,
+    overflow: 'hidden',
+    borderWidth: 1,
+    borderColor: colors.divider,
+  },
+  setsTableHeader: {
+    flexDirection: 'row',
+    backgroundColor: colors.surfaceMuted,
+    paddingVertical: 8,
+    paddingHorizontal: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  setHeaderCell: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textSecondary,
+    textAlign: 'center',
+  },
+  setRow: {
+    flexDirection: 'row',
+    paddingVertical: 12,
+    paddingHorizontal: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+    alignItems: 'center',
+  },
+  skippedSetRow: {
+    opacity: 0.4, // Sets that were planned but not done
+  },
+  setCell: {
+    fontSize: 16,
+    textAlign: 'center',
+    color: colors.textStrong,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: colors.textMuted,
+  },
+});
@@ -1,23 +1,97 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { StyleSheet, Text, View, TouchableOpacity, Alert } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { authService } from '../services/authService'; 
+import { authService, UNSYNCED_CHANGES_ERROR } from '../services/authService'; 
+import { usePreferences, usePlateSettings } from '../context/PreferencesContext';
+import { WEIGHT_UNITS, getWeightUnit, getWeightUnitLabel } from '../utils/units';
+import PlateSettingsModal from '../components/PlateSettingsModal';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { THEME_MODES } from '../utils/theme';
 
 /**
  * SettingsScreen - User settings and configuration
  * Provides app preferences and account management options
  */
-const SettingsScreen = ({ logout }) => {
+const SettingsScreen = ({ logout, navigation }) => {
+  const { colors, mode, setMode } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { preferences, updatePreferences } = usePreferences();
+  const weightUnit = getWeightUnit(preferences.weightUnit);
+  const { plateSettings, savePlateSettings } = usePlateSettings();
+  const [platesVisible, setPlatesVisible] = useState(false); // Whether the bar & plates modal is open
+  const [savingPlates, setSavingPlates] = useState(false);   // True while the plates are saved
+
+  /**
+   * Saves the unit weights are shown and typed in
+   * Stored weights stay in kilograms, only what is shown changes
+   * @param {string} unit - 'kg' or 'lb'
+   */
+  const handleChangeWeightUnit = async (unit) => {
+    if (unit === weightUnit) return;
+    try {
+      await updatePreferences({ weightUnit: unit });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to save the weight unit');
+    }
+  };
+
+  /**
+   * Saves the bar and plates the plate calculator loads with
+   * @param {Object} settings - { barWeight, plates }
+   */
+  const handleSavePlates = async (settings) => {
+    setSavingPlates(true);
+    try {
+      await savePlateSettings(settings);
+      setPlatesVisible(false);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to save your plates');
+    } finally {
+      setSavingPlates(false);
+    }
+  };
+
   /**
    * Handles user logout with error tolerance
-   * Uses a nested try/catch for graceful failure handling
+   * Asks first when offline changes haven't synced, as logging out throws them away
    */
   const handleLogout = async () => {
+    try {
+      const unsyncedCount = await authService.getUnsyncedChangeCount();
+      if (unsyncedCount > 0) {
+        Alert.alert(
+          'Unsynced Changes',
+          `${unsyncedCount} change(s) you made offline haven't synced yet and will be lost if you log out now.`,
+          [
+            { text: 'Cancel', style: 'cancel' },
+            { text: 'Log Out Anyway', style: 'destructive', onPress: () => performLogout(true) }
+          ]
+        );
+        return;
+      }
+    } catch (error) {
+      console.log('Unsynced changes check error:', error);
+    }
+    
+    await performLogout(false);
+  };
+
+  /**
+   * Logs out, tolerating backend failures
+   * Uses a nested try/catch for graceful failure handling
+   * @param {boolean} discardUnsyncedChanges - True once the user agreed to lose unsynced changes
+   */
+  const performLogout = async (discardUnsyncedChanges) => {
     try {
       try {
         // Attempt backend logout first
-        await authService.logout();
+        await authService.logout({ discardUnsyncedChanges });
       } catch (serviceError) {
+        // Changes came in since the check: stay logged in so they aren't lost
+        if (serviceError.type === UNSYNCED_CHANGES_ERROR) {
+          Alert.alert('Unsynced Changes', 'Some changes haven\'t synced yet. Please try again.');
+          return;
+        }
         // Continue even if backend logout fails (expired session, network issues)
         console.log('AuthService logout error:', serviceError.message);
       }
@@ -38,31 +112,75 @@ const SettingsScreen = ({ logout }) => {
       {/* Settings menu with various configuration options */}
       <View style={styles.menuContainer}>
         {/* Profile settings option */}
-        <TouchableOpacity style={styles.menuItem} onPress={() => Alert.alert('Profile', 'Profile settings coming soon!')}>
-          <Ionicons name="person-outline" size={24} color="black" />
+        <TouchableOpacity style={styles.menuItem} onPress={() => navigation.navigate('Profile')}>
+          <Ionicons name="person-outline" size={24} color={colors.textStrong} />
           <Text style={styles.menuText}>Profile</Text>
         </TouchableOpacity>
 
-        {/* Theme selection option */}
-        <TouchableOpacity 
-          style={styles.menuItem} 
-          onPress={() => Alert.alert('Themes', 'Theme settings coming soon!')}
-        >
-          <Ionicons name="contrast-outline" size={24} color="black" />
-          <Text style={styles.menuText}>Themes</Text>
+        {/* Unit weights are shown and typed in */}
+        <View style={styles.menuItem}>
+          <Ionicons name="barbell-outline" size={24} color={colors.textStrong} />
+          <Text style={styles.menuText}>Weight unit</Text>
+          <View style={styles.segmentedControl}>
+            {Object.keys(WEIGHT_UNITS).map(unit => (
+              <TouchableOpacity
+                key={unit}
+                style={[styles.segment, weightUnit === unit && styles.segmentSelected]}
+                onPress={() => handleChangeWeightUnit(unit)}
+              >
+                <Text style={[styles.segmentText, weightUnit === unit && styles.segmentTextSelected]}>
+                  {WEIGHT_UNITS[unit].label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        {/* Bar and plates used by the plate calculator */}
+        <TouchableOpacity style={styles.menuItem} onPress={() => setPlatesVisible(true)}>
+          <Ionicons name="disc-outline" size={24} color={colors.textStrong} />
+          <Text style={styles.menuText}>Bar & plates</Text>
           <View style={styles.themeSelectionContainer}>
-            <Text style={styles.themeValueText}>Light</Text>
-            <Ionicons name="chevron-forward" size={20} color="#888" />
+            <Text style={styles.themeValueText}>{plateSettings.barWeight} {getWeightUnitLabel(weightUnit)} bar</Text>
+            <Ionicons name="chevron-forward" size={20} color={colors.textMuted} />
           </View>
         </TouchableOpacity>
+
+        {/* Light, dark or follow the device */}
+        <View style={styles.menuItem}>
+          <Ionicons name="contrast-outline" size={24} color={colors.textStrong} />
+          <Text style={styles.menuText}>Theme</Text>
+          <View style={styles.segmentedControl}>
+            {Object.keys(THEME_MODES).map(themeMode => (
+              <TouchableOpacity
+                key={themeMode}
+                style={[styles.segment, styles.themeSegment, mode === themeMode && styles.segmentSelected]}
+                onPress={() => setMode(themeMode)}
+              >
+                <Text style={[styles.segmentText, mode === themeMode && styles.segmentTextSelected]}>
+                  {THEME_MODES[themeMode].label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
       </View>
 
+      <PlateSettingsModal
+        visible={platesVisible}
+        unit={weightUnit}
+        settings={plateSettings}
+        saving={savingPlates}
+        onSave={handleSavePlates}
+        onClose={() => setPlatesVisible(false)}
+      />
+
       {/* Logout action button */}
       <TouchableOpacity 
         style={styles.logoutButton} 
         onPress={handleLogout}
       >
-        <Ionicons name="log-out-outline" size={20} color="white" />
+        <Ionicons name="log-out-outline" size={20} color={colors.onPrimary} />
         <Text style={styles.logoutText}>Logout</Text>
       </TouchableOpacity>
     </View>
@@ -76,16 +194,17 @@ export default SettingsScreen;
  * Component styles
  * Defines visual appearance including layout, colors, and spacing
  */
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
     padding: 20,
-    backgroundColor: '#fff',
+    backgroundColor: colors.background,
   },
   title: {
     fontSize: 28,
     fontWeight: 'bold',
     marginBottom: 30,
+    color: colors.textStrong,
   },
   menuContainer: {
     marginTop: 10,
@@ -95,12 +214,38 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     paddingVertical: 15,
     borderBottomWidth: 1,
-    borderBottomColor: '#f0f0f0',
+    borderBottomColor: colors.divider,
   },
   menuText: {
     fontSize: 18,
     marginLeft: 15,
     flex: 1,
+    color: colors.textStrong,
+  },
+  segmentedControl: {
+    flexDirection: 'row',
+    borderWidth: 1,
+    borderColor: colors.primary,
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  segment: {
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+  },
+  themeSegment: {
+    paddingHorizontal: 10,
+  },
+  segmentSelected: {
+    backgroundColor: colors.primary,
+  },
+  segmentText: {
+    fontSize: 15,
+    color: colors.primary,
+  },
+  segmentTextSelected: {
+    color: colors.onPrimary,
+    fontWeight: '600',
   },
   themeSelectionContainer: {
     flexDirection: 'row',
@@ -108,28 +253,28 @@ const styles = StyleSheet.create({
   },
   themeValueText: {
     fontSize: 16,
-    color: '#888',
+    color: colors.textMuted,
     marginRight: 5,
   },
   logoutButton: {
     position: 'absolute',
     bottom: 100,
     alignSelf: 'center',
-    backgroundColor: '#D32F2F',
+    backgroundColor: colors.dangerStrong,
     paddingVertical: 12,
     paddingHorizontal: 30,
     borderRadius: 30,
     flexDirection: 'row',
     alignItems: 'center',
     justifyContent: 'center',
-    shadowColor: '#000',
+    shadowColor: colors.shadow,
     shadowOffset: { width: 0, height: 2 },
     shadowOpacity: 0.25,
     shadowRadius: 3.84,
     elevation: 5,
   },
   logoutText: {
-    color: 'white',
+    color: colors.onPrimary,
     fontSize: 16,
     fontWeight: 'bold',
     marginLeft: 8,
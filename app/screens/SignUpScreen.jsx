@@ -4,12 +4,15 @@ import { useNavigation } from '@react-navigation/native';
 import { AuthContext } from '../index';
 import { Ionicons } from '@expo/vector-icons';
 import { authService } from '../services/authService';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
 
 /**
  * SignUpScreen - User registration component
  * Collects user information and creates new accounts
  */
 const SignUpScreen = () => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   // Form state management
   const [name, setName] = useState('');          // User's full name
   const [email, setEmail] = useState('');        // User's email address
@@ -97,6 +100,7 @@ const SignUpScreen = () => {
         <View style={styles.inputContainer}>
           <Text style={styles.inputLabel}>Name</Text>
           <TextInput
+            placeholderTextColor={colors.textMuted}
             style={styles.input}
             placeholder="Lucifer"
             value={name}
@@ -107,6 +111,7 @@ const SignUpScreen = () => {
         <View style={styles.inputContainer}>
           <Text style={styles.inputLabel}>Email</Text>
           <TextInput
+            placeholderTextColor={colors.textMuted}
             style={styles.input}
             placeholder="example@tec.dk"
             keyboardType="email-address"
@@ -120,6 +125,7 @@ const SignUpScreen = () => {
           <Text style={styles.inputLabel}>Password</Text>
           <View style={styles.passwordContainer}>
             <TextInput
+              placeholderTextColor={colors.textMuted}
               style={styles.passwordInput}
               placeholder="********"
               secureTextEntry={!showPassword}
@@ -133,7 +139,7 @@ const SignUpScreen = () => {
               <Ionicons 
                 name={showPassword ? "eye-off" : "eye"} 
                 size={24} 
-                color="#777" 
+                color={colors.textSecondary} 
               />
             </TouchableOpacity>
           </View>
@@ -146,7 +152,7 @@ const SignUpScreen = () => {
           disabled={loading}
         >
           {loading ? (
-            <ActivityIndicator color="white" />
+            <ActivityIndicator color={colors.background} />
           ) : (
             <Text style={styles.registerText}>Register</Text>
           )}
@@ -158,10 +164,10 @@ const SignUpScreen = () => {
 
 export default SignUpScreen;
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: 'white',
+    backgroundColor: colors.background,
   },
   backButton: {
     paddingHorizontal: 20,
@@ -170,6 +176,7 @@ const styles = StyleSheet.create({
   backText: {
     fontSize: 16,
     fontWeight: '500',
+    color: colors.textStrong,
   },
   content: {
     flex: 1,
@@ -181,6 +188,7 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginBottom: 40,
     textAlign: 'center',
+    color: colors.textStrong,
   },
   inputContainer: {
     marginBottom: 20,
@@ -188,20 +196,22 @@ const styles = StyleSheet.create({
   inputLabel: {
     marginBottom: 8,
     fontSize: 16,
+    color: colors.textStrong,
   },
   input: {
     borderWidth: 1,
-    borderColor: '#E1E1E1',
+    borderColor: colors.border,
     borderRadius: 8,
     paddingHorizontal: 16,
     paddingVertical: 12,
     fontSize: 16,
+    color: colors.textStrong,
   },
   // New styles for password input with eye icon
   passwordContainer: {
     flexDirection: 'row',
     borderWidth: 1,
-    borderColor: '#E1E1E1',
+    borderColor: colors.border,
     borderRadius: 8,
     alignItems: 'center',
   },
@@ -210,19 +220,20 @@ const styles = StyleSheet.create({
     paddingHorizontal: 16,
     paddingVertical: 12,
     fontSize: 16,
+    color: colors.textStrong,
   },
   eyeIcon: {
     padding: 10,
   },
   registerButton: {
-    backgroundColor: '#222222',
+    backgroundColor: colors.textStrong, // Black button, white in dark mode
     paddingVertical: 14,
     borderRadius: 8,
     alignItems: 'center',
     marginTop: 10,
   },
   registerText: {
-    color: 'white',
+    color: colors.background,
     fontSize: 16,
     fontWeight: '600',
   }
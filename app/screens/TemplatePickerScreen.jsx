@@ -0,0 +1,233 @@
+import { StyleSheet, Text, View, ScrollView, TouchableOpacity, ActivityIndicator, Alert } from 'react-native';
+import React, { useState, useEffect } from 'react';
+import { Ionicons } from '@expo/vector-icons';
+import { useNavigation } from '@react-navigation/native';
+import { authService } from '../services/authService';
+import { workoutService } from '../services/workoutService';
+import { isNetworkError } from '../utils/network';
+import { formatTemplateSchedule } from '../utils/templates';
+import { WORKOUT_TEMPLATES } from '../data/templates';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+
+/**
+ * TemplatePickerScreen - Onboarding step shown to users without a plan
+ * Installs a template from the catalogue, or an empty week to build from scratch
+ */
+const TemplatePickerScreen = () => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const navigation = useNavigation();
+  const [user, setUser] = useState(null);               // Current authenticated user
+  const [selectedId, setSelectedId] = useState(null);   // Template picked in the list
+  const [installing, setInstalling] = useState(false);  // True while the plan is written
+
+  /**
+   * Fetches the user the plan is installed for
+   */
+  useEffect(() => {
+    const fetchUser = async () => {
+      try {
+        setUser(await authService.getCurrentUser());
+      } catch (error) {
+        console.error('User fetch error:', error);
+      }
+    };
+
+    fetchUser();
+  }, []);
+
+  /**
+   * Shows what went wrong while installing
+   * @param {Error} error - Error thrown by the installer
+   */
+  const showInstallError = (error) => {
+    if (isNetworkError(error)) {
+      Alert.alert('Offline', 'Connect to the internet to set up your plan.');
+    } else if (error.code === 409) {
+      // A plan exists after all, go back to it
+      Alert.alert('Plan found', error.message, [{ text: 'OK', onPress: () => navigation.goBack() }]);
+    } else {
+      Alert.alert('Error', error.message || 'Failed to set up your plan');
+    }
+  };
+
+  /**
+   * Installs the selected template and returns to the weekly plan
+   * Exercises the library doesn't have are listed so the user can add their own
+   */
+  const handleInstall = async () => {
+    const template = WORKOUT_TEMPLATES.find(item => item.id === selectedId);
+    if (!template || !user) return;
+
+    setInstalling(true);
+    try {
+      const { skippedExercises } = await workoutService.installTemplate(user.$id, template);
+
+      if (skippedExercises.length > 0) {
+        Alert.alert(
+          'Plan ready',
+          `These exercises aren't in the library yet and were left out: ${skippedExercises.join(', ')}.`
+        );
+      }
+      navigation.goBack();
+    } catch (error) {
+      showInstallError(error);
+    } finally {
+      setInstalling(false);
+    }
+  };
+
+  /**
+   * Creates an empty week so the user can plan every day themselves
+   */
+  const handleStartFromScratch = async () => {
+    if (!user) return;
+
+    setInstalling(true);
+    try {
+      await workoutService.createInitialWeekdays(user.$id);
+      navigation.goBack();
+    } catch (error) {
+      showInstallError(error);
+    } finally {
+      setInstalling(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Pick a starting plan</Text>
+      <Text style={styles.subtitle}>
+        Exercises and sets are filled in for you. You can change every day afterwards.
+      </Text>
+
+      <ScrollView style={styles.templateList} showsVerticalScrollIndicator={false}>
+        {WORKOUT_TEMPLATES.map(template => {
+          const selected = template.id === selectedId;
+
+          return (
+            <TouchableOpacity
+              key={template.id}
+              style={[styles.templateCard, selected && styles.templateCardSelected]}
+              onPress={() => setSelectedId(template.id)}
+              disabled={installing}
+            >
+              <View style={styles.templateHeader}>
+                <Text style={styles.templateName}>{template.name}</Text>
+                <Ionicons
+                  name={selected ? 'radio-button-on' : 'radio-button-off'}
+                  size={22}
+                  color={selected ? colors.primary : colors.textMuted}
+                />
+              </View>
+              <Text style={styles.templateSchedule}>{formatTemplateSchedule(template)}</Text>
+              <Text style={styles.templateDescription}>{template.description}</Text>
+            </TouchableOpacity>
+          );
+        })}
+
+        <TouchableOpacity
+          style={styles.scratchButton}
+          onPress={handleStartFromScratch}
+          disabled={installing}
+        >
+          <Text style={styles.scratchButtonText}>Start from scratch</Text>
+        </TouchableOpacity>
+      </ScrollView>
+
+      <TouchableOpacity
+        style={[styles.installButton, (!selectedId || installing) && styles.installButtonDisabled]}
+        onPress={handleInstall}
+        disabled={!selectedId || installing}
+      >
+        {installing ? (
+          <ActivityIndicator size="small" color={colors.onPrimary} />
+        ) : (
+          <Text style={styles.installButtonText}>Use this plan</Text>
+        )}
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+export default TemplatePickerScreen;
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+    padding: 20,
+    paddingTop: 10,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    marginBottom: 6,
+    color: colors.textStrong,
+  },
+  subtitle: {
+    fontSize: 15,
+    color: colors.textSecondary,
+    marginBottom: 20,
+  },
+  templateList: {
+    flex: 1,
+  },
+  templateCard: {
+    backgroundColor: colors.surface,
+    borderRadius: 10,
+    borderWidth: 2,
+    borderColor: 'transparent',
+    padding: 16,
+    marginBottom: 10,
+  },
+  templateCardSelected: {
+    backgroundColor: colors.primarySoft,
+    borderColor: colors.primary,
+  },
+  templateHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  templateName: {
+    fontSize: 17,
+    fontWeight: '600',
+    color: colors.textStrong,
+  },
+  templateSchedule: {
+    fontSize: 13,
+    color: colors.primary,
+    marginTop: 2,
+    marginBottom: 6,
+  },
+  templateDescription: {
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+  scratchButton: {
+    alignItems: 'center',
+    padding: 14,
+    marginBottom: 20,
+  },
+  scratchButtonText: {
+    fontSize: 15,
+    color: colors.primary,
+    fontWeight: '500',
+  },
+  installButton: {
+    backgroundColor: colors.primary,
+    borderRadius: 8,
+    padding: 16,
+    alignItems: 'center',
+    marginBottom: 90,
+  },
+  installButtonDisabled: {
+    opacity: 0.5,
+  },
+  installButtonText: {
+    color: colors.onPrimary,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -3,28 +3,61 @@ import {
   Text, 
   View, 
   TouchableOpacity, 
-  FlatList, 
   ActivityIndicator,
   TextInput,
   Alert,
   Modal
 } from 'react-native';
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { Ionicons } from '@expo/vector-icons';
 import { useNavigation, useFocusEffect } from '@react-navigation/native';
 import { workoutService } from '../services/workoutService';
+import { authService } from '../services/authService';
 import { Swipeable } from 'react-native-gesture-handler';
 import * as Haptics from 'expo-haptics';
 import { LinearGradient } from 'expo-linear-gradient';
+import PendingSyncIndicator from '../components/PendingSyncIndicator';
+import UndoToast from '../components/UndoToast';
+import ReorderableList from '../components/ReorderableList';
+import ExerciseGroupModal from '../components/ExerciseGroupModal';
+import ProgressionRulesModal from '../components/ProgressionRulesModal';
+import WeekdayActionsModal from '../components/WeekdayActionsModal';
+import { getWeekdayWeek } from '../utils/programs';
+import { isNetworkError } from '../utils/network';
+import { useWeightUnit, usePlateSettings } from '../context/PreferencesContext';
+import {
+  formatWeight, getWeightUnitLabel, parseEditedWeight, toDisplayWeight, fromDisplayWeight, getWeightIncrement
+} from '../utils/units';
+import { isPlateLoaded } from '../utils/plates';
+import { getTopWorkingSet, generateWarmupSets, getWarmupLoading } from '../utils/warmups';
+import { SUGGESTION_TYPES, suggestProgression } from '../utils/progression';
+import { GROUP_TYPES, MIN_GROUP_SIZE, keepGroupsTogether, getGroupLetter } from '../utils/exerciseGroups';
+import { DEFAULT_SET_TYPE, hasOpenReps, parseDropWeights } from '../utils/setTypes';
+import SetTypePicker from '../components/SetTypePicker';
+import SetTypeBadge from '../components/SetTypeBadge';
+import SetTargetsInput, { EMPTY_SET_TARGETS } from '../components/SetTargetsInput';
+import { buildSetTargets, getSetTargetsError, formatSetTargets } from '../utils/setTargets';
+import {
+  MEASUREMENT_MODES, getMeasurementMode, usesField, parseSetMeasures, getSetMeasuresError,
+  formatMeasure, formatFieldLabel, formatSetDuration
+} from '../utils/measurementModes';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+
+// How far back sessions are read when suggesting the next progression step
+const PROGRESSION_HISTORY_DAYS = 56;
 
 /**
  * WeekdayDetailsScreen - Shows and manages exercises for a specific day
  * Allows adding/removing exercises and configuring sets
  */
 const WeekdayDetailsScreen = ({ route }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   // Get the weekday data passed from the previous screen
   const { weekday } = route.params;
   const navigation = useNavigation();
+  const weightUnit = useWeightUnit(); // Unit weights are shown and typed in
+  const { plateSettings } = usePlateSettings(); // Bar and plates warm-ups are loaded with
   
   // State variables to manage screen data and UI
   const [exercises, setExercises] = useState([]);  // List of exercises for this day
@@ -35,15 +68,38 @@ const WeekdayDetailsScreen = ({ route }) => {
   const [currentExercise, setCurrentExercise] = useState(null);  // Exercise being modified
   const [newSetReps, setNewSetReps] = useState('');  // Reps count for new set
   const [newSetWeight, setNewSetWeight] = useState(''); // Weight for new set
+  const [newSetDuration, setNewSetDuration] = useState(''); // Time for a new timed set
+  const [newSetDistance, setNewSetDistance] = useState(''); // Distance for a new cardio set
+  const [newSetType, setNewSetType] = useState(DEFAULT_SET_TYPE); // Kind of new set
+  const [newSetDrops, setNewSetDrops] = useState('');   // Drop weights for a new drop set
+  const [newSetTargets, setNewSetTargets] = useState(EMPTY_SET_TARGETS); // Target RPE/RIR and tempo for a new set
+  const [editingSetId, setEditingSetId] = useState(null); // Set being edited inline
+  const [editSetReps, setEditSetReps] = useState('');     // Reps typed in the inline editor
+  const [editSetWeight, setEditSetWeight] = useState(''); // Weight typed in the inline editor
+  const [editSetDuration, setEditSetDuration] = useState(''); // Time typed in the inline editor
+  const [editSetDistance, setEditSetDistance] = useState(''); // Distance typed in the inline editor
+  const [lastChange, setLastChange] = useState(null);     // Last set edit/delete that can be undone
+  const [recentSets, setRecentSets] = useState([]);        // Performed sets of the last weeks, for progression suggestions
+  const [progressionExercise, setProgressionExercise] = useState(null); // Exercise whose progression rules are being edited
+  const [groupModal, setGroupModal] = useState(null);     // Superset/circuit being created or edited { group, selection }
+  const [dayActionsVisible, setDayActionsVisible] = useState(false); // Controls the copy/swap/clear modal
+  const [weekWeekdays, setWeekWeekdays] = useState([]);   // Other days of the same week, for copy/swap
   
   // Ref to track open swipeable rows (for delete functionality)
   const swipeableRefs = useRef({});
 
   // Fetch exercises when component mounts or weekday changes
+  // Cached exercises are shown right away while the network request runs
   useEffect(() => {
     const fetchExercises = async () => {
       try {
         if (weekday && weekday.$id) {
+          const cachedExercises = await workoutService.getCachedWeekdayExercises(weekday.$id);
+          if (cachedExercises) {
+            setExercises(cachedExercises);
+            setLoading(false);
+          }
+          
           const exercisesData = await workoutService.getWeekdayExercises(weekday.$id);
           setExercises(exercisesData);
         }
@@ -58,12 +114,20 @@ const WeekdayDetailsScreen = ({ route }) => {
   }, [weekday]);
 
   // Function to refresh exercise list data
+  // Only shows the spinner when nothing is cached for this day
   const refreshExercises = async () => {
     try {
-      setLoading(true);
       if (weekday && weekday.$id) {
+        const cachedExercises = await workoutService.getCachedWeekdayExercises(weekday.$id);
+        if (cachedExercises) {
+          setExercises(cachedExercises);
+        } else {
+          setLoading(true);
+        }
+        
         const exercisesData = await workoutService.getWeekdayExercises(weekday.$id);
         setExercises(exercisesData);
+        loadRecentSets(exercisesData);
       }
     } catch (error) {
       console.error('Error refreshing exercises:', error);
@@ -72,6 +136,158 @@ const WeekdayDetailsScreen = ({ route }) => {
     }
   };
 
+  /**
+   * Load how the last sessions of the day's exercises went
+   * Suggestions are optional, so failures (e.g. offline) just leave them out
+   * @param {Array} exercisesData - Workout exercises of the day
+   */
+  const loadRecentSets = async (exercisesData) => {
+    try {
+      const user = await authService.getCurrentUser();
+      if (!user || exercisesData.length === 0) return;
+      
+      const since = new Date(Date.now() - PROGRESSION_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+      const sets = await workoutService.getRecentWorkoutExerciseSets(
+        user.$id,
+        exercisesData.map(ex => ex.$id),
+        since
+      );
+      setRecentSets(sets);
+    } catch (error) {
+      console.log('Could not load recent sessions for suggestions:', error);
+    }
+  };
+
+  // Next progression step for each exercise, keyed by workout exercise ID
+  const suggestions = useMemo(() => {
+    const byExercise = {};
+    exercises.forEach(exercise => {
+      const suggestion = suggestProgression(
+        exercise,
+        recentSets.filter(set => set.workoutExerciseId === exercise.$id),
+        weightUnit
+      );
+      if (suggestion) {
+        byExercise[exercise.$id] = suggestion;
+      }
+    });
+    return byExercise;
+  }, [exercises, recentSets, weightUnit]);
+
+  /**
+   * Apply a progression suggestion to the planned sets
+   * @param {Object} exercise - Workout exercise the suggestion is for
+   * @param {Object} suggestion - Suggestion with the new reps/weight per set
+   */
+  const handleAcceptSuggestion = async (exercise, suggestion) => {
+    try {
+      for (const change of suggestion.changes) {
+        await workoutService.updateSet(change.set.$id, change.reps, change.weight);
+      }
+      
+      replaceExerciseSets(exercise.$id, exercise.sets.map(set => {
+        const change = suggestion.changes.find(c => c.set.$id === set.$id);
+        return change ? { ...set, reps: change.reps, weight: change.weight } : set;
+      }));
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    } catch (error) {
+      console.error('Error applying suggestion:', error);
+      Alert.alert('Error', 'Failed to update the sets');
+      refreshExercises();
+    }
+  };
+
+  /**
+   * Whether warm-up sets can be generated for an exercise
+   * Needs a weighted working set and no warm-ups planned yet
+   * @param {Object} exercise - Workout exercise with its sets
+   * @returns {boolean} - True when the "Add warm-ups" action applies
+   */
+  const canAddWarmups = (exercise) => {
+    return getMeasurementMode(exercise) === 'repsWeight'
+      && !(exercise.sets || []).some(set => set.setType === 'warmup')
+      && getTopWorkingSet(exercise.sets) !== null;
+  };
+
+  /**
+   * Plan a ramp of warm-up sets before the top working set
+   * Weights are worked out in the user's unit so they land on loadable weights
+   * @param {Object} exercise - Workout exercise to warm up for
+   */
+  const handleAddWarmups = async (exercise) => {
+    const topSet = getTopWorkingSet(exercise.sets);
+    if (!topSet) return;
+    
+    const warmups = generateWarmupSets(
+      toDisplayWeight(topSet.weight, weightUnit),
+      getWarmupLoading(isPlateLoaded(exercise), plateSettings, getWeightIncrement(weightUnit))
+    );
+    if (warmups.length === 0) {
+      Alert.alert('No warm-ups needed', 'The top set is too light to ramp up to.');
+      return;
+    }
+    
+    try {
+      setEditingSetId(null);
+      
+      const added = [];
+      for (const warmup of warmups) {
+        added.push(await workoutService.addSetToExercise(
+          exercise.$id,
+          warmup.reps,
+          fromDisplayWeight(warmup.weight, weightUnit),
+          null,
+          'warmup'
+        ));
+      }
+      
+      // Warm-ups go before the working sets
+      replaceExerciseSets(exercise.$id, await workoutService.renumberSets([...added, ...exercise.sets]));
+      setLastChange(null);
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    } catch (error) {
+      console.error('Error adding warm-up sets:', error);
+      Alert.alert('Error', 'Failed to add warm-up sets');
+      refreshExercises();
+    }
+  };
+
+  /**
+   * Hide a progression suggestion until the exercise is done again
+   * @param {Object} exercise - Workout exercise the suggestion is for
+   * @param {Object} suggestion - Suggestion being rejected
+   */
+  const handleDismissSuggestion = async (exercise, suggestion) => {
+    try {
+      await workoutService.dismissProgression(exercise.$id, suggestion.sessionId);
+      setExercises(prev => prev.map(ex => (
+        ex.$id === exercise.$id ? { ...ex, progressionDismissedSessionId: suggestion.sessionId } : ex
+      )));
+    } catch (error) {
+      console.error('Error dismissing suggestion:', error);
+      Alert.alert('Error', 'Failed to dismiss the suggestion');
+    }
+  };
+
+  /**
+   * Save the progression rules typed in the modal
+   * @param {Object} rules - Complete progression rules
+   */
+  const handleSaveProgressionRules = async (rules) => {
+    const exercise = progressionExercise;
+    setProgressionExercise(null);
+    
+    try {
+      await workoutService.updateProgressionRules(exercise.$id, rules);
+      setExercises(prev => prev.map(ex => (
+        ex.$id === exercise.$id ? { ...ex, progressionRules: JSON.stringify(rules) } : ex
+      )));
+    } catch (error) {
+      console.error('Error saving progression rules:', error);
+      Alert.alert('Error', error.message || 'Failed to save progression rules');
+    }
+  };
+
   // Navigate to add exercise screen
   const handleAddExercise = () => {
     navigation.navigate('AddExercise', { weekdayId: weekday.$id });
@@ -90,13 +306,102 @@ const WeekdayDetailsScreen = ({ route }) => {
       
       await workoutService.deleteExerciseFromWeekday(exerciseId);
       // Update the local list by removing the deleted exercise
-      setExercises(exercises.filter(ex => ex.$id !== exerciseId));
+      const remaining = exercises.filter(ex => ex.$id !== exerciseId);
+      setExercises(remaining);
+      
+      // A superset/circuit with a single exercise left is no longer a group
+      const group = exercises.find(ex => ex.$id === exerciseId)?.group;
+      const groupMembers = group ? getGroupMembers(group.$id, remaining) : [];
+      if (group && groupMembers.length < MIN_GROUP_SIZE) {
+        await workoutService.removeExerciseGroup(group.$id, groupMembers.map(ex => ex.$id));
+        refreshExercises();
+      }
     } catch (error) {
       console.error('Error deleting exercise:', error);
       Alert.alert('Error', 'Failed to delete exercise');
     }
   };
   
+  // Save the new exercise order after a drag and drop
+  // Members of a superset/circuit always stay next to each other
+  const handleReorderExercises = async (reorderedExercises) => {
+    const orderedExercises = keepGroupsTogether(reorderedExercises);
+    
+    // Show the new order right away, the writes happen in the background
+    setExercises(orderedExercises);
+    
+    try {
+      const savedExercises = await workoutService.reorderWeekdayExercises(weekday.$id, orderedExercises);
+      setExercises(savedExercises);
+    } catch (error) {
+      console.error('Error reordering exercises:', error);
+      Alert.alert('Error', 'Failed to save exercise order');
+      refreshExercises();
+    }
+  };
+  
+  /**
+   * Exercises that belong to a superset/circuit, in day order
+   * @param {string} groupId - Group ID
+   * @param {Array} list - Exercises to look in (defaults to the current list)
+   * @returns {Array} - Group members
+   */
+  const getGroupMembers = (groupId, list = exercises) => {
+    return list.filter(ex => ex.group?.$id === groupId);
+  };
+  
+  /**
+   * Open the superset/circuit modal for an exercise
+   * Edits the exercise's group, or starts a new group with the exercise selected
+   * @param {Object} exercise - Workout exercise whose link button was tapped
+   */
+  const openGroupModal = (exercise) => {
+    setGroupModal(exercise.group
+      ? { group: exercise.group, selection: getGroupMembers(exercise.group.$id).map(ex => ex.$id) }
+      : { group: null, selection: [exercise.$id] }
+    );
+  };
+  
+  /**
+   * Create or update a superset/circuit from the modal values
+   * New groups are moved together in the day order
+   */
+  const handleSaveGroup = async ({ type, rounds, restSeconds, workoutExerciseIds }) => {
+    const { group } = groupModal;
+    setGroupModal(null);
+    
+    try {
+      if (group) {
+        await workoutService.updateExerciseGroup(group.$id, type, rounds, restSeconds);
+        refreshExercises();
+      } else {
+        await workoutService.createExerciseGroup(weekday.$id, workoutExerciseIds, type, rounds, restSeconds);
+        const updatedExercises = await workoutService.getWeekdayExercises(weekday.$id);
+        await handleReorderExercises(updatedExercises);
+      }
+    } catch (error) {
+      console.error('Error saving exercise group:', error);
+      Alert.alert('Error', `Failed to save ${GROUP_TYPES[type].toLowerCase()}`);
+      refreshExercises();
+    }
+  };
+  
+  /**
+   * Unlink the exercises of the group open in the modal
+   */
+  const handleUngroup = async () => {
+    const { group, selection } = groupModal;
+    setGroupModal(null);
+    
+    try {
+      await workoutService.removeExerciseGroup(group.$id, selection);
+      refreshExercises();
+    } catch (error) {
+      console.error('Error removing exercise group:', error);
+      Alert.alert('Error', 'Failed to unlink exercises');
+    }
+  };
+  
   // Navigate to exercise details
   const handleViewExerciseDetails = (exercise) => {
     // Navigate to the Exercises tab first, then to the ExerciseDetails screen
@@ -131,12 +436,110 @@ const WeekdayDetailsScreen = ({ route }) => {
     }
   };
   
+  /**
+   * Open the copy/swap/clear actions with the days of this week to pick from
+   * Days come from the weekly plan saved on the device
+   */
+  const handleOpenDayActions = async () => {
+    try {
+      const user = await authService.getCurrentUser();
+      const days = user ? await workoutService.getCachedUserWeekdays(user.$id, getWeekdayWeek(weekday)) : [];
+      setWeekWeekdays(days || []);
+    } catch (error) {
+      console.log('Could not load the days of the week:', error);
+      setWeekWeekdays([]);
+    }
+    setDayActionsVisible(true);
+  };
+
+  /**
+   * Copy this day's plan to another day of the week
+   * @param {Object} target - Day that receives the copy
+   */
+  const handleCopyDay = async (target) => {
+    setDayActionsVisible(false);
+    try {
+      await workoutService.copyWeekday(weekday.$id, target.$id);
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      Alert.alert('Day copied', `${target.dayName} now has the same plan as ${weekday.dayName}.`);
+    } catch (error) {
+      console.error('Error copying day:', error);
+      if (isNetworkError(error)) {
+        Alert.alert('Offline', 'Connect to the internet to copy a day.');
+      } else {
+        Alert.alert('Error', error.message || 'Failed to copy the day');
+      }
+    }
+  };
+
+  /**
+   * Swap this day's plan with another day, then show the plan it received
+   * @param {Object} other - Day to swap with
+   */
+  const handleSwapDays = async (other) => {
+    setDayActionsVisible(false);
+    try {
+      await workoutService.swapWeekdays(weekday.$id, other.$id);
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      
+      const description = other.description || '';
+      setWeekdayDescription(description);
+      route.params.weekday = { ...weekday, description };
+      setLastChange(null);
+      refreshExercises();
+    } catch (error) {
+      console.error('Error swapping days:', error);
+      Alert.alert('Error', 'Failed to swap the days');
+    }
+  };
+
+  /**
+   * Remove every exercise of this day in one step
+   */
+  const handleClearDay = async () => {
+    setDayActionsVisible(false);
+    try {
+      await workoutService.clearWeekday(weekday.$id);
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      setExercises([]);
+      setLastChange(null);
+    } catch (error) {
+      console.error('Error clearing day:', error);
+      Alert.alert('Error', 'Failed to clear the day');
+      refreshExercises();
+    }
+  };
+  
   // Add a new set to an exercise
   const handleAddSet = () => {
     if (!currentExercise) return;
     
-    if (!newSetReps || !newSetWeight) {
-      Alert.alert('Error', 'Please enter both reps and weight');
+    // Only the fields of the exercise's measurement mode are filled in
+    // AMRAP sets leave the reps open until they are logged
+    const mode = getMeasurementMode(currentExercise);
+    const openReps = hasOpenReps({ setType: newSetType });
+    const values = parseSetMeasures(mode, {
+      reps: newSetReps,
+      weight: newSetWeight,
+      duration: newSetDuration,
+      distance: newSetDistance
+    }, weightUnit);
+    const measuresError = getSetMeasuresError(mode, values, { openReps });
+    if (measuresError) {
+      Alert.alert('Error', measuresError);
+      return;
+    }
+    
+    const dropWeights = parseDropWeights(newSetDrops, weightUnit);
+    if (newSetType === 'drop' && dropWeights.length === 0) {
+      Alert.alert('Error', 'Please enter the weights to drop to');
+      return;
+    }
+    
+    const targets = buildSetTargets(newSetTargets);
+    const targetsError = getSetTargetsError(targets);
+    if (targetsError) {
+      Alert.alert('Error', targetsError);
       return;
     }
     
@@ -145,13 +548,23 @@ const WeekdayDetailsScreen = ({ route }) => {
         // Add set to the exercise in the database
         await workoutService.addSetToExercise(
           currentExercise.$id,
-          parseInt(newSetReps),
-          parseFloat(newSetWeight)
+          openReps ? null : values.reps,
+          values.weight,
+          null,
+          newSetType,
+          dropWeights,
+          targets,
+          { durationSeconds: values.durationSeconds, distance: values.distance }
         );
         
         // Clear form and close modal
         setNewSetReps('');
         setNewSetWeight('');
+        setNewSetDuration('');
+        setNewSetDistance('');
+        setNewSetType(DEFAULT_SET_TYPE);
+        setNewSetDrops('');
+        setNewSetTargets(EMPTY_SET_TARGETS);
         setAddSetModalVisible(false);
         
         // Refresh exercises to show the new set
@@ -167,10 +580,177 @@ const WeekdayDetailsScreen = ({ route }) => {
   
   // Open the modal to add a set to an exercise
   const openAddSetModal = (exercise) => {
+    // Set types only apply to reps × weight
+    if (getMeasurementMode(exercise) !== 'repsWeight') {
+      setNewSetType(DEFAULT_SET_TYPE);
+    }
     setCurrentExercise(exercise);
     setAddSetModalVisible(true);
   };
   
+  /**
+   * Replace the sets of one exercise in the local list
+   * @param {string} workoutExerciseId - Workout exercise ID
+   * @param {Array} sets - New sets, in order
+   */
+  const replaceExerciseSets = (workoutExerciseId, sets) => {
+    setExercises(prev => prev.map(ex => (
+      ex.$id === workoutExerciseId ? { ...ex, sets } : ex
+    )));
+  };
+
+  /**
+   * Open the inline editor for a set
+   * @param {Object} set - Set to edit
+   */
+  const startEditingSet = (set) => {
+    setEditingSetId(set.$id);
+    setEditSetReps(String(set.reps ?? ''));
+    setEditSetWeight(formatWeight(set.weight, weightUnit));
+    setEditSetDuration(set.durationSeconds != null ? formatSetDuration(set.durationSeconds) : '');
+    setEditSetDistance(String(set.distance ?? ''));
+  };
+
+  /**
+   * Value, setter and keyboard of the inline editor input for a field
+   * @param {string} field - Field recorded by the exercise's measurement mode
+   * @return {Object} - Props for the TextInput
+   */
+  const getEditInputProps = (field) => ({
+    reps: { value: editSetReps, onChangeText: setEditSetReps, keyboardType: 'numeric' },
+    weight: { value: editSetWeight, onChangeText: setEditSetWeight, keyboardType: 'decimal-pad' },
+    durationSeconds: { value: editSetDuration, onChangeText: setEditSetDuration, keyboardType: 'numbers-and-punctuation' },
+    distance: { value: editSetDistance, onChangeText: setEditSetDistance, keyboardType: 'decimal-pad' }
+  }[field]);
+
+  /**
+   * Save the values typed in the inline editor
+   * @param {Object} exercise - Workout exercise the set belongs to
+   * @param {Object} set - Set being edited
+   */
+  const handleSaveSet = async (exercise, set) => {
+    const mode = getMeasurementMode(exercise);
+    const values = parseSetMeasures(mode, {
+      reps: editSetReps,
+      weight: editSetWeight,
+      duration: editSetDuration,
+      distance: editSetDistance
+    }, weightUnit);
+    
+    // A weight left as shown keeps its exact stored value
+    if (usesField(mode, 'weight')) {
+      values.weight = parseEditedWeight(editSetWeight, set.weight, weightUnit);
+    }
+    
+    // AMRAP sets may keep their reps open
+    const openReps = hasOpenReps(set) && editSetReps === '';
+    if (openReps) values.reps = null;
+    
+    const measuresError = getSetMeasuresError(mode, values, { openReps });
+    if (measuresError) {
+      Alert.alert('Error', measuresError);
+      return;
+    }
+    
+    setEditingSetId(null);
+    
+    const { reps, weight, durationSeconds, distance } = values;
+    const measures = { durationSeconds, distance };
+    
+    // Nothing changed, just close the editor
+    if (reps === set.reps && weight === set.weight
+      && durationSeconds === (set.durationSeconds ?? null) && distance === (set.distance ?? null)) return;
+    
+    try {
+      await workoutService.updateSet(set.$id, reps, weight, null, measures);
+      replaceExerciseSets(
+        exercise.$id,
+        exercise.sets.map(s => (s.$id === set.$id ? { ...s, reps, weight, ...measures } : s))
+      );
+      setLastChange({ type: 'edit', id: Date.now(), workoutExerciseId: exercise.$id, set });
+    } catch (error) {
+      console.error('Error updating set:', error);
+      Alert.alert('Error', 'Failed to update set');
+    }
+  };
+
+  /**
+   * Delete a set and renumber the remaining ones so there are no gaps
+   * @param {Object} exercise - Workout exercise the set belongs to
+   * @param {Object} set - Set to delete
+   */
+  const handleDeleteSet = async (exercise, set) => {
+    try {
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      setEditingSetId(null);
+      
+      await workoutService.deleteSet(set.$id);
+      const remainingSets = await workoutService.renumberSets(
+        exercise.sets.filter(s => s.$id !== set.$id)
+      );
+      replaceExerciseSets(exercise.$id, remainingSets);
+      setLastChange({ type: 'delete', id: Date.now(), workoutExerciseId: exercise.$id, set });
+    } catch (error) {
+      console.error('Error deleting set:', error);
+      Alert.alert('Error', 'Failed to delete set');
+      refreshExercises();
+    }
+  };
+
+  /**
+   * Revert the last set edit or bring back the last deleted set
+   * A deleted set is recreated at its old position and the sets after it move down
+   */
+  const handleUndo = async () => {
+    const change = lastChange;
+    if (!change) return;
+    setLastChange(null);
+    
+    const exercise = exercises.find(ex => ex.$id === change.workoutExerciseId);
+    if (!exercise) return;
+    
+    try {
+      if (change.type === 'edit') {
+        const measures = {
+          durationSeconds: change.set.durationSeconds ?? null,
+          distance: change.set.distance ?? null
+        };
+        
+        await workoutService.updateSet(change.set.$id, change.set.reps, change.set.weight, null, measures);
+        replaceExerciseSets(
+          exercise.$id,
+          exercise.sets.map(s => (s.$id === change.set.$id ? { ...s, reps: change.set.reps, weight: change.set.weight, ...measures } : s))
+        );
+      } else {
+        const restoredSet = await workoutService.addSetToExercise(
+          exercise.$id,
+          change.set.reps,
+          change.set.weight,
+          change.set.setNumber,
+          change.set.setType,
+          change.set.dropWeights,
+          {
+            targetRpe: change.set.targetRpe ?? null,
+            targetRir: change.set.targetRir ?? null,
+            tempo: change.set.tempo ?? null
+          },
+          {
+            durationSeconds: change.set.durationSeconds ?? null,
+            distance: change.set.distance ?? null
+          }
+        );
+        
+        const sets = [...exercise.sets];
+        sets.splice(change.set.setNumber - 1, 0, restoredSet);
+        replaceExerciseSets(exercise.$id, await workoutService.renumberSets(sets));
+      }
+    } catch (error) {
+      console.error('Error undoing set change:', error);
+      Alert.alert('Error', 'Failed to undo');
+      refreshExercises();
+    }
+  };
+
   // Close all other swipeables when opening a new one
   // This prevents multiple swipeable rows being open at once
   const closeOtherSwipeables = (id) => {
@@ -188,7 +768,7 @@ const WeekdayDetailsScreen = ({ route }) => {
         style={styles.deleteAction}
         onPress={() => handleDeleteExercise(exerciseId)}
       >
-        <Ionicons name="trash-outline" size={24} color="#fff" />
+        <Ionicons name="trash-outline" size={24} color={colors.onPrimary} />
         <Text style={styles.deleteActionText}>Delete</Text>
       </TouchableOpacity>
     );
@@ -202,16 +782,27 @@ const WeekdayDetailsScreen = ({ route }) => {
     }, [weekday])
   );
 
+  // What the sets of the exercise in the add-set modal record
+  const currentMode = getMeasurementMode(currentExercise);
+
   return (
     <View style={styles.container}>
       {/* Back Button */}
-      <TouchableOpacity 
-        style={styles.backButton}
-        onPress={() => navigation.goBack()}
-      >
-        <Ionicons name="chevron-back" size={24} color="#000" />
-        <Text style={styles.backButtonText}>Back</Text>
-      </TouchableOpacity>
+      <View style={styles.topBar}>
+        <TouchableOpacity 
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Ionicons name="chevron-back" size={24} color={colors.textStrong} />
+          <Text style={styles.backButtonText}>Back</Text>
+        </TouchableOpacity>
+        <View style={styles.topBarActions}>
+          <PendingSyncIndicator />
+          <TouchableOpacity onPress={handleOpenDayActions} style={styles.dayActionsButton}>
+            <Ionicons name="ellipsis-horizontal" size={24} color={colors.textStrong} />
+          </TouchableOpacity>
+        </View>
+      </View>
 
       {/* Header with day name and description */}
       <View style={styles.header}>
@@ -221,6 +812,7 @@ const WeekdayDetailsScreen = ({ route }) => {
         {editingDescription ? (
           <View style={styles.descriptionEditContainer}>
             <TextInput
+              placeholderTextColor={colors.textMuted}
               style={styles.descriptionInput}
               value={weekdayDescription}
               onChangeText={setWeekdayDescription}
@@ -239,7 +831,7 @@ const WeekdayDetailsScreen = ({ route }) => {
             <Text style={styles.dayDescription}>
               {weekdayDescription || 'Tap to add description'}
             </Text>
-            <Ionicons name="create-outline" size={16} color="#777" style={styles.editIcon} />
+            <Ionicons name="create-outline" size={16} color={colors.textSecondary} style={styles.editIcon} />
           </TouchableOpacity>
         )}
       </View>
@@ -247,95 +839,214 @@ const WeekdayDetailsScreen = ({ route }) => {
       {/* Exercise List - shows loading spinner or list */}
       {loading ? (
         <View style={styles.loadingContainer}>
-          <ActivityIndicator size="large" color="#1E0371" />
+          <ActivityIndicator size="large" color={colors.primary} />
         </View>
       ) : (
-        <FlatList
+        <ReorderableList
           data={exercises}
           keyExtractor={(item) => item.$id}
+          onReorder={handleReorderExercises}
+          extraData={[editingSetId, editSetReps, editSetWeight, editSetDuration, editSetDistance, suggestions, weightUnit]}
           contentContainerStyle={styles.exerciseList}
           showsVerticalScrollIndicator={false}
-          renderItem={({ item }) => (
-            <Swipeable
-              ref={(ref) => {
-                if (ref && item.$id) {
-                  swipeableRefs.current[item.$id] = ref;
-                }
-              }}
-              onSwipeableOpen={() => closeOtherSwipeables(item.$id)}
-              renderRightActions={() => renderRightActions(item.$id)}
-              rightThreshold={40}
-              containerStyle={styles.swipeableContainer}
-            >
-              <TouchableOpacity
-                style={styles.exerciseCard}
-                onPress={() => handleViewExerciseDetails(item)}
-                activeOpacity={0.9}
-              >
-                <LinearGradient
-                  colors={['#f8f9fa', '#edf1f7']}
-                  style={styles.exerciseCardGradient}
+          ListHeaderComponent={
+            exercises.length > 1 ? (
+              <Text style={styles.reorderHint}>Hold an exercise and drag it to reorder</Text>
+            ) : null
+          }
+          renderItem={({ item, isActive }) => {
+            // Position of the exercise in its superset/circuit (-1 when not grouped)
+            const groupMembers = item.group ? getGroupMembers(item.group.$id) : [];
+            const groupIndex = groupMembers.findIndex(ex => ex.$id === item.$id);
+            
+            // Columns recorded for each set of the exercise
+            const fields = MEASUREMENT_MODES[getMeasurementMode(item)].fields;
+            
+            return (
+              <View>
+                {/* Group summary above the first exercise of a superset/circuit */}
+                {groupIndex === 0 && (
+                  <TouchableOpacity style={styles.groupHeader} onPress={() => openGroupModal(item)}>
+                    <Ionicons name="link" size={16} color={colors.primary} />
+                    <Text style={styles.groupHeaderText}>
+                      {GROUP_TYPES[item.group.type] || 'Group'} • {item.group.rounds} rounds • {item.group.restSeconds}s rest
+                    </Text>
+                    <Ionicons name="create-outline" size={16} color={colors.textSecondary} />
+                  </TouchableOpacity>
+                )}
+                <Swipeable
+                  ref={(ref) => {
+                    if (ref && item.$id) {
+                      swipeableRefs.current[item.$id] = ref;
+                    }
+                  }}
+                  enabled={!isActive}
+                  onSwipeableOpen={() => closeOtherSwipeables(item.$id)}
+                  renderRightActions={() => renderRightActions(item.$id)}
+                  rightThreshold={40}
+                  containerStyle={styles.swipeableContainer}
                 >
-                  {/* Exercise header with name and category */}
-                  <View style={styles.exerciseHeader}>
-                    <View style={styles.exerciseThumbnail}>
-                      <Ionicons name="barbell-outline" size={24} color="#555" />
-                    </View>
-                    <View style={styles.exerciseTitleContainer}>
-                      <Text style={styles.exerciseName}>{item.exerciseName}</Text>
-                      <Text style={styles.exerciseCategory}>
-                        {item.bodyPart} • {item.category}
-                      </Text>
-                    </View>
-                  </View>
-                  
-                  {/* Display Sets - either existing sets or "no sets" message */}
-                  {item.sets && item.sets.length > 0 ? (
-                    <View style={styles.setsContainer}>
-                      <View style={styles.setsHeader}>
-                        <Text style={styles.setsHeaderText}>Set</Text>
-                        <Text style={styles.setsHeaderText}>Reps</Text>
-                        <Text style={styles.setsHeaderText}>Weight (kg)</Text>
+                  <TouchableOpacity
+                    style={[
+                      styles.exerciseCard,
+                      groupIndex >= 0 && styles.groupedExerciseCard,
+                      isActive && styles.draggingExerciseCard
+                    ]}
+                    onPress={() => handleViewExerciseDetails(item)}
+                    activeOpacity={0.9}
+                  >
+                    <LinearGradient
+                      colors={[colors.surfaceMuted, colors.surface]}
+                      style={styles.exerciseCardGradient}
+                    >
+                      {/* Exercise header with name and category */}
+                      <View style={styles.exerciseHeader}>
+                        <View style={styles.exerciseThumbnail}>
+                          {groupIndex >= 0 ? (
+                            <Text style={styles.groupLetter}>{getGroupLetter(groupIndex)}</Text>
+                          ) : (
+                            <Ionicons name="barbell-outline" size={24} color={colors.textSecondary} />
+                          )}
+                        </View>
+                        <View style={styles.exerciseTitleContainer}>
+                          <Text style={styles.exerciseName}>{item.exerciseName}</Text>
+                          <Text style={styles.exerciseCategory}>
+                            {item.bodyPart} • {item.category}
+                          </Text>
+                        </View>
+                        {/* Progression rules (reps × weight only) */}
+                        {getMeasurementMode(item) === 'repsWeight' && (
+                          <TouchableOpacity style={styles.linkButton} onPress={() => setProgressionExercise(item)}>
+                            <Ionicons name="trending-up-outline" size={20} color={colors.primary} />
+                          </TouchableOpacity>
+                        )}
+                        {/* Link into a superset/circuit (only when there is something to link with) */}
+                        {(item.group || exercises.length >= MIN_GROUP_SIZE) && (
+                          <TouchableOpacity style={styles.linkButton} onPress={() => openGroupModal(item)}>
+                            <Ionicons name={item.group ? 'link' : 'link-outline'} size={20} color={colors.primary} />
+                          </TouchableOpacity>
+                        )}
                       </View>
                       
-                      {/* Map through each set and show its details */}
-                      {item.sets.map((set) => (
-                        <View key={set.$id} style={styles.setRow}>
-                          <Text style={styles.setCell}>{set.setNumber}</Text>
-                          <Text style={styles.setCell}>{set.reps}</Text>
-                          <Text style={styles.setCell}>{set.weight}</Text>
+                      {/* Next progression step, based on the last sessions */}
+                      {suggestions[item.$id] && (
+                        <View style={[
+                          styles.suggestionBanner,
+                          suggestions[item.$id].type === 'deload' && styles.deloadSuggestionBanner
+                        ]}>
+                          <View style={styles.suggestionTextContainer}>
+                            <Text style={styles.suggestionTitle}>{SUGGESTION_TYPES[suggestions[item.$id].type]}</Text>
+                            <Text style={styles.suggestionMessage}>{suggestions[item.$id].message}</Text>
+                          </View>
+                          <TouchableOpacity
+                            style={styles.suggestionAccept}
+                            onPress={() => handleAcceptSuggestion(item, suggestions[item.$id])}
+                          >
+                            <Ionicons name="checkmark" size={18} color={colors.onPrimary} />
+                          </TouchableOpacity>
+                          <TouchableOpacity
+                            style={styles.suggestionReject}
+                            onPress={() => handleDismissSuggestion(item, suggestions[item.$id])}
+                          >
+                            <Ionicons name="close" size={18} color={colors.textSecondary} />
+                          </TouchableOpacity>
                         </View>
-                      ))}
+                      )}
+                  
+                      {/* Display Sets - either existing sets or "no sets" message */}
+                      {item.sets && item.sets.length > 0 ? (
+                        <View style={styles.setsContainer}>
+                          <View style={styles.setsHeader}>
+                            <Text style={styles.setsHeaderText}>Set</Text>
+                            {fields.map(field => (
+                              <Text key={field} style={styles.setsHeaderText}>{formatFieldLabel(field, weightUnit)}</Text>
+                            ))}
+                          </View>
                       
-                      {/* Button to add another set */}
-                      <TouchableOpacity
-                        style={styles.addSetRow}
-                        onPress={() => openAddSetModal(item)}
-                      >
-                        <Ionicons name="add-circle-outline" size={18} color="#1E0371" />
-                        <Text style={styles.addSetText}>Add Set</Text>
-                      </TouchableOpacity>
-                    </View>
-                  ) : (
-                    <View style={styles.noSetsContainer}>
-                      <Text style={styles.noSetsText}>No sets configured</Text>
-                      <TouchableOpacity 
-                        style={styles.addFirstSetButton}
-                        onPress={() => openAddSetModal(item)}
-                      >
-                        <Ionicons name="add-circle-outline" size={18} color="#1E0371" />
-                        <Text style={styles.addSetText}>Add Set</Text>
-                      </TouchableOpacity>
-                    </View>
-                  )}
-                </LinearGradient>
-              </TouchableOpacity>
-            </Swipeable>
-          )}
+                          {/* Map through each set - tap a set to edit or delete it */}
+                          {item.sets.map((set) => (
+                            editingSetId === set.$id ? (
+                              <View key={set.$id} style={[styles.setRow, styles.editingSetRow]}>
+                                <Text style={styles.setCell}>{set.setNumber}</Text>
+                                {fields.map((field, index) => (
+                                  <TextInput
+                                    placeholderTextColor={colors.textMuted}
+                                    key={field}
+                                    style={styles.setInput}
+                                    {...getEditInputProps(field)}
+                                    placeholder={field === 'reps' && hasOpenReps(set) ? 'AMRAP' : ''}
+                                    selectTextOnFocus
+                                    autoFocus={index === 0}
+                                  />
+                                ))}
+                                <View style={styles.setActions}>
+                                  <TouchableOpacity onPress={() => handleSaveSet(item, set)} style={styles.setActionButton}>
+                                    <Ionicons name="checkmark" size={20} color={colors.success} />
+                                  </TouchableOpacity>
+                                  <TouchableOpacity onPress={() => handleDeleteSet(item, set)} style={styles.setActionButton}>
+                                    <Ionicons name="trash-outline" size={18} color={colors.danger} />
+                                  </TouchableOpacity>
+                                </View>
+                              </View>
+                            ) : (
+                              <TouchableOpacity
+                                key={set.$id}
+                                style={[styles.setRow, styles.plannedSetRow]}
+                                onPress={() => startEditingSet(set)}
+                              >
+                                <SetTypeBadge set={set} style={styles.setBadgeCell} />
+                                {fields.map(field => (
+                                  <Text key={field} style={styles.setCell}>{formatMeasure(set, field, weightUnit)}</Text>
+                                ))}
+                                {!!formatSetTargets(set) && (
+                                  <Text style={styles.setTargetsText}>{formatSetTargets(set)}</Text>
+                                )}
+                              </TouchableOpacity>
+                            )
+                          ))}
+                      
+                          {/* Button to add another set */}
+                          <TouchableOpacity
+                            style={styles.addSetRow}
+                            onPress={() => openAddSetModal(item)}
+                          >
+                            <Ionicons name="add-circle-outline" size={18} color={colors.primary} />
+                            <Text style={styles.addSetText}>Add Set</Text>
+                          </TouchableOpacity>
+                          
+                          {/* Ramp up to the top set with generated warm-ups */}
+                          {canAddWarmups(item) && (
+                            <TouchableOpacity
+                              style={[styles.addSetRow, styles.addWarmupRow]}
+                              onPress={() => handleAddWarmups(item)}
+                            >
+                              <Ionicons name="flame-outline" size={18} color={colors.warning} />
+                              <Text style={[styles.addSetText, styles.addWarmupText]}>Add Warm-up Sets</Text>
+                            </TouchableOpacity>
+                          )}
+                        </View>
+                      ) : (
+                        <View style={styles.noSetsContainer}>
+                          <Text style={styles.noSetsText}>No sets configured</Text>
+                          <TouchableOpacity 
+                            style={styles.addFirstSetButton}
+                            onPress={() => openAddSetModal(item)}
+                          >
+                            <Ionicons name="add-circle-outline" size={18} color={colors.primary} />
+                            <Text style={styles.addSetText}>Add Set</Text>
+                          </TouchableOpacity>
+                        </View>
+                      )}
+                    </LinearGradient>
+                  </TouchableOpacity>
+                </Swipeable>
+              </View>
+            );
+          }}
           ListEmptyComponent={
             // Show when no exercises are added
             <View style={styles.emptyContainer}>
-              <Ionicons name="barbell-outline" size={60} color="#ddd" />
+              <Ionicons name="barbell-outline" size={60} color={colors.textDisabled} />
               <Text style={styles.emptyText}>No exercises added yet</Text>
               <Text style={styles.emptySubtext}>
                 Start building your workout by adding exercises
@@ -350,7 +1061,7 @@ const WeekdayDetailsScreen = ({ route }) => {
         style={styles.addButton}
         onPress={handleAddExercise}
       >
-        <Ionicons name="add" size={24} color="#fff" />
+        <Ionicons name="add" size={24} color={colors.onPrimary} />
       </TouchableOpacity>
       
       {/* Start Workout Button - only visible when exercises exist */}
@@ -359,11 +1070,53 @@ const WeekdayDetailsScreen = ({ route }) => {
           style={styles.startWorkoutButton}
           onPress={handleStartWorkout}
         >
-          <Ionicons name="play" size={20} color="#fff" style={styles.playIcon} />
+          <Ionicons name="play" size={20} color={colors.onPrimary} style={styles.playIcon} />
           <Text style={styles.startWorkoutText}>Start Workout</Text>
         </TouchableOpacity>
       )}
       
+      {/* Create or edit a superset/circuit */}
+      <ExerciseGroupModal
+        visible={!!groupModal}
+        exercises={exercises.filter(ex => !ex.group)}
+        initialSelection={groupModal?.selection}
+        group={groupModal?.group}
+        onSave={handleSaveGroup}
+        onUngroup={handleUngroup}
+        onClose={() => setGroupModal(null)}
+      />
+      
+      {/* Progressive overload rules of one exercise */}
+      <ProgressionRulesModal
+        visible={!!progressionExercise}
+        exercise={progressionExercise}
+        onSave={handleSaveProgressionRules}
+        onClose={() => setProgressionExercise(null)}
+      />
+      
+      {/* Copy, swap or clear the whole day */}
+      <WeekdayActionsModal
+        visible={dayActionsVisible}
+        weekday={weekday}
+        exerciseCount={exercises.length}
+        weekdays={weekWeekdays}
+        onCopy={handleCopyDay}
+        onSwap={handleSwapDays}
+        onClear={handleClearDay}
+        onClose={() => setDayActionsVisible(false)}
+      />
+      
+      {/* Undo bar for the last set edit/delete */}
+      {lastChange && (
+        <UndoToast
+          key={lastChange.id}
+          message={lastChange.type === 'edit' ? `Set ${lastChange.set.setNumber} updated` : `Set ${lastChange.set.setNumber} deleted`}
+          onUndo={handleUndo}
+          onDismiss={() => setLastChange(null)}
+          style={styles.undoToast}
+        />
+      )}
+      
       {/* Modal for adding sets to exercises */}
       <Modal
         visible={addSetModalVisible}
@@ -376,7 +1129,7 @@ const WeekdayDetailsScreen = ({ route }) => {
             <View style={styles.modalHeader}>
               <Text style={styles.modalTitle}>Add New Set</Text>
               <TouchableOpacity onPress={() => setAddSetModalVisible(false)}>
-                <Ionicons name="close" size={24} color="#555" />
+                <Ionicons name="close" size={24} color={colors.textSecondary} />
               </TouchableOpacity>
             </View>
             
@@ -385,28 +1138,100 @@ const WeekdayDetailsScreen = ({ route }) => {
             </Text>
             
             <View style={styles.formContainer}>
+              {/* Set type (reps × weight only) */}
+              {currentMode === 'repsWeight' && (
+                <View style={styles.formGroup}>
+                  <Text style={styles.formLabel}>Type</Text>
+                  <SetTypePicker
+                    value={newSetType}
+                    onChange={(setType) => {
+                      setNewSetType(setType);
+                      if (setType === 'amrap') setNewSetReps('');
+                    }}
+                  />
+                </View>
+              )}
+              
               {/* Reps input */}
-              <View style={styles.formGroup}>
-                <Text style={styles.formLabel}>Reps</Text>
-                <TextInput
-                  style={styles.formInput}
-                  keyboardType="numeric"
-                  value={newSetReps}
-                  onChangeText={setNewSetReps}
-                  placeholder="Enter reps"
-                />
-              </View>
+              {usesField(currentMode, 'reps') && (
+                <View style={styles.formGroup}>
+                  <Text style={styles.formLabel}>Reps</Text>
+                  <TextInput
+                    placeholderTextColor={colors.textMuted}
+                    style={styles.formInput}
+                    keyboardType="numeric"
+                    value={newSetReps}
+                    onChangeText={setNewSetReps}
+                    placeholder={newSetType === 'amrap' ? 'As many as possible' : 'Enter reps'}
+                    editable={newSetType !== 'amrap'}
+                  />
+                </View>
+              )}
               
               {/* Weight input */}
+              {usesField(currentMode, 'weight') && (
+                <View style={styles.formGroup}>
+                  <Text style={styles.formLabel}>Weight ({getWeightUnitLabel(weightUnit)})</Text>
+                  <TextInput
+                    placeholderTextColor={colors.textMuted}
+                    style={styles.formInput}
+                    keyboardType="decimal-pad"
+                    value={newSetWeight}
+                    onChangeText={setNewSetWeight}
+                    placeholder="Enter weight"
+                  />
+                </View>
+              )}
+              
+              {/* Distance input */}
+              {usesField(currentMode, 'distance') && (
+                <View style={styles.formGroup}>
+                  <Text style={styles.formLabel}>Distance (km)</Text>
+                  <TextInput
+                    placeholderTextColor={colors.textMuted}
+                    style={styles.formInput}
+                    keyboardType="decimal-pad"
+                    value={newSetDistance}
+                    onChangeText={setNewSetDistance}
+                    placeholder="Enter distance"
+                  />
+                </View>
+              )}
+              
+              {/* Time input, seconds or m:ss */}
+              {usesField(currentMode, 'durationSeconds') && (
+                <View style={styles.formGroup}>
+                  <Text style={styles.formLabel}>Time</Text>
+                  <TextInput
+                    placeholderTextColor={colors.textMuted}
+                    style={styles.formInput}
+                    keyboardType="numbers-and-punctuation"
+                    value={newSetDuration}
+                    onChangeText={setNewSetDuration}
+                    placeholder="e.g. 45 or 1:30"
+                  />
+                </View>
+              )}
+              
+              {/* Weights a drop set continues with */}
+              {newSetType === 'drop' && (
+                <View style={styles.formGroup}>
+                  <Text style={styles.formLabel}>Drop to ({getWeightUnitLabel(weightUnit)})</Text>
+                  <TextInput
+                    placeholderTextColor={colors.textMuted}
+                    style={styles.formInput}
+                    keyboardType="numbers-and-punctuation"
+                    value={newSetDrops}
+                    onChangeText={setNewSetDrops}
+                    placeholder="e.g. 80, 60"
+                  />
+                </View>
+              )}
+              
+              {/* Optional intensity and tempo */}
               <View style={styles.formGroup}>
-                <Text style={styles.formLabel}>Weight (kg)</Text>
-                <TextInput
-                  style={styles.formInput}
-                  keyboardType="decimal-pad"
-                  value={newSetWeight}
-                  onChangeText={setNewSetWeight}
-                  placeholder="Enter weight"
-                />
+                <Text style={styles.formLabel}>Target (optional)</Text>
+                <SetTargetsInput value={newSetTargets} onChange={setNewSetTargets} />
               </View>
             </View>
             
@@ -424,21 +1249,34 @@ const WeekdayDetailsScreen = ({ route }) => {
 export default WeekdayDetailsScreen;
 
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#fff',
+    backgroundColor: colors.background,
     padding: 20,
     paddingTop: 10,
   },
-  backButton: {
+  topBar: {
     flexDirection: 'row',
+    justifyContent: 'space-between',
     alignItems: 'center',
     marginBottom: 20,
   },
+  backButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  topBarActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  dayActionsButton: {
+    marginLeft: 12,
+  },
   backButtonText: {
     fontSize: 16,
     marginLeft: 5,
+    color: colors.textStrong,
   },
   header: {
     alignItems: 'center',
@@ -448,6 +1286,7 @@ const styles = StyleSheet.create({
     fontSize: 28,
     fontWeight: 'bold',
     marginBottom: 10,
+    color: colors.textStrong,
   },
   descriptionContainer: {
     flexDirection: 'row',
@@ -456,7 +1295,7 @@ const styles = StyleSheet.create({
   },
   dayDescription: {
     fontSize: 16,
-    color: '#666',
+    color: colors.textSecondary,
     textAlign: 'center',
   },
   editIcon: {
@@ -470,16 +1309,17 @@ const styles = StyleSheet.create({
   descriptionInput: {
     flex: 1,
     borderBottomWidth: 1,
-    borderBottomColor: '#1E0371',
+    borderBottomColor: colors.primary,
     paddingVertical: 8,
     fontSize: 16,
+    color: colors.textStrong,
   },
   saveButton: {
     marginLeft: 10,
     padding: 8,
   },
   saveButtonText: {
-    color: '#1E0371',
+    color: colors.primary,
     fontWeight: '600',
   },
   loadingContainer: {
@@ -495,11 +1335,92 @@ const styles = StyleSheet.create({
     marginBottom: 16,
     overflow: 'hidden',
     elevation: 3,
-    shadowColor: '#000',
+    shadowColor: colors.shadow,
     shadowOffset: { width: 0, height: 2 },
     shadowOpacity: 0.1,
     shadowRadius: 3,
   },
+  groupedExerciseCard: {
+    borderLeftWidth: 4,
+    borderLeftColor: colors.primary, // Marks exercises linked in a superset/circuit
+  },
+  groupHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.primarySoft,
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginBottom: 8,
+  },
+  groupHeaderText: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.primary,
+    marginLeft: 6,
+  },
+  groupLetter: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.primary,
+  },
+  linkButton: {
+    padding: 6,
+  },
+  suggestionBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.successSoft, // Ready to progress
+    borderRadius: 8,
+    padding: 10,
+    marginTop: 10,
+  },
+  deloadSuggestionBanner: {
+    backgroundColor: colors.warningSoft,
+  },
+  suggestionTextContainer: {
+    flex: 1,
+  },
+  suggestionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  suggestionMessage: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  suggestionAccept: {
+    backgroundColor: colors.success,
+    borderRadius: 16,
+    width: 32,
+    height: 32,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 8,
+  },
+  suggestionReject: {
+    backgroundColor: colors.neutral,
+    borderRadius: 16,
+    width: 32,
+    height: 32,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 6,
+  },
+  draggingExerciseCard: {
+    shadowOpacity: 0.25, // Lifted while being dragged
+    shadowRadius: 8,
+    elevation: 8,
+  },
+  reorderHint: {
+    fontSize: 12,
+    color: colors.textMuted,
+    textAlign: 'center',
+    marginBottom: 10,
+  },
   exerciseCardGradient: {
     padding: 16,
   },
@@ -512,7 +1433,7 @@ const styles = StyleSheet.create({
     width: 45,
     height: 45,
     borderRadius: 8,
-    backgroundColor: '#e0e0e0',
+    backgroundColor: colors.neutral,
     justifyContent: 'center',
     alignItems: 'center',
     marginRight: 12,
@@ -524,14 +1445,14 @@ const styles = StyleSheet.create({
     fontSize: 17,
     fontWeight: '600',
     marginBottom: 3,
-    color: '#222',
+    color: colors.textStrong,
   },
   exerciseCategory: {
     fontSize: 13,
-    color: '#666',
+    color: colors.textSecondary,
   },
   deleteAction: {
-    backgroundColor: '#ff3b30',
+    backgroundColor: colors.danger,
     justifyContent: 'center',
     alignItems: 'center',
     width: 100,
@@ -540,67 +1461,111 @@ const styles = StyleSheet.create({
     borderRadius: 8,
   },
   deleteActionText: {
-    color: '#fff',
+    color: colors.onPrimary,
     fontSize: 12,
     marginTop: 4,
   },
   setsContainer: {
-    backgroundColor: '#fff',
+    backgroundColor: colors.background,
     borderRadius: 8,
     overflow: 'hidden',
     marginTop: 8,
     borderWidth: 1,
-    borderColor: '#e5e5e5',
+    borderColor: colors.divider,
   },
   setsHeader: {
     flexDirection: 'row',
-    backgroundColor: '#f5f7fa',
+    backgroundColor: colors.surfaceMuted,
     paddingVertical: 10,
     borderBottomWidth: 1,
-    borderBottomColor: '#e5e5e5',
+    borderBottomColor: colors.divider,
   },
   setsHeaderText: {
     flex: 1,
     fontSize: 14,
     fontWeight: '600',
     textAlign: 'center',
-    color: '#444',
+    color: colors.text,
   },
   setRow: {
     flexDirection: 'row',
     paddingVertical: 12,
     borderBottomWidth: 1,
-    borderBottomColor: '#f0f0f0',
+    borderBottomColor: colors.divider,
   },
   setCell: {
     flex: 1,
     textAlign: 'center',
     fontSize: 15,
-    color: '#333',
+    color: colors.text,
+  },
+  setBadgeCell: {
+    flex: 1,
+  },
+  plannedSetRow: {
+    flexWrap: 'wrap',
+  },
+  setTargetsText: {
+    width: '100%',
+    textAlign: 'center',
+    fontSize: 12,
+    color: colors.textMuted,
+    marginTop: 4,
+  },
+  editingSetRow: {
+    alignItems: 'center',
+    paddingVertical: 6,
+    backgroundColor: colors.primarySoft, // Highlight the set being edited
+  },
+  setInput: {
+    flex: 1,
+    marginHorizontal: 4,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    borderRadius: 6,
+    paddingVertical: 4,
+    backgroundColor: colors.background,
+    textAlign: 'center',
+    fontSize: 15,
+    color: colors.textStrong,
+  },
+  setActions: {
+    flexDirection: 'row',
+    marginLeft: 4,
+  },
+  setActionButton: {
+    padding: 4,
   },
   addSetRow: {
     flexDirection: 'row',
     justifyContent: 'center',
     alignItems: 'center',
     paddingVertical: 12,
-    backgroundColor: '#f9fafc',
+    backgroundColor: colors.surfaceMuted,
   },
   addSetText: {
-    color: '#1E0371',
+    color: colors.primary,
     marginLeft: 6,
     fontWeight: '500',
     fontSize: 14,
   },
+  addWarmupRow: {
+    borderTopWidth: 1,
+    borderTopColor: colors.divider,
+  },
+  addWarmupText: {
+    color: colors.warning, // Warm-up color from SET_TYPES
+  },
   noSetsContainer: {
     alignItems: 'center',
     justifyContent: 'center',
     paddingVertical: 15,
-    backgroundColor: '#f9f9f9',
+    backgroundColor: colors.surfaceMuted,
     borderRadius: 8,
     marginTop: 8,
   },
   noSetsText: {
-    color: '#999',
+    color: colors.textMuted,
     marginBottom: 8,
   },
   addFirstSetButton: {
@@ -610,7 +1575,7 @@ const styles = StyleSheet.create({
     paddingVertical: 8,
     paddingHorizontal: 12,
     borderRadius: 16,
-    backgroundColor: '#f0f0f0',
+    backgroundColor: colors.surface,
   },
   emptyContainer: {
     alignItems: 'center',
@@ -620,13 +1585,13 @@ const styles = StyleSheet.create({
   },
   emptyText: {
     fontSize: 18,
-    color: '#777',
+    color: colors.textSecondary,
     marginTop: 12,
     fontWeight: '500',
   },
   emptySubtext: {
     fontSize: 14,
-    color: '#999',
+    color: colors.textMuted,
     textAlign: 'center',
     marginTop: 8,
   },
@@ -637,11 +1602,11 @@ const styles = StyleSheet.create({
     width: 60,
     height: 60,
     borderRadius: 30,
-    backgroundColor: '#4CAF50',
+    backgroundColor: colors.success,
     justifyContent: 'center',
     alignItems: 'center',
     elevation: 4,
-    shadowColor: '#000',
+    shadowColor: colors.shadow,
     shadowOffset: { width: 0, height: 2 },
     shadowOpacity: 0.2,
     shadowRadius: 4,
@@ -651,7 +1616,7 @@ const styles = StyleSheet.create({
     bottom: 90,
     left: 100,
     right: 0,
-    backgroundColor: '#1E0371',
+    backgroundColor: colors.primary,
     borderRadius: 10,
     padding: 16,
     width: '50%',
@@ -659,23 +1624,29 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     justifyContent: 'center',
   },
+  undoToast: {
+    position: 'absolute',
+    bottom: 245, // Above the add exercise button
+    left: 20,
+    right: 20,
+  },
   playIcon: {
     marginRight: 8,
   },
   startWorkoutText: {
-    color: '#fff',
+    color: colors.onPrimary,
     fontSize: 16,
     fontWeight: '600',
   },
   // Modal styles
   modalOverlay: {
     flex: 1,
-    backgroundColor: 'rgba(0,0,0,0.5)',
+    backgroundColor: colors.overlay,
     justifyContent: 'center',
     alignItems: 'center',
   },
   modalContainer: {
-    backgroundColor: '#fff',
+    backgroundColor: colors.card,
     borderRadius: 12,
     width: '85%',
     padding: 20,
@@ -689,11 +1660,11 @@ const styles = StyleSheet.create({
   modalTitle: {
     fontSize: 18,
     fontWeight: 'bold',
-    color: '#333',
+    color: colors.text,
   },
   modalExerciseName: {
     fontSize: 16,
-    color: '#555',
+    color: colors.textSecondary,
     marginBottom: 20,
   },
   formContainer: {
@@ -704,25 +1675,26 @@ const styles = StyleSheet.create({
   },
   formLabel: {
     fontSize: 14,
-    color: '#666',
+    color: colors.textSecondary,
     marginBottom: 6,
   },
   formInput: {
     borderWidth: 1,
-    borderColor: '#ddd',
+    borderColor: colors.border,
     borderRadius: 8,
     paddingVertical: 10,
     paddingHorizontal: 12,
     fontSize: 16,
+    color: colors.textStrong,
   },
   addSetButton: {
-    backgroundColor: '#1E0371',
+    backgroundColor: colors.primary,
     borderRadius: 8,
     padding: 14,
     alignItems: 'center',
   },
   addSetButtonText: {
-    color: '#fff',
+    color: colors.onPrimary,
     fontSize: 16,
     fontWeight: '600',
   },
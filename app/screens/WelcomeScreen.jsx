@@ -1,12 +1,14 @@
 import React from 'react';
 import { StyleSheet, Text, View, Image, TouchableOpacity, SafeAreaView } from 'react-native';
 import { useNavigation } from '@react-navigation/native';
+import { useThemedStyles } from '../context/ThemeContext';
 
 /**
  * WelcomeScreen - The initial landing page for the app
  * Shows app branding and login/signup options
  */
 const WelcomeScreen = () => {
+  const styles = useThemedStyles(createStyles);
   const navigation = useNavigation();
   
   return (
@@ -51,10 +53,10 @@ const WelcomeScreen = () => {
 export default WelcomeScreen;
 
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: 'white',
+    backgroundColor: colors.background,
   },
   content: {
     flex: 1,
@@ -74,17 +76,19 @@ const styles = StyleSheet.create({
   title: {
     fontSize: 24,
     fontWeight: '500',
+    color: colors.textStrong,
   },
   titleBold: {
     fontSize: 32,
     fontWeight: 'bold',
+    color: colors.textStrong,
   },
   buttonContainer: {
     width: '100%',
     alignItems: 'center',
   },
   loginButton: {
-    backgroundColor: '#26169A',
+    backgroundColor: colors.primary,
     width: '80%',
     paddingVertical: 14,
     borderRadius: 50,
@@ -92,12 +96,12 @@ const styles = StyleSheet.create({
     marginBottom: 16,
   },
   loginText: {
-    color: 'white',
+    color: colors.onPrimary,
     fontSize: 18,
     fontWeight: '600',
   },
   signupButton: {
-    borderColor: '#26169A',
+    borderColor: colors.primary,
     borderWidth: 2,
     width: '80%',
     paddingVertical: 14,
@@ -105,7 +109,7 @@ const styles = StyleSheet.create({
     alignItems: 'center',
   },
   signupText: {
-    color: '#26169A',
+    color: colors.primary,
     fontSize: 18,
     fontWeight: '600',
   },
@@ -1,9 +1,17 @@
-import { StyleSheet, Text, View, ScrollView, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { StyleSheet, Text, View, ScrollView, TouchableOpacity, ActivityIndicator, Alert } from 'react-native';
 import React, { useState, useEffect, useCallback } from 'react';
 import { Ionicons } from '@expo/vector-icons';
+import * as Haptics from 'expo-haptics';
 import { useNavigation, useFocusEffect } from '@react-navigation/native';
-import { account } from '../config/appwrite';
+import { authService } from '../services/authService';
 import { workoutService } from '../services/workoutService';
+import { isNetworkError } from '../utils/network';
+import PendingSyncIndicator from '../components/PendingSyncIndicator';
+import ProgramModal from '../components/ProgramModal';
+import WeekdayActionsModal from '../components/WeekdayActionsModal';
+import { DEFAULT_WEEK_NUMBER, formatProgramWeek } from '../utils/programs';
+import { WEEKDAY_NAMES } from '../utils/templates';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
 
 /**
  * WorkoutScreen - Main screen showing the weekly workout schedule
@@ -11,25 +19,29 @@ import { workoutService } from '../services/workoutService';
  * Highlights the current day and allows navigation to detailed day views
  */
 const WorkoutScreen = () => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const navigation = useNavigation();
   const [user, setUser] = useState(null);         // Current authenticated user
   const [weekdays, setWeekdays] = useState([]);   // Weekly workout schedule data
   const [loading, setLoading] = useState(true);   // Controls loading indicator 
   const [currentDay, setCurrentDay] = useState(''); // Today's day name for highlighting
+  const [program, setProgram] = useState(null);   // Training block the user follows, if any
+  const [shownWeek, setShownWeek] = useState(null); // Week of the block being browsed; null follows the current week
+  const [programModalVisible, setProgramModalVisible] = useState(false); // Controls the block modal
+  const [savingProgram, setSavingProgram] = useState(false); // True while a block is being written
+  const [actionsWeekday, setActionsWeekday] = useState(null); // Day whose copy/swap/clear actions are open
 
   /**
-   * Default workout templates for each day of the week
-   * Used for new users or as fallback when database fetch fails
+   * Empty placeholder week
+   * Used as fallback when the plan can't be fetched or isn't set up yet
    */
-  const defaultWeekdays = [
-    { dayName: 'Monday', description: 'Back + Bicep', exerciseCount: 0, $id: 'monday' },
-    { dayName: 'Tuesday', description: 'Shoulder + Arms', exerciseCount: 0, $id: 'tuesday' },
-    { dayName: 'Wednesday', description: 'Lower body', exerciseCount: 0, $id: 'wednesday' },
-    { dayName: 'Thursday', description: 'Push day', exerciseCount: 0, $id: 'thursday' },
-    { dayName: 'Friday', description: 'Pull day', exerciseCount: 0, $id: 'friday' },
-    { dayName: 'Saturday', description: 'Lower body', exerciseCount: 0, $id: 'saturday' },
-    { dayName: 'Sunday', description: 'Rest Day', exerciseCount: 0, $id: 'sunday' },
-  ];
+  const defaultWeekdays = WEEKDAY_NAMES.map(dayName => ({
+    dayName,
+    description: '',
+    exerciseCount: 0,
+    $id: dayName.toLowerCase()
+  }));
 
   /**
    * Determines the current day of week when component mounts
@@ -42,35 +54,26 @@ const WorkoutScreen = () => {
   }, []);
 
   /**
-   * Creates default weekdays for new users if they don't exist yet
-   * Ensures every user has a complete 7-day workout template
+   * Sends new users to the template picker when they don't have a plan yet
+   * Weeks of a block are created with the block, so only users without one are onboarded.
+   * Only a read that worked can tell a new user apart, so read errors are passed on
    * 
    * @param {string} userId - Current user's ID for database operations
+   * @param {number} weekNumber - Week of the block to fetch
+   * @param {Object} userProgram - The user's training block, or null
    * @returns {Promise<Array>} - Array of weekday objects
    */
-  const ensureWeekdaysExist = async (userId) => {
-    try {
-      // First try to fetch user's existing weekdays
-      let userWeekdays;
-      try {
-        userWeekdays = await workoutService.getUserWeekdays(userId);
-      } catch (error) {
-        console.log('Error checking weekdays:', error);
-        userWeekdays = [];
-      }
+  const ensureWeekdaysExist = async (userId, weekNumber, userProgram) => {
+    const userWeekdays = await workoutService.getUserWeekdays(userId, weekNumber);
 
-      // Create default weekdays if needed (new user or incomplete data)
-      if (!userWeekdays || userWeekdays.length < 7) {
-        console.log('Creating initial weekdays for user:', userId);
-        await workoutService.createInitialWeekdays(userId);
-        userWeekdays = await workoutService.getUserWeekdays(userId);
-      }
-      
-      return userWeekdays;
-    } catch (error) {
-      console.error('Error in weekday setup:', error);
+    // New user: pick a starting plan first
+    if (!userProgram && userWeekdays.length === 0) {
+      console.log('No plan yet, opening template picker for user:', userId);
+      navigation.navigate('TemplatePicker');
       return [];
     }
+    
+    return userWeekdays;
   };
 
   /**
@@ -78,15 +81,23 @@ const WorkoutScreen = () => {
    * This data shows how many exercises are planned for each day
    * 
    * @param {string} userId - Current user's ID
+   * @param {number} weekNumber - Week of the block to fetch
+   * @param {Object} userProgram - The user's training block, or null
    * @returns {Promise<Array>} - Weekdays with their exercise counts
    */
-  const fetchWeekdaysWithExerciseCounts = async (userId) => {
+  const fetchWeekdaysWithExerciseCounts = async (userId, weekNumber, userProgram) => {
     try {
-      const userWeekdays = await ensureWeekdaysExist(userId);
+      const userWeekdays = await ensureWeekdaysExist(userId, weekNumber, userProgram);
       return userWeekdays?.length > 0 ? userWeekdays : defaultWeekdays;
     } catch (error) {
       console.error('Error fetching workout data:', error);
-      return defaultWeekdays; // Fallback to default template on error
+      // Offline is expected, anything else means the plan couldn't be read
+      if (!isNetworkError(error)) {
+        Alert.alert('Error', 'Failed to load your workout plan. Please try again.');
+      }
+      // Prefer the last plan saved on the device over the default template
+      const cachedWeekdays = await workoutService.getCachedUserWeekdays(userId, weekNumber);
+      return cachedWeekdays?.length > 0 ? cachedWeekdays : defaultWeekdays;
     }
   };
 
@@ -97,7 +108,7 @@ const WorkoutScreen = () => {
   useEffect(() => {
     const fetchUserData = async () => {
       try {
-        const userData = await account.get();
+        const userData = await authService.getCurrentUser();
         setUser(userData);
       } catch (error) {
         console.error('User fetch error:', error);
@@ -110,28 +121,61 @@ const WorkoutScreen = () => {
   }, []);
 
   /**
-   * Refreshes workout data when screen is focused or user changes
-   * Ensures workout data stays current after additions/modifications
+   * Fetches the user's training block, falling back to the copy on the device
+   * The plan still loads when the block can't be read
+   * 
+   * @param {string} userId - Current user's ID
+   * @returns {Promise<Object|null>} - The block, or null when the user has none
+   */
+  const fetchProgram = async (userId) => {
+    try {
+      return await workoutService.getUserProgram(userId);
+    } catch (error) {
+      console.error('Program load error:', error);
+      return await workoutService.getCachedUserProgram(userId);
+    }
+  };
+
+  /**
+   * Loads the block and the weekdays of the week being browsed
+   * Renders the cached plan first, then refreshes it from the network
+   */
+  const loadData = useCallback(async () => {
+    if (!user?.$id) return;
+
+    const cachedProgram = await workoutService.getCachedUserProgram(user.$id);
+    const cachedWeek = shownWeek ?? cachedProgram?.currentWeek ?? DEFAULT_WEEK_NUMBER;
+    const cachedWeekdays = await workoutService.getCachedUserWeekdays(user.$id, cachedWeek);
+    if (cachedWeekdays?.length > 0) {
+      setProgram(cachedProgram);
+      setWeekdays(cachedWeekdays);
+      setLoading(false);
+    } else {
+      setLoading(true);
+    }
+    
+    try {
+      const userProgram = await fetchProgram(user.$id);
+      const weekNumber = shownWeek ?? userProgram?.currentWeek ?? DEFAULT_WEEK_NUMBER;
+      const fetchedWeekdays = await fetchWeekdaysWithExerciseCounts(user.$id, weekNumber, userProgram);
+      setProgram(userProgram);
+      setWeekdays(fetchedWeekdays);
+    } catch (error) {
+      console.error('Weekday load error:', error);
+      setWeekdays(defaultWeekdays);
+    } finally {
+      setLoading(false);
+    }
+  }, [user, shownWeek]);
+
+  /**
+   * Refreshes workout data when screen is focused, the user changes
+   * or another week of the block is browsed
    */
   useFocusEffect(
     useCallback(() => {
-      const loadData = async () => {
-        if (user?.$id) {
-          setLoading(true);
-          try {
-            const fetchedWeekdays = await fetchWeekdaysWithExerciseCounts(user.$id);
-            setWeekdays(fetchedWeekdays);
-          } catch (error) {
-            console.error('Weekday load error:', error);
-            setWeekdays(defaultWeekdays);
-          } finally {
-            setLoading(false);
-          }
-        }
-      };
-      
       loadData();
-    }, [user])
+    }, [loadData])
   );
 
   /**
@@ -142,11 +186,101 @@ const WorkoutScreen = () => {
     navigation.navigate('WeekdayDetails', { weekday });
   };
 
+  /**
+   * Opens the copy/swap/clear actions of a day
+   * @param {Object} weekday - The day that was held
+   */
+  const handleWeekdayLongPress = (weekday) => {
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+    setActionsWeekday(weekday);
+  };
+
+  /**
+   * Runs a day action and reloads the plan
+   * @param {Function} action - Service call doing the work
+   * @param {string} failureMessage - Shown when the action fails
+   */
+  const runDayAction = async (action, failureMessage) => {
+    setActionsWeekday(null);
+    try {
+      await action();
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    } catch (error) {
+      if (isNetworkError(error)) {
+        Alert.alert('Offline', 'Connect to the internet to copy a day.');
+      } else {
+        Alert.alert('Error', error.message || failureMessage);
+      }
+    } finally {
+      loadData();
+    }
+  };
+
+  // Week of the block on screen, and whether it is the one being trained now
+  const displayedWeek = shownWeek ?? program?.currentWeek ?? DEFAULT_WEEK_NUMBER;
+  const isCurrentWeek = !program || displayedWeek === program.currentWeek;
+
+  /**
+   * Browses to the previous or next week of the block
+   * @param {number} step - -1 for the previous week, 1 for the next one
+   */
+  const handleChangeWeek = (step) => {
+    const weekNumber = displayedWeek + step;
+    if (!program || weekNumber < 1 || weekNumber > program.weekCount) return;
+
+    // Back on the current week the screen follows the pointer again
+    setShownWeek(weekNumber === program.currentWeek ? null : weekNumber);
+  };
+
+  /**
+   * Makes the browsed week the current one, e.g. to repeat or skip a week
+   */
+  const handleMakeCurrentWeek = async () => {
+    try {
+      const updated = await workoutService.setProgramWeek(program, displayedWeek);
+      setProgram(updated);
+      setShownWeek(null);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to change the current week');
+    }
+  };
+
+  /**
+   * Starts a new training block or saves changes to the current one
+   * @param {Object} details - { name, weekCount } from the block modal
+   */
+  const handleSaveProgram = async ({ name, weekCount }) => {
+    setSavingProgram(true);
+    try {
+      const saved = program
+        ? await workoutService.updateProgram(program, name, weekCount)
+        : await workoutService.createProgram(user.$id, name, weekCount);
+      
+      setProgram(saved);
+      setProgramModalVisible(false);
+
+      if (shownWeek === null) {
+        loadData();
+      } else {
+        // Changing the browsed week reloads the plan
+        setShownWeek(null);
+      }
+    } catch (error) {
+      if (isNetworkError(error)) {
+        Alert.alert('Offline', 'Connect to the internet to set up a training block.');
+      } else {
+        Alert.alert('Error', error.message || 'Failed to save the training block');
+      }
+    } finally {
+      setSavingProgram(false);
+    }
+  };
+
   // Show loading spinner while fetching data
   if (loading) {
     return (
       <View style={styles.loadingContainer}>
-        <ActivityIndicator size="large" color="#222" />
+        <ActivityIndicator size="large" color={colors.textStrong} />
       </View>
     );
   }
@@ -156,12 +290,52 @@ const WorkoutScreen = () => {
       {/* User profile section at top */}
       <View style={styles.profileContainer}>
         <View style={styles.profileImageContainer}>
-          <Ionicons name="person" size={32} color="#8A8DFF" />
+          <Ionicons name="person" size={32} color={colors.primary} />
         </View>
         <Text style={styles.username}>{user?.name || 'User'}</Text>
+        <PendingSyncIndicator style={styles.syncIndicator} />
       </View>
 
       <Text style={styles.sectionTitle}>Weekly Plan</Text>
+      <Text style={styles.dayActionsHint}>Hold a day to copy, swap or clear it</Text>
+
+      {/* Position in the training block, with week browsing */}
+      {program ? (
+        <View style={styles.programCard}>
+          <TouchableOpacity
+            style={styles.weekArrow}
+            onPress={() => handleChangeWeek(-1)}
+            disabled={displayedWeek <= 1}
+          >
+            <Ionicons name="chevron-back" size={22} color={displayedWeek <= 1 ? colors.textDisabled : colors.primary} />
+          </TouchableOpacity>
+
+          <TouchableOpacity style={styles.programInfo} onPress={() => setProgramModalVisible(true)}>
+            <Text style={styles.programName} numberOfLines={1}>{program.name}</Text>
+            <Text style={styles.programWeek}>{formatProgramWeek(displayedWeek, program)}</Text>
+            {isCurrentWeek ? (
+              <Text style={styles.currentWeekLabel}>This week</Text>
+            ) : (
+              <TouchableOpacity onPress={handleMakeCurrentWeek}>
+                <Text style={styles.makeCurrentText}>Make this the current week</Text>
+              </TouchableOpacity>
+            )}
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.weekArrow}
+            onPress={() => handleChangeWeek(1)}
+            disabled={displayedWeek >= program.weekCount}
+          >
+            <Ionicons name="chevron-forward" size={22} color={displayedWeek >= program.weekCount ? colors.textDisabled : colors.primary} />
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <TouchableOpacity style={styles.startProgramButton} onPress={() => setProgramModalVisible(true)}>
+          <Ionicons name="layers-outline" size={18} color={colors.primary} />
+          <Text style={styles.startProgramText}>Plan a multi-week block</Text>
+        </TouchableOpacity>
+      )}
       
       {/* Scrollable list of weekdays */}
       <ScrollView style={styles.weekPlanContainer} showsVerticalScrollIndicator={false}>
@@ -171,35 +345,64 @@ const WorkoutScreen = () => {
             style={[
               styles.dayCard, 
               // Highlight current day of the week
-              currentDay === weekday.dayName && styles.currentDayCard
+              isCurrentWeek && currentDay === weekday.dayName && styles.currentDayCard
             ]}
             onPress={() => handleWeekdayPress(weekday)}
+            onLongPress={() => handleWeekdayLongPress(weekday)}
           >
             <View style={styles.dayIconContainer}>
-              <Ionicons name="calendar-outline" size={24} color="#000" />
+              <Ionicons name="calendar-outline" size={24} color={colors.textStrong} />
             </View>
             <View style={styles.dayInfo}>
               <Text style={styles.dayName}>{weekday.dayName}</Text>
               <Text style={styles.dayDescription}>{weekday.description || 'Rest Day'}</Text>
             </View>
             <View style={styles.exerciseCount}>
-              <Ionicons name="barbell-outline" size={18} color="#666" />
+              <Ionicons name="barbell-outline" size={18} color={colors.textSecondary} />
               <Text style={styles.exerciseCountText}>{weekday.exerciseCount || 0} Exercises</Text>
             </View>
-            <Ionicons name="chevron-forward" size={20} color="#999" />
+            <Ionicons name="chevron-forward" size={20} color={colors.textMuted} />
           </TouchableOpacity>
         ))}
       </ScrollView>
+
+      <WeekdayActionsModal
+        visible={actionsWeekday !== null}
+        weekday={actionsWeekday}
+        exerciseCount={actionsWeekday?.exerciseCount}
+        weekdays={weekdays}
+        onCopy={(target) => runDayAction(
+          () => workoutService.copyWeekday(actionsWeekday.$id, target.$id),
+          'Failed to copy the day'
+        )}
+        onSwap={(other) => runDayAction(
+          () => workoutService.swapWeekdays(actionsWeekday.$id, other.$id),
+          'Failed to swap the days'
+        )}
+        onClear={() => runDayAction(
+          () => workoutService.clearWeekday(actionsWeekday.$id),
+          'Failed to clear the day'
+        )}
+        onClose={() => setActionsWeekday(null)}
+      />
+
+      <ProgramModal
+        visible={programModalVisible}
+        program={program}
+        saving={savingProgram}
+        onSave={handleSaveProgram}
+        onClose={() => setProgramModalVisible(false)}
+      />
     </View>
   );
 };
 
 export default WorkoutScreen;
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#fff',
+    backgroundColor: colors.background,
     padding: 20,
     paddingTop: 10,
 
@@ -208,7 +411,7 @@ const styles = StyleSheet.create({
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: '#fff',
+    backgroundColor: colors.background,
   },
   profileContainer: {
     flexDirection: 'row',
@@ -219,7 +422,7 @@ const styles = StyleSheet.create({
     width: 50,
     height: 50,
     borderRadius: 30,
-    backgroundColor: '#F0F0FF',
+    backgroundColor: colors.primarySoft,
     justifyContent: 'center',
     alignItems: 'center',
     marginRight: 15,
@@ -227,11 +430,74 @@ const styles = StyleSheet.create({
   username: {
     fontSize: 20,
     fontWeight: '500',
+    color: colors.textStrong,
+  },
+  syncIndicator: {
+    marginLeft: 'auto',
   },
   sectionTitle: {
     fontSize: 24,
     fontWeight: 'bold',
-    marginBottom: 20,
+    marginBottom: 4,
+    color: colors.textStrong,
+  },
+  dayActionsHint: {
+    fontSize: 13,
+    color: colors.textMuted,
+    marginBottom: 16,
+  },
+  programCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.primarySoft,
+    borderRadius: 10,
+    paddingVertical: 10,
+    marginBottom: 15,
+  },
+  weekArrow: {
+    padding: 8,
+  },
+  programInfo: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  programName: {
+    fontSize: 13,
+    color: colors.textSecondary,
+  },
+  programWeek: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: colors.primary,
+    marginVertical: 2,
+  },
+  currentWeekLabel: {
+    fontSize: 12,
+    color: colors.success,
+    fontWeight: '500',
+  },
+  makeCurrentText: {
+    fontSize: 12,
+    color: colors.primary,
+    fontWeight: '500',
+    textDecorationLine: 'underline',
+  },
+  startProgramButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    borderWidth: 1,
+    borderColor: colors.primary,
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginBottom: 15,
+  },
+  startProgramText: {
+    marginLeft: 6,
+    fontSize: 13,
+    color: colors.primary,
+    fontWeight: '500',
   },
   weekPlanContainer: {
     flex: 1,
@@ -239,16 +505,16 @@ const styles = StyleSheet.create({
   dayCard: {
     flexDirection: 'row',
     alignItems: 'center',
-    backgroundColor: '#fff',
+    backgroundColor: colors.card,
     borderRadius: 10,
     padding: 16,
     marginBottom: 5,
     elevation: 0,
   },
   currentDayCard: {
-    backgroundColor: '#E8FFF0',
+    backgroundColor: colors.successSoft,
     borderLeftWidth: 0,
-    borderLeftColor: '#4CAF50',
+    borderLeftColor: colors.success,
   },
   dayIconContainer: {
     width: 40,
@@ -265,22 +531,23 @@ const styles = StyleSheet.create({
     fontSize: 17,
     fontWeight: '600',
     marginBottom: 2,
+    color: colors.textStrong,
   },
   dayDescription: {
     fontSize: 14,
-    color: '#666',
+    color: colors.textSecondary,
   },
   exerciseCount: {
     flexDirection: 'row',
     alignItems: 'center',
-    backgroundColor: '#f5f5f5',
+    backgroundColor: colors.surface,
     padding: 6,
     borderRadius: 15,
     marginRight: 10,
   },
   exerciseCountText: {
     fontSize: 12,
-    color: '#666',
+    color: colors.textSecondary,
     marginLeft: 4,
   },
 });
\ No newline at end of file
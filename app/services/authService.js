@@ -1,4 +1,39 @@
 import { account, ID } from '../config/appwrite';
+import { cacheService, CACHE_KEYS } from './cacheService';
+import { syncService } from './syncService';
+import { isNetworkError } from '../utils/network';
+import { getNameError, getPasswordError, isValidEmail } from '../utils/account';
+
+// Error type thrown by logout while offline changes are still waiting to sync
+export const UNSYNCED_CHANGES_ERROR = 'unsynced_changes';
+
+// Messages for Appwrite account errors, by error type and then by HTTP status
+const ACCOUNT_ERROR_MESSAGES = {
+  user_invalid_credentials: 'Your password is incorrect',
+  user_email_already_exists: 'Another account already uses this email',
+  user_target_already_exists: 'Another account already uses this email',
+  user_password_recently_used: 'Please choose a password you have not used recently',
+  user_password_personal_data: 'Your password must not contain your name or email',
+  401: 'Your session has expired. Please log in again',
+  409: 'Another account already uses this email',
+  429: 'Too many attempts. Please try again later',
+};
+
+/**
+ * Turn an error from an Appwrite account call into one with a message for the user
+ * Unknown errors get the fallback, as Appwrite's own messages are written for developers.
+ * The status code is kept so callers can still tell errors apart
+ * @param {Error} error - Error thrown by the Appwrite SDK
+ * @param {string} fallback - Message when the error isn't a known one
+ * @returns {Error} - Error with a readable message
+ */
+const mapAccountError = (error, fallback) => {
+  if (isNetworkError(error)) {
+    return Object.assign(new Error('You are offline. Please try again when you are connected'), { code: 0 });
+  }
+  const message = ACCOUNT_ERROR_MESSAGES[error.type] || ACCOUNT_ERROR_MESSAGES[error.code] || fallback;
+  return Object.assign(new Error(message), { code: error.code, type: error.type });
+};
 
 /**
  * Authentication service for handling user login, registration, and session management
@@ -49,11 +84,34 @@ export const authService = {
     return await account.createEmailSession(email, password);
   },
 
+  /**
+   * Sync what can be synced and count the offline changes that are still waiting
+   * Logging out now would lose these changes
+   * @returns {Promise<number>} - Number of unsynced changes
+   */
+  getUnsyncedChangeCount: async () => {
+    await syncService.replayIfPending();
+    return await syncService.getPendingCount();
+  },
+
   /**
    * Log out the current user
+   * Refuses while offline changes are unsynced, unless told to throw them away
+   * @param {Object} options - { discardUnsyncedChanges }
    * @returns {Promise} - Void on success
    */
-  logout: async () => {
+  logout: async ({ discardUnsyncedChanges = false } = {}) => {
+    // Last chance to sync offline changes, then forget this user's local data
+    const unsyncedCount = await authService.getUnsyncedChangeCount();
+    if (unsyncedCount > 0 && !discardUnsyncedChanges) {
+      throw Object.assign(
+        new Error(`${unsyncedCount} offline change(s) have not synced yet`),
+        { type: UNSYNCED_CHANGES_ERROR }
+      );
+    }
+    await syncService.clear();
+    await cacheService.clear();
+    
     try {
       // Try to delete the current session
       return await account.deleteSession('current');
@@ -71,14 +129,91 @@ export const authService = {
 
   /**
    * Get the current logged-in user
+   * Falls back to the cached user when the device is offline
    * @returns {Promise} - User object or null if not logged in
    */
   getCurrentUser: async () => {
     try {
-      return await account.get();
+      const user = await account.get();
+      await cacheService.set(CACHE_KEYS.currentUser, user);
+      return user;
     } catch (error) {
+      if (isNetworkError(error)) {
+        return await cacheService.get(CACHE_KEYS.currentUser);
+      }
       return null;
     }
+  },
+
+  /**
+   * Change the display name of the current user
+   * @param {string} name - New name
+   * @returns {Promise} - Updated user object
+   */
+  updateName: async (name) => {
+    const message = getNameError(name);
+    if (message) {
+      throw new Error(message);
+    }
+    
+    try {
+      const user = await account.updateName(name.trim());
+      await cacheService.set(CACHE_KEYS.currentUser, user);
+      return user;
+    } catch (error) {
+      console.error("Error updating name:", error);
+      throw mapAccountError(error, 'Failed to update your name');
+    }
+  },
+
+  /**
+   * Change the email of the current user
+   * Appwrite asks for the current password to confirm the change
+   * @param {string} email - New email
+   * @param {string} password - Current password
+   * @returns {Promise} - Updated user object
+   */
+  updateEmail: async (email, password) => {
+    if (!isValidEmail(email)) {
+      throw new Error('Please enter a valid email address');
+    }
+    if (!password) {
+      throw new Error('Please enter your password to confirm');
+    }
+    
+    try {
+      const user = await account.updateEmail(email.trim(), password);
+      await cacheService.set(CACHE_KEYS.currentUser, user);
+      return user;
+    } catch (error) {
+      console.error("Error updating email:", error);
+      throw mapAccountError(error, 'Failed to update your email');
+    }
+  },
+
+  /**
+   * Change the password of the current user
+   * @param {string} newPassword - New password, checked for strength
+   * @param {string} oldPassword - Current password
+   * @returns {Promise} - Updated user object
+   */
+  updatePassword: async (newPassword, oldPassword) => {
+    const message = getPasswordError(newPassword);
+    if (message) {
+      throw new Error(message);
+    }
+    if (!oldPassword) {
+      throw new Error('Please enter your current password');
+    }
+    
+    try {
+      const user = await account.updatePassword(newPassword, oldPassword);
+      await cacheService.set(CACHE_KEYS.currentUser, user);
+      return user;
+    } catch (error) {
+      console.error("Error updating password:", error);
+      throw mapAccountError(error, 'Failed to update your password');
+    }
   }
 };
 
@@ -0,0 +1,141 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Prefix for every cache entry so the cache can be cleared without touching other storage
+const CACHE_PREFIX = 'fitweek:cache:';
+
+// Prefixes of keys that exist once per user or weekday
+export const CACHE_KEY_PREFIXES = {
+  userWeekdays: 'weekdays:',
+  weekdayExercises: 'weekdayExercises:',
+};
+
+/**
+ * Keys of the cached data
+ * Functions build keys for data that belongs to a user or a weekday
+ */
+export const CACHE_KEYS = {
+  currentUser: 'currentUser',
+  preferences: 'preferences',
+  exercises: 'exercises',
+  userWeekdays: (userId) => `${CACHE_KEY_PREFIXES.userWeekdays}${userId}`,
+  userProgram: (userId) => `program:${userId}`,
+  weekdayExercises: (weekdayId) => `${CACHE_KEY_PREFIXES.weekdayExercises}${weekdayId}`,
+};
+
+/**
+ * Local cache service
+ * Keeps the last data loaded from Appwrite on the device so screens
+ * can render without a connection
+ */
+export const cacheService = {
+  /**
+   * Read a cached value
+   * @param {string} key - Cache key
+   * @returns {Promise<any>} - The cached value or null if nothing is stored
+   */
+  get: async (key) => {
+    try {
+      const raw = await AsyncStorage.getItem(CACHE_PREFIX + key);
+      if (!raw) return null;
+      return JSON.parse(raw).value;
+    } catch (error) {
+      console.log('Cache read error:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Store a value in the cache
+   * Failures are logged but never thrown, the cache is only a convenience
+   * @param {string} key - Cache key
+   * @param {any} value - JSON serializable value
+   */
+  set: async (key, value) => {
+    try {
+      await AsyncStorage.setItem(
+        CACHE_PREFIX + key,
+        JSON.stringify({ value, updatedAt: Date.now() })
+      );
+    } catch (error) {
+      console.log('Cache write error:', error);
+    }
+  },
+
+  /**
+   * Update a cached value in place
+   * Does nothing when the key is not cached
+   * @param {string} key - Cache key
+   * @param {Function} updater - Receives the cached value and returns the new one
+   */
+  update: async (key, updater) => {
+    const value = await cacheService.get(key);
+    if (value === null) return;
+    await cacheService.set(key, updater(value));
+  },
+
+  /**
+   * Read every cached value whose key starts with a prefix
+   * @param {string} prefix - One of CACHE_KEY_PREFIXES
+   * @returns {Promise<Array>} - The cached values
+   */
+  getAll: async (prefix) => {
+    try {
+      const keys = await AsyncStorage.getAllKeys();
+      const matchingKeys = keys.filter(key => key.startsWith(CACHE_PREFIX + prefix));
+      const entries = await AsyncStorage.multiGet(matchingKeys);
+      return entries
+        .filter(([, raw]) => raw)
+        .map(([, raw]) => JSON.parse(raw).value);
+    } catch (error) {
+      console.log('Cache read error:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Update every cached value whose key starts with a prefix
+   * Used when the affected key isn't known, e.g. a set without its weekday
+   * @param {string} prefix - One of CACHE_KEY_PREFIXES
+   * @param {Function} updater - Receives each cached value and returns the new one
+   */
+  updateAll: async (prefix, updater) => {
+    try {
+      const keys = await AsyncStorage.getAllKeys();
+      const matchingKeys = keys
+        .filter(key => key.startsWith(CACHE_PREFIX + prefix))
+        .map(key => key.slice(CACHE_PREFIX.length));
+      
+      for (let key of matchingKeys) {
+        await cacheService.update(key, updater);
+      }
+    } catch (error) {
+      console.log('Cache update error:', error);
+    }
+  },
+
+  /**
+   * Remove a single cached value
+   * @param {string} key - Cache key
+   */
+  remove: async (key) => {
+    try {
+      await AsyncStorage.removeItem(CACHE_PREFIX + key);
+    } catch (error) {
+      console.log('Cache remove error:', error);
+    }
+  },
+
+  /**
+   * Remove every cached value (used on logout)
+   */
+  clear: async () => {
+    try {
+      const keys = await AsyncStorage.getAllKeys();
+      await AsyncStorage.multiRemove(keys.filter(key => key.startsWith(CACHE_PREFIX)));
+    } catch (error) {
+      console.log('Cache clear error:', error);
+    }
+  }
+};
+
+export default cacheService;
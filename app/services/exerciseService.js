@@ -1,4 +1,5 @@
 import { databases, storage, Query } from '../config/appwrite';
+import { cacheService, CACHE_KEYS } from './cacheService';
 
 // Replace these with your actual Appwrite IDs
 const DATABASE_ID = '68245462000b0afba9b0';           
@@ -11,8 +12,10 @@ export const exerciseService = {
     try {
       const response = await databases.listDocuments(
         DATABASE_ID,
-        EXERCISES_COLLECTION_ID
+        EXERCISES_COLLECTION_ID,
+        [Query.limit(5000)]
       );
+      await cacheService.set(CACHE_KEYS.exercises, response.documents);
       return response.documents;
     } catch (error) {
       console.error("Error fetching exercises:", error);
@@ -20,6 +23,11 @@ export const exerciseService = {
     }
   },
 
+  // Get the exercise library saved on the device by the last getExercises call
+  getCachedExercises: async () => {
+    return await cacheService.get(CACHE_KEYS.exercises);
+  },
+
   // Get exercises with filters
 getFilteredExercises: async (bodyPart = null, category = null, searchText = '', sortField = 'name', sortOrder = 'asc') => {
   try {
@@ -44,12 +52,20 @@ getFilteredExercises: async (bodyPart = null, category = null, searchText = '',
       queries.push(Query.orderDesc(sortField));
     }
     
+    // Same limit as getExercises, so an unfiltered list is the whole library
+    queries.push(Query.limit(5000));
+    
     const response = await databases.listDocuments(
       DATABASE_ID,
       EXERCISES_COLLECTION_ID,
       queries
     );
     
+    // An unfiltered list is the whole library, keep it for offline use
+    if (!bodyPart && !category && !(searchText && searchText.trim() !== '')) {
+      await cacheService.set(CACHE_KEYS.exercises, response.documents);
+    }
+    
     return response.documents;
   } catch (error) {
     console.error("Error filtering exercises:", error);
@@ -0,0 +1,94 @@
+import { databases, ID, Query } from '../config/appwrite';
+import { detectPersonalRecords, getBeatenRecords, getRecordKey } from '../utils/personalRecords';
+
+// Replace these with your actual Appwrite IDs
+const DATABASE_ID = '68245462000b0afba9b0';
+const PERSONAL_RECORDS_COLLECTION_ID = '6827a3c10014b2e95f07';
+
+/**
+ * Personal record service
+ * Keeps one document per user, exercise and record type holding the current best,
+ * so records never have to be recomputed from the whole history
+ */
+export const personalRecordService = {
+  // Get the stored records of a user, optionally limited to some exercises
+  getUserRecords: async (userId, exerciseIds = null) => {
+    try {
+      const queries = [
+        Query.equal('userId', userId),
+        Query.limit(5000)
+      ];
+      
+      if (exerciseIds && exerciseIds.length > 0) {
+        queries.push(Query.equal('exerciseId', exerciseIds));
+      }
+      
+      const response = await databases.listDocuments(
+        DATABASE_ID,
+        PERSONAL_RECORDS_COLLECTION_ID,
+        queries
+      );
+      
+      return response.documents;
+    } catch (error) {
+      console.error("Error fetching personal records:", error);
+      throw error;
+    }
+  },
+
+  // Compare a saved session with the stored records and store any new bests
+  // Returns the records that beat a stored best so the caller can celebrate them;
+  // first-time values are only stored as a baseline
+  updateRecordsForSession: async (userId, session) => {
+    try {
+      const exerciseIds = [...new Set(session.sets.map(set => set.exerciseId))];
+      if (exerciseIds.length === 0) return [];
+      
+      const existingRecords = await personalRecordService.getUserRecords(userId, exerciseIds);
+      const newRecords = detectPersonalRecords(session.sets, existingRecords);
+      
+      const existingByKey = {};
+      existingRecords.forEach(record => {
+        existingByKey[getRecordKey(record.exerciseId, record.recordType, record.weight)] = record;
+      });
+      
+      for (let record of newRecords) {
+        const data = {
+          userId: userId,
+          exerciseId: record.exerciseId,
+          exerciseName: record.exerciseName,
+          recordType: record.recordType,
+          value: record.value,
+          weight: record.weight,
+          reps: record.reps,
+          sessionId: session.$id,
+          achievedAt: session.endedAt
+        };
+        
+        const existing = existingByKey[record.key];
+        if (existing) {
+          await databases.updateDocument(
+            DATABASE_ID,
+            PERSONAL_RECORDS_COLLECTION_ID,
+            existing.$id,
+            data
+          );
+        } else {
+          await databases.createDocument(
+            DATABASE_ID,
+            PERSONAL_RECORDS_COLLECTION_ID,
+            ID.unique(),
+            data
+          );
+        }
+      }
+      
+      return getBeatenRecords(newRecords);
+    } catch (error) {
+      console.error("Error updating personal records:", error);
+      throw error;
+    }
+  }
+};
+
+export default personalRecordService;
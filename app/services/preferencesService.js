@@ -0,0 +1,109 @@
+import { account } from '../config/appwrite';
+import { cacheService, CACHE_KEYS } from './cacheService';
+import { syncService } from './syncService';
+import { isNetworkError } from '../utils/network';
+import { DEFAULT_WEIGHT_UNIT, WEIGHT_UNITS } from '../utils/units';
+import { getPlateSettingsError } from '../utils/plates';
+
+// Preferences of a user who hasn't changed anything yet
+// Bar and plates (plateSettings, per unit) fall back to getPlateSettings' defaults
+export const DEFAULT_PREFERENCES = {
+  weightUnit: DEFAULT_WEIGHT_UNIT,
+};
+
+// Writes replayed by syncService when they were made offline
+const mutations = {
+  updatePreferences: async (changes) => {
+    // Appwrite replaces the whole prefs object, so merge with what is stored
+    const stored = await account.getPrefs();
+    await account.updatePrefs({ ...stored, ...changes });
+    return true;
+  },
+};
+
+syncService.registerHandlers(mutations);
+
+// Check the values of a preferences change
+const getPreferencesError = (changes) => {
+  if (changes.weightUnit !== undefined && !WEIGHT_UNITS[changes.weightUnit]) {
+    return `Unknown weight unit: ${changes.weightUnit}`;
+  }
+  if (changes.plateSettings !== undefined) {
+    for (const [unit, settings] of Object.entries(changes.plateSettings || {})) {
+      if (!WEIGHT_UNITS[unit]) {
+        return `Unknown weight unit: ${unit}`;
+      }
+      const message = getPlateSettingsError(settings);
+      if (message) return message;
+    }
+  }
+  return null;
+};
+
+/**
+ * Preferences service
+ * Keeps app settings in the Appwrite account prefs so they follow the user
+ * across devices, with a cached copy for offline use
+ */
+export const preferencesService = {
+  // Get the preferences of the logged-in user, filled in with the defaults
+  getPreferences: async () => {
+    try {
+      const stored = await account.getPrefs();
+      const preferences = { ...DEFAULT_PREFERENCES, ...stored };
+      await cacheService.set(CACHE_KEYS.preferences, preferences);
+      return preferences;
+    } catch (error) {
+      if (isNetworkError(error)) {
+        return await preferencesService.getCachedPreferences();
+      }
+      console.error("Error fetching preferences:", error);
+      throw error;
+    }
+  },
+
+  // Get the preferences saved on the device, or the defaults
+  getCachedPreferences: async () => {
+    const cached = await cacheService.get(CACHE_KEYS.preferences);
+    return { ...DEFAULT_PREFERENCES, ...cached };
+  },
+
+  // Save some preferences; offline changes are synced later
+  // The device copy only changes once the server took the change or it is queued.
+  // Returns the complete preferences after the change
+  updatePreferences: async (changes) => {
+    try {
+      const message = getPreferencesError(changes);
+      if (message) {
+        throw new Error(message);
+      }
+      
+      const preferences = { ...await preferencesService.getCachedPreferences(), ...changes };
+      
+      // Writes wait behind queued ones so an older offline change can't overwrite this one
+      let queued = await syncService.getPendingCount() > 0;
+      if (!queued) {
+        try {
+          await mutations.updatePreferences(changes);
+        } catch (error) {
+          if (!isNetworkError(error)) throw error;
+          queued = true;
+        }
+      }
+      
+      if (queued) {
+        await syncService.enqueue('updatePreferences', [changes]);
+        // Flush right away in case the queue was only waiting on ordering
+        syncService.replayIfPending();
+      }
+      
+      await cacheService.set(CACHE_KEYS.preferences, preferences);
+      return preferences;
+    } catch (error) {
+      console.error("Error updating preferences:", error);
+      throw error;
+    }
+  },
+};
+
+export default preferencesService;
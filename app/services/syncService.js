@@ -0,0 +1,301 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+import { isNetworkError } from '../utils/network';
+
+// Storage keys for the queue and the temp ID → real ID mapping
+const QUEUE_KEY = 'fitweek:sync:queue';
+const ID_MAP_KEY = 'fitweek:sync:idMap';
+
+// Prefix of IDs given to documents created while offline
+const TEMP_ID_PREFIX = 'temp_';
+
+// How often to retry while mutations are pending
+const RETRY_INTERVAL_MS = 30000;
+
+// Functions that perform each mutation type against Appwrite
+let handlers = {};
+
+// Components listening to the pending count
+const listeners = new Set();
+
+// In-memory copy of the queue so the pending count is cheap to read
+let queueCache = null;
+
+// Prevents two replays from running at the same time
+let replayPromise = null;
+
+/**
+ * Load the queue from storage (once) and return it
+ * @returns {Promise<Array>} - Queued mutations, oldest first
+ */
+const loadQueue = async () => {
+  if (queueCache) return queueCache;
+  try {
+    const raw = await AsyncStorage.getItem(QUEUE_KEY);
+    queueCache = raw ? JSON.parse(raw) : [];
+  } catch (error) {
+    console.log('Sync queue read error:', error);
+    queueCache = [];
+  }
+  return queueCache;
+};
+
+/**
+ * Persist the queue and tell listeners the new pending count
+ * @param {Array} queue - Queued mutations
+ */
+const saveQueue = async (queue) => {
+  queueCache = queue;
+  try {
+    await AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+  } catch (error) {
+    console.log('Sync queue write error:', error);
+  }
+  listeners.forEach(listener => listener(queue.length));
+};
+
+/**
+ * Load the temp ID mapping
+ * @returns {Promise<Object>} - Real IDs keyed by temp ID
+ */
+const loadIdMap = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(ID_MAP_KEY);
+    return raw ? JSON.parse(raw) : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Replace every temp ID in the mutation arguments with its real ID
+ * @param {any} value - Argument (string, array or plain object)
+ * @param {Object} idMap - Real IDs keyed by temp ID
+ * @returns {any} - Argument with IDs remapped
+ */
+const remapIds = (value, idMap) => {
+  if (typeof value === 'string') {
+    return idMap[value] || value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => remapIds(item, idMap));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach(key => {
+      result[key] = remapIds(value[key], idMap);
+    });
+    return result;
+  }
+  return value;
+};
+
+/**
+ * Check whether any argument still references an unsynced document
+ * @param {any} value - Argument to inspect
+ * @returns {boolean} - True when a temp ID is left
+ */
+const containsTempId = (value) => {
+  if (typeof value === 'string') return syncService.isTempId(value);
+  if (Array.isArray(value)) return value.some(containsTempId);
+  if (value && typeof value === 'object') return Object.values(value).some(containsTempId);
+  return false;
+};
+
+/**
+ * Check whether a replay error means the mutation can never succeed
+ * Server errors (5xx) and rate limits are retried later instead
+ * @param {Error} error - Error thrown by the handler
+ * @returns {boolean} - True for permanent conflicts
+ */
+const isConflict = (error) => {
+  return error?.code >= 400 && error.code < 500 && error.code !== 401 && error.code !== 429;
+};
+
+/**
+ * Sync service
+ * Queues writes made while offline and replays them in order once the
+ * device is back online, replacing temp IDs with the real document IDs
+ *
+ * Conflicts are resolved the same way every time: when the server rejects a
+ * queued mutation (for example the document was deleted on another device),
+ * the mutation is dropped and the server state wins. Every other queued
+ * write is applied in order, so the last write wins.
+ */
+export const syncService = {
+  /**
+   * Register the functions used to replay each mutation type
+   * @param {Object} mutationHandlers - Async functions keyed by mutation type
+   */
+  registerHandlers: (mutationHandlers) => {
+    handlers = { ...handlers, ...mutationHandlers };
+  },
+
+  /**
+   * Create an ID for a document created while offline
+   * @returns {string} - Temporary ID
+   */
+  createTempId: () => {
+    return `${TEMP_ID_PREFIX}${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  },
+
+  /**
+   * Check whether an ID was created offline
+   * @param {string} id - Document ID
+   * @returns {boolean} - True for temp IDs
+   */
+  isTempId: (id) => {
+    return typeof id === 'string' && id.startsWith(TEMP_ID_PREFIX);
+  },
+
+  /**
+   * Add a mutation to the end of the queue
+   * @param {string} type - Mutation type (a registered handler name)
+   * @param {Array} args - Arguments for the handler
+   * @param {string} tempId - Temp ID of the document the mutation creates, if any
+   */
+  enqueue: async (type, args, tempId = null) => {
+    const queue = await loadQueue();
+    await saveQueue([
+      ...queue,
+      { id: syncService.createTempId(), type, args, tempId, queuedAt: Date.now() }
+    ]);
+  },
+
+  /**
+   * Replace temp IDs that were already synced with their real IDs
+   * @param {Array} args - Mutation arguments
+   * @returns {Promise<Array>} - Arguments with known temp IDs remapped
+   */
+  resolveIds: async (args) => {
+    return remapIds(args, await loadIdMap());
+  },
+
+  /**
+   * Check whether arguments still reference a document that only exists offline
+   * @param {Array} args - Mutation arguments
+   * @returns {boolean} - True when a temp ID is left
+   */
+  hasTempIds: (args) => {
+    return containsTempId(args);
+  },
+
+  /**
+   * Number of mutations waiting to be synced
+   * @returns {Promise<number>} - Pending count
+   */
+  getPendingCount: async () => {
+    const queue = await loadQueue();
+    return queue.length;
+  },
+
+  /**
+   * Listen to changes of the pending count
+   * @param {Function} listener - Called with the new count
+   * @returns {Function} - Call to stop listening
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    loadQueue().then(queue => listener(queue.length));
+    return () => listeners.delete(listener);
+  },
+
+  /**
+   * Replay queued mutations in order
+   * Stops at the first network error and leaves the rest queued
+   * @returns {Promise<boolean>} - True when the queue is empty afterwards
+   */
+  replay: async () => {
+    if (replayPromise) return replayPromise;
+
+    replayPromise = (async () => {
+      const idMap = await loadIdMap();
+
+      // Mutations queued while replaying are picked up by the same loop
+      while ((await loadQueue()).length > 0) {
+        const mutation = (await loadQueue())[0];
+        const handler = handlers[mutation.type];
+        const args = remapIds(mutation.args, idMap);
+
+        try {
+          if (!handler) {
+            throw Object.assign(new Error(`Unknown mutation type ${mutation.type}`), { code: 400 });
+          }
+
+          // The document this depends on was never created on the server
+          if (containsTempId(args)) {
+            throw Object.assign(new Error('Mutation references an unsynced document'), { code: 404 });
+          }
+
+          const result = await handler(...args);
+
+          if (mutation.tempId && result?.$id) {
+            idMap[mutation.tempId] = result.$id;
+            await AsyncStorage.setItem(ID_MAP_KEY, JSON.stringify(idMap));
+          }
+        } catch (error) {
+          if (isNetworkError(error) || !isConflict(error)) {
+            // Still offline or a temporary server problem, try again later
+            return false;
+          }
+          console.warn(`Dropping conflicting ${mutation.type} mutation:`, error.message);
+        }
+
+        await saveQueue((await loadQueue()).filter(item => item.id !== mutation.id));
+      }
+
+      // The ID map is kept: screens may still hold temp IDs from before the sync
+      return true;
+    })();
+
+    try {
+      return await replayPromise;
+    } finally {
+      replayPromise = null;
+    }
+  },
+
+  /**
+   * Replay only when something is queued
+   * Never throws, so it can run before any read
+   */
+  replayIfPending: async () => {
+    try {
+      if (await syncService.getPendingCount() > 0) {
+        await syncService.replay();
+      }
+    } catch (error) {
+      console.log('Sync replay error:', error);
+    }
+  },
+
+  /**
+   * Replay whenever the app becomes active and periodically while mutations are pending
+   * @returns {Function} - Call to stop syncing
+   */
+  start: () => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        syncService.replayIfPending();
+      }
+    });
+    const interval = setInterval(syncService.replayIfPending, RETRY_INTERVAL_MS);
+
+    syncService.replayIfPending();
+
+    return () => {
+      subscription.remove();
+      clearInterval(interval);
+    };
+  },
+
+  /**
+   * Drop every queued mutation (used on logout)
+   */
+  clear: async () => {
+    await saveQueue([]);
+    await AsyncStorage.removeItem(ID_MAP_KEY);
+  }
+};
+
+export default syncService;
@@ -1,4 +1,17 @@
 import { account, databases, ID, Query } from '../config/appwrite';
+import { summarizeSession } from '../utils/workoutStats';
+import { cacheService, CACHE_KEYS, CACHE_KEY_PREFIXES } from './cacheService';
+import { syncService } from './syncService';
+import { isNetworkError } from '../utils/network';
+import { MIN_GROUP_SIZE } from '../utils/exerciseGroups';
+import { DEFAULT_SET_TYPE } from '../utils/setTypes';
+import { DEFAULT_MEASUREMENT_MODE, MEASUREMENT_MODES } from '../utils/measurementModes';
+import { getProgressionRulesError } from '../utils/progression';
+import { RPE_RANGE, getSetTargetsError, isValidRpe } from '../utils/setTargets';
+import { DEFAULT_WEEK_NUMBER, getProgramError, getScheduledWeek, getWeekStart, getWeekdayWeek } from '../utils/programs';
+import {
+  WEEKDAY_NAMES, expandTemplateSets, getTemplateMeasurementMode, getTemplateWeekdays, resolveTemplateExercise
+} from '../utils/templates';
 
 // Replace these with your actual Appwrite IDs
 const DATABASE_ID = '68245462000b0afba9b0';
@@ -6,13 +19,597 @@ const WEEKDAYS_COLLECTION_ID = '6824b1f60009fd4d72ea';
 const WORKOUT_EXERCISES_COLLECTION_ID = '6824b5d4003753b3f6cd';
 const EXERCISES_COLLECTION_ID = '6824554f00317609257b';
 const EXERCISE_SETS_COLLECTION_ID = '6824e31e0017425a1e00';
+const WORKOUT_SESSIONS_COLLECTION_ID = '6826f0a2002c8e41b7d3';
+const SESSION_SETS_COLLECTION_ID = '6826f15e0031a9c4e862';
+const WORKOUT_GROUPS_COLLECTION_ID = '6828c1e7001b5f3a9d42';
+const PROGRAMS_COLLECTION_ID = '6829d4f2002a7c1b8e53';
 
-export const workoutService = {
-  // Get all weekdays for a user
-  getUserWeekdays: async (userId) => {
+// Empty day plan of a user starting from scratch, also used for new weeks of a block
+const DEFAULT_WEEKDAYS = WEEKDAY_NAMES.map((dayName, index) => ({
+  dayName: dayName,
+  description: '',
+  order: index + 1
+}));
+
+// Rest between sets used when a workout exercise has no rest configured
+export const DEFAULT_REST_SECONDS = 90;
+
+// Sort workout exercises by their position in the day
+// Exercises saved before ordering existed have no order and keep their listed order at the end
+export const sortWorkoutExercises = (exercises) => {
+  const position = (exercise) => (typeof exercise.order === 'number' ? exercise.order : Number.MAX_SAFE_INTEGER);
+  return [...exercises].sort((a, b) => position(a) - position(b));
+};
+
+// Page size used when a query has to read every matching document
+const PAGE_LIMIT = 100;
+
+// List every document matching the queries, following cursors page by page
+const listAllDocuments = async (collectionId, queries) => {
+  const documents = [];
+  let cursor = null;
+  
+  while (true) {
+    const pageQueries = [...queries, Query.limit(PAGE_LIMIT)];
+    if (cursor) {
+      pageQueries.push(Query.cursorAfter(cursor));
+    }
+    
+    const response = await databases.listDocuments(DATABASE_ID, collectionId, pageQueries);
+    documents.push(...response.documents);
+    
+    if (response.documents.length < PAGE_LIMIT) {
+      return documents;
+    }
+    cursor = response.documents[response.documents.length - 1].$id;
+  }
+};
+
+// Appwrite accepts at most this many values in a single Query.equal
+const MAX_QUERY_VALUES = 100;
+
+// List every document whose field matches one of the values
+// Values are split into chunks that are fetched in parallel
+const listDocumentsByValues = async (collectionId, field, values, queries = []) => {
+  const uniqueValues = [...new Set(values)];
+  if (uniqueValues.length === 0) return [];
+  
+  const chunks = [];
+  for (let i = 0; i < uniqueValues.length; i += MAX_QUERY_VALUES) {
+    chunks.push(uniqueValues.slice(i, i + MAX_QUERY_VALUES));
+  }
+  
+  const results = await Promise.all(
+    chunks.map(chunk => listAllDocuments(collectionId, [Query.equal(field, chunk), ...queries]))
+  );
+  
+  return results.flat();
+};
+
+// Everything planned for a weekday: its workout exercises, their sets and its supersets/circuits
+const listWeekdayPlan = async (weekdayId) => {
+  const [workoutExercises, groups] = await Promise.all([
+    listAllDocuments(WORKOUT_EXERCISES_COLLECTION_ID, [Query.equal('weekdayId', weekdayId)]),
+    listAllDocuments(WORKOUT_GROUPS_COLLECTION_ID, [Query.equal('weekdayId', weekdayId)])
+  ]);
+  
+  const sets = await listDocumentsByValues(
+    EXERCISE_SETS_COLLECTION_ID,
+    'workoutExerciseId',
+    workoutExercises.map(workoutExercise => workoutExercise.$id)
+  );
+  
+  return { workoutExercises, sets, groups };
+};
+
+// Delete a plan read by listWeekdayPlan, sets first so nothing is left pointing at a deleted exercise
+const deleteWeekdayPlan = async (plan) => {
+  await Promise.all(plan.sets.map(set => databases.deleteDocument(
+    DATABASE_ID, EXERCISE_SETS_COLLECTION_ID, set.$id
+  )));
+  await Promise.all(plan.workoutExercises.map(workoutExercise => databases.deleteDocument(
+    DATABASE_ID, WORKOUT_EXERCISES_COLLECTION_ID, workoutExercise.$id
+  )));
+  await Promise.all(plan.groups.map(group => databases.deleteDocument(
+    DATABASE_ID, WORKOUT_GROUPS_COLLECTION_ID, group.$id
+  )));
+};
+
+// Fields of a document without Appwrite's own ($id, $createdAt, ...), ready to be written again
+const documentData = (document) => {
+  const data = {};
+  Object.keys(document).forEach(key => {
+    if (!key.startsWith('$')) {
+      data[key] = document[key];
+    }
+  });
+  return data;
+};
+
+// Writes against Appwrite, keyed by mutation type
+// These run directly when online and are replayed by syncService after being queued offline
+const mutations = {
+  updateWeekdayDescription: async (weekdayId, description) => {
+    await databases.updateDocument(
+      DATABASE_ID,
+      WEEKDAYS_COLLECTION_ID,
+      weekdayId,
+      {
+        description: description
+      }
+    );
+    
+    return true;
+  },
+  
+  addExerciseToWeekday: async (weekdayId, exerciseId, restSeconds, order, measurementMode) => {
+    return await databases.createDocument(
+      DATABASE_ID,
+      WORKOUT_EXERCISES_COLLECTION_ID,
+      ID.unique(),
+      {
+        weekdayId: weekdayId,
+        exerciseId: exerciseId,
+        restSeconds: restSeconds,
+        order: order,
+        measurementMode: measurementMode,
+      }
+    );
+  },
+  
+  createWorkoutGroup: async (weekdayId, type, rounds, restSeconds) => {
+    return await databases.createDocument(
+      DATABASE_ID,
+      WORKOUT_GROUPS_COLLECTION_ID,
+      ID.unique(),
+      {
+        weekdayId: weekdayId,
+        type: type,
+        rounds: rounds,
+        restSeconds: restSeconds
+      }
+    );
+  },
+  
+  updateWorkoutGroup: async (groupId, type, rounds, restSeconds) => {
+    await databases.updateDocument(
+      DATABASE_ID,
+      WORKOUT_GROUPS_COLLECTION_ID,
+      groupId,
+      {
+        type: type,
+        rounds: rounds,
+        restSeconds: restSeconds
+      }
+    );
+    
+    return true;
+  },
+  
+  deleteWorkoutGroup: async (groupId) => {
+    await databases.deleteDocument(
+      DATABASE_ID,
+      WORKOUT_GROUPS_COLLECTION_ID,
+      groupId
+    );
+    
+    return true;
+  },
+  
+  setExerciseGroup: async (workoutExerciseId, groupId) => {
+    await databases.updateDocument(
+      DATABASE_ID,
+      WORKOUT_EXERCISES_COLLECTION_ID,
+      workoutExerciseId,
+      {
+        groupId: groupId
+      }
+    );
+    
+    return true;
+  },
+  
+  clearWeekday: async (weekdayId) => {
+    await deleteWeekdayPlan(await listWeekdayPlan(weekdayId));
+    return true;
+  },
+  
+  swapWeekdays: async (firstWeekdayId, secondWeekdayId) => {
+    const [first, second, firstPlan, secondPlan] = await Promise.all([
+      databases.getDocument(DATABASE_ID, WEEKDAYS_COLLECTION_ID, firstWeekdayId),
+      databases.getDocument(DATABASE_ID, WEEKDAYS_COLLECTION_ID, secondWeekdayId),
+      listWeekdayPlan(firstWeekdayId),
+      listWeekdayPlan(secondWeekdayId)
+    ]);
+    
+    // Move every exercise and group to the other day
+    const moves = [
+      ...firstPlan.workoutExercises.map(doc => [WORKOUT_EXERCISES_COLLECTION_ID, doc.$id, secondWeekdayId]),
+      ...firstPlan.groups.map(doc => [WORKOUT_GROUPS_COLLECTION_ID, doc.$id, secondWeekdayId]),
+      ...secondPlan.workoutExercises.map(doc => [WORKOUT_EXERCISES_COLLECTION_ID, doc.$id, firstWeekdayId]),
+      ...secondPlan.groups.map(doc => [WORKOUT_GROUPS_COLLECTION_ID, doc.$id, firstWeekdayId])
+    ];
+    await Promise.all(moves.map(([collectionId, documentId, weekdayId]) => databases.updateDocument(
+      DATABASE_ID, collectionId, documentId, { weekdayId: weekdayId }
+    )));
+    
+    // The descriptions go with the plans
+    await Promise.all([
+      databases.updateDocument(DATABASE_ID, WEEKDAYS_COLLECTION_ID, firstWeekdayId, { description: second.description }),
+      databases.updateDocument(DATABASE_ID, WEEKDAYS_COLLECTION_ID, secondWeekdayId, { description: first.description })
+    ]);
+    
+    return true;
+  },
+  
+  updateProgramWeek: async (programId, currentWeek, weekStartedAt) => {
+    await databases.updateDocument(
+      DATABASE_ID,
+      PROGRAMS_COLLECTION_ID,
+      programId,
+      {
+        currentWeek: currentWeek,
+        weekStartedAt: weekStartedAt
+      }
+    );
+    
+    return true;
+  },
+  
+  updateExerciseOrder: async (workoutExerciseId, order) => {
+    await databases.updateDocument(
+      DATABASE_ID,
+      WORKOUT_EXERCISES_COLLECTION_ID,
+      workoutExerciseId,
+      {
+        order: order
+      }
+    );
+    
+    return true;
+  },
+  
+  updateProgressionRules: async (workoutExerciseId, progressionRules) => {
+    await databases.updateDocument(
+      DATABASE_ID,
+      WORKOUT_EXERCISES_COLLECTION_ID,
+      workoutExerciseId,
+      {
+        progressionRules: progressionRules
+      }
+    );
+    
+    return true;
+  },
+  
+  dismissProgression: async (workoutExerciseId, sessionId) => {
+    await databases.updateDocument(
+      DATABASE_ID,
+      WORKOUT_EXERCISES_COLLECTION_ID,
+      workoutExerciseId,
+      {
+        progressionDismissedSessionId: sessionId
+      }
+    );
+    
+    return true;
+  },
+  
+  addSetToExercise: async (workoutExerciseId, reps, weight, setNumber, setType, dropWeights, targets, measures) => {
+    return await databases.createDocument(
+      DATABASE_ID,
+      EXERCISE_SETS_COLLECTION_ID,
+      ID.unique(),
+      {
+        workoutExerciseId: workoutExerciseId,
+        reps: reps,
+        weight: weight,
+        setNumber: setNumber,
+        setType: setType,
+        dropWeights: dropWeights,
+        ...targets,
+        ...measures
+      }
+    );
+  },
+  
+  deleteSet: async (setId) => {
+    await databases.deleteDocument(
+      DATABASE_ID,
+      EXERCISE_SETS_COLLECTION_ID,
+      setId
+    );
+    
+    return true;
+  },
+  
+  deleteExerciseFromWeekday: async (workoutExerciseId) => {
+    // First delete all sets associated with this workout exercise
     try {
-      const response = await databases.listDocuments(
+      const sets = await databases.listDocuments(
         DATABASE_ID,
+        EXERCISE_SETS_COLLECTION_ID,
+        [
+          Query.equal('workoutExerciseId', workoutExerciseId)
+        ]
+      );
+      
+      for (let set of sets.documents) {
+        await databases.deleteDocument(
+          DATABASE_ID,
+          EXERCISE_SETS_COLLECTION_ID,
+          set.$id
+        );
+      }
+    } catch (error) {
+      if (isNetworkError(error)) throw error;
+      console.error("Error deleting sets:", error);
+    }
+    
+    // Then delete the workout exercise
+    await databases.deleteDocument(
+      DATABASE_ID,
+      WORKOUT_EXERCISES_COLLECTION_ID,
+      workoutExerciseId
+    );
+    
+    return true;
+  },
+  
+  updateSet: async (setId, reps, weight, targets, measures) => {
+    await databases.updateDocument(
+      DATABASE_ID,
+      EXERCISE_SETS_COLLECTION_ID,
+      setId,
+      {
+        reps: reps,
+        weight: weight,
+        ...targets,
+        ...measures
+      }
+    );
+    
+    return true;
+  },
+  
+  updateSetNumber: async (setId, setNumber) => {
+    await databases.updateDocument(
+      DATABASE_ID,
+      EXERCISE_SETS_COLLECTION_ID,
+      setId,
+      {
+        setNumber: setNumber
+      }
+    );
+    
+    return true;
+  },
+};
+
+syncService.registerHandlers(mutations);
+
+// Target fields stored on every planned set, null when not prescribed
+const EMPTY_SET_TARGETS = { targetRpe: null, targetRir: null, tempo: null };
+
+// Reject targets outside the allowed ranges before anything is written or queued
+// Returns the targets with every field present
+const validateSetTargets = (targets) => {
+  const complete = { ...EMPTY_SET_TARGETS, ...targets };
+  const message = getSetTargetsError(complete);
+  if (message) {
+    throw new Error(message);
+  }
+  return complete;
+};
+
+// Time and distance stored on every planned set, null when the mode doesn't record them
+const EMPTY_SET_MEASURES = { durationSeconds: null, distance: null };
+
+// Reject negative or unreadable times and distances
+// Returns the measures with every field present
+const validateSetMeasures = (measures) => {
+  const complete = { ...EMPTY_SET_MEASURES, ...measures };
+  
+  if (complete.durationSeconds !== null && !(Number.isInteger(complete.durationSeconds) && complete.durationSeconds >= 0)) {
+    throw new Error('Duration must be a whole number of seconds');
+  }
+  if (complete.distance !== null && !(complete.distance >= 0)) {
+    throw new Error('Distance must be a positive number');
+  }
+  return complete;
+};
+
+// Run a write right away, or queue it when offline
+// applyOffline updates the local cache and returns the optimistic result
+const runOrQueue = async (type, args, applyOffline) => {
+  const resolvedArgs = await syncService.resolveIds(args);
+  
+  // Writes wait behind queued ones so they reach the server in order
+  const mustQueue = syncService.hasTempIds(resolvedArgs) || await syncService.getPendingCount() > 0;
+  
+  if (!mustQueue) {
+    try {
+      return await mutations[type](...resolvedArgs);
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+    }
+  }
+  
+  const result = await applyOffline(...resolvedArgs);
+  const tempId = syncService.isTempId(result?.$id) ? result.$id : null;
+  await syncService.enqueue(type, resolvedArgs, tempId);
+  
+  // Flush right away in case the queue was only waiting on ordering
+  syncService.replayIfPending();
+  return result;
+};
+
+// Apply a change to the cached exercises of every weekday
+const updateCachedWeekdayExercises = async (updater) => {
+  await cacheService.updateAll(CACHE_KEY_PREFIXES.weekdayExercises, updater);
+};
+
+// Apply a change to the sets of one cached workout exercise
+const updateCachedSets = async (workoutExerciseId, updater) => {
+  await updateCachedWeekdayExercises(exercises => exercises.map(exercise => (
+    exercise.$id === workoutExerciseId
+      ? { ...exercise, sets: updater(exercise.sets || []) }
+      : exercise
+  )));
+};
+
+// Find one workout exercise in the cache
+const findCachedWorkoutExercise = async (workoutExerciseId) => {
+  const cachedDays = await cacheService.getAll(CACHE_KEY_PREFIXES.weekdayExercises);
+  return cachedDays.flat().find(exercise => exercise.$id === workoutExerciseId) || null;
+};
+
+// Move the current week pointer of a program and keep the cached copy in step
+const saveProgramWeek = async (program, currentWeek, weekStartedAt) => {
+  const updated = { ...program, currentWeek, weekStartedAt };
+  
+  await runOrQueue('updateProgramWeek', [program.$id, currentWeek, weekStartedAt], async () => true);
+  await cacheService.set(CACHE_KEYS.userProgram(program.userId), updated);
+  return updated;
+};
+
+// Create the weekdays of every week of a program that doesn't have them yet
+// New weeks copy the day names and descriptions of week 1
+const createProgramWeeks = async (userId, program) => {
+  const weekdays = await listAllDocuments(
+    WEEKDAYS_COLLECTION_ID,
+    [
+      Query.equal('userId', userId),
+      Query.orderAsc('order')
+    ]
+  );
+  
+  const programWeekdays = weekdays.filter(weekday => weekday.programId === program.$id);
+  const existingWeeks = new Set(programWeekdays.map(getWeekdayWeek));
+  const firstWeek = programWeekdays.filter(weekday => getWeekdayWeek(weekday) === DEFAULT_WEEK_NUMBER);
+  const layout = firstWeek.length > 0 ? firstWeek : DEFAULT_WEEKDAYS;
+  
+  for (let weekNumber = 1; weekNumber <= program.weekCount; weekNumber++) {
+    if (existingWeeks.has(weekNumber)) continue;
+    
+    await Promise.all(layout.map(weekday => databases.createDocument(
+      DATABASE_ID,
+      WEEKDAYS_COLLECTION_ID,
+      ID.unique(),
+      {
+        dayName: weekday.dayName,
+        description: weekday.description,
+        order: weekday.order,
+        userId: userId,
+        programId: program.$id,
+        weekNumber: weekNumber
+      }
+    )));
+  }
+};
+
+// Make sure a user has no weekdays before a starting plan is created for them
+// Stops a second plan being added next to an existing one
+const assertNoWeekdays = async (userId) => {
+  const existingWeekdays = await listAllDocuments(
+    WEEKDAYS_COLLECTION_ID,
+    [
+      Query.equal('userId', userId),
+      Query.select(['$id'])
+    ]
+  );
+  if (existingWeekdays.length > 0) {
+    throw Object.assign(new Error('You already have a workout plan'), { code: 409 });
+  }
+};
+
+// Wait for every write to finish, then fail with the first error if any failed
+// Unlike Promise.all nothing is still being written when a rollback starts
+const settleAll = async (promises) => {
+  const results = await Promise.allSettled(promises);
+  const failure = results.find(result => result.status === 'rejected');
+  if (failure) throw failure.reason;
+  return results.map(result => result.value);
+};
+
+// Delete documents written by an operation that failed part way, newest first
+// Errors are logged and skipped so as much as possible is cleaned up
+const deleteCreatedDocuments = async (created) => {
+  for (let [collectionId, documentId] of [...created].reverse()) {
+    try {
+      await databases.deleteDocument(DATABASE_ID, collectionId, documentId);
+    } catch (error) {
+      console.error('Rollback delete error:', error);
+    }
+  }
+};
+
+// Next free set number of a workout exercise
+const getNextSetNumber = async (workoutExerciseId) => {
+  try {
+    const existingSets = await databases.listDocuments(
+      DATABASE_ID,
+      EXERCISE_SETS_COLLECTION_ID,
+      [
+        Query.equal('workoutExerciseId', workoutExerciseId),
+        Query.orderDesc('setNumber'),
+        Query.limit(1)
+      ]
+    );
+    
+    if (existingSets.documents.length > 0) {
+      return existingSets.documents[0].setNumber + 1;
+    }
+    return 1;
+  } catch (error) {
+    // Offline: count the cached sets instead
+    const cached = await findCachedWorkoutExercise(workoutExerciseId);
+    const setNumbers = (cached?.sets || []).map(set => set.setNumber);
+    return setNumbers.length > 0 ? Math.max(...setNumbers) + 1 : 1;
+  }
+};
+
+// Position for an exercise added at the end of a weekday
+const getNextExerciseOrder = async (weekdayId) => {
+  try {
+    const workoutExercises = await listAllDocuments(
+      WORKOUT_EXERCISES_COLLECTION_ID,
+      [
+        Query.equal('weekdayId', weekdayId),
+        Query.select(['$id', 'order'])
+      ]
+    );
+    
+    const orders = workoutExercises.map(workoutExercise => workoutExercise.order || 0);
+    return Math.max(workoutExercises.length, ...orders) + 1;
+  } catch (error) {
+    // Offline: look at the cached exercises instead
+    const cached = await cacheService.get(CACHE_KEYS.weekdayExercises(weekdayId)) || [];
+    const orders = cached.map(workoutExercise => workoutExercise.order || 0);
+    return Math.max(cached.length, ...orders) + 1;
+  }
+};
+
+export const workoutService = {
+  // Get the weekdays of a user
+  // weekNumber limits them to one week of the program; weekdays saved before programs existed are week 1
+  getUserWeekdays: async (userId, weekNumber = null) => {
+    try {
+      const inWeek = (weekdays) => (
+        weekNumber === null ? weekdays : weekdays.filter(weekday => getWeekdayWeek(weekday) === weekNumber)
+      );
+      
+      // Queued writes go first so the fresh data includes them
+      await syncService.replayIfPending();
+      
+      // Writes that couldn't be synced only exist in the cache
+      const cachedWeekdays = await cacheService.get(CACHE_KEYS.userWeekdays(userId));
+      if (cachedWeekdays && await syncService.getPendingCount() > 0) {
+        return inWeek(cachedWeekdays);
+      }
+      
+      // Every week of a block is read at once so other weeks can be shown offline
+      const weekdays = await listAllDocuments(
         WEEKDAYS_COLLECTION_ID,
         [
           Query.equal('userId', userId),
@@ -20,43 +617,34 @@ export const workoutService = {
         ]
       );
       
-      // Get exercise counts for each weekday
-      const weekdays = response.documents;
+      // Get exercise counts for all weekdays with a single query
+      const workoutExercises = await listDocumentsByValues(
+        WORKOUT_EXERCISES_COLLECTION_ID,
+        'weekdayId',
+        weekdays.map(weekday => weekday.$id),
+        [Query.select(['$id', 'weekdayId'])]
+      );
       
-      // For each weekday, get the exercise count
       for (let weekday of weekdays) {
-        const exercises = await databases.listDocuments(
-          DATABASE_ID,
-          WORKOUT_EXERCISES_COLLECTION_ID,
-          [
-            Query.equal('weekdayId', weekday.$id)
-          ]
-        );
-        
-        weekday.exerciseCount = exercises.total;
+        weekday.exerciseCount = workoutExercises.filter(
+          workoutExercise => workoutExercise.weekdayId === weekday.$id
+        ).length;
       }
       
-      return weekdays;
+      await cacheService.set(CACHE_KEYS.userWeekdays(userId), weekdays);
+      return inWeek(weekdays);
     } catch (error) {
       console.error("Error fetching weekdays:", error);
       throw error;
     }
   },
   
-  // Create initial weekdays for a new user
+  // Create empty weekdays for a new user starting from scratch
   createInitialWeekdays: async (userId) => {
     try {
-      const weekdays = [
-        { dayName: 'Monday', description: 'Back + Bicep', order: 1 },
-        { dayName: 'Tuesday', description: 'Shoulder + Arms', order: 2 },
-        { dayName: 'Wednesday', description: 'Lower body', order: 3 },
-        { dayName: 'Thursday', description: 'Push day', order: 4 },
-        { dayName: 'Friday', description: 'Pull day', order: 5 },
-        { dayName: 'Saturday', description: 'Lower body', order: 6 },
-        { dayName: 'Sunday', description: 'Rest Day', order: 7 },
-      ];
+      await assertNoWeekdays(userId);
       
-      for (let weekday of weekdays) {
+      for (let weekday of DEFAULT_WEEKDAYS) {
         await databases.createDocument(
           DATABASE_ID,
           WEEKDAYS_COLLECTION_ID,
@@ -68,28 +656,393 @@ export const workoutService = {
         );
       }
       
-      return true;
-    } catch (error) {
-      console.error("Error creating initial weekdays:", error);
-      throw error;
-    }
-  },
-  
-  // Update weekday description
-  updateWeekdayDescription: async (weekdayId, description) => {
-    try {
+      return true;
+    } catch (error) {
+      console.error("Error creating initial weekdays:", error);
+      throw error;
+    }
+  },
+  
+  // Install a template from the catalogue as a new user's plan in one call
+  // Creates the weekdays, workout exercises and sets; templates with several weeks become a block.
+  // Anything written is deleted again if a step fails, so a plan is never left half installed.
+  // Returns the names of template exercises missing from the library, which are left out
+  installTemplate: async (userId, template) => {
+    const created = []; // [collectionId, documentId] of every document written so far
+    const track = (collectionId, document) => {
+      created.push([collectionId, document.$id]);
+      return document;
+    };
+    
+    try {
+      await assertNoWeekdays(userId);
+      
+      const library = await listAllDocuments(EXERCISES_COLLECTION_ID, []);
+      const skippedExercises = new Set();
+      const weeks = template.weeks || [];
+      
+      let program = null;
+      if (weeks.length > 1) {
+        program = track(PROGRAMS_COLLECTION_ID, await databases.createDocument(
+          DATABASE_ID,
+          PROGRAMS_COLLECTION_ID,
+          ID.unique(),
+          {
+            userId: userId,
+            name: template.name,
+            weekCount: weeks.length,
+            currentWeek: 1,
+            weekStartedAt: getWeekStart().toISOString()
+          }
+        ));
+      }
+      
+      for (let weekIndex = 0; weekIndex < weeks.length; weekIndex++) {
+        for (let day of getTemplateWeekdays(weeks[weekIndex])) {
+          const weekday = track(WEEKDAYS_COLLECTION_ID, await databases.createDocument(
+            DATABASE_ID,
+            WEEKDAYS_COLLECTION_ID,
+            ID.unique(),
+            {
+              dayName: day.dayName,
+              description: day.description,
+              order: day.order,
+              userId: userId,
+              ...(program ? { programId: program.$id, weekNumber: weekIndex + 1 } : {})
+            }
+          ));
+          
+          let order = 0;
+          for (let entry of day.exercises) {
+            const exercise = resolveTemplateExercise(entry, library);
+            if (!exercise) {
+              skippedExercises.add(entry.exercise || entry.exerciseId);
+              continue;
+            }
+            
+            order += 1;
+            const mode = getTemplateMeasurementMode(entry, exercise);
+            const workoutExercise = track(WORKOUT_EXERCISES_COLLECTION_ID, await mutations.addExerciseToWeekday(
+              weekday.$id, exercise.$id, entry.restSeconds || DEFAULT_REST_SECONDS, order, mode
+            ));
+            
+            await settleAll(expandTemplateSets(entry, mode).map(async (set, index) => {
+              const { reps, weight, setType, durationSeconds, distance } = set;
+              track(EXERCISE_SETS_COLLECTION_ID, await mutations.addSetToExercise(
+                workoutExercise.$id, reps, weight, index + 1, setType, [], EMPTY_SET_TARGETS, { durationSeconds, distance }
+              ));
+            }));
+          }
+        }
+      }
+      
+      if (program) {
+        await cacheService.set(CACHE_KEYS.userProgram(userId), program);
+      }
+      
+      return { program, skippedExercises: [...skippedExercises] };
+    } catch (error) {
+      console.error("Error installing template:", error);
+      await deleteCreatedDocuments(created);
+      throw error;
+    }
+  },
+  
+  // Get the training block of a user, or null when they don't follow one
+  // The current week pointer is moved forward first if a new week has started
+  getUserProgram: async (userId) => {
+    try {
+      let program;
+      
+      // Queued writes may include a pointer change the server doesn't have yet
+      const cachedProgram = await cacheService.get(CACHE_KEYS.userProgram(userId));
+      if (cachedProgram && await syncService.getPendingCount() > 0) {
+        program = cachedProgram;
+      } else {
+        try {
+          const response = await databases.listDocuments(
+            DATABASE_ID,
+            PROGRAMS_COLLECTION_ID,
+            [
+              Query.equal('userId', userId),
+              Query.orderDesc('$createdAt'),
+              Query.limit(1)
+            ]
+          );
+          program = response.documents[0] || null;
+        } catch (error) {
+          if (!isNetworkError(error)) throw error;
+          program = cachedProgram;
+        }
+      }
+      
+      if (!program) {
+        await cacheService.remove(CACHE_KEYS.userProgram(userId));
+        return null;
+      }
+      
+      const scheduled = getScheduledWeek(program);
+      if (scheduled.currentWeek !== program.currentWeek
+        || new Date(scheduled.weekStartedAt).getTime() !== new Date(program.weekStartedAt).getTime()) {
+        return await saveProgramWeek(program, scheduled.currentWeek, scheduled.weekStartedAt);
+      }
+      
+      await cacheService.set(CACHE_KEYS.userProgram(userId), program);
+      return program;
+    } catch (error) {
+      console.error("Error fetching program:", error);
+      throw error;
+    }
+  },
+  
+  // Get the program saved on the device by the last getUserProgram call
+  getCachedUserProgram: async (userId) => {
+    return await cacheService.get(CACHE_KEYS.userProgram(userId));
+  },
+  
+  // Start a training block of weekCount weeks, beginning this week
+  // The user's current weekdays become week 1 and the other weeks start with the same day names
+  createProgram: async (userId, name, weekCount) => {
+    try {
+      const message = getProgramError(name, weekCount);
+      if (message) {
+        throw new Error(message);
+      }
+      
+      const program = await databases.createDocument(
+        DATABASE_ID,
+        PROGRAMS_COLLECTION_ID,
+        ID.unique(),
+        {
+          userId: userId,
+          name: name.trim(),
+          weekCount: weekCount,
+          currentWeek: 1,
+          weekStartedAt: getWeekStart().toISOString()
+        }
+      );
+      
+      // Weekdays that don't belong to a block yet are adopted as week 1
+      const looseWeekdays = await listAllDocuments(
+        WEEKDAYS_COLLECTION_ID,
+        [
+          Query.equal('userId', userId),
+          Query.isNull('programId')
+        ]
+      );
+      
+      await Promise.all(looseWeekdays.map(weekday => databases.updateDocument(
+        DATABASE_ID,
+        WEEKDAYS_COLLECTION_ID,
+        weekday.$id,
+        {
+          programId: program.$id,
+          weekNumber: DEFAULT_WEEK_NUMBER
+        }
+      )));
+      
+      await createProgramWeeks(userId, program);
+      await cacheService.set(CACHE_KEYS.userProgram(userId), program);
+      return program;
+    } catch (error) {
+      console.error("Error creating program:", error);
+      throw error;
+    }
+  },
+  
+  // Rename a training block or change how many weeks it lasts
+  // Added weeks get their weekdays; weeks cut off keep theirs and come back if the block grows again
+  updateProgram: async (program, name, weekCount) => {
+    try {
+      const message = getProgramError(name, weekCount);
+      if (message) {
+        throw new Error(message);
+      }
+      
+      const currentWeek = Math.min(program.currentWeek, weekCount);
+      const updated = await databases.updateDocument(
+        DATABASE_ID,
+        PROGRAMS_COLLECTION_ID,
+        program.$id,
+        {
+          name: name.trim(),
+          weekCount: weekCount,
+          currentWeek: currentWeek
+        }
+      );
+      
+      await createProgramWeeks(program.userId, updated);
+      await cacheService.set(CACHE_KEYS.userProgram(program.userId), updated);
+      return updated;
+    } catch (error) {
+      console.error("Error updating program:", error);
+      throw error;
+    }
+  },
+  
+  // Make a week of the block the current one, starting today's week
+  // Used to repeat or skip a week; the pointer keeps advancing every Monday from there
+  setProgramWeek: async (program, weekNumber) => {
+    try {
+      if (!(Number.isInteger(weekNumber) && weekNumber >= 1 && weekNumber <= program.weekCount)) {
+        throw new Error(`Week must be between 1 and ${program.weekCount}`);
+      }
+      
+      return await saveProgramWeek(program, weekNumber, getWeekStart().toISOString());
+    } catch (error) {
+      console.error("Error setting program week:", error);
+      throw error;
+    }
+  },
+  
+  // Update weekday description
+  updateWeekdayDescription: async (weekdayId, description) => {
+    try {
+      return await runOrQueue('updateWeekdayDescription', [weekdayId, description], async () => {
+        await cacheService.updateAll(CACHE_KEY_PREFIXES.userWeekdays, weekdays => weekdays.map(weekday => (
+          weekday.$id === weekdayId ? { ...weekday, description } : weekday
+        )));
+        return true;
+      });
+    } catch (error) {
+      console.error("Error updating weekday description:", error);
+      throw error;
+    }
+  },
+  
+  // Replace the plan of a weekday with a copy of another weekday's plan
+  // Exercises, sets and supersets/circuits are copied as new documents, and so is the description.
+  // Copies are written before the old plan is deleted and removed again on failure, so the target
+  // day keeps its plan if anything goes wrong. Needs a connection
+  copyWeekday: async (sourceWeekdayId, targetWeekdayId) => {
+    const created = []; // [collectionId, documentId] of every copy written so far
+    
+    try {
+      if (sourceWeekdayId === targetWeekdayId) {
+        throw new Error('Pick another day to copy to');
+      }
+      
+      // Queued writes go first so the copy includes them
+      await syncService.replayIfPending();
+      if (await syncService.getPendingCount() > 0) {
+        throw new Error('Wait for your offline changes to sync before copying a day');
+      }
+      
+      const [source, sourcePlan, targetPlan] = await Promise.all([
+        databases.getDocument(DATABASE_ID, WEEKDAYS_COLLECTION_ID, sourceWeekdayId),
+        listWeekdayPlan(sourceWeekdayId),
+        listWeekdayPlan(targetWeekdayId)
+      ]);
+      
+      const copy = async (collectionId, document, changes) => {
+        const copied = await databases.createDocument(
+          DATABASE_ID,
+          collectionId,
+          ID.unique(),
+          { ...documentData(document), ...changes }
+        );
+        created.push([collectionId, copied.$id]);
+        return copied;
+      };
+      
+      // Groups first so the copied exercises can point at them
+      const groupIds = {};
+      for (let group of sourcePlan.groups) {
+        groupIds[group.$id] = (await copy(WORKOUT_GROUPS_COLLECTION_ID, group, { weekdayId: targetWeekdayId })).$id;
+      }
+      
+      for (let workoutExercise of sourcePlan.workoutExercises) {
+        const copiedExercise = await copy(WORKOUT_EXERCISES_COLLECTION_ID, workoutExercise, {
+          weekdayId: targetWeekdayId,
+          groupId: groupIds[workoutExercise.groupId] || null,
+          // Dismissals refer to sessions of the original exercise
+          progressionDismissedSessionId: null
+        });
+        
+        const sets = sourcePlan.sets.filter(set => set.workoutExerciseId === workoutExercise.$id);
+        await settleAll(sets.map(set => copy(EXERCISE_SETS_COLLECTION_ID, set, {
+          workoutExerciseId: copiedExercise.$id
+        })));
+      }
+      
+      await deleteWeekdayPlan(targetPlan);
       await databases.updateDocument(
         DATABASE_ID,
         WEEKDAYS_COLLECTION_ID,
-        weekdayId,
+        targetWeekdayId,
         {
-          description: description
+          description: source.description
         }
       );
       
+      // The target day is read again from the server next time it is opened
+      await cacheService.remove(CACHE_KEYS.weekdayExercises(targetWeekdayId));
+      await cacheService.updateAll(CACHE_KEY_PREFIXES.userWeekdays, weekdays => weekdays.map(weekday => (
+        weekday.$id === targetWeekdayId
+          ? { ...weekday, description: source.description, exerciseCount: sourcePlan.workoutExercises.length }
+          : weekday
+      )));
+      
       return true;
     } catch (error) {
-      console.error("Error updating weekday description:", error);
+      console.error("Error copying weekday:", error);
+      await deleteCreatedDocuments(created);
+      throw error;
+    }
+  },
+  
+  // Swap the plans of two weekdays, descriptions included
+  swapWeekdays: async (firstWeekdayId, secondWeekdayId) => {
+    try {
+      return await runOrQueue('swapWeekdays', [firstWeekdayId, secondWeekdayId], async () => {
+        const firstKey = CACHE_KEYS.weekdayExercises(firstWeekdayId);
+        const secondKey = CACHE_KEYS.weekdayExercises(secondWeekdayId);
+        const firstExercises = await cacheService.get(firstKey) || [];
+        const secondExercises = await cacheService.get(secondKey) || [];
+        
+        const moveTo = (weekdayId) => (exercise) => ({
+          ...exercise,
+          weekdayId: weekdayId,
+          group: exercise.group ? { ...exercise.group, weekdayId: weekdayId } : null
+        });
+        await cacheService.set(firstKey, secondExercises.map(moveTo(firstWeekdayId)));
+        await cacheService.set(secondKey, firstExercises.map(moveTo(secondWeekdayId)));
+        
+        await cacheService.updateAll(CACHE_KEY_PREFIXES.userWeekdays, weekdays => {
+          const first = weekdays.find(weekday => weekday.$id === firstWeekdayId);
+          const second = weekdays.find(weekday => weekday.$id === secondWeekdayId);
+          if (!first || !second) return weekdays;
+          
+          return weekdays.map(weekday => {
+            if (weekday.$id === firstWeekdayId) {
+              return { ...weekday, description: second.description, exerciseCount: second.exerciseCount };
+            }
+            if (weekday.$id === secondWeekdayId) {
+              return { ...weekday, description: first.description, exerciseCount: first.exerciseCount };
+            }
+            return weekday;
+          });
+        });
+        return true;
+      });
+    } catch (error) {
+      console.error("Error swapping weekdays:", error);
+      throw error;
+    }
+  },
+  
+  // Remove every exercise, set and superset/circuit of a weekday in one step
+  clearWeekday: async (weekdayId) => {
+    try {
+      return await runOrQueue('clearWeekday', [weekdayId], async () => {
+        await cacheService.set(CACHE_KEYS.weekdayExercises(weekdayId), []);
+        await cacheService.updateAll(CACHE_KEY_PREFIXES.userWeekdays, weekdays => weekdays.map(weekday => (
+          weekday.$id === weekdayId ? { ...weekday, exerciseCount: 0 } : weekday
+        )));
+        return true;
+      });
+    } catch (error) {
+      console.error("Error clearing weekday:", error);
       throw error;
     }
   },
@@ -97,59 +1050,97 @@ export const workoutService = {
   // Get exercises for a specific weekday
   getWeekdayExercises: async (weekdayId) => {
     try {
+      // Queued writes go first so the fresh data includes them
+      await syncService.replayIfPending();
+      
+      // Writes that couldn't be synced only exist in the cache
+      const cachedExercises = await cacheService.get(CACHE_KEYS.weekdayExercises(weekdayId));
+      if (cachedExercises && await syncService.getPendingCount() > 0) {
+        return cachedExercises;
+      }
+      
       const response = await databases.listDocuments(
         DATABASE_ID,
         WORKOUT_EXERCISES_COLLECTION_ID,
         [
-          Query.equal('weekdayId', weekdayId)
+          Query.equal('weekdayId', weekdayId),
+          Query.orderAsc('$createdAt')
         ]
       );
       
-      // Get exercise details for each
-      const workoutExercises = response.documents;
-      const exercises = [];
+      const workoutExercises = sortWorkoutExercises(response.documents);
+      const workoutExerciseIds = workoutExercises.map(workoutExercise => workoutExercise.$id);
       
-      for (let workoutExercise of workoutExercises) {
-        try {
-          // Get the exercise details
-          const exercise = await databases.getDocument(
-            DATABASE_ID,
-            EXERCISES_COLLECTION_ID,
-            workoutExercise.exerciseId
-          );
-          
-          // Get all sets for this workout exercise
-          const setsResponse = await databases.listDocuments(
-            DATABASE_ID,
-            EXERCISE_SETS_COLLECTION_ID,
-            [
-              Query.equal('workoutExerciseId', workoutExercise.$id),
-              Query.orderAsc('setNumber')
-            ]
-          );
-          
-          const sets = setsResponse.documents;
-          
-          exercises.push({
-            ...workoutExercise,
-            exerciseName: exercise.name,
-            bodyPart: exercise.bodyPart,
-            category: exercise.category,
-            thumbnail: exercise.thumbnail,
-            sets: sets
-          });
-        } catch (error) {
-          exercises.push({
+      // Fetch exercise details, sets and supersets/circuits for all workout exercises at once
+      const [exerciseDocuments, setDocuments, groupDocuments] = await Promise.all([
+        listDocumentsByValues(
+          EXERCISES_COLLECTION_ID,
+          '$id',
+          workoutExercises.map(workoutExercise => workoutExercise.exerciseId)
+        ),
+        listDocumentsByValues(
+          EXERCISE_SETS_COLLECTION_ID,
+          'workoutExerciseId',
+          workoutExerciseIds,
+          [Query.orderAsc('setNumber')]
+        ),
+        listAllDocuments(
+          WORKOUT_GROUPS_COLLECTION_ID,
+          [Query.equal('weekdayId', weekdayId)]
+        )
+      ]);
+      
+      // Join exercises and sets to their workout exercises on the client
+      const exercisesById = {};
+      exerciseDocuments.forEach(exercise => {
+        exercisesById[exercise.$id] = exercise;
+      });
+      
+      const groupsById = {};
+      groupDocuments.forEach(group => {
+        groupsById[group.$id] = group;
+      });
+      
+      const setsByWorkoutExercise = {};
+      setDocuments.forEach(set => {
+        if (!setsByWorkoutExercise[set.workoutExerciseId]) {
+          setsByWorkoutExercise[set.workoutExerciseId] = [];
+        }
+        setsByWorkoutExercise[set.workoutExerciseId].push(set);
+      });
+      
+      const exercises = workoutExercises.map(workoutExercise => {
+        const exercise = exercisesById[workoutExercise.exerciseId];
+        const group = groupsById[workoutExercise.groupId] || null;
+        
+        // Exercise was removed from the library
+        if (!exercise) {
+          return {
             ...workoutExercise,
+            group: group,
             exerciseName: 'Unknown Exercise',
             bodyPart: '',
             category: '',
             thumbnail: null,
             sets: []
-          });
+          };
         }
-      }
+        
+        const sets = (setsByWorkoutExercise[workoutExercise.$id] || [])
+          .sort((a, b) => a.setNumber - b.setNumber);
+        
+        return {
+          ...workoutExercise,
+          group: group,
+          exerciseName: exercise.name,
+          bodyPart: exercise.bodyPart,
+          category: exercise.category,
+          thumbnail: exercise.thumbnail,
+          sets: sets
+        };
+      });
       
+      await cacheService.set(CACHE_KEYS.weekdayExercises(weekdayId), exercises);
       return exercises;
     } catch (error) {
       console.error("Error fetching weekday exercises:", error);
@@ -157,20 +1148,54 @@ export const workoutService = {
     }
   },
   
-  // Add exercise to weekday (without sets, reps, weight)
-  addExerciseToWeekday: async (weekdayId, exerciseId) => {
+  // Get the weekdays saved on the device by the last getUserWeekdays call
+  getCachedUserWeekdays: async (userId, weekNumber = null) => {
+    const weekdays = await cacheService.get(CACHE_KEYS.userWeekdays(userId));
+    if (!weekdays || weekNumber === null) return weekdays;
+    return weekdays.filter(weekday => getWeekdayWeek(weekday) === weekNumber);
+  },
+  
+  // Get the exercises and sets saved on the device by the last getWeekdayExercises call
+  getCachedWeekdayExercises: async (weekdayId) => {
+    return await cacheService.get(CACHE_KEYS.weekdayExercises(weekdayId));
+  },
+  
+  // Add exercise to the end of a weekday (without sets, reps, weight)
+  // restSeconds is the default rest between sets during workout execution
+  // measurementMode is one of MEASUREMENT_MODES and decides what each set records
+  addExerciseToWeekday: async (weekdayId, exerciseId, restSeconds = DEFAULT_REST_SECONDS, measurementMode = DEFAULT_MEASUREMENT_MODE) => {
     try {
-      const response = await databases.createDocument(
-        DATABASE_ID,
-        WORKOUT_EXERCISES_COLLECTION_ID,
-        ID.unique(),
-        {
+      if (!MEASUREMENT_MODES[measurementMode]) {
+        throw new Error(`Unknown measurement mode: ${measurementMode}`);
+      }
+      
+      const order = await getNextExerciseOrder(weekdayId);
+      
+      return await runOrQueue('addExerciseToWeekday', [weekdayId, exerciseId, restSeconds, order, measurementMode], async () => {
+        // Show the exercise with its library details until it is synced
+        const library = await cacheService.get(CACHE_KEYS.exercises) || [];
+        const exercise = library.find(item => item.$id === exerciseId);
+        
+        const workoutExercise = {
+          $id: syncService.createTempId(),
           weekdayId: weekdayId,
           exerciseId: exerciseId,
-        }
-      );
-      
-      return response;
+          restSeconds: restSeconds,
+          order: order,
+          measurementMode: measurementMode,
+          exerciseName: exercise?.name || 'Exercise',
+          bodyPart: exercise?.bodyPart || '',
+          category: exercise?.category || '',
+          thumbnail: exercise?.thumbnail || null,
+          sets: []
+        };
+        
+        const key = CACHE_KEYS.weekdayExercises(weekdayId);
+        const cached = await cacheService.get(key) || [];
+        await cacheService.set(key, [...cached, workoutExercise]);
+        
+        return workoutExercise;
+      });
     } catch (error) {
       console.error("Error adding exercise to weekday:", error);
       throw error;
@@ -178,44 +1203,39 @@ export const workoutService = {
   },
   
   // Add a set to an exercise
-  addSetToExercise: async (workoutExerciseId, reps, weight, setNumber = null) => {
+  // setType is one of SET_TYPES: AMRAP sets pass null reps, drop sets the weights after the first one
+  // targets optionally holds targetRpe or targetRir and a tempo such as "3-1-1-0"
+  // measures holds durationSeconds and distance for timed or cardio exercises, which pass null reps/weight
+  addSetToExercise: async (workoutExerciseId, reps, weight, setNumber = null, setType = DEFAULT_SET_TYPE, dropWeights = [], targets = {}, measures = {}) => {
     try {
+      const setTargets = validateSetTargets(targets);
+      const setMeasures = validateSetMeasures(measures);
+      
       // If setNumber is not provided, get the highest set number and increment
       if (!setNumber) {
-        try {
-          const existingSets = await databases.listDocuments(
-            DATABASE_ID,
-            EXERCISE_SETS_COLLECTION_ID,
-            [
-              Query.equal('workoutExerciseId', workoutExerciseId),
-              Query.orderDesc('setNumber'),
-              Query.limit(1)
-            ]
-          );
-          
-          if (existingSets.documents.length > 0) {
-            setNumber = existingSets.documents[0].setNumber + 1;
-          } else {
-            setNumber = 1;
-          }
-        } catch (error) {
-          setNumber = 1;
-        }
+        setNumber = await getNextSetNumber(workoutExerciseId);
       }
       
-      const response = await databases.createDocument(
-        DATABASE_ID,
-        EXERCISE_SETS_COLLECTION_ID,
-        ID.unique(),
-        {
+      const args = [workoutExerciseId, reps, weight, setNumber, setType, setType === 'drop' ? dropWeights : [], setTargets, setMeasures];
+      
+      return await runOrQueue('addSetToExercise', args, async () => {
+        const set = {
+          $id: syncService.createTempId(),
           workoutExerciseId: workoutExerciseId,
           reps: reps,
           weight: weight,
-          setNumber: setNumber
-        }
-      );
-      
-      return response;
+          setNumber: setNumber,
+          setType: setType,
+          dropWeights: args[5],
+          ...setTargets,
+          ...setMeasures
+        };
+        
+        await updateCachedSets(workoutExerciseId, sets => (
+          [...sets, set].sort((a, b) => a.setNumber - b.setNumber)
+        ));
+        return set;
+      });
     } catch (error) {
       console.error("Error adding set to exercise:", error);
       throw error;
@@ -225,13 +1245,13 @@ export const workoutService = {
   // Delete a set
   deleteSet: async (setId) => {
     try {
-      await databases.deleteDocument(
-        DATABASE_ID,
-        EXERCISE_SETS_COLLECTION_ID,
-        setId
-      );
-      
-      return true;
+      return await runOrQueue('deleteSet', [setId], async () => {
+        await updateCachedWeekdayExercises(exercises => exercises.map(exercise => ({
+          ...exercise,
+          sets: (exercise.sets || []).filter(set => set.$id !== setId)
+        })));
+        return true;
+      });
     } catch (error) {
       console.error("Error deleting set:", error);
       throw error;
@@ -241,57 +1261,400 @@ export const workoutService = {
   // Delete exercise from weekday (also deletes all associated sets)
   deleteExerciseFromWeekday: async (workoutExerciseId) => {
     try {
-      // First delete all sets associated with this workout exercise
-      try {
-        const sets = await databases.listDocuments(
-          DATABASE_ID,
-          EXERCISE_SETS_COLLECTION_ID,
-          [
-            Query.equal('workoutExerciseId', workoutExerciseId)
-          ]
-        );
+      return await runOrQueue('deleteExerciseFromWeekday', [workoutExerciseId], async () => {
+        await updateCachedWeekdayExercises(exercises => (
+          exercises.filter(exercise => exercise.$id !== workoutExerciseId)
+        ));
+        return true;
+      });
+    } catch (error) {
+      console.error("Error deleting exercise from weekday:", error);
+      throw error;
+    }
+  },
+  
+  // Update set values
+  // Targets and time/distance measures are only changed when passed
+  updateSet: async (setId, reps, weight, targets = null, measures = null) => {
+    try {
+      const setTargets = targets ? validateSetTargets(targets) : {};
+      const setMeasures = measures ? validateSetMeasures(measures) : {};
+      
+      return await runOrQueue('updateSet', [setId, reps, weight, setTargets, setMeasures], async () => {
+        await updateCachedWeekdayExercises(exercises => exercises.map(exercise => ({
+          ...exercise,
+          sets: (exercise.sets || []).map(set => (
+            set.$id === setId ? { ...set, reps, weight, ...setTargets, ...setMeasures } : set
+          ))
+        })));
+        return true;
+      });
+    } catch (error) {
+      console.error("Error updating set:", error);
+      throw error;
+    }
+  },
+  
+  // Save the progressive overload rules of a workout exercise
+  // Rules are stored as JSON so new options don't need new attributes
+  updateProgressionRules: async (workoutExerciseId, rules) => {
+    try {
+      const message = getProgressionRulesError(rules);
+      if (message) {
+        throw new Error(message);
+      }
+      
+      const progressionRules = JSON.stringify(rules);
+      
+      return await runOrQueue('updateProgressionRules', [workoutExerciseId, progressionRules], async () => {
+        await updateCachedWeekdayExercises(exercises => exercises.map(exercise => (
+          exercise.$id === workoutExerciseId ? { ...exercise, progressionRules } : exercise
+        )));
+        return true;
+      });
+    } catch (error) {
+      console.error("Error updating progression rules:", error);
+      throw error;
+    }
+  },
+  
+  // Hide the progression suggestion based on a session until a newer session is done
+  dismissProgression: async (workoutExerciseId, sessionId) => {
+    try {
+      return await runOrQueue('dismissProgression', [workoutExerciseId, sessionId], async () => {
+        await updateCachedWeekdayExercises(exercises => exercises.map(exercise => (
+          exercise.$id === workoutExerciseId ? { ...exercise, progressionDismissedSessionId: sessionId } : exercise
+        )));
+        return true;
+      });
+    } catch (error) {
+      console.error("Error dismissing progression:", error);
+      throw error;
+    }
+  },
+  
+  // Save the order of a weekday's exercises as they are passed (first = 1)
+  // Only exercises whose position changes are written; returns the reordered exercises
+  reorderWeekdayExercises: async (weekdayId, exercises) => {
+    try {
+      const reordered = exercises.map((exercise, index) => ({ ...exercise, order: index + 1 }));
+      
+      for (let i = 0; i < reordered.length; i++) {
+        const exercise = reordered[i];
+        if (exercise.order === exercises[i].order) continue;
         
-        for (let set of sets.documents) {
-          await databases.deleteDocument(
-            DATABASE_ID,
-            EXERCISE_SETS_COLLECTION_ID,
-            set.$id
+        await runOrQueue('updateExerciseOrder', [exercise.$id, exercise.order], async (workoutExerciseId, order) => {
+          await cacheService.update(CACHE_KEYS.weekdayExercises(weekdayId), cached => sortWorkoutExercises(
+            cached.map(cachedExercise => (
+              cachedExercise.$id === workoutExerciseId ? { ...cachedExercise, order } : cachedExercise
+            ))
+          ));
+          return true;
+        });
+      }
+      
+      return reordered;
+    } catch (error) {
+      console.error("Error reordering weekday exercises:", error);
+      throw error;
+    }
+  },
+  
+  // Link workout exercises of a weekday as a superset or circuit
+  // type is 'superset' or 'circuit'; restSeconds is the rest after each round
+  createExerciseGroup: async (weekdayId, workoutExerciseIds, type, rounds, restSeconds) => {
+    try {
+      if (workoutExerciseIds.length < MIN_GROUP_SIZE) {
+        throw new Error(`A ${type} needs at least ${MIN_GROUP_SIZE} exercises`);
+      }
+      
+      const group = await runOrQueue('createWorkoutGroup', [weekdayId, type, rounds, restSeconds], async () => ({
+        $id: syncService.createTempId(),
+        weekdayId: weekdayId,
+        type: type,
+        rounds: rounds,
+        restSeconds: restSeconds
+      }));
+      
+      for (let workoutExerciseId of workoutExerciseIds) {
+        await runOrQueue('setExerciseGroup', [workoutExerciseId, group.$id], async (exerciseId, groupId) => {
+          await updateCachedWeekdayExercises(exercises => exercises.map(exercise => (
+            exercise.$id === exerciseId ? { ...exercise, groupId, group: { ...group, $id: groupId } } : exercise
+          )));
+          return true;
+        });
+      }
+      
+      return group;
+    } catch (error) {
+      console.error("Error creating exercise group:", error);
+      throw error;
+    }
+  },
+  
+  // Change the type, rounds or rest of a superset/circuit
+  updateExerciseGroup: async (groupId, type, rounds, restSeconds) => {
+    try {
+      return await runOrQueue('updateWorkoutGroup', [groupId, type, rounds, restSeconds], async (id) => {
+        await updateCachedWeekdayExercises(exercises => exercises.map(exercise => (
+          exercise.group?.$id === id
+            ? { ...exercise, group: { ...exercise.group, type, rounds, restSeconds } }
+            : exercise
+        )));
+        return true;
+      });
+    } catch (error) {
+      console.error("Error updating exercise group:", error);
+      throw error;
+    }
+  },
+  
+  // Unlink the exercises of a superset/circuit and delete the group
+  // The exercises themselves stay on the weekday
+  removeExerciseGroup: async (groupId, workoutExerciseIds) => {
+    try {
+      for (let workoutExerciseId of workoutExerciseIds) {
+        await runOrQueue('setExerciseGroup', [workoutExerciseId, null], async (exerciseId) => {
+          await updateCachedWeekdayExercises(exercises => exercises.map(exercise => (
+            exercise.$id === exerciseId ? { ...exercise, groupId: null, group: null } : exercise
+          )));
+          return true;
+        });
+      }
+      
+      return await runOrQueue('deleteWorkoutGroup', [groupId], async () => true);
+    } catch (error) {
+      console.error("Error removing exercise group:", error);
+      throw error;
+    }
+  },
+  
+  // Number the sets of one exercise 1, 2, 3... in the order they are passed
+  // Only sets whose number changes are written; returns the renumbered sets
+  renumberSets: async (sets) => {
+    try {
+      const renumbered = sets.map((set, index) => ({ ...set, setNumber: index + 1 }));
+      
+      for (let i = 0; i < renumbered.length; i++) {
+        const set = renumbered[i];
+        if (set.setNumber === sets[i].setNumber) continue;
+        
+        await runOrQueue('updateSetNumber', [set.$id, set.setNumber], async (setId, setNumber) => {
+          await updateCachedSets(set.workoutExerciseId, cachedSets => cachedSets
+            .map(cachedSet => (cachedSet.$id === setId ? { ...cachedSet, setNumber } : cachedSet))
+            .sort((a, b) => a.setNumber - b.setNumber)
           );
-        }
-      } catch (error) {
-        console.error("Error deleting sets:", error);
+          return true;
+        });
+      }
+      
+      return renumbered;
+    } catch (error) {
+      console.error("Error renumbering sets:", error);
+      throw error;
+    }
+  },
+
+  // Save a finished workout session together with every performed set
+  // The session and its sets are deleted again if a write fails, so retrying never leaves a duplicate
+  saveWorkoutSession: async (userId, weekday, startedAt, endedAt, performedSets) => {
+    const created = []; // [collectionId, documentId] of every document written so far
+    
+    try {
+      // Logged RPE is optional, but must be a real RPE when given
+      if (performedSets.some(set => set.rpe != null && !isValidRpe(set.rpe))) {
+        throw new Error(`Logged RPE must be between ${RPE_RANGE.min} and ${RPE_RANGE.max} in steps of 0.5`);
       }
       
-      // Then delete the workout exercise
-      await databases.deleteDocument(
+      // Summary numbers are stored on the session so history lists don't need the sets
+      const summary = summarizeSession(performedSets, startedAt, endedAt);
+      
+      const session = await databases.createDocument(
         DATABASE_ID,
-        WORKOUT_EXERCISES_COLLECTION_ID,
-        workoutExerciseId
+        WORKOUT_SESSIONS_COLLECTION_ID,
+        ID.unique(),
+        {
+          userId: userId,
+          weekdayId: weekday?.$id || null,
+          dayName: weekday?.dayName || '',
+          description: weekday?.description || '',
+          startedAt: startedAt.toISOString(),
+          endedAt: endedAt.toISOString(),
+          ...summary
+        }
       );
+      created.push([WORKOUT_SESSIONS_COLLECTION_ID, session.$id]);
       
-      return true;
+      // Store each performed set as its own document so it can be queried later
+      const sets = [];
+      for (let performedSet of performedSets) {
+        const set = await databases.createDocument(
+          DATABASE_ID,
+          SESSION_SETS_COLLECTION_ID,
+          ID.unique(),
+          {
+            sessionId: session.$id,
+            userId: userId,
+            workoutExerciseId: performedSet.workoutExerciseId,
+            exerciseId: performedSet.exerciseId,
+            exerciseName: performedSet.exerciseName,
+            measurementMode: performedSet.measurementMode || DEFAULT_MEASUREMENT_MODE,
+            setNumber: performedSet.setNumber,
+            setType: performedSet.setType || DEFAULT_SET_TYPE,
+            plannedReps: performedSet.plannedReps,
+            plannedWeight: performedSet.plannedWeight,
+            reps: performedSet.reps,
+            weight: performedSet.weight,
+            dropWeights: performedSet.dropWeights || [],
+            dropReps: performedSet.dropReps || [],
+            targetRpe: performedSet.targetRpe ?? null,
+            targetRir: performedSet.targetRir ?? null,
+            rpe: performedSet.rpe ?? null,
+            durationSeconds: performedSet.durationSeconds ?? null,
+            distance: performedSet.distance ?? null,
+            completed: performedSet.completed,
+            performedAt: endedAt.toISOString()
+          }
+        );
+        created.push([SESSION_SETS_COLLECTION_ID, set.$id]);
+        
+        sets.push(set);
+      }
+      
+      return { ...session, sets: sets };
     } catch (error) {
-      console.error("Error deleting exercise from weekday:", error);
+      console.error("Error saving workout session:", error);
+      await deleteCreatedDocuments(created);
       throw error;
     }
   },
   
-  // Update set values
-  updateSet: async (setId, reps, weight) => {
+  // Store the personal records achieved in a session so history can show badges
+  // Each entry is "exerciseId:recordType"
+  setSessionPersonalRecords: async (sessionId, records) => {
     try {
+      const keys = [...new Set(records.map(record => `${record.exerciseId}:${record.recordType}`))];
+      
       await databases.updateDocument(
         DATABASE_ID,
-        EXERCISE_SETS_COLLECTION_ID,
-        setId,
+        WORKOUT_SESSIONS_COLLECTION_ID,
+        sessionId,
         {
-          reps: reps,
-          weight: weight
+          personalRecords: keys,
+          prCount: records.length
         }
       );
       
       return true;
     } catch (error) {
-      console.error("Error updating set:", error);
+      console.error("Error saving session personal records:", error);
+      throw error;
+    }
+  },
+  
+  // Get a page of the user's past sessions, newest first
+  // Pass the last session ID of the previous page as cursor to load the next one
+  getUserSessions: async (userId, limit = 20, cursor = null) => {
+    try {
+      const queries = [
+        Query.equal('userId', userId),
+        Query.orderDesc('startedAt'),
+        Query.limit(limit)
+      ];
+      
+      if (cursor) {
+        queries.push(Query.cursorAfter(cursor));
+      }
+      
+      const response = await databases.listDocuments(
+        DATABASE_ID,
+        WORKOUT_SESSIONS_COLLECTION_ID,
+        queries
+      );
+      
+      const sessions = response.documents;
+      
+      return {
+        sessions: sessions,
+        nextCursor: sessions.length === limit ? sessions[sessions.length - 1].$id : null
+      };
+    } catch (error) {
+      console.error("Error fetching workout sessions:", error);
+      throw error;
+    }
+  },
+  
+  // Get a single workout session by ID
+  getWorkoutSession: async (sessionId) => {
+    try {
+      return await databases.getDocument(
+        DATABASE_ID,
+        WORKOUT_SESSIONS_COLLECTION_ID,
+        sessionId
+      );
+    } catch (error) {
+      console.error("Error fetching workout session:", error);
+      throw error;
+    }
+  },
+  
+  // Get completed sets of one library exercise across all sessions, oldest first
+  // Pass a date as since to only get sets performed after it
+  getExerciseHistory: async (userId, exerciseId, since = null) => {
+    try {
+      const queries = [
+        Query.equal('userId', userId),
+        Query.equal('exerciseId', exerciseId),
+        Query.equal('completed', true),
+        Query.orderAsc('performedAt')
+      ];
+      
+      if (since) {
+        queries.push(Query.greaterThanEqual('performedAt', since.toISOString()));
+      }
+      
+      return await listAllDocuments(SESSION_SETS_COLLECTION_ID, queries);
+    } catch (error) {
+      console.error("Error fetching exercise history:", error);
+      throw error;
+    }
+  },
+  
+  // Get the performed sets (completed or not) of planned exercises since a date
+  // Used to check how the last sessions of each exercise went
+  getRecentWorkoutExerciseSets: async (userId, workoutExerciseIds, since) => {
+    try {
+      return await listDocumentsByValues(
+        SESSION_SETS_COLLECTION_ID,
+        'workoutExerciseId',
+        workoutExerciseIds,
+        [
+          Query.equal('userId', userId),
+          Query.greaterThanEqual('performedAt', since.toISOString())
+        ]
+      );
+    } catch (error) {
+      console.error("Error fetching recent workout exercise sets:", error);
+      throw error;
+    }
+  },
+  
+  // Get all performed sets of a workout session
+  getSessionSets: async (sessionId) => {
+    try {
+      const response = await databases.listDocuments(
+        DATABASE_ID,
+        SESSION_SETS_COLLECTION_ID,
+        [
+          Query.equal('sessionId', sessionId),
+          Query.orderAsc('$createdAt'),
+          Query.limit(500)
+        ]
+      );
+      
+      return response.documents;
+    } catch (error) {
+      console.error("Error fetching session sets:", error);
       throw error;
     }
   }
@@ -0,0 +1,73 @@
+/**
+ * Account helpers
+ * Pure checks for the name, email and password of an account
+ */
+
+// Shortest password Appwrite accepts
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Longest name Appwrite accepts
+export const MAX_NAME_LENGTH = 128;
+
+// Strength labels, from the weakest accepted password to the strongest
+export const PASSWORD_STRENGTHS = ['Weak', 'Fair', 'Good', 'Strong'];
+
+// Lowest strength a new password must reach
+export const MIN_PASSWORD_STRENGTH = 1;
+
+/**
+ * Check whether an email address looks valid
+ * @param {string} email - Email as typed
+ * @returns {boolean} - True for something@domain.tld
+ */
+export const isValidEmail = (email) => {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test((email || '').trim());
+};
+
+/**
+ * Strength of a password
+ * Length and the kinds of characters used (lower case, upper case, digits,
+ * symbols) each add to the score
+ * @param {string} password - Password as typed
+ * @returns {number} - Index in PASSWORD_STRENGTHS, -1 when it's too short
+ */
+export const getPasswordStrength = (password) => {
+  const value = password || '';
+  if (value.length < MIN_PASSWORD_LENGTH) return -1;
+
+  const kinds = [/[a-z]/, /[A-Z]/, /\d/, /[^a-zA-Z\d]/]
+    .filter(pattern => pattern.test(value)).length;
+
+  let score = kinds - 1;
+  if (value.length >= 12) score += 1;
+  if (value.length >= 16) score += 1;
+  return Math.max(0, Math.min(PASSWORD_STRENGTHS.length - 1, score));
+};
+
+/**
+ * Check a new password
+ * @param {string} password - Password as typed
+ * @returns {string|null} - What's wrong with it, or null when it's strong enough
+ */
+export const getPasswordError = (password) => {
+  const strength = getPasswordStrength(password);
+  if (strength < 0) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (strength < MIN_PASSWORD_STRENGTH) {
+    return 'Password is too weak. Mix letters with numbers or symbols, or make it longer';
+  }
+  return null;
+};
+
+/**
+ * Check a display name
+ * @param {string} name - Name as typed
+ * @returns {string|null} - What's wrong with it, or null when it's valid
+ */
+export const getNameError = (name) => {
+  const value = (name || '').trim();
+  if (!value) return 'Please enter your name';
+  if (value.length > MAX_NAME_LENGTH) return `Name must be at most ${MAX_NAME_LENGTH} characters`;
+  return null;
+};
@@ -0,0 +1,104 @@
+/**
+ * Superset and circuit helpers
+ * Pure functions that arrange grouped workout exercises for planning and execution
+ */
+
+// Kinds of groups, with the labels shown in the app
+export const GROUP_TYPES = {
+  superset: 'Superset',
+  circuit: 'Circuit',
+};
+
+// A group links at least this many exercises
+export const MIN_GROUP_SIZE = 2;
+
+/**
+ * Letter identifying an exercise inside its group (A, B, C...)
+ * @param {number} index - Position of the exercise in the group
+ * @returns {string} - Letter
+ */
+export const getGroupLetter = (index) => {
+  return String.fromCharCode(65 + index);
+};
+
+/**
+ * Move every member of a group next to the group's first member
+ * Ungrouped exercises keep their position
+ * @param {Array} exercises - Workout exercises in day order (grouped ones carry a group object)
+ * @returns {Array} - Exercises with each group in one piece
+ */
+export const keepGroupsTogether = (exercises) => {
+  const result = [];
+  const placed = new Set();
+
+  exercises.forEach(exercise => {
+    if (placed.has(exercise.$id)) return;
+
+    const members = exercise.group
+      ? exercises.filter(member => member.group?.$id === exercise.group.$id)
+      : [exercise];
+
+    members.forEach(member => {
+      result.push(member);
+      placed.add(member.$id);
+    });
+  });
+
+  return result;
+};
+
+/**
+ * Split a day into blocks: one per ungrouped exercise and one per group
+ * @param {Array} exercises - Workout exercises in day order
+ * @returns {Array} - Blocks as { key, group, exercises } (group is null for single exercises)
+ */
+export const buildWorkoutBlocks = (exercises) => {
+  const blocks = [];
+
+  keepGroupsTogether(exercises).forEach(exercise => {
+    const lastBlock = blocks[blocks.length - 1];
+
+    if (exercise.group && lastBlock?.group?.$id === exercise.group.$id) {
+      lastBlock.exercises.push(exercise);
+    } else {
+      blocks.push({
+        key: exercise.group ? exercise.group.$id : exercise.$id,
+        group: exercise.group || null,
+        exercises: [exercise]
+      });
+    }
+  });
+
+  return blocks;
+};
+
+/**
+ * Order in which the sets of a group are performed
+ * Each round takes the next set of every exercise in turn (A1, B1, A2, B2...)
+ * An exercise with fewer sets than rounds simply sits out the remaining rounds,
+ * and sets beyond the group's rounds become extra rounds so none are hidden
+ * @param {Object} group - Group with rounds
+ * @param {Array} exercises - Exercises of the group, in group order
+ * @returns {Array} - Rounds as { round, steps: [{ exercise, set, label }] }
+ */
+export const buildGroupRounds = (group, exercises) => {
+  const rounds = [];
+  const roundCount = Math.max(group.rounds || 0, ...exercises.map(exercise => (exercise.sets || []).length));
+
+  for (let round = 1; round <= roundCount; round++) {
+    const steps = [];
+
+    exercises.forEach((exercise, index) => {
+      const set = (exercise.sets || [])[round - 1];
+      if (set) {
+        steps.push({ exercise, set, label: `${getGroupLetter(index)}${round}` });
+      }
+    });
+
+    if (steps.length > 0) {
+      rounds.push({ round, steps });
+    }
+  }
+
+  return rounds;
+};
@@ -0,0 +1,189 @@
+import { formatSetReps, formatSetWeight } from './setTypes';
+import { DEFAULT_WEIGHT_UNIT, fromDisplayWeight, getWeightUnitLabel } from './units';
+
+/**
+ * Measurement mode helpers
+ * Pure functions describing what is recorded for the sets of an exercise
+ */
+
+// What a set of an exercise measures, with the fields typed for each set
+export const MEASUREMENT_MODES = {
+  repsWeight: { label: 'Reps × Weight', fields: ['reps', 'weight'] },
+  duration: { label: 'Duration', fields: ['durationSeconds'] },
+  distanceTime: { label: 'Distance + Time', fields: ['distance', 'durationSeconds'] },
+  repsOnly: { label: 'Reps only', fields: ['reps'] },
+};
+
+// Mode of exercises planned before measurement modes existed
+export const DEFAULT_MEASUREMENT_MODE = 'repsWeight';
+
+// Library categories that are measured differently by default
+const CATEGORY_MEASUREMENT_MODES = {
+  Cardio: 'distanceTime',
+  Bodyweight: 'repsOnly',
+};
+
+// Column titles and units for each set field
+// Weights are stored in kg and shown in the user's unit
+export const MEASUREMENT_FIELDS = {
+  reps: { label: 'Reps', unit: '' },
+  weight: { label: 'Weight', unit: 'kg' },
+  durationSeconds: { label: 'Time', unit: '' },
+  distance: { label: 'Distance', unit: 'km' },
+};
+
+/**
+ * Mode suggested for a library exercise, based on its category
+ * @param {Object} exercise - Library exercise with a category
+ * @returns {string} - One of MEASUREMENT_MODES
+ */
+export const getDefaultMeasurementMode = (exercise) => {
+  return CATEGORY_MEASUREMENT_MODES[exercise?.category] || DEFAULT_MEASUREMENT_MODE;
+};
+
+/**
+ * Mode of a workout exercise, falling back to the one suggested by its category
+ * @param {Object} workoutExercise - Workout exercise with measurementMode and category
+ * @returns {string} - One of MEASUREMENT_MODES
+ */
+export const getMeasurementMode = (workoutExercise) => {
+  return MEASUREMENT_MODES[workoutExercise?.measurementMode]
+    ? workoutExercise.measurementMode
+    : getDefaultMeasurementMode(workoutExercise);
+};
+
+/**
+ * Whether sets in a mode record a field
+ * @param {string} mode - One of MEASUREMENT_MODES
+ * @param {string} field - 'reps', 'weight', 'durationSeconds' or 'distance'
+ * @returns {boolean} - True if the field is typed for each set
+ */
+export const usesField = (mode, field) => {
+  return (MEASUREMENT_MODES[mode] || MEASUREMENT_MODES[DEFAULT_MEASUREMENT_MODE]).fields.includes(field);
+};
+
+/**
+ * Whether sets in a mode are timed, so a stopwatch can fill them in
+ * @param {string} mode - One of MEASUREMENT_MODES
+ * @returns {boolean} - True for duration and distance + time
+ */
+export const isTimedMode = (mode) => {
+  return usesField(mode, 'durationSeconds');
+};
+
+/**
+ * Parse a duration typed as "90", "1:30" or "1:02:30"
+ * @param {string} text - Seconds, or minutes/hours separated by colons
+ * @returns {number} - Duration in seconds, or NaN when it can't be read
+ */
+export const parseDuration = (text) => {
+  const parts = String(text ?? '').trim().split(':');
+  if (parts.length > 3 || parts.some(part => !/^\d+$/.test(part))) return NaN;
+
+  return parts.reduce((total, part) => total * 60 + parseInt(part), 0);
+};
+
+/**
+ * Format a set duration as "0:45", "1:30" or "1:02:30"
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - Clock style duration
+ */
+export const formatSetDuration = (seconds) => {
+  const total = Math.max(0, Math.round(Number(seconds) || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, '0')}:${secs}`;
+  }
+  return `${minutes}:${secs}`;
+};
+
+/**
+ * Parse the fields typed for a set in a mode
+ * Fields the mode doesn't use are null
+ * @param {string} mode - One of MEASUREMENT_MODES
+ * @param {Object} form - { reps, weight, duration, distance } as typed
+ * @param {string} weightUnit - Unit the weight is typed in
+ * @returns {Object} - { reps, weight (kg), durationSeconds, distance }; unreadable fields are NaN
+ */
+export const parseSetMeasures = (mode, form, weightUnit = DEFAULT_WEIGHT_UNIT) => {
+  return {
+    reps: usesField(mode, 'reps') ? parseInt(form?.reps) : null,
+    weight: usesField(mode, 'weight') ? fromDisplayWeight(form?.weight, weightUnit) : null,
+    durationSeconds: usesField(mode, 'durationSeconds') ? parseDuration(form?.duration) : null,
+    distance: usesField(mode, 'distance') ? parseFloat(form?.distance) : null
+  };
+};
+
+/**
+ * Check parsed set values against what the mode records
+ * @param {string} mode - One of MEASUREMENT_MODES
+ * @param {Object} values - { reps, weight, durationSeconds, distance }
+ * @param {Object} options - { openReps } when reps are left open (AMRAP)
+ * @returns {string|null} - Message describing the problem, or null when valid
+ */
+export const getSetMeasuresError = (mode, values, { openReps = false } = {}) => {
+  if (usesField(mode, 'reps') && !openReps && !(values.reps > 0)) {
+    return 'Please enter the reps';
+  }
+  if (usesField(mode, 'weight') && !(values.weight >= 0)) {
+    return 'Please enter the weight';
+  }
+  if (usesField(mode, 'durationSeconds') && !(values.durationSeconds > 0)) {
+    return 'Please enter a time like 45 or 1:30';
+  }
+  if (usesField(mode, 'distance') && !(values.distance > 0)) {
+    return 'Please enter the distance';
+  }
+  return null;
+};
+
+/**
+ * One field of a set as text
+ * @param {Object} set - Planned or performed set
+ * @param {string} field - 'reps', 'weight', 'durationSeconds' or 'distance'
+ * @param {string} weightUnit - Unit to show weights in
+ * @returns {string} - e.g. "AMRAP", "100 → 80", "1:30" or "5"
+ */
+export const formatMeasure = (set, field, weightUnit = DEFAULT_WEIGHT_UNIT) => {
+  if (field === 'reps') return formatSetReps(set);
+  if (field === 'weight') return formatSetWeight(set, weightUnit);
+  if (field === 'durationSeconds') {
+    return set?.durationSeconds != null ? formatSetDuration(set.durationSeconds) : '';
+  }
+  return String(set?.[field] ?? '');
+};
+
+/**
+ * Column title of a field, with its unit
+ * @param {string} field - 'reps', 'weight', 'durationSeconds' or 'distance'
+ * @param {string} weightUnit - Unit weights are shown in
+ * @returns {string} - e.g. "Weight (lb)"
+ */
+export const formatFieldLabel = (field, weightUnit = DEFAULT_WEIGHT_UNIT) => {
+  const { label } = MEASUREMENT_FIELDS[field];
+  const unit = field === 'weight' ? getWeightUnitLabel(weightUnit) : MEASUREMENT_FIELDS[field].unit;
+  return unit ? `${label} (${unit})` : label;
+};
+
+/**
+ * All recorded values of a set on one line
+ * @param {Object} set - Planned or performed set
+ * @param {string} mode - One of MEASUREMENT_MODES
+ * @param {string} weightUnit - Unit to show weights in
+ * @returns {string} - e.g. "8 reps × 60 kg", "12 reps", "0:45" or "5 km in 25:00"
+ */
+export const formatSetSummary = (set, mode, weightUnit = DEFAULT_WEIGHT_UNIT) => {
+  switch (mode) {
+    case 'duration':
+      return formatMeasure(set, 'durationSeconds');
+    case 'distanceTime':
+      return `${formatMeasure(set, 'distance')} km in ${formatMeasure(set, 'durationSeconds')}`;
+    case 'repsOnly':
+      return `${formatMeasure(set, 'reps')} reps`;
+    default:
+      return `${formatMeasure(set, 'reps')} reps × ${formatMeasure(set, 'weight', weightUnit)} ${getWeightUnitLabel(weightUnit)}`;
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Network helpers
+ */
+
+/**
+ * Check whether a failed Appwrite call failed because the device is offline
+ * The SDK wraps fetch failures in an AppwriteException without an HTTP status code
+ * @param {Error} error - Error thrown by an Appwrite call
+ * @returns {boolean} - True when the request never reached the server
+ */
+export const isNetworkError = (error) => {
+  if (!error) return false;
+  if (error.code) return false; // The server answered with an HTTP error
+  
+  const message = (error.message || '').toLowerCase();
+  return message.includes('network') ||
+    message.includes('failed to fetch') ||
+    message.includes('timeout');
+};
@@ -0,0 +1,108 @@
+/**
+ * One-rep max calculations
+ * Pure functions for estimating a 1RM from a set and for working back from a 1RM
+ * to the weight to use for a number of reps or a percentage
+ */
+
+/**
+ * Supported formulas
+ * Each one is written as a multiplier: 1RM = weight × factor(reps)
+ */
+export const ONE_REP_MAX_FORMULAS = {
+  epley: {
+    label: 'Epley',
+    factor: (reps) => 1 + reps / 30,
+  },
+  brzycki: {
+    label: 'Brzycki',
+    factor: (reps) => 36 / (37 - reps),
+  },
+  lombardi: {
+    label: 'Lombardi',
+    factor: (reps) => Math.pow(reps, 0.1),
+  },
+  mayhew: {
+    label: 'Mayhew',
+    factor: (reps) => 100 / (52.2 + 41.9 * Math.exp(-0.055 * reps)),
+  },
+  oconner: {
+    label: "O'Conner",
+    factor: (reps) => 1 + 0.025 * reps,
+  },
+  wathan: {
+    label: 'Wathan',
+    factor: (reps) => 100 / (48.8 + 53.8 * Math.exp(-0.075 * reps)),
+  },
+  lander: {
+    label: 'Lander',
+    factor: (reps) => 100 / (101.3 - 2.67123 * reps),
+  },
+};
+
+export const DEFAULT_FORMULA = 'epley';
+
+// Above this many reps the formulas stop being meaningful (Brzycki divides by zero at 37)
+export const MAX_ESTIMATE_REPS = 30;
+
+/**
+ * Look up a formula, falling back to the default one
+ * @param {string} formula - Formula key
+ * @returns {Object} - Formula definition
+ */
+const getFormula = (formula) => {
+  return ONE_REP_MAX_FORMULAS[formula] || ONE_REP_MAX_FORMULAS[DEFAULT_FORMULA];
+};
+
+/**
+ * Estimate the one-rep max from a set
+ * @param {number} weight - Weight lifted
+ * @param {number} reps - Reps performed
+ * @param {string} formula - Formula key (defaults to Epley)
+ * @returns {number} - Estimated 1RM, 0 when there is nothing to estimate
+ */
+export const estimateOneRepMax = (weight, reps, formula = DEFAULT_FORMULA) => {
+  if (!weight || weight <= 0 || !reps || reps < 1) return 0;
+  if (reps === 1) return weight;
+
+  const cappedReps = Math.min(reps, MAX_ESTIMATE_REPS);
+  return weight * getFormula(formula).factor(cappedReps);
+};
+
+/**
+ * Weight that can be lifted for a number of reps, given a one-rep max
+ * This is the reverse of estimateOneRepMax
+ * @param {number} oneRepMax - Known or estimated 1RM
+ * @param {number} reps - Target reps
+ * @param {string} formula - Formula key (defaults to Epley)
+ * @returns {number} - Weight for the target reps
+ */
+export const weightForReps = (oneRepMax, reps, formula = DEFAULT_FORMULA) => {
+  if (!oneRepMax || oneRepMax <= 0 || !reps || reps < 1) return 0;
+  if (reps === 1) return oneRepMax;
+
+  const cappedReps = Math.min(reps, MAX_ESTIMATE_REPS);
+  return oneRepMax / getFormula(formula).factor(cappedReps);
+};
+
+/**
+ * Weight at a percentage of the one-rep max
+ * @param {number} oneRepMax - Known or estimated 1RM
+ * @param {number} percent - Percentage, e.g. 75 for 75%
+ * @returns {number} - Weight at that percentage
+ */
+export const weightAtPercentage = (oneRepMax, percent) => {
+  if (!oneRepMax || oneRepMax <= 0 || !percent || percent <= 0) return 0;
+  return oneRepMax * percent / 100;
+};
+
+/**
+ * Round a weight to the nearest loadable increment
+ * @param {number} weight - Weight to round
+ * @param {number} increment - Smallest step, e.g. 2.5 kg
+ * @returns {number} - Rounded weight
+ */
+export const roundToIncrement = (weight, increment = 2.5) => {
+  if (!increment || increment <= 0) return weight;
+  // Round to 2 decimals as well to avoid floating point leftovers like 102.49999
+  return Math.round(Math.round(weight / increment) * increment * 100) / 100;
+};
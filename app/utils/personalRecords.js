@@ -0,0 +1,112 @@
+import { calculateSetVolume } from './workoutStats';
+import { estimateOneRepMax } from './oneRepMax';
+import { countsTowardsStats } from './setTypes';
+import { DEFAULT_WEIGHT_UNIT, formatWeightWithUnit } from './units';
+
+/**
+ * Personal record helpers
+ * Pure functions that compare a finished session against the stored bests
+ */
+
+// Record types tracked per exercise, with the labels shown in the app
+export const RECORD_TYPES = {
+  heaviestWeight: 'Heaviest weight',
+  repsAtWeight: 'Most reps',
+  bestOneRepMax: 'Best e1RM',
+  sessionVolume: 'Session volume',
+};
+
+/**
+ * Key identifying one stored record
+ * Reps records are kept separately for every weight
+ * @param {string} exerciseId - Library exercise ID
+ * @param {string} recordType - One of RECORD_TYPES
+ * @param {number} weight - Weight for repsAtWeight records
+ * @returns {string} - Record key
+ */
+export const getRecordKey = (exerciseId, recordType, weight = null) => {
+  return recordType === 'repsAtWeight'
+    ? `${exerciseId}:${recordType}:${weight}`
+    : `${exerciseId}:${recordType}`;
+};
+
+/**
+ * Find the new personal records set in a session
+ * A value with nothing stored yet (the first session of an exercise, or reps at a
+ * new weight) is returned as a baseline: it gets stored but isn't a PR
+ * @param {Array} performedSets - Sets of the session (only completed ones count)
+ * @param {Array} existingRecords - Stored records for the exercises in the session
+ * @returns {Array} - New records as { key, exerciseId, exerciseName, recordType, value, weight, reps, baseline }
+ */
+export const detectPersonalRecords = (performedSets, existingRecords) => {
+  const bestByKey = {};
+  (existingRecords || []).forEach(record => {
+    bestByKey[getRecordKey(record.exerciseId, record.recordType, record.weight)] = record.value;
+  });
+
+  // Best candidate of this session for every key
+  const candidates = {};
+  const consider = (candidate) => {
+    const key = getRecordKey(candidate.exerciseId, candidate.recordType, candidate.weight);
+    if (!candidates[key] || candidate.value > candidates[key].value) {
+      candidates[key] = { ...candidate, key };
+    }
+  };
+
+  const volumeByExercise = {};
+
+  (performedSets || []).forEach(set => {
+    const weight = Number(set.weight) || 0;
+    const reps = Number(set.reps) || 0;
+    // Warm-ups never set records; drop sets count with their top weight
+    if (!set.completed || reps <= 0 || !countsTowardsStats(set)) return;
+
+    const base = { exerciseId: set.exerciseId, exerciseName: set.exerciseName };
+
+    if (weight > 0) {
+      consider({ ...base, recordType: 'heaviestWeight', value: weight, weight, reps });
+      consider({ ...base, recordType: 'bestOneRepMax', value: estimateOneRepMax(weight, reps), weight, reps });
+    }
+    consider({ ...base, recordType: 'repsAtWeight', value: reps, weight, reps });
+
+    if (!volumeByExercise[set.exerciseId]) {
+      volumeByExercise[set.exerciseId] = { ...base, value: 0 };
+    }
+    volumeByExercise[set.exerciseId].value += calculateSetVolume(set);
+  });
+
+  Object.values(volumeByExercise).forEach(volume => {
+    if (volume.value > 0) {
+      consider({ ...volume, recordType: 'sessionVolume', weight: null, reps: null });
+    }
+  });
+
+  // Only keep candidates that beat the stored best, or have none to beat
+  return Object.values(candidates)
+    .filter(candidate => bestByKey[candidate.key] === undefined || candidate.value > bestByKey[candidate.key])
+    .map(candidate => ({ ...candidate, baseline: bestByKey[candidate.key] === undefined }));
+};
+
+/**
+ * Records that beat a stored best, leaving out first-time baselines
+ * @param {Array} records - Records returned by detectPersonalRecords
+ * @returns {Array} - Records worth celebrating
+ */
+export const getBeatenRecords = (records) => {
+  return (records || []).filter(record => !record.baseline);
+};
+
+/**
+ * Human readable description of a record
+ * @param {Object} record - Record with recordType, value, weight
+ * @param {string} weightUnit - Unit to show weights in
+ * @returns {string} - e.g. "Most reps @ 80 kg: 10"
+ */
+export const formatRecord = (record, weightUnit = DEFAULT_WEIGHT_UNIT) => {
+  const label = RECORD_TYPES[record.recordType] || record.recordType;
+
+  if (record.recordType === 'repsAtWeight') {
+    return `${label} @ ${formatWeightWithUnit(record.weight, weightUnit)}: ${Math.round(record.value * 10) / 10}`;
+  }
+  return `${label}: ${formatWeightWithUnit(record.value, weightUnit)}`;
+};
@@ -0,0 +1,172 @@
+import { DEFAULT_WEIGHT_UNIT, getWeightUnit } from './units';
+
+/**
+ * Plate calculator helpers
+ * Pure functions that work out which plates to load on each side of a bar.
+ * Bar and plate weights are kept in the unit the plates are labelled in
+ */
+
+// Library category whose exercises are loaded with plates
+export const PLATE_LOADED_CATEGORY = 'Barbell';
+
+// Bar and plates of a typical gym, per unit. Counts are single plates, not pairs
+export const DEFAULT_PLATE_SETTINGS = {
+  kg: {
+    barWeight: 20,
+    plates: [
+      { weight: 25, count: 8 },
+      { weight: 20, count: 4 },
+      { weight: 15, count: 2 },
+      { weight: 10, count: 2 },
+      { weight: 5, count: 2 },
+      { weight: 2.5, count: 2 },
+      { weight: 1.25, count: 2 },
+    ],
+  },
+  lb: {
+    barWeight: 45,
+    plates: [
+      { weight: 45, count: 8 },
+      { weight: 35, count: 2 },
+      { weight: 25, count: 2 },
+      { weight: 10, count: 2 },
+      { weight: 5, count: 2 },
+      { weight: 2.5, count: 2 },
+    ],
+  },
+};
+
+// Most plates of one size that can be kept in the inventory
+export const MAX_PLATE_COUNT = 40;
+
+// Weights are compared in hundredths so 1.25 + 1.25 adds up exactly
+const toHundredths = (weight) => Math.round(weight * 100);
+
+/**
+ * Whether the sets of a workout exercise are loaded on a barbell
+ * @param {Object} workoutExercise - Workout exercise with its library category
+ * @returns {boolean} - True for barbell exercises
+ */
+export const isPlateLoaded = (workoutExercise) => workoutExercise?.category === PLATE_LOADED_CATEGORY;
+
+/**
+ * Bar and plates the user set up for a unit, or the defaults for that unit
+ * @param {Object} preferences - User preferences with optional plateSettings
+ * @param {string} unit - 'kg' or 'lb'
+ * @returns {Object} - { barWeight, plates: [{ weight, count }] }, heaviest plate first
+ */
+export const getPlateSettings = (preferences, unit = DEFAULT_WEIGHT_UNIT) => {
+  const key = getWeightUnit(unit);
+  const settings = preferences?.plateSettings?.[key] || DEFAULT_PLATE_SETTINGS[key];
+  return {
+    barWeight: settings.barWeight,
+    plates: [...settings.plates].sort((a, b) => b.weight - a.weight),
+  };
+};
+
+/**
+ * Check a bar and plate inventory before it is saved
+ * @param {Object} settings - { barWeight, plates: [{ weight, count }] }
+ * @returns {string|null} - Message describing the problem, or null when valid
+ */
+export const getPlateSettingsError = (settings) => {
+  const { barWeight, plates } = settings || {};
+
+  if (typeof barWeight !== 'number' || isNaN(barWeight) || barWeight < 0) {
+    return 'Please enter a valid bar weight';
+  }
+  if (!Array.isArray(plates)) {
+    return 'Please add the plates you have';
+  }
+  if (plates.some(plate => typeof plate.weight !== 'number' || isNaN(plate.weight) || plate.weight <= 0)) {
+    return 'Plate weights must be greater than 0';
+  }
+  if (plates.some(plate => !Number.isInteger(plate.count) || plate.count < 0 || plate.count > MAX_PLATE_COUNT)) {
+    return `Plate counts must be whole numbers from 0 to ${MAX_PLATE_COUNT}`;
+  }
+  if (new Set(plates.map(plate => toHundredths(plate.weight))).size !== plates.length) {
+    return 'Each plate weight can only be listed once';
+  }
+  return null;
+};
+
+/**
+ * Every weight one side of the bar can be loaded to with the plates available
+ * Plates go on in pairs, so each size offers half its count per side. For each
+ * load the combination with the fewest plates is kept
+ * @param {Array} plates - [{ weight, count }] in the inventory
+ * @returns {Map} - Side load in hundredths → plates per side, heaviest first
+ */
+const getSideLoads = (plates) => {
+  let loads = new Map([[0, []]]);
+
+  [...plates]
+    .sort((a, b) => b.weight - a.weight)
+    .forEach(plate => {
+      const perSide = Math.floor(plate.count / 2);
+      const step = toHundredths(plate.weight);
+      if (perSide === 0 || step <= 0) return;
+
+      const next = new Map(loads);
+      loads.forEach((stack, load) => {
+        for (let count = 1; count <= perSide; count++) {
+          const total = load + step * count;
+          const known = next.get(total);
+          if (!known || stack.length + count < known.length) {
+            next.set(total, [...stack, ...Array(count).fill(plate.weight)]);
+          }
+        }
+      });
+      loads = next;
+    });
+
+  return loads;
+};
+
+/**
+ * Plates to load on each side of the bar for a weight
+ * When the weight can't be loaded exactly, the nearest load that can is used,
+ * the lighter one when two are equally near
+ * @param {number} target - Weight to lift, bar included, in the plates' unit
+ * @param {Object} settings - { barWeight, plates: [{ weight, count }] }
+ * @returns {Object} - { perSide: [weights heaviest first], total, exact, difference }
+ */
+export const calculatePlates = (target, settings) => {
+  const bar = toHundredths(settings.barWeight);
+  const wanted = toHundredths(Number(target) || 0);
+  const wantedSide = (wanted - bar) / 2;
+
+  let best = { load: 0, stack: [] };
+  getSideLoads(settings.plates).forEach((stack, load) => {
+    const distance = Math.abs(load - wantedSide);
+    const bestDistance = Math.abs(best.load - wantedSide);
+    if (distance < bestDistance || (distance === bestDistance && load < best.load)) {
+      best = { load, stack };
+    }
+  });
+
+  const total = (bar + best.load * 2) / 100;
+  return {
+    perSide: best.stack,
+    total,
+    exact: bar + best.load * 2 === wanted,
+    difference: Math.round((total - wanted / 100) * 100) / 100,
+  };
+};
+
+/**
+ * Plates of one side grouped by weight, for display
+ * @param {Array} perSide - Plate weights, heaviest first
+ * @returns {Array} - [{ weight, count }], e.g. 2 × 20 then 1 × 5
+ */
+export const groupPlates = (perSide) => {
+  return perSide.reduce((groups, weight) => {
+    const last = groups[groups.length - 1];
+    if (last && last.weight === weight) {
+      last.count += 1;
+    } else {
+      groups.push({ weight, count: 1 });
+    }
+    return groups;
+  }, []);
+};
@@ -0,0 +1,87 @@
+/**
+ * Training program helpers
+ * Pure functions for multi-week blocks: which week is current and how it is shown
+ */
+
+// Lengths a block can have, in weeks
+export const PROGRAM_WEEK_RANGE = { min: 1, max: 16 };
+
+// Week that weekdays saved before programs existed belong to
+export const DEFAULT_WEEK_NUMBER = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * Start of the training week containing a date
+ * Weeks start on Monday at midnight, like the weekly plan
+ * @param {Date|string|number} date - Any moment in the week
+ * @returns {Date} - Monday 00:00 local time
+ */
+export const getWeekStart = (date = new Date()) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+
+  // getDay() is 0 for Sunday, which belongs to the week that started 6 days earlier
+  const daysSinceMonday = (start.getDay() + 6) % 7;
+  start.setDate(start.getDate() - daysSinceMonday);
+  return start;
+};
+
+/**
+ * Week a weekday document belongs to
+ * @param {Object} weekday - Weekday with an optional weekNumber
+ * @returns {number} - Week of the block, 1 based
+ */
+export const getWeekdayWeek = (weekday) => {
+  return Number.isInteger(weekday?.weekNumber) ? weekday.weekNumber : DEFAULT_WEEK_NUMBER;
+};
+
+/**
+ * Where the current week pointer should be now
+ * The pointer moves one week forward every Monday and starts the block
+ * again after its last week
+ * @param {Object} program - Program with weekCount, currentWeek and weekStartedAt
+ * @param {Date} now - Moment to look at
+ * @returns {Object} - { currentWeek, weekStartedAt } with weekStartedAt as an ISO string
+ */
+export const getScheduledWeek = (program, now = new Date()) => {
+  const weekStartedAt = getWeekStart(program.weekStartedAt || now);
+  const thisWeekStart = getWeekStart(now);
+
+  // Round because daylight saving time makes some weeks an hour shorter or longer
+  const weeksElapsed = Math.max(0, Math.round((thisWeekStart - weekStartedAt) / WEEK_MS));
+  const weekCount = Math.max(1, program.weekCount || 1);
+  const currentWeek = ((program.currentWeek || 1) - 1 + weeksElapsed) % weekCount + 1;
+
+  return {
+    currentWeek,
+    weekStartedAt: (weeksElapsed > 0 ? thisWeekStart : weekStartedAt).toISOString()
+  };
+};
+
+/**
+ * Check the details of a program typed by the user
+ * @param {string} name - Name of the block
+ * @param {number} weekCount - Number of weeks in the block
+ * @returns {string|null} - Message describing the problem, or null when valid
+ */
+export const getProgramError = (name, weekCount) => {
+  if (!name || !name.trim()) {
+    return 'Please enter a name for the block';
+  }
+  if (!(Number.isInteger(weekCount) && weekCount >= PROGRAM_WEEK_RANGE.min && weekCount <= PROGRAM_WEEK_RANGE.max)) {
+    return `A block must last ${PROGRAM_WEEK_RANGE.min}–${PROGRAM_WEEK_RANGE.max} weeks`;
+  }
+  return null;
+};
+
+/**
+ * Position in the block as text
+ * @param {number} weekNumber - Week being shown
+ * @param {Object} program - Program with weekCount
+ * @returns {string} - e.g. "Week 3 of 8"
+ */
+export const formatProgramWeek = (weekNumber, program) => {
+  return `Week ${weekNumber} of ${program?.weekCount || 1}`;
+};
@@ -0,0 +1,227 @@
+import { countsTowardsStats, hasOpenReps } from './setTypes';
+import { getMeasurementMode } from './measurementModes';
+import {
+  DEFAULT_WEIGHT_UNIT, WEIGHT_UNITS, getWeightUnit, getWeightUnitLabel, toDisplayWeight, fromDisplayWeight
+} from './units';
+
+/**
+ * Progressive overload helpers
+ * Pure functions that look at the last sessions of a planned exercise and
+ * propose the next step: more weight, one more rep, or a deload
+ */
+
+// Rules used when a workout exercise has none configured, weights in kg
+// Without a rep range every success adds weight; with one, reps go up first (double progression)
+export const DEFAULT_PROGRESSION_RULES = {
+  enabled: true,
+  weightIncrement: 2.5,
+  repRangeMin: null,
+  repRangeMax: null,
+  deloadAfterMisses: 2,
+  deloadPercent: 10,
+};
+
+// Kinds of suggestions, with the labels shown in the app
+export const SUGGESTION_TYPES = {
+  weight: 'Add weight',
+  reps: 'Add a rep',
+  deload: 'Deload',
+};
+
+/**
+ * Read the rules stored on a workout exercise
+ * Rules are stored as JSON; missing or unreadable values fall back to the defaults
+ * @param {Object} workoutExercise - Workout exercise with progressionRules
+ * @returns {Object} - Complete rules
+ */
+export const getProgressionRules = (workoutExercise) => {
+  let stored = {};
+  try {
+    stored = JSON.parse(workoutExercise?.progressionRules || '{}') || {};
+  } catch (error) {
+    stored = {};
+  }
+  return { ...DEFAULT_PROGRESSION_RULES, ...stored };
+};
+
+/**
+ * Check rules typed by the user
+ * @param {Object} rules - Rules to check
+ * @returns {string|null} - Message describing the first problem, or null when valid
+ */
+export const getProgressionRulesError = (rules) => {
+  const { weightIncrement, repRangeMin, repRangeMax, deloadAfterMisses, deloadPercent } = rules;
+
+  if (!(weightIncrement > 0)) {
+    return 'Weight increment must be more than 0';
+  }
+  if ((repRangeMin === null) !== (repRangeMax === null)) {
+    return 'Enter both ends of the rep range, or neither';
+  }
+  if (repRangeMin !== null && !(Number.isInteger(repRangeMin) && Number.isInteger(repRangeMax) && repRangeMin > 0 && repRangeMin < repRangeMax)) {
+    return 'Rep range must go from a lower to a higher whole number';
+  }
+  if (!(Number.isInteger(deloadAfterMisses) && deloadAfterMisses > 0)) {
+    return 'Deload must come after at least 1 missed session';
+  }
+  if (!(deloadPercent > 0 && deloadPercent < 100)) {
+    return 'Deload percentage must be between 0 and 100';
+  }
+  return null;
+};
+
+/**
+ * Group performed sets by session, most recent session first
+ * @param {Array} sessionSets - Performed sets of one workout exercise
+ * @returns {Array} - Sessions as { sessionId, performedAt, sets }
+ */
+const groupBySession = (sessionSets) => {
+  const sessions = {};
+
+  (sessionSets || []).forEach(set => {
+    if (!sessions[set.sessionId]) {
+      sessions[set.sessionId] = { sessionId: set.sessionId, performedAt: set.performedAt, sets: [] };
+    }
+    sessions[set.sessionId].sets.push(set);
+  });
+
+  return Object.values(sessions).sort((a, b) => new Date(b.performedAt) - new Date(a.performedAt));
+};
+
+/**
+ * Whether a session was done with the plan as it is now
+ * Once a suggestion is accepted the plan changes, so older sessions stop counting
+ * @param {Object} session - Session with its performed sets
+ * @param {Array} workSets - Planned work sets
+ * @returns {boolean} - True if every work set was planned the same way
+ */
+const matchesPlan = (session, workSets) => {
+  return workSets.every(planned => {
+    const performed = session.sets.find(set => set.setNumber === planned.setNumber);
+    return performed
+      && performed.plannedWeight === planned.weight
+      && (hasOpenReps(planned) || performed.plannedReps === planned.reps);
+  });
+};
+
+/**
+ * Whether every work set of a session was completed at target
+ * @param {Object} session - Session with its performed sets
+ * @param {Array} workSets - Planned work sets
+ * @returns {boolean} - True if nothing was missed
+ */
+const hitTarget = (session, workSets) => {
+  return workSets.every(planned => {
+    const performed = session.sets.find(set => set.setNumber === planned.setNumber);
+    return performed
+      && performed.completed
+      && (Number(performed.weight) || 0) >= planned.weight
+      && (hasOpenReps(planned) || (Number(performed.reps) || 0) >= planned.reps);
+  });
+};
+
+/**
+ * Weight steps in the unit the user lifts in
+ * Steps are taken and rounded in that unit, then converted back to kg, so a
+ * pound user adds 5 lb rather than 5.5
+ * @param {Object} rules - Progression rules, increment in kg
+ * @param {string} weightUnit - 'kg' or 'lb'
+ * @returns {Object} - { label, increase, deload }; increase and deload take and return kg
+ */
+const getWeightSteps = (rules, weightUnit) => {
+  const { perKg, increment } = WEIGHT_UNITS[getWeightUnit(weightUnit)];
+  const step = toDisplayWeight(rules.weightIncrement, weightUnit) || increment;
+
+  return {
+    label: `${step} ${getWeightUnitLabel(weightUnit)}`,
+    // Round up, so an off-increment weight like 61 kg still goes up by the whole
+    // step; leftovers under a tenth of the increment (100 kg is 220.46 lb) don't count
+    increase: (kg) => {
+      const steps = Math.ceil((kg * perKg + step) / increment - 0.1);
+      return fromDisplayWeight(steps * increment, weightUnit);
+    },
+    deload: (kg) => fromDisplayWeight(kg * perKg * (1 - rules.deloadPercent / 100), weightUnit),
+  };
+};
+
+/**
+ * Propose the next step for a planned exercise
+ * Only reps × weight exercises with fixed reps are progressed; warm-ups are left alone
+ * @param {Object} workoutExercise - Workout exercise with its planned sets and progressionRules
+ * @param {Array} sessionSets - Performed sets of this workout exercise, any order
+ * @param {string} weightUnit - Unit weights are stepped, rounded and shown in
+ * @returns {Object|null} - { type, sessionId, message, changes: [{ set, reps, weight }] }, or null
+ */
+export const suggestProgression = (workoutExercise, sessionSets, weightUnit = DEFAULT_WEIGHT_UNIT) => {
+  const rules = getProgressionRules(workoutExercise);
+  if (!rules.enabled || getMeasurementMode(workoutExercise) !== 'repsWeight') return null;
+
+  const workSets = (workoutExercise.sets || []).filter(set => (
+    countsTowardsStats(set) && !hasOpenReps(set) && set.reps > 0 && typeof set.weight === 'number'
+  ));
+  if (workSets.length === 0) return null;
+
+  // Only sessions done with the current plan say anything about it
+  const sessions = groupBySession(sessionSets).filter(session => matchesPlan(session, workSets));
+  const [lastSession] = sessions;
+  if (!lastSession) return null;
+
+  // Don't ask again about a session the user already dismissed
+  if (workoutExercise.progressionDismissedSessionId === lastSession.sessionId) return null;
+
+  const weightSteps = getWeightSteps(rules, weightUnit);
+
+  if (hitTarget(lastSession, workSets)) {
+    const doubleProgression = rules.repRangeMin !== null && rules.repRangeMax !== null;
+    const canAddRep = doubleProgression && workSets.some(set => set.reps < rules.repRangeMax);
+
+    if (canAddRep) {
+      return {
+        type: 'reps',
+        sessionId: lastSession.sessionId,
+        message: `All sets hit last time. Add a rep (up to ${rules.repRangeMax}).`,
+        changes: workSets.map(set => ({
+          set,
+          reps: Math.min(set.reps + 1, rules.repRangeMax),
+          weight: set.weight
+        }))
+      };
+    }
+
+    const increment = weightSteps.label;
+    return {
+      type: 'weight',
+      sessionId: lastSession.sessionId,
+      message: doubleProgression
+        ? `Top of the rep range reached. Add ${increment} and go back to ${rules.repRangeMin} reps.`
+        : `All sets hit last time. Add ${increment}.`,
+      changes: workSets.map(set => ({
+        set,
+        reps: doubleProgression ? rules.repRangeMin : set.reps,
+        weight: weightSteps.increase(set.weight)
+      }))
+    };
+  }
+
+  // Count the misses in a row, most recent first
+  let misses = 0;
+  for (const session of sessions) {
+    if (hitTarget(session, workSets)) break;
+    misses += 1;
+  }
+
+  if (misses >= rules.deloadAfterMisses) {
+    return {
+      type: 'deload',
+      sessionId: lastSession.sessionId,
+      message: `Missed ${misses} sessions in a row. Drop the weight by ${rules.deloadPercent}%.`,
+      changes: workSets.map(set => ({
+        set,
+        reps: set.reps,
+        weight: weightSteps.deload(set.weight)
+      }))
+    };
+  }
+
+  return null;
+};
@@ -0,0 +1,106 @@
+/**
+ * Set target helpers
+ * Pure functions for the intensity (RPE or RIR) and tempo prescribed on planned sets
+ */
+
+// Ways to prescribe how hard a set should be
+export const INTENSITY_TYPES = {
+  rpe: 'RPE',
+  rir: 'RIR',
+};
+
+// Allowed ranges; RPE goes in half points, reps in reserve are whole reps
+export const RPE_RANGE = { min: 1, max: 10 };
+export const RIR_RANGE = { min: 0, max: 10 };
+
+// RPE values offered when logging how hard a set felt
+export const RPE_OPTIONS = [6, 6.5, 7, 7.5, 8, 8.5, 9, 9.5, 10];
+
+// Tempo as four phases (eccentric-pause-concentric-pause), "X" meaning explosive
+const TEMPO_PATTERN = /^([0-9]{1,2}|X)(-([0-9]{1,2}|X)){3}$/;
+
+/**
+ * Whether a value is a valid RPE (1–10 in half points)
+ * @param {number} value - RPE to check
+ * @returns {boolean} - True if the RPE is within range
+ */
+export const isValidRpe = (value) => {
+  return typeof value === 'number'
+    && value >= RPE_RANGE.min
+    && value <= RPE_RANGE.max
+    && Number.isInteger(value * 2);
+};
+
+/**
+ * Whether a value is a valid number of reps in reserve (0–10 whole reps)
+ * @param {number} value - RIR to check
+ * @returns {boolean} - True if the RIR is within range
+ */
+export const isValidRir = (value) => {
+  return Number.isInteger(value) && value >= RIR_RANGE.min && value <= RIR_RANGE.max;
+};
+
+/**
+ * Whether a tempo string has four phases like "3-1-1-0" or "2-0-X-0"
+ * @param {string} tempo - Tempo to check
+ * @returns {boolean} - True if the tempo can be read
+ */
+export const isValidTempo = (tempo) => {
+  return typeof tempo === 'string' && TEMPO_PATTERN.test(tempo);
+};
+
+/**
+ * Turn the typed target form into the values stored on a set
+ * Empty fields become null; anything unreadable is left for validation to reject
+ * @param {Object} form - { intensityType, intensity, tempo } as typed
+ * @returns {Object} - { targetRpe, targetRir, tempo }
+ */
+export const buildSetTargets = (form) => {
+  const intensity = String(form?.intensity ?? '').trim();
+  const tempo = String(form?.tempo ?? '').trim().toUpperCase();
+  const value = intensity === '' ? null : Number(intensity.replace(',', '.'));
+
+  return {
+    targetRpe: form?.intensityType === 'rpe' ? value : null,
+    targetRir: form?.intensityType === 'rir' ? value : null,
+    tempo: tempo === '' ? null : tempo
+  };
+};
+
+/**
+ * Check the targets of a planned set
+ * @param {Object} targets - { targetRpe, targetRir, tempo }, each optional
+ * @returns {string|null} - Message describing the first problem, or null when valid
+ */
+export const getSetTargetsError = (targets) => {
+  const { targetRpe = null, targetRir = null, tempo = null } = targets || {};
+
+  if (targetRpe !== null && targetRir !== null) {
+    return 'Use either a target RPE or a target RIR, not both';
+  }
+  if (targetRpe !== null && !isValidRpe(targetRpe)) {
+    return `Target RPE must be between ${RPE_RANGE.min} and ${RPE_RANGE.max} in steps of 0.5`;
+  }
+  if (targetRir !== null && !isValidRir(targetRir)) {
+    return `Target RIR must be a whole number between ${RIR_RANGE.min} and ${RIR_RANGE.max}`;
+  }
+  if (tempo !== null && !isValidTempo(tempo)) {
+    return 'Tempo must have four phases, e.g. 3-1-1-0';
+  }
+  return null;
+};
+
+/**
+ * Targets of a set as text
+ * @param {Object} set - Planned set
+ * @returns {string} - e.g. "@ RPE 8 • tempo 3-1-1-0", or an empty string
+ */
+export const formatSetTargets = (set) => {
+  const parts = [];
+
+  if (set?.targetRpe != null) parts.push(`@ RPE ${set.targetRpe}`);
+  if (set?.targetRir != null) parts.push(`${set.targetRir} RIR`);
+  if (set?.tempo) parts.push(`tempo ${set.tempo}`);
+
+  return parts.join(' • ');
+};
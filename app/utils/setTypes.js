@@ -0,0 +1,115 @@
+import { DEFAULT_WEIGHT_UNIT, formatWeight, fromDisplayWeight } from './units';
+
+/**
+ * Set type helpers
+ * Pure functions describing how each kind of set is planned, shown and counted
+ */
+
+// Kinds of sets, with their label, the badge shown next to the set number and
+// the theme color they are shown in (see getSetTypeColor)
+export const SET_TYPES = {
+  normal: { label: 'Normal', badge: null, colorKey: 'setNormal' },
+  warmup: { label: 'Warm-up', badge: 'W', colorKey: 'setWarmup' },
+  drop: { label: 'Drop set', badge: 'D', colorKey: 'setDrop' },
+  amrap: { label: 'AMRAP', badge: 'A', colorKey: 'setAmrap' },
+  failure: { label: 'To failure', badge: 'F', colorKey: 'setFailure' },
+  backoff: { label: 'Back-off', badge: 'B', colorKey: 'setBackoff' },
+};
+
+// Type of sets created before set types existed
+export const DEFAULT_SET_TYPE = 'normal';
+
+/**
+ * Type of a set, falling back to a normal set
+ * @param {Object} set - Planned or performed set
+ * @returns {string} - One of SET_TYPES
+ */
+export const getSetType = (set) => {
+  return SET_TYPES[set?.setType] ? set.setType : DEFAULT_SET_TYPE;
+};
+
+/**
+ * Color a set type is shown in
+ * @param {string} setType - One of SET_TYPES
+ * @param {Object} colors - Theme colors from useTheme
+ * @returns {string} - Color of the set type in the current theme
+ */
+export const getSetTypeColor = (setType, colors) => {
+  return colors[SET_TYPES[setType]?.colorKey || SET_TYPES[DEFAULT_SET_TYPE].colorKey];
+};
+
+/**
+ * Whether a set counts towards volume and personal records
+ * Warm-ups only prepare for the work sets
+ * @param {Object} set - Planned or performed set
+ * @returns {boolean} - False for warm-up sets
+ */
+export const countsTowardsStats = (set) => {
+  return getSetType(set) !== 'warmup';
+};
+
+/**
+ * Whether the reps of a set are left open until it is logged (AMRAP)
+ * @param {Object} set - Planned set
+ * @returns {boolean} - True for AMRAP sets
+ */
+export const hasOpenReps = (set) => {
+  return getSetType(set) === 'amrap';
+};
+
+/**
+ * Parse drop weights typed as "80, 60, 40"
+ * @param {string} text - Weights separated by commas or spaces
+ * @param {string} weightUnit - Unit the weights are typed in
+ * @returns {Array} - Valid weights in kilograms, in the order typed
+ */
+export const parseDropWeights = (text, weightUnit = DEFAULT_WEIGHT_UNIT) => {
+  return String(text || '')
+    .split(/[,;\s]+/)
+    .map(value => fromDisplayWeight(value, weightUnit))
+    .filter(weight => !isNaN(weight) && weight >= 0);
+};
+
+/**
+ * Every weight/reps step of a set: the set itself, then each drop
+ * Planned drops repeat the set's reps; logged sets carry their own dropReps
+ * @param {Object} set - Set with reps, weight and, for drop sets, dropWeights/dropReps
+ * @returns {Array} - Steps as { reps, weight }
+ */
+export const getSetSteps = (set) => {
+  const steps = [{ reps: Number(set?.reps) || 0, weight: Number(set?.weight) || 0 }];
+
+  if (getSetType(set) === 'drop') {
+    (set.dropWeights || []).forEach((weight, index) => {
+      steps.push({
+        reps: Number(set.dropReps?.[index] ?? set.reps) || 0,
+        weight: Number(weight) || 0
+      });
+    });
+  }
+
+  return steps;
+};
+
+/**
+ * Reps of a set as text; open AMRAP reps show as "AMRAP"
+ * @param {Object} set - Planned or performed set
+ * @returns {string} - e.g. "8" or "AMRAP"
+ */
+export const formatSetReps = (set) => {
+  if (hasOpenReps(set) && !set.reps) return 'AMRAP';
+  return String(set?.reps ?? '');
+};
+
+/**
+ * Weight of a set as text; drop sets show the whole chain
+ * @param {Object} set - Planned or performed set
+ * @param {string} weightUnit - Unit to show the weight in
+ * @returns {string} - e.g. "100" or "100 → 80 → 60"
+ */
+export const formatSetWeight = (set, weightUnit = DEFAULT_WEIGHT_UNIT) => {
+  if (getSetType(set) === 'drop' && set.dropWeights?.length > 0) {
+    return [set.weight, ...set.dropWeights].map(weight => formatWeight(weight, weightUnit)).join(' → ');
+  }
+  return formatWeight(set?.weight, weightUnit);
+};
@@ -0,0 +1,113 @@
+import { DEFAULT_SET_TYPE } from './setTypes';
+import { getDefaultMeasurementMode, usesField, MEASUREMENT_MODES } from './measurementModes';
+
+/**
+ * Workout template helpers
+ * Pure functions that turn the template data files into the weekdays,
+ * workout exercises and sets the installer writes
+ */
+
+// Days of the weekly plan, in plan order
+export const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Description of days a template leaves out
+export const REST_DAY_DESCRIPTION = 'Rest Day';
+
+/**
+ * Compare exercise names without caring about case, spaces or punctuation
+ * @param {string} name - Exercise name
+ * @returns {string} - e.g. "Pull-Up" → "pullup"
+ */
+const normalizeName = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Find the library exercise a template entry refers to
+ * An ID wins over a name; names match exactly first, then the shortest library
+ * name containing them ("Bench Press" finds "Barbell Bench Press")
+ * @param {Object} entry - Template exercise with exerciseId or exercise (a name)
+ * @param {Array} library - Library exercises
+ * @returns {Object|null} - Library exercise, or null when it isn't in the library
+ */
+export const resolveTemplateExercise = (entry, library) => {
+  if (entry.exerciseId) {
+    const byId = library.find(exercise => exercise.$id === entry.exerciseId);
+    if (byId) return byId;
+  }
+
+  const wanted = normalizeName(entry.exercise);
+  if (!wanted) return null;
+
+  const exact = library.find(exercise => normalizeName(exercise.name) === wanted);
+  if (exact) return exact;
+
+  const partial = library
+    .filter(exercise => normalizeName(exercise.name).includes(wanted))
+    .sort((a, b) => a.name.length - b.name.length);
+  return partial[0] || null;
+};
+
+/**
+ * The seven weekdays of one template week, rest days included
+ * @param {Object} week - Template week with its days
+ * @returns {Array} - { dayName, description, order, exercises } for Monday to Sunday
+ */
+export const getTemplateWeekdays = (week) => {
+  return WEEKDAY_NAMES.map((dayName, index) => {
+    const day = (week.days || []).find(item => item.dayName === dayName);
+    return {
+      dayName,
+      description: day?.description || REST_DAY_DESCRIPTION,
+      order: index + 1,
+      exercises: day?.exercises || []
+    };
+  });
+};
+
+/**
+ * Planned sets of a template exercise
+ * Entries either list their sets, or give a count with the reps shared by every set
+ * @param {Object} entry - Template exercise
+ * @param {string} mode - Measurement mode of the exercise
+ * @returns {Array} - { reps, weight, setType, durationSeconds, distance }, unused fields null
+ */
+export const expandTemplateSets = (entry, mode) => {
+  const sets = Array.isArray(entry.sets)
+    ? entry.sets
+    : Array.from({ length: entry.sets || 0 }, () => ({
+      reps: entry.reps,
+      durationSeconds: entry.durationSeconds,
+      distance: entry.distance
+    }));
+
+  return sets.map(set => ({
+    reps: usesField(mode, 'reps') && set.setType !== 'amrap' ? (set.reps ?? null) : null,
+    weight: usesField(mode, 'weight') ? (set.weight ?? 0) : null,
+    setType: mode === 'repsWeight' ? (set.setType || DEFAULT_SET_TYPE) : DEFAULT_SET_TYPE,
+    durationSeconds: usesField(mode, 'durationSeconds') ? (set.durationSeconds ?? null) : null,
+    distance: usesField(mode, 'distance') ? (set.distance ?? null) : null
+  }));
+};
+
+/**
+ * Measurement mode of a template exercise
+ * @param {Object} entry - Template exercise, optionally with a measurementMode
+ * @param {Object} exercise - The library exercise it resolved to
+ * @returns {string} - One of MEASUREMENT_MODES
+ */
+export const getTemplateMeasurementMode = (entry, exercise) => {
+  return MEASUREMENT_MODES[entry.measurementMode] ? entry.measurementMode : getDefaultMeasurementMode(exercise);
+};
+
+/**
+ * Short description of a template's schedule
+ * @param {Object} template - Template with its weeks
+ * @returns {string} - e.g. "4 days a week • 4 weeks"
+ */
+export const formatTemplateSchedule = (template) => {
+  const firstWeek = template.weeks?.[0]?.days || [];
+  const trainingDays = firstWeek.filter(day => (day.exercises || []).length > 0).length;
+  const weekCount = template.weeks?.length || 1;
+
+  const days = `${trainingDays} ${trainingDays === 1 ? 'day' : 'days'} a week`;
+  return weekCount > 1 ? `${days} • ${weekCount} weeks` : days;
+};
@@ -0,0 +1,131 @@
+/**
+ * Theme helpers
+ * Semantic color tokens for the light and dark themes. Screens ask for what a
+ * color is for (text, surface, primary...) instead of hardcoding a value
+ */
+
+// Theme choices offered in settings
+export const THEME_MODES = {
+  light: { label: 'Light' },
+  dark: { label: 'Dark' },
+  system: { label: 'System' },
+};
+
+// Mode used until the user picks one
+export const DEFAULT_THEME_MODE = 'system';
+
+export const LIGHT_COLORS = {
+  background: '#fff',            // Screen background
+  surface: '#f5f5f5',            // Grey cards, inputs and chips on the background
+  surfaceMuted: '#f9f9f9',       // Barely raised rows and table headers
+  card: '#fff',                  // Cards and modals that stand out from the background
+  border: '#ddd',                // Input and card borders
+  divider: '#f0f0f0',            // Lines between rows
+  neutral: '#e0e0e0',            // Tracks, unselected toggles and handles
+  neutralStrong: '#9E9E9E',      // Disabled buttons and the bar in drawings
+  text: '#333',                  // Body text
+  textStrong: '#000',            // Titles
+  textSecondary: '#666',         // Subtitles and labels
+  textMuted: '#999',             // Hints, placeholders and inactive icons
+  textDisabled: '#ccc',          // Disabled text and icons
+  primary: '#1E0371',            // Brand color for buttons, links and selection
+  onPrimary: '#fff',             // Text and icons on primary, success or danger
+  primarySoft: '#F0F0FF',        // Selected or highlighted rows
+  accent: '#007BFF',             // Active tab and secondary links
+  success: '#4CAF50',
+  successSoft: '#e8f5e9',        // Completed exercises
+  successSubtle: '#f3f9f4',      // Completed sets
+  warning: '#FF9500',
+  warningText: '#B26A00',        // Warning messages on warningSoft
+  warningSoft: '#FFF8EC',        // Warm-ups, deloads and notices
+  danger: '#FF3B30',
+  dangerStrong: '#D32F2F',       // Logout and destructive buttons
+  gold: '#FFB300',               // Personal records
+  goldSoft: '#FFF9E6',
+  onPrimaryMuted: 'rgba(255,255,255,0.25)', // Tracks on primary, e.g. the rest timer bar
+  onPrimarySubtle: 'rgba(255,255,255,0.15)', // Buttons on primary
+  setNormal: '#1E0371',          // Set types, see SET_TYPES
+  setWarmup: '#FF9500',
+  setDrop: '#AF52DE',
+  setAmrap: '#007AFF',
+  setFailure: '#FF3B30',
+  setBackoff: '#34C759',
+  inverseSurface: '#333',        // Toasts that stand out from the screen
+  onInverse: '#fff',
+  inverseAccent: '#8AB4FF',      // Actions on toasts
+  overlay: 'rgba(0,0,0,0.5)',    // Behind modals
+  shadow: '#000',
+};
+
+export const DARK_COLORS = {
+  background: '#121212',
+  surface: '#1E1E1E',
+  surfaceMuted: '#1A1A1A',
+  card: '#242424',
+  border: '#3A3A3A',
+  divider: '#2A2A2A',
+  neutral: '#333',
+  neutralStrong: '#5C5C5C',
+  text: '#E6E6E6',
+  textStrong: '#fff',
+  textSecondary: '#A8A8A8',
+  textMuted: '#808080',
+  textDisabled: '#4D4D4D',
+  primary: '#7C66FF',
+  onPrimary: '#fff',
+  primarySoft: '#2A2548',
+  accent: '#4DA3FF',
+  success: '#5CBF60',
+  successSoft: '#1E3320',
+  successSubtle: '#1A2A1C',
+  warning: '#FFA733',
+  warningText: '#FFB84D',
+  warningSoft: '#3A2A12',
+  danger: '#FF5A52',
+  dangerStrong: '#E04B4B',
+  gold: '#FFC233',
+  goldSoft: '#3A3116',
+  onPrimaryMuted: 'rgba(255,255,255,0.25)',
+  onPrimarySubtle: 'rgba(255,255,255,0.15)',
+  setNormal: '#7C66FF',
+  setWarmup: '#FFA733',
+  setDrop: '#BF7AF0',
+  setAmrap: '#4DA3FF',
+  setFailure: '#FF5A52',
+  setBackoff: '#4CC46A',
+  inverseSurface: '#3A3A3A',
+  onInverse: '#fff',
+  inverseAccent: '#8AB4FF',
+  overlay: 'rgba(0,0,0,0.7)',
+  shadow: '#000',
+};
+
+/**
+ * Theme mode key, falling back to the default for unknown values
+ * @param {string} mode - 'light', 'dark' or 'system'
+ * @returns {string} - One of THEME_MODES
+ */
+export const getThemeMode = (mode) => {
+  return THEME_MODES[mode] ? mode : DEFAULT_THEME_MODE;
+};
+
+/**
+ * Color scheme a mode shows
+ * @param {string} mode - 'light', 'dark' or 'system'
+ * @param {string} systemScheme - Scheme the device uses ('light', 'dark' or null)
+ * @returns {string} - 'light' or 'dark'
+ */
+export const resolveColorScheme = (mode, systemScheme) => {
+  const themeMode = getThemeMode(mode);
+  if (themeMode === 'system') {
+    return systemScheme === 'dark' ? 'dark' : 'light';
+  }
+  return themeMode;
+};
+
+/**
+ * Color tokens of a scheme
+ * @param {string} scheme - 'light' or 'dark'
+ * @returns {Object} - LIGHT_COLORS or DARK_COLORS
+ */
+export const getThemeColors = (scheme) => (scheme === 'dark' ? DARK_COLORS : LIGHT_COLORS);
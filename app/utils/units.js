@@ -0,0 +1,122 @@
+import { roundToIncrement } from './oneRepMax';
+
+/**
+ * Weight unit helpers
+ * Weights are always stored in kilograms; these pure functions convert them
+ * to the unit the user picked when they are shown or typed
+ */
+
+// Units a user can pick, with the plate-friendly step weights are rounded to
+export const WEIGHT_UNITS = {
+  kg: { label: 'kg', name: 'Kilograms', increment: 2.5, perKg: 1 },
+  lb: { label: 'lb', name: 'Pounds', increment: 5, perKg: 2.20462262185 },
+};
+
+// Unit weights are stored in, and the one used until the user picks another
+export const DEFAULT_WEIGHT_UNIT = 'kg';
+
+/**
+ * Unit key, falling back to kilograms for unknown values
+ * @param {string} unit - 'kg' or 'lb'
+ * @returns {string} - One of WEIGHT_UNITS
+ */
+export const getWeightUnit = (unit) => {
+  return WEIGHT_UNITS[unit] ? unit : DEFAULT_WEIGHT_UNIT;
+};
+
+/**
+ * Convert a stored weight to the unit it is shown in
+ * Rounded to the unit's plate-friendly increment, so 100 kg shows as 220 lb
+ * rather than 220.46
+ * @param {number} kg - Stored weight in kilograms
+ * @param {string} unit - 'kg' or 'lb'
+ * @returns {number|null} - Weight in the unit, or null when there is no weight
+ */
+export const toDisplayWeight = (kg, unit = DEFAULT_WEIGHT_UNIT) => {
+  if (kg === null || kg === undefined || kg === '' || isNaN(Number(kg))) return null;
+
+  const { perKg, increment } = WEIGHT_UNITS[getWeightUnit(unit)];
+  return roundToIncrement(Number(kg) * perKg, increment);
+};
+
+/**
+ * Convert a weight typed in the user's unit to the stored kilograms
+ * The typed value is rounded to the unit's plate-friendly increment first, so
+ * 223 lb is stored as 225 lb
+ * @param {number|string} value - Weight in the unit
+ * @param {string} unit - 'kg' or 'lb'
+ * @returns {number} - Weight in kilograms, NaN when it can't be read
+ */
+export const fromDisplayWeight = (value, unit = DEFAULT_WEIGHT_UNIT) => {
+  const number = parseFloat(value);
+  if (isNaN(number)) return NaN;
+
+  const { perKg, increment } = WEIGHT_UNITS[getWeightUnit(unit)];
+  // Keep enough decimals for the weight to convert back exactly
+  return Math.round(roundToIncrement(number, increment) / perKg * 10000) / 10000;
+};
+
+/**
+ * Stored weight as text in the user's unit, without the unit
+ * @param {number} kg - Stored weight in kilograms
+ * @param {string} unit - 'kg' or 'lb'
+ * @returns {string} - e.g. "225", or "" when there is no weight
+ */
+export const formatWeight = (kg, unit = DEFAULT_WEIGHT_UNIT) => {
+  const value = toDisplayWeight(kg, unit);
+  return value === null ? '' : String(value);
+};
+
+/**
+ * Stored weight as text with the unit label
+ * @param {number} kg - Stored weight in kilograms
+ * @param {string} unit - 'kg' or 'lb'
+ * @returns {string} - e.g. "225 lb"
+ */
+export const formatWeightWithUnit = (kg, unit = DEFAULT_WEIGHT_UNIT) => {
+  return `${formatWeight(kg, unit)} ${WEIGHT_UNITS[getWeightUnit(unit)].label}`;
+};
+
+/**
+ * Lifted volume (reps × weight) in the user's unit, rounded to whole units
+ * @param {number} kg - Volume in kilograms
+ * @param {string} unit - 'kg' or 'lb'
+ * @returns {number} - e.g. 2205 for 1000 kg in pounds
+ */
+export const toDisplayVolume = (kg, unit = DEFAULT_WEIGHT_UNIT) => {
+  return Math.round((Number(kg) || 0) * WEIGHT_UNITS[getWeightUnit(unit)].perKg);
+};
+
+/**
+ * Label of a unit, e.g. for "Weight (lb)"
+ * @param {string} unit - 'kg' or 'lb'
+ * @returns {string} - 'kg' or 'lb'
+ */
+export const getWeightUnitLabel = (unit) => {
+  return WEIGHT_UNITS[getWeightUnit(unit)].label;
+};
+
+/**
+ * Plate-friendly step of a unit, in that unit
+ * @param {string} unit - 'kg' or 'lb'
+ * @returns {number} - 2.5 for kg, 5 for lb
+ */
+export const getWeightIncrement = (unit) => {
+  return WEIGHT_UNITS[getWeightUnit(unit)].increment;
+};
+
+/**
+ * Convert an edited weight back to kilograms
+ * A weight left as it was shown keeps its stored value, so converting 100 kg to
+ * "220" lb and back doesn't turn it into 99.79 kg
+ * @param {string} text - Weight as typed in the user's unit
+ * @param {number} originalKg - Stored weight the input was filled with
+ * @param {string} unit - 'kg' or 'lb'
+ * @returns {number} - Weight in kilograms, NaN when it can't be read
+ */
+export const parseEditedWeight = (text, originalKg, unit = DEFAULT_WEIGHT_UNIT) => {
+  if (originalKg !== null && originalKg !== undefined && String(text ?? '').trim() === formatWeight(originalKg, unit)) {
+    return Number(originalKg);
+  }
+  return fromDisplayWeight(text, unit);
+};
@@ -0,0 +1,74 @@
+import { countsTowardsStats } from './setTypes';
+import { calculatePlates } from './plates';
+import { roundToIncrement } from './oneRepMax';
+
+/**
+ * Warm-up set helpers
+ * Pure functions that ramp up to the top working set of an exercise.
+ * Weights are in whatever unit they are passed in
+ */
+
+// Ramp to the top set: the empty bar, then a share of the top weight
+export const WARMUP_STEPS = [
+  { bar: true, reps: 10 },
+  { percent: 40, reps: 5 },
+  { percent: 60, reps: 3 },
+  { percent: 80, reps: 1 },
+];
+
+/**
+ * Heaviest planned working set of an exercise
+ * @param {Array} sets - Planned sets of the exercise
+ * @returns {Object|null} - The set, or null when no working set has a weight
+ */
+export const getTopWorkingSet = (sets) => {
+  return (sets || [])
+    .filter(set => countsTowardsStats(set) && set.weight > 0)
+    .reduce((top, set) => (!top || set.weight > top.weight ? set : top), null);
+};
+
+/**
+ * Warm-up sets leading up to a top weight
+ * Every step is rounded to a weight that can be loaded; steps that land on the
+ * same weight as the one before, or reach the top weight, are left out
+ * @param {number} topWeight - Weight of the top working set
+ * @param {Object} options - { barWeight, roundWeight, steps }: barWeight is 0 for
+ *   exercises without a bar, roundWeight turns a weight into the nearest loadable one
+ * @returns {Array} - [{ reps, weight }], lightest first
+ */
+export const generateWarmupSets = (topWeight, { barWeight = 0, roundWeight = (weight) => weight, steps = WARMUP_STEPS } = {}) => {
+  if (!(topWeight > 0)) return [];
+
+  const warmups = [];
+  steps.forEach(step => {
+    const weight = step.bar ? barWeight : Math.max(barWeight, roundWeight(topWeight * step.percent / 100));
+    const previous = warmups[warmups.length - 1];
+
+    if (weight <= 0 || weight >= topWeight) return;
+    if (previous && weight <= previous.weight) return;
+    warmups.push({ reps: step.reps, weight });
+  });
+  return warmups;
+};
+
+/**
+ * How warm-ups are loaded for an exercise
+ * Barbell lifts start at the bar and use the nearest load the plates allow,
+ * everything else is rounded to the unit's step
+ * @param {boolean} plateLoaded - Whether the exercise is done with a barbell
+ * @param {Object} plateSettings - { barWeight, plates } in the weights' unit
+ * @param {number} increment - Rounding step for other exercises, e.g. 2.5
+ * @returns {Object} - { barWeight, roundWeight } for generateWarmupSets
+ */
+export const getWarmupLoading = (plateLoaded, plateSettings, increment) => {
+  if (plateLoaded) {
+    return {
+      barWeight: plateSettings.barWeight,
+      roundWeight: (weight) => calculatePlates(weight, plateSettings).total,
+    };
+  }
+  return {
+    barWeight: 0,
+    roundWeight: (weight) => roundToIncrement(weight, increment),
+  };
+};
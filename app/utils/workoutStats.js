@@ -0,0 +1,94 @@
+import { estimateOneRepMax } from './oneRepMax';
+import { countsTowardsStats, getSetSteps } from './setTypes';
+
+/**
+ * Workout statistics helpers
+ * Pure functions for summarizing performed sets, shared by sessions and history
+ */
+
+/**
+ * Volume lifted in a single set (reps × weight, summed over every drop)
+ * Warm-up sets don't add volume
+ * @param {Object} set - Set with reps and weight
+ * @returns {number} - Volume of the set
+ */
+export const calculateSetVolume = (set) => {
+  if (!set || !countsTowardsStats(set)) return 0;
+  return getSetSteps(set).reduce((total, step) => total + step.reps * step.weight, 0);
+};
+
+/**
+ * Total volume of all completed sets
+ * @param {Array} sets - Performed sets
+ * @returns {number} - Summed volume of completed sets
+ */
+export const calculateTotalVolume = (sets) => {
+  return (sets || [])
+    .filter(set => set.completed)
+    .reduce((total, set) => total + calculateSetVolume(set), 0);
+};
+
+/**
+ * Summary numbers stored with a finished session
+ * @param {Array} sets - Performed sets
+ * @param {Date} startedAt - When the workout started
+ * @param {Date} endedAt - When the workout ended
+ * @returns {Object} - Duration, total volume and completed set count
+ */
+export const summarizeSession = (sets, startedAt, endedAt) => {
+  return {
+    durationSeconds: Math.max(0, Math.round((endedAt - startedAt) / 1000)),
+    totalVolume: calculateTotalVolume(sets),
+    setsCompleted: (sets || []).filter(set => set.completed).length
+  };
+};
+
+/**
+ * Build progress points for one exercise, one point per session
+ * @param {Array} sets - Completed performed sets of the exercise, oldest first
+ * @returns {Array} - Points with date, heaviest weight, best e1RM and volume
+ */
+export const buildExerciseProgress = (sets) => {
+  const points = [];
+  const pointsBySession = {};
+
+  (sets || []).forEach(set => {
+    // Warm-ups don't say anything about strength
+    if (!set.completed || !countsTowardsStats(set)) return;
+
+    let point = pointsBySession[set.sessionId];
+    if (!point) {
+      point = {
+        sessionId: set.sessionId,
+        date: set.performedAt,
+        heaviestWeight: 0,
+        bestOneRepMax: 0,
+        totalVolume: 0
+      };
+      pointsBySession[set.sessionId] = point;
+      points.push(point);
+    }
+
+    point.heaviestWeight = Math.max(point.heaviestWeight, Number(set.weight) || 0);
+    point.bestOneRepMax = Math.max(point.bestOneRepMax, estimateOneRepMax(Number(set.weight), Number(set.reps)));
+    point.totalVolume += calculateSetVolume(set);
+  });
+
+  return points.sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+/**
+ * Format a duration in seconds as "1h 05m" or "42m"
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - Human readable duration
+ */
+export const formatDuration = (seconds) => {
+  const totalMinutes = Math.floor((seconds || 0) / 60);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  
+  if (hours > 0) {
+    return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  }
+  return `${minutes}m`;
+};